@@ -1,29 +1,33 @@
 /**
  * This file handles a command line interface for managing users and files.
  */
-import BlockchainManager from './src/BlockchainManager.js'
 import { logger } from './src/Logger.js'
-import { input, select, confirm } from '@inquirer/prompts'
-import { rm } from 'node:fs/promises'
-import { join } from 'node:path'
+import { input, select, confirm, checkbox } from '@inquirer/prompts'
 import http from 'node:http'
+import { randomBytes } from 'node:crypto'
 import {
-  deleteUserById,
+  addWebhook,
+  deleteTotpOfUserId,
+  deleteWebhook,
   getAllFiles,
   getAllRequestsResponsesByRequester,
   getAllRequestsResponsesFilesByOwner,
   getAllUsers,
+  getAllWebhooks,
   getFilesOfOwnerId,
+  getTotpOfUserId,
   getUserById,
+  getWebhookDeliveriesOfWebhookId,
   updateUserInfoById,
+  updateUserQuotaById,
   updateUserStatusById,
   userStatusType
 } from './src/StorageDatabase.js'
 // import { printTable, Table } from 'console-table-printer'
 import Table from 'tty-table'
-import ConfigManager from './src/ConfigManager.js'
 import { emailFormatRe, uuidFormatRe } from './src/Utils.js'
-import { deleteUserShares } from './src/SecretShareDatabase.js'
+import { WebhookEventSchema, WebhookUrlSchema } from './src/Validation.js'
+import { deleteAccountData } from './src/AccountManager.js'
 import {gracefullyShutdown} from './src/ShutdownHandler.js'
 
 if (!process.env.IS_CLI) {
@@ -143,6 +147,8 @@ const queryDatabase = async () => {
         {
           const header = [
             { value: 'userId', align: 'left' },
+            { value: 'sessionId', align: 'left' },
+            { value: 'deviceLabel', alias: 'device', align: 'left' },
             { value: 'socketId', align: 'left' },
             {
               value: 'timestamp',
@@ -239,17 +245,12 @@ const deleteAccount = async (userId) => {
     console.log('刪除已取消')
     return
   }
-  const result = await updateUserStatusById(userId, userStatusType.stopped)
-  if (result.rowCount === 0) {
+  console.log('刪除中...')
+  // Same cleanup as users deleting their own accounts
+  if (!(await deleteAccountData(userId))) {
     console.log('查無此使用者')
     return
   }
-  console.log('刪除中...')
-  const userInfo = await getUserById(userId)
-  await BlockchainManager.setClientStatus(userInfo.address, false)
-  await rm(join(ConfigManager.uploadDir, userId), { recursive: true, force: true })
-  await deleteUserById(userId)
-  await deleteUserShares(userId)
   success = true
   console.log('刪除成功')
 
@@ -306,6 +307,61 @@ const updateAccount = async (userInfo) => {
   return success
 }
 
+const updateQuota = async (userInfo) => {
+  let success = false
+  try {
+    const quotaMB = (
+      await input(
+        {
+          message: '請輸入儲存空間上限(MB)，留空則使用預設值',
+          default: userInfo.quota === null ? '' : String(userInfo.quota / 1024 / 1024),
+          validate: (quotaMB) => {
+            if (quotaMB.trim() !== '' && !/^\d+$/.test(quotaMB.trim())) {
+              return '儲存空間上限格式不正確'
+            }
+            return true
+          }
+        },
+        { signal: controller.signal }
+      )
+    ).trim()
+    const quota = quotaMB === '' ? null : Number.parseInt(quotaMB) * 1024 * 1024
+    await updateUserQuotaById(userInfo.id, quota)
+    console.log('更新成功')
+    logger.info('successfully updated quota', {
+      userId: userInfo.id,
+      quota,
+      adminAction: 'update-quota'
+    })
+    success = true
+  } catch (error) {
+    if (error.name === 'AbortPromptError') {
+      console.log('更新已取消')
+    } else {
+      throw error
+    }
+  }
+  return success
+}
+
+const resetTotp = async (userId) => {
+  const totpInfo = await getTotpOfUserId(userId)
+  if (!totpInfo) {
+    console.log('此使用者未設定兩步驟驗證')
+    return false
+  }
+  const yes = await confirm({
+    message: '確定要重設此帳號的兩步驟驗證嗎? 使用者需重新設定驗證器'
+  })
+  if (!yes) {
+    console.log('重設已取消')
+    return false
+  }
+  await deleteTotpOfUserId(userId)
+  console.log('重設成功')
+  return true
+}
+
 const manageAccounts = async () => {
   let success = false
   const adminAction = await select({
@@ -315,6 +371,8 @@ const manageAccounts = async () => {
       { name: '停用帳號', value: 'stop-account' },
       { name: '刪除帳號', value: 'delete-account' },
       { name: '更新帳號資訊', value: 'update-account' },
+      { name: '設定儲存空間上限', value: 'update-quota' },
+      { name: '重設兩步驟驗證', value: 'reset-totp' },
       { name: '返回', value: 'return' }
     ]
   })
@@ -345,6 +403,12 @@ const manageAccounts = async () => {
       case 'update-account':
         success = await updateAccount(userInfo)
         break
+      case 'update-quota':
+        success = await updateQuota(userInfo)
+        break
+      case 'reset-totp':
+        success = await resetTotp(userId)
+        break
     }
   } catch (error) {
     logger.error(error, { userId, adminAction })
@@ -354,6 +418,138 @@ const manageAccounts = async () => {
   }
 }
 
+const getWebhookIdInput = async () => {
+  const webhookId = (
+    await input({
+      message: '請輸入Webhook ID'
+    })
+  ).trim()
+  if (!uuidFormatRe.test(webhookId)) {
+    console.log('Webhook ID格式不正確')
+    return null
+  }
+  return webhookId
+}
+
+const manageWebhooks = async () => {
+  let success = false
+  const adminAction = await select({
+    message: '選擇要執行的指令',
+    choices: [
+      { name: '列出所有Webhook', value: 'get-webhooks' },
+      { name: '新增管理者Webhook', value: 'add-webhook' },
+      { name: '刪除Webhook', value: 'delete-webhook' },
+      { name: '列出Webhook傳送紀錄', value: 'get-webhook-deliveries' },
+      { name: '返回', value: 'return' }
+    ]
+  })
+  if (adminAction === 'return') return
+  let webhookId = null
+  try {
+    switch (adminAction) {
+      case 'get-webhooks':
+        {
+          const header = [
+            { value: 'id', align: 'left' },
+            {
+              value: 'userId',
+              alias: 'owner',
+              align: 'left',
+              formatter: function (value) {
+                return value ?? 'admin'
+              }
+            },
+            { value: 'url', align: 'left', width: '30%' },
+            { value: 'events', align: 'left' },
+            { value: 'timestamp', alias: 'created time', align: 'left' }
+          ]
+          const webhooks = await getAllWebhooks()
+          console.log(new Table(header, webhooks).render())
+          success = true
+        }
+        break
+      case 'add-webhook':
+        {
+          const url = (
+            await input(
+              {
+                message: '請輸入接收事件的HTTPS網址',
+                required: true,
+                validate: (url) => {
+                  if (!WebhookUrlSchema.safeParse(url.trim()).success) {
+                    return '網址格式不正確，必須為HTTPS'
+                  }
+                  return true
+                }
+              },
+              { signal: controller.signal }
+            )
+          ).trim()
+          const events = await checkbox(
+            {
+              message: '選擇要傳送的事件',
+              choices: WebhookEventSchema.options.map((event) => ({ name: event, value: event })),
+              required: true
+            },
+            { signal: controller.signal }
+          )
+          // Admin webhooks receive events of all users
+          const secret = randomBytes(32).toString('hex')
+          webhookId = await addWebhook(null, url, events, secret)
+          console.log('新增成功')
+          console.log('Webhook ID: ' + webhookId)
+          console.log('簽章密鑰(僅顯示一次): ' + secret)
+          success = true
+        }
+        break
+      case 'delete-webhook':
+        {
+          webhookId = await getWebhookIdInput()
+          if (!webhookId) return
+          const result = await deleteWebhook(webhookId)
+          if (result.rowCount === 0) {
+            console.log('查無此Webhook')
+            return
+          }
+          console.log('刪除成功')
+          success = true
+        }
+        break
+      case 'get-webhook-deliveries':
+        {
+          webhookId = await getWebhookIdInput()
+          if (!webhookId) return
+          const deliveries = await getWebhookDeliveriesOfWebhookId(webhookId, 50)
+          const p = new Table(
+            [
+              { value: 'id', align: 'left' },
+              { value: 'event', align: 'left' },
+              { value: 'status', align: 'left' },
+              { value: 'attempts', align: 'left' },
+              { value: 'responseStatus', alias: 'response', align: 'left' },
+              { value: 'lastError', alias: 'error', align: 'left' },
+              { value: 'nextAttemptAt', alias: 'next attempt', align: 'left' },
+              { value: 'timestamp', alias: 'created time', align: 'left' }
+            ],
+            deliveries
+          ).render()
+          console.log(p)
+          success = true
+        }
+        break
+    }
+  } catch (error) {
+    if (error.name === 'AbortPromptError') {
+      console.log('操作已取消')
+    } else {
+      logger.error(error, { webhookId, adminAction })
+      console.log('指令執行失敗: ' + error)
+    }
+  } finally {
+    logger.info('manage webhooks', { webhookId, adminAction, success })
+  }
+}
+
 while (true) {
   let adminAction = null
   try {
@@ -362,6 +558,7 @@ while (true) {
       choices: [
         { name: '查看資料庫', value: 'database' },
         { name: '管理帳號', value: 'accounts' },
+        { name: '管理Webhook', value: 'webhooks' },
         { name: '離開', value: 'exit' }
       ]
     })
@@ -372,6 +569,9 @@ while (true) {
       case 'accounts':
         await manageAccounts()
         break
+      case 'webhooks':
+        await manageWebhooks()
+        break
       case 'exit':
         await gracefullyShutdown()
         process.exit(0)
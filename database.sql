@@ -73,4 +73,116 @@ CREATE TABLE ctstar_table (
     FOREIGN KEY (fileid) REFERENCES files(id) ON DELETE CASCADE
 );
 alter table files add column infoblocknumber integer default 0 not null;
-alter table files add column verifyblocknumber integer default 0 not null;
\ No newline at end of file
+alter table files add column verifyblocknumber integer default 0 not null;
+alter table files add column deletedAt TIMESTAMPTZ default null;
+alter table folders add column deletedAt TIMESTAMPTZ default null;
+alter table files add column version INTEGER default 1 not null;
+alter table files add column uploadId TEXT default null;
+CREATE TABLE file_versions (
+    id TEXT PRIMARY KEY NOT NULL,
+    fileId TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    uploadId TEXT NOT NULL,
+    cipher TEXT,
+    spk TEXT,
+    size INTEGER,
+    infoblocknumber INTEGER default 0 NOT NULL,
+    verifyblocknumber INTEGER default 0 NOT NULL,
+    timestamp TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (fileId, version),
+    FOREIGN KEY(fileId) REFERENCES files(id) ON DELETE CASCADE
+);
+alter table users add column quota BIGINT default null;
+alter table files add column hash TEXT default null;
+alter table file_versions add column hash TEXT default null;
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE INDEX files_name_trgm_idx ON files USING GIN (name gin_trgm_ops);
+CREATE INDEX files_description_trgm_idx ON files USING GIN (description gin_trgm_ops);
+alter table files add column originFileId TEXT default null;
+alter table responses add column expiresAt TIMESTAMPTZ default null;
+alter table responses add column grantedFileId TEXT default null;
+alter table requests add column expiredAt TIMESTAMPTZ default null;
+alter table requests add column remindedAt TIMESTAMPTZ default null;
+CREATE TABLE folder_requests (
+    id TEXT PRIMARY KEY NOT NULL,
+    folderId TEXT NOT NULL,
+    requester TEXT NOT NULL,
+    description TEXT NOT NULL DEFAULT '',
+    timestamp TIMESTAMPTZ DEFAULT NOW(),
+    FOREIGN KEY(folderId) REFERENCES folders(id) ON DELETE CASCADE,
+    FOREIGN KEY(requester) REFERENCES users(id) ON DELETE CASCADE
+);
+alter table requests add column folderRequestId TEXT default null references folder_requests(id) on delete cascade;
+CREATE TABLE notifications (
+    id TEXT PRIMARY KEY NOT NULL,
+    userId TEXT NOT NULL,
+    event TEXT NOT NULL,
+    data JSONB default null,
+    readAt TIMESTAMPTZ default null,
+    timestamp TIMESTAMPTZ DEFAULT NOW(),
+    FOREIGN KEY(userId) REFERENCES users(id) ON DELETE CASCADE
+);
+CREATE INDEX notifications_userid_timestamp_idx ON notifications (userId, timestamp);
+alter table users add column emailNotifications TEXT[] default '{}' NOT NULL;
+alter table users add column locale TEXT default 'zh-TW' NOT NULL;
+CREATE TABLE webhooks (
+    id TEXT PRIMARY KEY NOT NULL,
+    userId TEXT default null,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    events TEXT[] NOT NULL,
+    timestamp TIMESTAMPTZ DEFAULT NOW(),
+    FOREIGN KEY(userId) REFERENCES users(id) ON DELETE CASCADE
+);
+CREATE TABLE webhook_deliveries (
+    id TEXT PRIMARY KEY NOT NULL,
+    webhookId TEXT NOT NULL,
+    event TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    status TEXT default 'pending' NOT NULL,
+    attempts INTEGER default 0 NOT NULL,
+    responseStatus INTEGER default null,
+    lastError TEXT default null,
+    nextAttemptAt TIMESTAMPTZ default null,
+    timestamp TIMESTAMPTZ DEFAULT NOW(),
+    FOREIGN KEY(webhookId) REFERENCES webhooks(id) ON DELETE CASCADE
+);
+CREATE INDEX webhook_deliveries_pending_idx ON webhook_deliveries (nextAttemptAt) WHERE status = 'pending';
+CREATE TABLE request_comments (
+    id TEXT PRIMARY KEY NOT NULL,
+    requestId TEXT NOT NULL,
+    userId TEXT NOT NULL,
+    content TEXT NOT NULL,
+    timestamp TIMESTAMPTZ DEFAULT NOW(),
+    FOREIGN KEY(requestId) REFERENCES requests(id) ON DELETE CASCADE,
+    FOREIGN KEY(userId) REFERENCES users(id) ON DELETE CASCADE
+);
+CREATE INDEX request_comments_requestid_timestamp_idx ON request_comments (requestId, timestamp);
+CREATE TABLE share_links (
+    id TEXT PRIMARY KEY NOT NULL,
+    fileId TEXT NOT NULL,
+    ownerId TEXT NOT NULL,
+    tokenHash TEXT UNIQUE NOT NULL,
+    recipientPk TEXT NOT NULL,
+    rekey TEXT NOT NULL,
+    expiresAt TIMESTAMPTZ NOT NULL,
+    maxDownloads INTEGER NOT NULL,
+    downloads INTEGER default 0 NOT NULL,
+    timestamp TIMESTAMPTZ DEFAULT NOW(),
+    FOREIGN KEY(fileId) REFERENCES files(id) ON DELETE CASCADE,
+    FOREIGN KEY(ownerId) REFERENCES users(id) ON DELETE CASCADE
+);
+CREATE TABLE user_totp (
+    userId TEXT PRIMARY KEY NOT NULL,
+    secret TEXT NOT NULL,
+    enabled BOOLEAN default false NOT NULL,
+    lastCounter BIGINT default null,
+    timestamp TIMESTAMPTZ DEFAULT NOW(),
+    FOREIGN KEY(userId) REFERENCES users(id) ON DELETE CASCADE
+);
+CREATE TABLE totp_recovery_codes (
+    userId TEXT NOT NULL,
+    codeHash TEXT NOT NULL,
+    PRIMARY KEY(userId, codeHash),
+    FOREIGN KEY(userId) REFERENCES user_totp(userId) ON DELETE CASCADE
+);
\ No newline at end of file
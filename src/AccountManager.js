@@ -0,0 +1,128 @@
+/**
+ * This file handles accounts managed by their own users.
+ * Including exporting all data of an account as an archive, and deleting an account with all its data.
+ */
+import { rm, stat, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
+import { promisify } from 'node:util'
+import { gzip } from 'node:zlib'
+import { logSocketError, logSocketInfo, logSocketWarning } from './Logger.js'
+import {
+  deleteUserById,
+  getAllFoldersByUserId,
+  getAllRequestsResponsesByRequester,
+  getAllRequestsResponsesFilesByOwner,
+  getFilesOfOwnerId,
+  getFileVersionsOfFileId,
+  getUserById,
+  updateUserStatusById,
+  userStatusType
+} from './StorageDatabase.js'
+import { deleteUserShares } from './SecretShareDatabase.js'
+import { checkLoggedIn, getFilePath, InternalServerErrorMsg, NotLoggedInErrorMsg } from './Utils.js'
+import ConfigManager from './ConfigManager.js'
+import BlockchainManager from './BlockchainManager.js'
+
+const gzipAsync = promisify(gzip)
+
+// Stored in the upload folder of the user, and downloaded with a transfer token for 'export'
+export const exportFileName = 'export.json.gz'
+
+/**
+ * Stop an account and delete all its data: blockchain status, uploaded files, database rows and secret shares.
+ * @param {string} userId
+ * @returns {Promise<boolean>} false if the user does not exist.
+ * @throws Any error occurred.
+ */
+export const deleteAccountData = async (userId) => {
+  // Stop the account first so it cannot be used while deleting
+  const result = await updateUserStatusById(userId, userStatusType.stopped)
+  if (result.rowCount === 0) return false
+  const userInfo = await getUserById(userId)
+  await BlockchainManager.setClientStatus(userInfo.address, false)
+  await rm(join(ConfigManager.uploadDir, userId), { recursive: true, force: true })
+  await deleteUserById(userId)
+  await deleteUserShares(userId)
+  return true
+}
+
+/**
+ * Describe where the content of a file or file version is recorded on blockchain.
+ * @param {string} fileId
+ * @param {string} uploadId The ID the content is recorded with.
+ * @param {object} content The file or file version.
+ * @returns {object}
+ */
+const toBlockchainRecord = (fileId, uploadId, { version, infoblocknumber, verifyblocknumber }) => ({
+  fileId,
+  uploadId,
+  version,
+  infoBlockNumber: infoblocknumber,
+  verifyBlockNumber: verifyblocknumber
+})
+
+/**
+ * Collect the data of an account: file metadata with cipher and spk, folders, requests, responses
+ * and the blockchain records of files.
+ * @param {string} userId
+ * @returns {Promise<object>}
+ */
+export const collectAccountData = async (userId) => {
+  const { id, name, email, pk, address, timestamp } = await getUserById(userId)
+  const files = await getFilesOfOwnerId(userId)
+  const fileVersions = (
+    await Promise.all(files.map((file) => getFileVersionsOfFileId(file.id)))
+  ).flat()
+  return {
+    exportedAt: new Date().toISOString(),
+    user: { id, name, email, pk, address, timestamp },
+    folders: await getAllFoldersByUserId(userId),
+    files,
+    fileVersions,
+    requests: await getAllRequestsResponsesByRequester(userId),
+    responses: await getAllRequestsResponsesFilesByOwner(userId),
+    blockchain: {
+      contractAddr: ConfigManager.blockchain.contractAddr,
+      address,
+      // Content is recorded on blockchain with its upload ID, which is the file ID before any new version
+      records: [
+        ...files.map((file) => toBlockchainRecord(file.id, file.uploadId ?? file.id, file)),
+        ...fileVersions.map((version) =>
+          toBlockchainRecord(version.fileId, version.uploadId, version)
+        )
+      ]
+    }
+  }
+}
+
+// Account related events
+export const accountBinder = (socket) => {
+  /**
+   * Client asks to export all data of its account.
+   * The archive is downloaded afterwards with a transfer token for 'export'.
+   */
+  socket.on('export-account-data', async (cb) => {
+    try {
+      const actionStr = 'Client asks to export account data'
+      logSocketInfo(socket, actionStr + '.')
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.')
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      const accountData = await collectAccountData(socket.userId)
+      const filePath = getFilePath(socket.userId, exportFileName)
+      await writeFile(filePath, await gzipAsync(JSON.stringify(accountData)))
+      const { size } = await stat(filePath)
+      logSocketInfo(socket, 'Account data exported.', { size })
+      cb({ size })
+    } catch (error) {
+      logSocketError(socket, error)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+}
+
+console.debug('AccountManager.js loaded.')
@@ -5,6 +5,7 @@ import {
   AddUserAndGetId,
   deleteUserById,
   getUserByEmail,
+  getUserById,
   getUserByKey,
   userStatusType
 } from './StorageDatabase.js'
@@ -35,14 +36,60 @@ import {
   EmailAuthResRequestSchema,
   LoginRequestSchema,
   RegisterRequestSchema,
+  ResumeSessionRequestSchema,
   SecretRecoverRequestSchema,
-  SecretShareRequestSchema
+  SecretShareRequestSchema,
+  TerminateSessionRequestSchema,
+  TotpResRequestSchema
 } from './Validation.js'
 import BlockchainManager from './BlockchainManager.js'
 import { retrieveUserShares, storeUserShares } from './SecretShareDatabase.js'
 import { sendEmailAuth } from './SMTPManager.js'
 import { randomInt } from 'node:crypto'
-import { checkLoginBlocked, userLoginFailure, userLogin, checkUserLoggedIn } from './UserLoginInfo.js'
+import {
+  checkLoginBlocked,
+  userLoginFailure,
+  userLogin,
+  userLogout,
+  checkMaxSessionsReached,
+  getSessionsOfUser,
+  terminateSession,
+  resumeSession
+} from './UserLoginInfo.js'
+import { checkSecondFactor, IncorrectTotpCodeErrorMsg, isTotpEnabled } from './TotpManager.js'
+import { deleteAccountData } from './AccountManager.js'
+
+/**
+ * Record the login of an authenticated socket and respond the session to client
+ * @param {*} socket
+ * @param {Function} cb
+ */
+const completeLogin = (socket, cb) => {
+  // Another session may have logged in while authenticating
+  const session = userLogin(socket.userId, socket, socket.deviceLabel)
+  if (!session) {
+    cb({ errorMsg: 'Too many sessions logged in.' })
+    return
+  }
+  socket.authed = true
+  cb({
+    userInfo: { userId: socket.userId, name: socket.name, email: socket.email },
+    sessionId: session.sessionId,
+    resumeToken: session.resumeToken
+  })
+}
+
+/**
+ * Forget the email authentication flows the client asked before,
+ * so a code sent for one flow cannot complete another.
+ * @param {*} socket
+ */
+const clearEmailAuthFlows = (socket) => {
+  delete socket.emailAuth
+  delete socket.askRegister
+  delete socket.askRecover
+  delete socket.askDeleteAccount
+}
 
 const authenticationBinder = (socket) => {
   /**
@@ -77,6 +124,7 @@ const authenticationBinder = (socket) => {
       }
 
       const { message, cipher, spk } = await CryptoHandler.verifyGen(publicKey)
+      clearEmailAuthFlows(socket)
       socket.randKey = message
       socket.pk = publicKey
       socket.name = name
@@ -106,7 +154,7 @@ const authenticationBinder = (socket) => {
         cb({ errorMsg: InvalidArgumentErrorMsg })
         return
       }
-      const { publicKey } = result.data
+      const { publicKey, deviceLabel } = result.data
 
       if (socket.authed) {
         logSocketWarning(socket, actionStr + ' but is already logged in.', request)
@@ -114,7 +162,7 @@ const authenticationBinder = (socket) => {
         return
       }
 
-      if (socket.askLogin) {
+      if (socket.askLogin || socket.askTotp) {
         logSocketWarning(socket, actionStr + ' but already asked to log in.', request)
         cb({ errorMsg: 'Already asked to log in.' })
         return
@@ -133,9 +181,9 @@ const authenticationBinder = (socket) => {
         return
       }
 
-      if (checkUserLoggedIn(socket.userId)) {
-        logSocketWarning(socket, actionStr + ' but is logged in from another client side.', request)
-        cb({ errorMsg: 'Already logged in from another client.' })
+      if (checkMaxSessionsReached(socket.userId)) {
+        logSocketWarning(socket, actionStr + ' but has too many sessions.', request)
+        cb({ errorMsg: 'Too many sessions logged in.' })
         return
       }
 
@@ -155,6 +203,7 @@ const authenticationBinder = (socket) => {
       socket.pk = publicKey
       socket.name = userInfo.name
       socket.email = userInfo.email
+      socket.deviceLabel = deviceLabel
       socket.askLogin = true
       logSocketInfo(socket, 'Asking client to respond with correct authentication key.')
       cb({ cipher, spk })
@@ -199,9 +248,13 @@ const authenticationBinder = (socket) => {
 
       if (socket.askLogin) {
         delete socket.askLogin
-        userLogin(socket.userId, socket)
-        socket.authed = true
-        cb({ userInfo: { userId: socket.userId, name: socket.name, email: socket.email } })
+        if (await isTotpEnabled(socket.userId)) {
+          socket.askTotp = true
+          logSocketInfo(socket, 'Asking client to respond with two-factor authentication code.')
+          cb({ totpRequired: true }) // Wait for totp-res
+          return
+        }
+        completeLogin(socket, cb)
         return
       } else if (socket.askRegister) {
         // Send email auth
@@ -216,6 +269,180 @@ const authenticationBinder = (socket) => {
     }
   })
 
+  /**
+   * Client responds with two-factor authentication code or recovery code
+   */
+  socket.on('totp-res', async (request, cb) => {
+    try {
+      const actionStr = 'Client responds to two-factor authentication'
+      logSocketInfo(socket, actionStr + '.', { ...request, code: undefined })
+
+      const result = TotpResRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, {
+          ...request,
+          code: undefined
+        })
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { code } = result.data
+
+      if (!socket.askTotp) {
+        logSocketWarning(socket, actionStr + ' without asking to login.')
+        cb({ errorMsg: 'Did not ask to login first.' })
+        return
+      }
+
+      // Codes are short, so failures count toward login attempts
+      if (checkLoginBlocked(socket.userId)) {
+        logSocketWarning(socket, actionStr + ' but failed too many login attempts.')
+        delete socket.askTotp
+        cb({ errorMsg: 'Failed too many login attempts.' })
+        return
+      }
+
+      if (!(await checkSecondFactor(socket.userId, code))) {
+        logSocketWarning(socket, actionStr + ' with incorrect code.')
+        userLoginFailure(socket.userId)
+        cb({ errorMsg: IncorrectTotpCodeErrorMsg })
+        return
+      }
+      delete socket.askTotp
+      logSocketInfo(socket, 'Two-factor authentication code correct.')
+      completeLogin(socket, cb)
+    } catch (error) {
+      logSocketError(socket, error)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+
+  /**
+   * Client asks to resume a disconnected session without authenticating again
+   */
+  socket.on('resume-session', async (request, cb) => {
+    try {
+      const actionStr = 'Client asks to resume session'
+      logSocketInfo(socket, actionStr + '.', { ...request, resumeToken: undefined })
+
+      const result = ResumeSessionRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, {
+          ...request,
+          resumeToken: undefined
+        })
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { resumeToken } = result.data
+
+      if (socket.authed || socket.askLogin || socket.askTotp) {
+        logSocketWarning(socket, actionStr + ' but is already logged in.')
+        cb({ errorMsg: 'Already logged in.' })
+        return
+      }
+
+      const session = resumeSession(resumeToken, socket)
+      if (!session) {
+        logSocketWarning(socket, actionStr + ' but session cannot be resumed.')
+        cb({ errorMsg: 'Session cannot be resumed.' })
+        return
+      }
+      socket.userId = session.userId
+
+      // The account may be stopped while disconnected
+      const userInfo = await getUserById(session.userId)
+      if (!userInfo || userInfo.status === userStatusType.stopped) {
+        logSocketWarning(socket, actionStr + ' but the account is stopped.')
+        userLogout(socket)
+        cb({ errorMsg: 'Account is stopped.' })
+        return
+      }
+      socket.pk = userInfo.pk
+      socket.name = userInfo.name
+      socket.email = userInfo.email
+      socket.authed = true
+      logSocketInfo(socket, 'Session resumed.', {
+        sessionId: session.sessionId,
+        pendingEvents: session.pendingEvents.length
+      })
+      cb({
+        userInfo: { userId: socket.userId, name: socket.name, email: socket.email },
+        sessionId: session.sessionId,
+        resumeToken: session.resumeToken
+      })
+      for (const { event, data } of session.pendingEvents) {
+        socket.emit(event, ...data)
+      }
+    } catch (error) {
+      logSocketError(socket, error)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+
+  /**
+   * Client asks to get its sessions
+   */
+  socket.on('get-sessions', async (cb) => {
+    try {
+      const actionStr = 'Client asks to get sessions'
+      logSocketInfo(socket, actionStr + '.')
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.')
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      const sessions = getSessionsOfUser(socket.userId).map((session) => ({
+        ...session,
+        current: session.sessionId === socket.sessionId
+      }))
+      logSocketInfo(socket, 'Responding sessions to client.')
+      cb({ sessions: JSON.stringify(sessions) })
+    } catch (error) {
+      logSocketError(socket, error)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+
+  /**
+   * Client asks to terminate one of its sessions
+   */
+  socket.on('terminate-session', async (request, cb) => {
+    try {
+      const actionStr = 'Client asks to terminate session'
+      logSocketInfo(socket, actionStr + '.', request)
+
+      const result = TerminateSessionRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, request)
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { sessionId } = result.data
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.', request)
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      // Respond first in case the current session is terminated
+      if (!getSessionsOfUser(socket.userId).some((session) => session.sessionId === sessionId)) {
+        logSocketWarning(socket, actionStr + ' which does not exist.', request)
+        cb({ errorMsg: 'Session not found.' })
+        return
+      }
+      logSocketInfo(socket, 'Terminating session.', request)
+      cb({})
+      terminateSession(socket.userId, sessionId)
+    } catch (error) {
+      logSocketError(socket, error, request)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+
   /**
    * Secret share event
    */
@@ -270,6 +497,7 @@ const authenticationBinder = (socket) => {
         return
       }
       // Ask and wait for email authentication
+      clearEmailAuthFlows(socket)
       socket.userId = userInfo.id
       socket.emailAuth = await createSendEmailAuth(email, userInfo.name)
       socket.email = email
@@ -283,7 +511,33 @@ const authenticationBinder = (socket) => {
   })
 
   /**
-   * Email authentication event for register and secret recover
+   * Client asks to delete its own account. Confirmed by email authentication.
+   */
+  socket.on('delete-account', async (cb) => {
+    try {
+      const actionStr = 'Client asks to delete account'
+      logSocketInfo(socket, actionStr + '.')
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.')
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      // Ask and wait for email authentication
+      clearEmailAuthFlows(socket)
+      socket.emailAuth = await createSendEmailAuth(socket.email, socket.name)
+      socket.askDeleteAccount = true
+      socket.emailAuthStartTime = Date.now()
+      cb({})
+    } catch (error) {
+      logSocketError(socket, error)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+
+  /**
+   * Email authentication event for register, secret recover and account deletion
    */
   socket.on('email-auth-res', async (request, cb) => {
     try {
@@ -333,6 +587,23 @@ const authenticationBinder = (socket) => {
         await registerProcess(socket)
         cb({ userId: socket.userId })
         return
+      } else if (socket.askDeleteAccount) {
+        delete socket.askDeleteAccount
+        if (!checkLoggedIn(socket)) {
+          logSocketWarning(socket, actionStr + ' but is not logged in.')
+          cb({ errorMsg: NotLoggedInErrorMsg })
+          return
+        }
+        const { userId } = socket
+        logSocketInfo(socket, 'Deleting account of client.')
+        if (!(await deleteAccountData(userId))) throw new Error('User to delete does not exist.')
+        logSocketInfo(socket, 'Account deleted.')
+        cb({})
+        // Log out all sessions of the deleted account, including this one
+        for (const { sessionId } of getSessionsOfUser(userId)) {
+          terminateSession(userId, sessionId)
+        }
+        return
       }
 
       throw new Error(ShouldNotReachErrorMsg)
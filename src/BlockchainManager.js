@@ -121,7 +121,7 @@ class BlockchainManager {
    * @param {string} fileId UUID of the file.
    * @param {string} requestorAddr Blockchain address of the requestor.
    * @param {string} authorizerAddr Blockchain address of the authorizer.
-   * @param {'not-replied' | 'agreed' | 'rejected'} authInfo Authorization information.
+   * @param {'not-replied' | 'agreed' | 'rejected' | 'revoked' | 'expired'} authInfo Authorization information.
    * @throws Any error occurred.
    */
   async addAuthRecord(fileId, requestorAddr, authorizerAddr, authInfo) {
@@ -23,7 +23,19 @@ class ConfigManager {
   settings = {
     uploadExpireTimeMin: 10,
     emailAuthExpireTimeMin: 5,
-    emailAuthLength: 6
+    emailAuthLength: 6,
+    trashRetentionDays: 30,
+    trashPurgeIntervalMin: 60,
+    defaultQuotaMB: 1024,
+    grantExpiryCheckIntervalMin: 10,
+    requestTTLHours: 168,
+    requestReminderHours: 24,
+    requestCheckIntervalMin: 10,
+    webhookMaxAttempts: 5,
+    webhookRetryBaseMin: 1,
+    webhookRetryCheckIntervalMin: 1,
+    webhookTimeoutSec: 10,
+    transferTokenTTLSec: 300
   }
   dbPoolConfig = {
     user: 'postgres',
@@ -43,7 +55,9 @@ class ConfigManager {
     idleTimeoutMin: 30,
     failedAttemptLimit: 5,
     failedRecordRefreshMin: 5,
-    failedBlockTimeMin: 15
+    failedBlockTimeMin: 15,
+    maxSessions: 3,
+    resumeGraceSec: 60
   }
   blockchain = {
     jsonRpcUrl: '',
@@ -131,6 +145,8 @@ class ConfigManager {
       this.login.failedAttemptLimit = config.get('login.failedAttemptLimit')
       this.login.failedRecordRefreshMin = config.get('login.failedRecordRefreshMin')
       this.login.idleTimeofailedBlockTimeMinutMin = config.get('login.failedBlockTimeMin')
+      this.login.maxSessions = config.get('login.maxSessions')
+      this.login.resumeGraceSec = config.get('login.resumeGraceSec')
 
       // Trusted Authority
       this.trustedAuthority.url = config.get('trustedAuthority.url')
@@ -152,6 +168,32 @@ class ConfigManager {
         config.get('settings.emailAuthExpireTimeMin')
       )
       this.settings.emailAuthLength = Number.parseInt(config.get('settings.emailAuthLength'))
+      this.settings.trashRetentionDays = Number.parseInt(config.get('settings.trashRetentionDays'))
+      this.settings.trashPurgeIntervalMin = Number.parseInt(
+        config.get('settings.trashPurgeIntervalMin')
+      )
+      this.settings.defaultQuotaMB = Number.parseInt(config.get('settings.defaultQuotaMB'))
+      this.settings.grantExpiryCheckIntervalMin = Number.parseInt(
+        config.get('settings.grantExpiryCheckIntervalMin')
+      )
+      this.settings.requestTTLHours = Number.parseInt(config.get('settings.requestTTLHours'))
+      this.settings.requestReminderHours = Number.parseInt(
+        config.get('settings.requestReminderHours')
+      )
+      this.settings.requestCheckIntervalMin = Number.parseInt(
+        config.get('settings.requestCheckIntervalMin')
+      )
+      this.settings.webhookMaxAttempts = Number.parseInt(config.get('settings.webhookMaxAttempts'))
+      this.settings.webhookRetryBaseMin = Number.parseInt(
+        config.get('settings.webhookRetryBaseMin')
+      )
+      this.settings.webhookRetryCheckIntervalMin = Number.parseInt(
+        config.get('settings.webhookRetryCheckIntervalMin')
+      )
+      this.settings.webhookTimeoutSec = Number.parseInt(config.get('settings.webhookTimeoutSec'))
+      this.settings.transferTokenTTLSec = Number.parseInt(
+        config.get('settings.transferTokenTTLSec')
+      )
     } catch (error) {
       logger.error(error)
     }
@@ -183,6 +225,9 @@ class ConfigManager {
   get databaseLengthLimit() {
     return getConfig('database.descMaxLength')
   }
+  get commentLengthLimit() {
+    return getConfig('database.commentMaxLength')
+  }
 }
 
 export default new ConfigManager()
@@ -0,0 +1,74 @@
+/**
+ * This file holds the templates of notification emails.
+ * Each locale has a template for every email notification type. To add a locale, add its templates here
+ * and its name to the locale schema in Validation.js.
+ */
+
+export const defaultLocale = 'zh-TW'
+
+const templates = {
+  'zh-TW': {
+    'new-request': ({ requesterName, name }) => ({
+      subject: '機敏雲端：新的檔案請求',
+      text: `${requesterName} 請求存取您的「${name}」，請登入機敏雲端回覆。`
+    }),
+    // Responses to many files at once have a file count, and a name only for a folder or a single file
+    'new-response': ({ name, agreed, fileCount }) => {
+      const target = name === undefined ? `${fileCount}個檔案` : `「${name}」`
+      return {
+        subject: '機敏雲端：檔案請求已回覆',
+        text: agreed
+          ? `您對${target}的請求已被同意，檔案已加入您的雲端。`
+          : `您對${target}的請求已被拒絕。`
+      }
+    },
+    'upload-failed': ({ fileId, errorMsg }) => ({
+      subject: '機敏雲端：檔案上傳失敗',
+      text: `您上傳的檔案（${fileId}）未能完成：${errorMsg}`
+    })
+  },
+  en: {
+    'new-request': ({ requesterName, name }) => ({
+      subject: 'Cloud Server: New file request',
+      text: `${requesterName} requested access to "${name}". Please log in to respond.`
+    }),
+    'new-response': ({ name, agreed, fileCount }) => {
+      const target = name === undefined ? `${fileCount} files` : `"${name}"`
+      const added = fileCount > 1 ? 'The files have' : 'The file has'
+      return {
+        subject: 'Cloud Server: File request answered',
+        text: agreed
+          ? `Your request for ${target} was approved. ${added} been added to your storage.`
+          : `Your request for ${target} was rejected.`
+      }
+    },
+    'upload-failed': ({ fileId, errorMsg }) => ({
+      subject: 'Cloud Server: File upload failed',
+      text: `Your upload of file ${fileId} failed: ${errorMsg}`
+    })
+  }
+}
+
+/**
+ * Escape text to be put in HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeHtml = (text) =>
+  text.replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+  )
+
+/**
+ * Render a notification email. Unknown locales fall back to the default locale.
+ * @param {string} locale
+ * @param {'new-request'|'new-response'|'upload-failed'} type
+ * @param {object} params Values to fill in the template.
+ * @returns {{subject: string, text: string, html: string}}
+ */
+export const renderNotificationEmail = (locale, type, params) => {
+  const template = (templates[locale] ?? templates[defaultLocale])[type]
+  const { subject, text } = template(params)
+  return { subject, text, html: `<p>${escapeHtml(text)}</p>` }
+}
@@ -10,26 +10,31 @@ import {
 } from './Logger.js'
 import {
   getFileInfo,
-  deleteFile,
   addFolderToDatabase,
-  deleteFolder,
-  getAllFilesByParentFolderIdUserId,
-  getAllFoldersByParentFolderIdUserId,
+  getFilesPageByParentFolderIdUserId,
+  getFoldersPageByParentFolderIdUserId,
+  searchFilesOfOwnerId,
   moveFileToFolder,
+  moveFolderToFolderOfOwnerId,
   getAllFoldersByUserId,
   getFileInfoOfOwnerId,
   updateFileDescPermInDatabase,
-  getPublicFilesNotOwnedByFileId
+  getPublicFilesNotOwnedByFileId,
+  getFolderInfoOfOwnerId,
+  renameFileOfOwnerId,
+  renameFolderOfOwnerId,
+  updateFolderPermOfOwnerId
 } from './StorageDatabase.js'
-import { unlink } from 'node:fs/promises'
 import {
   checkFolderExistsForUser,
   checkLoggedIn,
   FileNotFoundErrorMsg,
-  getFilePath,
+  FolderNotFoundErrorMsg,
   InternalServerErrorMsg,
   InvalidArgumentErrorMsg,
-  NotLoggedInErrorMsg
+  NameAlreadyExistsErrorMsg,
+  NotLoggedInErrorMsg,
+  QuotaExceededErrorMsg
 } from './Utils.js'
 import ConfigManager from './ConfigManager.js'
 import {
@@ -39,12 +44,55 @@ import {
   DownloadFileRequestSchema,
   GetFileListRequestSchema,
   MoveFileRequestSchema,
+  MoveFolderRequestSchema,
+  RenameFileRequestSchema,
+  RenameFolderRequestSchema,
   SearchFileRequestSchema,
+  SearchOwnFilesRequestSchema,
   UpdateFileRequestSchema,
-  UploadFileRequestSchema
+  UpdateFolderPermRequestSchema,
+  UploadFileRequestSchema,
+  UploadFileVersionRequestSchema
 } from './Validation.js'
-import { preUpload } from './UploadVerifier.js'
+import { getRemainingQuota, preUpload } from './UploadVerifier.js'
 import ABSEManeger from './ABSEManager.js'
+import { collectFolderTree, moveToTrash, trashBinder } from './TrashManager.js'
+import { versionBinder } from './VersionManager.js'
+
+/**
+ * Encode the position of the last listed item as a cursor for the next page.
+ * @param {object} cursor
+ * @returns {string}
+ */
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url')
+
+/**
+ * Check if a user can store an upload of the given size within the storage quota.
+ * @param {string} userId
+ * @param {number|undefined} size Size of the upload in bytes, if known before upload.
+ * @returns {Promise<boolean>}
+ */
+const checkUploadWithinQuota = async (userId, size) => {
+  const remainingQuota = await getRemainingQuota(userId)
+  return remainingQuota > 0 && (size === undefined || size <= remainingQuota)
+}
+
+/**
+ * Check if a folder is the root folder of a subtree or any folder inside it,
+ * by walking up the parent chain of the folder.
+ * @param {string|null} folderId The folder to check. Null means root, which is in no subtree.
+ * @param {string} subtreeRootId The root folder of the subtree.
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+const isFolderInSubtree = async (folderId, subtreeRootId, userId) => {
+  let currentFolderId = folderId
+  while (currentFolderId) {
+    if (currentFolderId === subtreeRootId) return true
+    currentFolderId = (await getFolderInfoOfOwnerId(currentFolderId, userId))?.parentFolderId
+  }
+  return false
+}
 
 // Download file related events
 const downloadFileBinder = (socket) => {
@@ -113,7 +161,7 @@ const uploadFileBinder = (socket) => {
         cb({ errorMsg: InvalidArgumentErrorMsg })
         return
       }
-      const { cipher, spk, parentFolderId } = result.data
+      const { cipher, spk, parentFolderId, size } = result.data
 
       if (!checkLoggedIn(socket)) {
         logSocketWarning(socket, actionStr + ' but is not logged in.', request)
@@ -126,8 +174,17 @@ const uploadFileBinder = (socket) => {
         cb({ errorMsg: 'Parent folder not found.' })
         return
       }
+
+      if (!(await checkUploadWithinQuota(socket.userId, size))) {
+        logSocketWarning(socket, actionStr + ' but storage quota is exceeded.', {
+          parentFolderId,
+          size
+        })
+        cb({ errorMsg: QuotaExceededErrorMsg })
+        return
+      }
       // Create random id as fileId
-      const fileId = preUpload(cipher, spk, parentFolderId)
+      const fileId = preUpload(socket.userId, cipher, spk, parentFolderId)
       logSocketInfo(socket, 'Pre-upload information stored in upload database.', {
         parentFolderId: request.parentFolderId,
         fileId
@@ -138,6 +195,54 @@ const uploadFileBinder = (socket) => {
       cb({ errorMsg: InternalServerErrorMsg })
     }
   })
+
+  /**
+   * Client asks to upload a new version of an existing file, will return generated uploadId
+   */
+  socket.on('upload-file-version-pre', async (request, cb) => {
+    try {
+      const actionStr = 'Client asks to upload file version'
+      // cipher and spk do not need to be logged
+      logSocketInfo(socket, actionStr + '.', { fileId: request.fileId })
+
+      const result = UploadFileVersionRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, request)
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { fileId, cipher, spk, size } = result.data
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.', request)
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      const fileInfo = await getFileInfoOfOwnerId(fileId, socket.userId)
+      if (!fileInfo) {
+        logSocketWarning(socket, actionStr + ' but file is not found.', { fileId })
+        cb({ errorMsg: FileNotFoundErrorMsg })
+        return
+      }
+
+      if (!(await checkUploadWithinQuota(socket.userId, size))) {
+        logSocketWarning(socket, actionStr + ' but storage quota is exceeded.', { fileId, size })
+        cb({ errorMsg: QuotaExceededErrorMsg })
+        return
+      }
+      // Create random id for the upload, the version is stored under fileId after verification
+      const uploadId = preUpload(socket.userId, cipher, spk, fileInfo.parentFolderId, fileId)
+      logSocketInfo(socket, 'Pre-upload information stored in upload database.', {
+        fileId,
+        uploadId
+      })
+      cb({ uploadId })
+    } catch (error) {
+      logSocketError(socket, error, request)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
 }
 
 // Delete file event
@@ -176,13 +281,8 @@ const deleteFileBinder = (socket) => {
         cb({ errorMsg: 'File not owned.' })
         return
       }
-      try {
-        await deleteFile(fileId)
-        await unlink(getFilePath(socket.userId, fileId))
-      } catch (error) {
-        if (error.code != 'ENOENT') throw error
-      }
-      logSocketInfo(socket, 'File deleted.', request)
+      await moveToTrash([fileInfo], [])
+      logSocketInfo(socket, 'File moved to trash.', request)
       cb({})
     } catch (error) {
       logSocketError(socket, error, request)
@@ -204,7 +304,7 @@ const getFileListBinder = (socket) => {
         cb({ errorMsg: InvalidArgumentErrorMsg })
         return
       }
-      const { parentFolderId } = result.data
+      const { parentFolderId, cursor, limit, ...options } = result.data
 
       if (!checkLoggedIn(socket)) {
         logSocketWarning(socket, actionStr + ' but is not logged in.', request)
@@ -212,11 +312,71 @@ const getFileListBinder = (socket) => {
         return
       }
 
-      const files = await getAllFilesByParentFolderIdUserId(parentFolderId, socket.userId)
-      const folders = await getAllFoldersByParentFolderIdUserId(parentFolderId, socket.userId)
+      // Folders are listed before files
+      let folders = []
+      let nextCursor = null
+      if (!cursor || cursor.type == 'folder') {
+        const page = await getFoldersPageByParentFolderIdUserId(parentFolderId, socket.userId, {
+          ...options,
+          limit,
+          after: cursor ?? null
+        })
+        folders = page.rows
+        if (page.hasMore) nextCursor = { type: 'folder', ...page.last }
+      }
+      let files = []
+      if (!nextCursor) {
+        const page = await getFilesPageByParentFolderIdUserId(parentFolderId, socket.userId, {
+          ...options,
+          limit: limit - folders.length,
+          after: cursor?.type == 'file' && cursor.id ? cursor : null
+        })
+        files = page.rows
+        // If the page is filled by folders, next page starts from the first file
+        if (page.hasMore) nextCursor = { type: 'file', ...(page.last ?? { value: null, id: null }) }
+      }
       logSocketInfo(socket, 'Responding file list to client.', request)
-      // console.log({ files, folders })
-      cb({ files: JSON.stringify(files), folders: JSON.stringify(folders) })
+      cb({
+        files,
+        folders,
+        nextCursor:
+          nextCursor &&
+          encodeCursor({ ...nextCursor, sortBy: options.sortBy, order: options.order })
+      })
+    } catch (error) {
+      logSocketError(socket, error, request)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+
+  /**
+   * Client asks to search own files by name and description
+   */
+  socket.on('search-own-files', async (request, cb) => {
+    try {
+      const actionStr = 'Client asks to search own files'
+      logSocketInfo(socket, actionStr + '.', request)
+
+      const result = SearchOwnFilesRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, request)
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { query, cursor, limit } = result.data
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.', request)
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      const page = await searchFilesOfOwnerId(socket.userId, query, {
+        limit,
+        after: cursor ?? null
+      })
+      logSocketInfo(socket, 'Responding searched own files to client.', request)
+      cb({ files: page.rows, nextCursor: page.hasMore ? encodeCursor(page.last) : null })
     } catch (error) {
       logSocketError(socket, error, request)
       cb({ errorMsg: InternalServerErrorMsg })
@@ -271,7 +431,7 @@ const folderBinder = (socket) => {
         cb({ errorMsg: InvalidArgumentErrorMsg })
         return
       }
-      const { folderId } = result.data
+      const { folderId, recursive, dryRun } = result.data
 
       if (!checkLoggedIn(socket)) {
         logSocketWarning(socket, actionStr + ' but is not logged in.', request)
@@ -279,20 +439,35 @@ const folderBinder = (socket) => {
         return
       }
 
-      const files = await getAllFilesByParentFolderIdUserId(folderId, socket.userId)
-      const folders = await getAllFoldersByParentFolderIdUserId(folderId, socket.userId)
-      if (files.length > 0 || folders.length > 0) {
+      const folderInfo = folderId && (await getFolderInfoOfOwnerId(folderId, socket.userId))
+      if (!folderInfo) {
+        logSocketWarning(socket, actionStr + ' which does not exist.', request)
+        cb({ errorMsg: FolderNotFoundErrorMsg })
+        return
+      }
+      const { files, folders } = await collectFolderTree(folderInfo, socket.userId)
+      // The folder itself is always collected
+      if (!recursive && (files.length > 0 || folders.length > 1)) {
         logSocketWarning(socket, actionStr + ' which is not empty.', request)
         cb({ errorMsg: 'Folder not empty.' })
         return
       }
-      if ((await deleteFolder(folderId)).rowCount <= 0) {
-        logSocketWarning(socket, actionStr + ' which does not exist.', request)
-        cb({ errorMsg: 'Folder not found.' })
+      const preview = {
+        fileCount: files.length,
+        folderCount: folders.length,
+        totalSize: files.reduce((sum, file) => sum + (file.size || 0), 0)
+      }
+      if (dryRun) {
+        logSocketInfo(socket, 'Responding folder deletion preview to client.', {
+          ...request,
+          ...preview
+        })
+        cb(preview)
         return
       }
-      logSocketInfo(socket, 'Folder deleted.', request)
-      cb({})
+      await moveToTrash(files, folders)
+      logSocketInfo(socket, 'Folder moved to trash.', { ...request, ...preview })
+      cb(preview)
     } catch (error) {
       logSocketError(socket, error, request)
       cb({ errorMsg: InternalServerErrorMsg })
@@ -349,7 +524,7 @@ const moveFileBinder = (socket) => {
         cb({ errorMsg: 'Target folder not found.' })
         return
       }
-      if ((await moveFileToFolder(fileId, targetFolderId).rowCount) === 0) {
+      if ((await moveFileToFolder(fileId, targetFolderId)).rowCount === 0) {
         logSocketWarning(socket, actionStr + ' but file does not exist.', request)
         cb({ errorMsg: FileNotFoundErrorMsg })
         return
@@ -361,6 +536,143 @@ const moveFileBinder = (socket) => {
       cb({ errorMsg: InternalServerErrorMsg })
     }
   })
+
+  /**
+   * Client asks to move folder to other folders
+   */
+  socket.on('move-folder', async (request, cb) => {
+    try {
+      const actionStr = 'Client asks to move folder to target folder'
+      logSocketInfo(socket, actionStr + '.', request)
+
+      const result = MoveFolderRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, request)
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { folderId, targetFolderId } = result.data
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.', request)
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      if (!(await getFolderInfoOfOwnerId(folderId, socket.userId))) {
+        logSocketWarning(socket, actionStr + ' but folder does not exist.', request)
+        cb({ errorMsg: FolderNotFoundErrorMsg })
+        return
+      }
+      if (!(await checkFolderExistsForUser(targetFolderId, socket.userId))) {
+        logSocketWarning(socket, actionStr + ' but target folder does not exist.', request)
+        cb({ errorMsg: 'Target folder not found.' })
+        return
+      }
+      if (await isFolderInSubtree(targetFolderId, folderId, socket.userId)) {
+        logSocketWarning(socket, actionStr + ' but target folder is inside the folder.', request)
+        cb({ errorMsg: 'Cannot move folder into itself or its sub-folders.' })
+        return
+      }
+      const { rowCount } = await moveFolderToFolderOfOwnerId(
+        folderId,
+        socket.userId,
+        targetFolderId
+      )
+      if (rowCount === 0) {
+        logSocketWarning(socket, actionStr + ' but name already exists in target folder.', request)
+        cb({ errorMsg: NameAlreadyExistsErrorMsg })
+        return
+      }
+      logSocketInfo(socket, 'Folder moved to target folder.', request)
+      cb({})
+    } catch (error) {
+      logSocketError(socket, error)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+}
+
+const renameBinder = (socket) => {
+  /**
+   * Client asks to rename file
+   */
+  socket.on('rename-file', async (request, cb) => {
+    try {
+      const actionStr = 'Client asks to rename file'
+      logSocketInfo(socket, actionStr + '.', request)
+
+      const result = RenameFileRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, request)
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { fileId, newName } = result.data
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.', request)
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      if (!(await getFileInfoOfOwnerId(fileId, socket.userId))) {
+        logSocketWarning(socket, actionStr + ' but file does not exist.', request)
+        cb({ errorMsg: FileNotFoundErrorMsg })
+        return
+      }
+      if ((await renameFileOfOwnerId(fileId, socket.userId, newName)).rowCount === 0) {
+        logSocketWarning(socket, actionStr + ' but name already exists in the folder.', request)
+        cb({ errorMsg: NameAlreadyExistsErrorMsg })
+        return
+      }
+      logSocketInfo(socket, 'File renamed.', request)
+      cb({})
+    } catch (error) {
+      logSocketError(socket, error, request)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+
+  /**
+   * Client asks to rename folder
+   */
+  socket.on('rename-folder', async (request, cb) => {
+    try {
+      const actionStr = 'Client asks to rename folder'
+      logSocketInfo(socket, actionStr + '.', request)
+
+      const result = RenameFolderRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, request)
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { folderId, newName } = result.data
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.', request)
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      if (!(await getFolderInfoOfOwnerId(folderId, socket.userId))) {
+        logSocketWarning(socket, actionStr + ' but folder does not exist.', request)
+        cb({ errorMsg: FolderNotFoundErrorMsg })
+        return
+      }
+      if ((await renameFolderOfOwnerId(folderId, socket.userId, newName)).rowCount === 0) {
+        logSocketWarning(socket, actionStr + ' but name already exists in the folder.', request)
+        cb({ errorMsg: NameAlreadyExistsErrorMsg })
+        return
+      }
+      logSocketInfo(socket, 'Folder renamed.', request)
+      cb({})
+    } catch (error) {
+      logSocketError(socket, error, request)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
 }
 
 const getPublicFilesBinder = (socket) => {
@@ -459,6 +771,42 @@ const updateFileBinder = (socket) => {
       cb({ errorMsg: InternalServerErrorMsg })
     }
   })
+
+  /**
+   * Client asks to update folder permission, public folders can be requested as a whole
+   */
+  socket.on('update-folder-perm', async (request, cb) => {
+    try {
+      const actionStr = 'Client asks to update permission for folder'
+      logSocketInfo(socket, actionStr + '.', request)
+
+      const result = UpdateFolderPermRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, request)
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { folderId, permission } = result.data
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.', request)
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      const info = await updateFolderPermOfOwnerId(folderId, socket.userId, permission)
+      if (info.rowCount == 0) {
+        logSocketWarning(socket, actionStr + ' but folder does not exist.', request)
+        cb({ errorMsg: FolderNotFoundErrorMsg })
+        return
+      }
+      logSocketInfo(socket, 'Permission updated for folder.', request)
+      cb({})
+    } catch (error) {
+      logSocketError(socket, error, request)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
 }
 
 const allFileBinder = (socket) => {
@@ -468,8 +816,11 @@ const allFileBinder = (socket) => {
   getFileListBinder(socket)
   folderBinder(socket)
   moveFileBinder(socket)
+  renameBinder(socket)
   getPublicFilesBinder(socket)
   updateFileBinder(socket)
+  trashBinder(socket)
+  versionBinder(socket)
 }
 
 export { allFileBinder }
@@ -7,23 +7,54 @@ import { stat, mkdir } from 'node:fs/promises'
 import path from 'node:path'
 import ConfigManager from './ConfigManager.js'
 import { logFtpsError, logFtpsInfo, logFtpsWarning, logger } from './Logger.js'
-import { emitToSocket } from './SocketIO.js'
-import { finishUpload, hasUpload } from './UploadVerifier.js'
-import { InternalServerErrorMsg, NotLoggedInErrorMsg } from './Utils.js'
-import { getLoggedInUserIdOfSocket } from './UserLoginInfo.js'
+import { abortUpload, finishUpload, getRemainingQuota, hasUpload } from './UploadVerifier.js'
+import { InternalServerErrorMsg, NotLoggedInErrorMsg, QuotaExceededErrorMsg } from './Utils.js'
+import { accountTransferTargets, verifyTransferToken } from './TransferToken.js'
+import { notifyUser } from './NotificationManager.js'
 
 /**
  * Custom filesystem to write to file as name <fileid>
  */
 class CustomFileSystem extends FileSystem {
-  constructor(connection, { root, cwd }, fileId) {
+  constructor(connection, { root, cwd }, fileId, userId, operation) {
     super(connection, { root, cwd })
     this.fileId = fileId
+    this.userId = userId
+    this.operation = operation
+  }
+  // Only the file of the transfer token can be read
+  read(fileName, { start } = {}) {
+    if (this.operation !== 'download' || path.basename(fileName) !== this.fileId) {
+      throw new Error('Transfer token is not issued for this file.')
+    }
+    return super.read(fileName, { start })
   }
   // write to file as name <fileId>, and record the original name.
-  write(fileName, { append, start }) {
+  // The upload is aborted if it goes over the storage quota.
+  async write(fileName, { append, start }) {
+    if (this.operation !== 'upload') {
+      throw new Error('Transfer token is not issued for upload.')
+    }
     this.connection.originalFileName = fileName
-    return super.write(this.fileId, { append, start })
+    const remainingQuota = await getRemainingQuota(this.userId)
+    const fsResponse = super.write(this.fileId, { append, start })
+    const { stream } = fsResponse
+    const streamWrite = stream.write.bind(stream)
+    let receivedSize = 0
+    stream.write = (chunk, ...args) => {
+      receivedSize += chunk.length
+      if (receivedSize > remainingQuota) {
+        logFtpsWarning(
+          { connection: this.connection },
+          'Client upload file exceeding storage quota.'
+        )
+        stream.destroy(new Error(QuotaExceededErrorMsg))
+        abortUpload(this.userId, this.fileId, QuotaExceededErrorMsg)
+        return false
+      }
+      return streamWrite(chunk, ...args)
+    }
+    return fsResponse
   }
 }
 
@@ -50,28 +81,29 @@ ftpServer.on('server-error', ({ error }) => {
 })
 
 /**
- * Let client login with its socketId and fileId if wanting to upload.
+ * Let client login with a transfer token as username. The password is not used.
  */
 ftpServer.on('login', async (data, resolve, reject) => {
   try {
-    const { connection, username: socketId, password: fileId } = data // use password as file id
+    const { connection, username: token } = data
     let actionStr = 'Client tries to authenticate'
-    logFtpsInfo(data, actionStr + '.', { socketId })
+    logFtpsInfo(data, actionStr + '.')
 
-    const userId = getLoggedInUserIdOfSocket(socketId)
-    if (!userId) {
-      logFtpsWarning(data, actionStr + ' but is not logged in.')
+    const tokenInfo = verifyTransferToken(token)
+    if (!tokenInfo || accountTransferTargets.includes(tokenInfo.fileId)) {
+      logFtpsWarning(data, actionStr + ' with invalid or expired transfer token.')
       reject(new Error(NotLoggedInErrorMsg))
       return
     }
+    const { userId, operation, fileId } = tokenInfo
     data.userId = userId
-    logFtpsInfo(data, 'Client is logged in.')
+    data.fileId = fileId
+    logFtpsInfo(data, 'Client is authenticated.', { operation })
 
-    const rootPath = path.resolve(ConfigManager.uploadDir, userId.userId)
+    const rootPath = path.resolve(ConfigManager.uploadDir, userId)
     await mkdir(rootPath, { recursive: true })
 
-    if (fileId !== 'guest') {
-      // meaning this is upload
+    if (operation === 'upload') {
       actionStr = 'Client tries to upload file'
       logFtpsInfo(data, actionStr + '.')
 
@@ -81,10 +113,10 @@ ftpServer.on('login', async (data, resolve, reject) => {
         return
       }
     }
-    connectionBinder(data, socketId)
+    connectionBinder(data)
     resolve({
       root: rootPath,
-      fs: new CustomFileSystem(connection, { root: rootPath, cwd: '/' }, fileId)
+      fs: new CustomFileSystem(connection, { root: rootPath, cwd: '/' }, fileId, userId, operation)
     })
   } catch (error) {
     logFtpsError(data, error)
@@ -92,7 +124,7 @@ ftpServer.on('login', async (data, resolve, reject) => {
   }
 })
 
-const connectionBinder = (data, socketId) => {
+const connectionBinder = (data) => {
   // Download file
   data.connection.on('RETR', (error, filePath) => {
     if (error) {
@@ -124,7 +156,7 @@ const connectionBinder = (data, socketId) => {
       })
     } catch (error) {
       logFtpsError(data, error)
-      emitToSocket(socketId, 'upload-file-res', { errorMsg: InternalServerErrorMsg })
+      await notifyUser(data.userId, 'upload-file-res', { errorMsg: InternalServerErrorMsg })
     }
   })
 }
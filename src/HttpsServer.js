@@ -2,17 +2,36 @@
  * This file handles actual upload and download for HTTPS protocol.
  */
 import { logger, logHttpsError, logHttpsInfo, logHttpsWarning } from './Logger.js'
-import { mkdir, unlink } from 'node:fs/promises'
+import { mkdir, stat, truncate, unlink } from 'node:fs/promises'
+import { createWriteStream, existsSync } from 'node:fs'
+import { Transform } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
 import multer from 'multer'
-import { getFileInfo, getUserByKey } from './StorageDatabase.js'
+import { getFileInfo, getFileVersionOfFileId, getUserByKey } from './StorageDatabase.js'
 import { resolve } from 'node:path'
 import ConfigManager from './ConfigManager.js'
-import { finishUpload, hasUpload } from './UploadVerifier.js'
+import {
+  abortUpload,
+  checkUploadLength,
+  finishUpload,
+  getRemainingQuota,
+  hasUpload,
+  keepUploadAlive
+} from './UploadVerifier.js'
 import { app } from './SocketIO.js'
-import { FileIdSchema, PublicKeySchema, SocketIDSchema } from './Validation.js'
-import { getLoggedInUserIdOfSocket } from './UserLoginInfo.js'
+import {
+  BearerTokenHeaderSchema,
+  FileIdSchema,
+  PublicKeySchema,
+  ShareTokenSchema,
+  UploadChunkHeadersSchema,
+  VersionHeaderSchema
+} from './Validation.js'
+import { verifyTransferToken } from './TransferToken.js'
 import { fileTypeFromFile } from 'file-type'
-import { getFilePath, riskyMimeTypes } from './Utils.js'
+import { getFilePath, QuotaExceededErrorMsg, riskyMimeTypes } from './Utils.js'
+import { redeemShareLink, resumeShareLink } from './ShareLinkManager.js'
+import { exportFileName } from './AccountManager.js'
 
 // prepare user directory and stored filename
 const storage = multer.diskStorage({
@@ -48,38 +67,97 @@ const upload = multer({
 })
 
 /**
- * Check authentication of the user based on the provided socket ID.
- *
- * @param {Object} req - The request object.
- * @param {Object} res - The response object.
- * @param {Function} next - The next middleware function.
- * @return {void} This function does not return a value.
+ * Receive the uploaded file, limited by the remaining storage quota of the user.
+ * The upload is aborted and reverted if it goes over the quota.
+ * @param {*} req
+ * @param {*} res
+ * @param {*} next
  */
-const auth = (req, res, next) => {
+const uploadWithinQuota = async (req, res, next) => {
   try {
-    const result = SocketIDSchema.safeParse(req.headers.socketid)
-    if (!result.success) {
-      logHttpsWarning(req, 'SocketId not found or invalid', { issues: result.issues })
-      res.status(400).send('SocketId not found or invalid')
-      return
-    }
-
-    const userId = getLoggedInUserIdOfSocket(req.headers.socketid)
-    // logger.debug(`User with socket id ${req.headers.socketid} is authenticating`)
-    if (!userId) {
-      logHttpsWarning(req, 'Client is not logged in.')
-      res.sendStatus(401)
-      return
-    }
-
-    logHttpsInfo(req, 'Client is logged in.')
-    req.userId = userId
-    next()
+    const remainingQuota = await getRemainingQuota(req.userId)
+    const quotaUpload = multer({
+      storage: storage,
+      fileFilter: checkFileType,
+      limits: { fileSize: Math.min(8000000, remainingQuota) }
+    })
+    quotaUpload.single('file')(req, res, async (error) => {
+      try {
+        if (error?.code === 'LIMIT_FILE_SIZE' && remainingQuota < 8000000) {
+          logHttpsWarning(req, 'Client upload file exceeding storage quota.')
+          await abortUpload(req.userId, req.headers.fileid, QuotaExceededErrorMsg)
+          res.status(413).send(QuotaExceededErrorMsg)
+          return
+        }
+        next(error)
+      } catch (error) {
+        next(error)
+      }
+    })
   } catch (error) {
     next(error)
   }
 }
 
+/**
+ * Create a middleware checking authentication of the user based on the transfer token
+ * in the Authorization header. The token must be issued for the operation and the file of the request.
+ *
+ * @param {'upload'|'download'} operation - The operation of the path.
+ * @param {(req: Object) => string} getFileId - Get the file of the request, defaults to the fileid header.
+ * @return {Function} The middleware.
+ */
+const auth =
+  (operation, getFileId = (req) => req.headers.fileid) =>
+  (req, res, next) => {
+    try {
+      const result = BearerTokenHeaderSchema.safeParse(req.headers.authorization)
+      if (!result.success) {
+        logHttpsWarning(req, 'Transfer token not found or invalid', {
+          issues: result.error.issues
+        })
+        res.status(400).send('Transfer token not found or invalid')
+        return
+      }
+
+      const tokenInfo = verifyTransferToken(result.data)
+      if (!tokenInfo) {
+        logHttpsWarning(req, 'Client gives invalid or expired transfer token.')
+        res.sendStatus(401)
+        return
+      }
+      if (tokenInfo.operation !== operation || tokenInfo.fileId !== getFileId(req)) {
+        logHttpsWarning(req, 'Client gives transfer token issued for another transfer.', {
+          operation: tokenInfo.operation,
+          tokenFileId: tokenInfo.fileId
+        })
+        res.sendStatus(403)
+        return
+      }
+
+      logHttpsInfo(req, 'Client is authenticated.', { userId: tokenInfo.userId })
+      req.userId = tokenInfo.userId
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+/**
+ * Create a middleware checking authentication for transferring the encrypted database,
+ * whose transfer tokens are issued for 'database' instead of a fileId.
+ * @param {'upload'|'download'} operation
+ * @return {Function} The middleware.
+ */
+const authDatabase = (operation) => auth(operation, () => 'database')
+
+/**
+ * Create a middleware checking authentication for downloading the account export,
+ * whose transfer tokens are issued for 'export' instead of a fileId.
+ * @return {Function} The middleware.
+ */
+const authExport = () => auth('download', () => 'export')
+
 /**
  * Check if we can let the client upload file.
  * @param {*} req
@@ -112,7 +190,7 @@ const checkUpload = async (req, res, next) => {
 /**
  * The path for upload
  */
-app.post('/upload', auth, checkUpload, upload.single('file'), async (req, res, next) => {
+app.post('/upload', auth('upload'), checkUpload, uploadWithinQuota, async (req, res, next) => {
   try {
     if (req.file) {
       logHttpsInfo(req, 'Client uploaded file.', { filename: req.file.originalname })
@@ -140,10 +218,162 @@ app.post('/upload', auth, checkUpload, upload.single('file'), async (req, res, n
   }
 })
 
+// Uploads which are receiving a chunk, to reject concurrent chunks of the same upload
+const receivingChunkUploads = new Set()
+
+/**
+ * Get how many bytes of an upload are received.
+ * @param {string} userId
+ * @param {string} fileId
+ * @returns {Promise<number>}
+ */
+const getReceivedSize = async (userId, fileId) => {
+  try {
+    return (await stat(getFilePath(userId, fileId))).size
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0
+    throw error
+  }
+}
+
+/**
+ * The path for querying received bytes of a resumable upload
+ */
+app.get('/upload-chunk', auth('upload'), async (req, res, next) => {
+  try {
+    const actionStr = 'Client asks for upload offset'
+    logHttpsInfo(req, actionStr + '.')
+
+    const result = FileIdSchema.safeParse(req.headers.fileid)
+    if (!result.success) {
+      logHttpsWarning(req, actionStr + ' but fileId is invalid.', { issues: result.error.issues })
+      res.status(400).send('FileId is invalid.')
+      return
+    }
+    const fileId = result.data
+    if (!keepUploadAlive(fileId)) {
+      logHttpsWarning(req, actionStr + ' but upload info does not exist.')
+      res.status(404).send('Upload info not found.')
+      return
+    }
+
+    res.json({ offset: await getReceivedSize(req.userId, fileId) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * The path for uploading a chunk of a resumable upload.
+ * The chunk is appended at upload-offset, and the upload finishes when upload-length bytes are received.
+ */
+app.patch('/upload-chunk', auth('upload'), async (req, res, next) => {
+  let lockedFileId
+  try {
+    const actionStr = 'Client asks to upload file chunk'
+    logHttpsInfo(req, actionStr + '.')
+
+    const result = UploadChunkHeadersSchema.safeParse(req.headers)
+    if (!result.success) {
+      logHttpsWarning(req, actionStr + ' but headers are invalid.', {
+        issues: result.error.issues
+      })
+      res.status(400).send('Headers are invalid.')
+      return
+    }
+    const { 'upload-offset': offset, 'upload-length': length, 'file-name': fileName } = result.data
+    const fileId = result.data.fileid
+
+    if (!keepUploadAlive(fileId)) {
+      logHttpsWarning(req, actionStr + ' but upload info does not exist.')
+      res.status(404).send('Upload info not found.')
+      return
+    }
+    if (receivingChunkUploads.has(fileId)) {
+      logHttpsWarning(req, actionStr + ' while another chunk is being received.')
+      res.status(409).send('Another chunk is being received.')
+      return
+    }
+    receivingChunkUploads.add(fileId)
+    lockedFileId = fileId
+
+    if (!checkUploadLength(fileId, length)) {
+      logHttpsWarning(req, actionStr + ' but upload length does not match.', { length })
+      res.status(409).send('Upload length does not match.')
+      return
+    }
+    const receivedSize = await getReceivedSize(req.userId, fileId)
+    if (offset !== receivedSize || offset > length) {
+      logHttpsWarning(req, actionStr + ' but offset does not match.', { offset, receivedSize })
+      res.status(409).json({ offset: receivedSize })
+      return
+    }
+    if (length > (await getRemainingQuota(req.userId))) {
+      logHttpsWarning(req, actionStr + ' but file exceeds storage quota.', { length })
+      await abortUpload(req.userId, fileId, QuotaExceededErrorMsg)
+      res.status(413).send(QuotaExceededErrorMsg)
+      return
+    }
+
+    // Append the chunk, discarding bytes beyond the chunk size limit or upload length.
+    // If the connection drops, received bytes are kept for resuming.
+    const maxChunkSize = Math.min(8000000, length - offset)
+    let chunkSize = 0
+    const sizeChecker = new Transform({
+      transform(data, encoding, cb) {
+        chunkSize += data.length
+        if (chunkSize > maxChunkSize) cb()
+        else cb(null, data)
+      }
+    })
+    const filePath = getFilePath(req.userId, fileId)
+    await mkdir(resolve(ConfigManager.uploadDir, req.userId), { recursive: true })
+    await pipeline(req, sizeChecker, createWriteStream(filePath, { flags: 'a' }))
+    keepUploadAlive(fileId)
+    if (chunkSize > maxChunkSize) {
+      // Drop the whole chunk so the client can resend it
+      await truncate(filePath, offset)
+      logHttpsWarning(req, actionStr + ' but chunk is too large.', { maxChunkSize })
+      res.status(413).json({ offset })
+      return
+    }
+
+    const newOffset = offset + chunkSize
+    logHttpsInfo(req, 'Client uploaded file chunk.', { offset, chunkSize, length })
+    if (newOffset === length) {
+      await finishUpload({
+        name: fileName,
+        id: fileId,
+        userId: req.userId,
+        originOwnerId: req.userId,
+        size: length
+      })
+      logHttpsInfo(req, 'Client uploaded file.', { filename: fileName })
+    }
+    res.json({ offset: newOffset })
+  } catch (error) {
+    next(error)
+  } finally {
+    if (lockedFileId) receivingChunkUploads.delete(lockedFileId)
+  }
+})
+
+/**
+ * Use the stored SHA-256 hash of a file as a strong ETag.
+ * Range, If-Range and If-None-Match requests are then handled against it by res.download.
+ * Files stored without hash fall back to the default weak ETag.
+ * @param {*} res
+ * @param {string|null} hash Hash in hex with 0x prefix.
+ */
+const setHashETag = (res, hash) => {
+  if (hash) res.set('ETag', `"${hash.replace(/^0x/, '')}"`)
+}
+
 /**
- * The path for download
+ * The path for download. An archived version is downloaded if version header is given.
+ * Supports partial and conditional requests for resuming and skipping downloads.
  */
-app.get('/download', auth, async (req, res, next) => {
+app.get('/download', auth('download'), async (req, res, next) => {
   try {
     const actionStr = 'Client asks to download file'
     logHttpsInfo(req, actionStr + '.')
@@ -154,6 +384,15 @@ app.get('/download', auth, async (req, res, next) => {
       res.status(400).send('FileId is invalid.')
       return
     }
+    const versionResult = VersionHeaderSchema.safeParse(req.headers.version)
+    if (!versionResult.success) {
+      logHttpsWarning(req, actionStr + ' but version is invalid.', {
+        issues: versionResult.error.issues
+      })
+      res.status(400).send('Version is invalid.')
+      return
+    }
+    const version = versionResult.data
 
     const fileId = req.headers.fileid
     const fileInfo = await getFileInfo(fileId)
@@ -164,8 +403,19 @@ app.get('/download', auth, async (req, res, next) => {
     } else if (fileInfo.ownerId !== req.userId) {
       logHttpsWarning(req, actionStr + ' which is not owned by the client.')
       res.status(403).send('File not owned.')
+    } else if (version) {
+      const versionInfo = await getFileVersionOfFileId(fileId, version)
+      if (!versionInfo) {
+        logHttpsWarning(req, actionStr + ' version which does not exist.', { version })
+        res.status(404).send('Version not found')
+        return
+      }
+      logHttpsInfo(req, 'Client downloading file version.', { version })
+      setHashETag(res, versionInfo.hash)
+      res.download(getFilePath(req.userId, versionInfo.id), fileInfo.name)
     } else {
       logHttpsInfo(req, 'Client downloading file.')
+      setHashETag(res, fileInfo.hash)
       res.download(resolve(ConfigManager.uploadDir, req.userId, fileInfo.id), fileInfo.name)
     }
   } catch (error) {
@@ -173,10 +423,47 @@ app.get('/download', auth, async (req, res, next) => {
   }
 })
 
+/**
+ * The path for downloading a file through a share link. No login is needed.
+ * The file key reencrypted to the recipient is sent in the cipher and spk headers.
+ * Only full downloads count against the download limit of the link.
+ */
+app.get('/share/:token', async (req, res, next) => {
+  try {
+    const actionStr = 'Client asks to download shared file'
+    logHttpsInfo(req, actionStr + '.')
+
+    const result = ShareTokenSchema.safeParse(req.params.token)
+    if (!result.success) {
+      logHttpsWarning(req, actionStr + ' but token is invalid.', { issues: result.error.issues })
+      res.status(400).send('Token is invalid.')
+      return
+    }
+
+    // Range requests resume a download, which is only counted once
+    const shareInfo = req.headers.range
+      ? await resumeShareLink(result.data)
+      : await redeemShareLink(result.data)
+    if (!shareInfo) {
+      logHttpsWarning(req, actionStr + ' but share link does not exist or is used up.')
+      res.status(404).send('Share link not found or expired.')
+      return
+    }
+    const { shareLinkId, fileInfo, cipher, spk } = shareInfo
+
+    logHttpsInfo(req, 'Client downloading shared file.', { shareLinkId, fileId: fileInfo.id })
+    res.set({ cipher, spk })
+    setHashETag(res, fileInfo.hash)
+    res.download(getFilePath(fileInfo.ownerId, fileInfo.id), fileInfo.name)
+  } catch (error) {
+    next(error)
+  }
+})
+
 /**
  * The path for upload encrypted database
  */
-app.post('/uploadDb', auth, upload.single('file'), async (req, res, next) => {
+app.post('/uploadDb', authDatabase('upload'), upload.single('file'), async (req, res, next) => {
   try {
     if (req.file) {
       // check mime type
@@ -202,7 +489,7 @@ app.post('/uploadDb', auth, upload.single('file'), async (req, res, next) => {
 /**
  * The path for download encrypted database
  */
-app.get('/downloadDb', auth, async (req, res, next) => {
+app.get('/downloadDb', authDatabase('download'), async (req, res, next) => {
   try {
     const actionStr = 'Client asks to download encrypted database'
     logHttpsInfo(req, actionStr + '.')
@@ -213,6 +500,30 @@ app.get('/downloadDb', auth, async (req, res, next) => {
   }
 })
 
+/**
+ * The path for download account export
+ */
+app.get('/downloadExport', authExport(), async (req, res, next) => {
+  try {
+    const actionStr = 'Client asks to download account export'
+    logHttpsInfo(req, actionStr + '.')
+
+    const filePath = getFilePath(req.userId, exportFileName)
+    if (!existsSync(filePath)) {
+      logHttpsWarning(req, actionStr + ' but did not export first.')
+      res.status(404).send('Account export not found.')
+      return
+    }
+    // The export holds all data of the account, so it is not kept after downloading
+    res.download(filePath, 'account-export.json.gz', (error) => {
+      if (error) logHttpsError(req, error)
+      unlink(filePath).catch((error) => logHttpsError(req, error))
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
 /**
  * The path for getting userId. Used by trusted authority.
  */
@@ -129,7 +129,7 @@ const getFtpsMeta = (data, metaObj) => {
     ip: data.connection.ip,
     userId: data.userId,
     protocol: 'ftps',
-    ...(data.password != 'guest' && { fileId: data.password }),
+    ...(data.fileId && { fileId: data.fileId }),
     ...metaObj
   }
 }
@@ -0,0 +1,211 @@
+/**
+ * This file handles notifications to users.
+ * Notifications are stored so users who are offline when they happen can read them after login,
+ * and are sent as emails for the types each user opted in.
+ */
+import {
+  logger,
+  logInvalidSchemaWarning,
+  logSocketError,
+  logSocketInfo,
+  logSocketWarning
+} from './Logger.js'
+import {
+  addNotification,
+  getNotificationsOfUserId,
+  getUnreadNotificationCountOfUserId,
+  getUserById,
+  markNotificationsReadOfUserId,
+  updateUserNotificationSettingsById
+} from './StorageDatabase.js'
+import {
+  checkLoggedIn,
+  InternalServerErrorMsg,
+  InvalidArgumentErrorMsg,
+  NotLoggedInErrorMsg
+} from './Utils.js'
+import {
+  GetNotificationsRequestSchema,
+  MarkNotificationsReadRequestSchema,
+  UpdateNotificationSettingsRequestSchema
+} from './Validation.js'
+import { emitToOnlineUser } from './UserLoginInfo.js'
+import { sendNotificationEmail } from './SMTPManager.js'
+
+/**
+ * Get the email notification type of an event.
+ * @param {string} event
+ * @param {object} [data]
+ * @returns {string|null} The email notification type, or null if the event is not sent as email.
+ */
+const getEmailType = (event, data) => {
+  switch (event) {
+    case 'new-request':
+    case 'new-response':
+      return event
+    case 'upload-file-res':
+      // Only failed uploads are worth an email
+      return data?.errorMsg ? 'upload-failed' : null
+    default:
+      return null
+  }
+}
+
+/**
+ * Send a notification email if the user opted in for its type.
+ * @param {string} userId
+ * @param {string} event
+ * @param {object} [data]
+ */
+const emailUser = async (userId, event, data) => {
+  const emailType = getEmailType(event, data)
+  if (!emailType) return
+  const userInfo = await getUserById(userId)
+  if (!userInfo?.emailNotifications?.includes(emailType)) return
+  await sendNotificationEmail(userInfo, emailType, data)
+  logger.info('Notification email sent.', { userId, emailType })
+}
+
+/**
+ * Store a notification for a user, emit it as an event if the user is online and email it if opted in.
+ * Failing to store or email the notification does not stop the event from being emitted.
+ * @param {string} userId
+ * @param {string} event
+ * @param {object} [data]
+ */
+export const notifyUser = async (userId, event, data) => {
+  try {
+    await addNotification(userId, event, data ?? null)
+  } catch (error) {
+    logger.error(error, { userId, event })
+  }
+  if (data === undefined) emitToOnlineUser(userId, event)
+  else emitToOnlineUser(userId, event, data)
+  try {
+    await emailUser(userId, event, data)
+  } catch (error) {
+    logger.error(error, { userId, event })
+  }
+}
+
+// Notification related events
+export const notificationBinder = (socket) => {
+  /**
+   * Client asks to get notifications
+   */
+  socket.on('get-notifications', async (request, cb) => {
+    try {
+      const actionStr = 'Client asks to get notifications'
+      logSocketInfo(socket, actionStr + '.', request)
+
+      const result = GetNotificationsRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, request)
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.', request)
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      const notifications = await getNotificationsOfUserId(socket.userId, result.data)
+      const unreadCount = await getUnreadNotificationCountOfUserId(socket.userId)
+      logSocketInfo(socket, 'Responding notifications to client.', request)
+      cb({ notifications: JSON.stringify(notifications), unreadCount })
+    } catch (error) {
+      logSocketError(socket, error, request)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+
+  /**
+   * Client asks to mark notifications as read
+   */
+  socket.on('mark-notifications-read', async (request, cb) => {
+    try {
+      const actionStr = 'Client asks to mark notifications as read'
+      logSocketInfo(socket, actionStr + '.', request)
+
+      const result = MarkNotificationsReadRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, request)
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { notificationIds } = result.data
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.', request)
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      await markNotificationsReadOfUserId(socket.userId, notificationIds ?? null)
+      const unreadCount = await getUnreadNotificationCountOfUserId(socket.userId)
+      logSocketInfo(socket, 'Notifications marked as read.', request)
+      cb({ unreadCount })
+    } catch (error) {
+      logSocketError(socket, error, request)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+
+  /**
+   * Client asks to get email notification settings
+   */
+  socket.on('get-notification-settings', async (cb) => {
+    try {
+      const actionStr = 'Client asks to get notification settings'
+      logSocketInfo(socket, actionStr + '.')
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.')
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      const { emailNotifications, locale } = await getUserById(socket.userId)
+      logSocketInfo(socket, 'Responding notification settings to client.')
+      cb({ emailNotifications, locale })
+    } catch (error) {
+      logSocketError(socket, error)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+
+  /**
+   * Client asks to update email notification settings
+   */
+  socket.on('update-notification-settings', async (request, cb) => {
+    try {
+      const actionStr = 'Client asks to update notification settings'
+      logSocketInfo(socket, actionStr + '.', request)
+
+      const result = UpdateNotificationSettingsRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, request)
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { emailNotifications, locale } = result.data
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.', request)
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      await updateUserNotificationSettingsById(socket.userId, emailNotifications, locale)
+      logSocketInfo(socket, 'Notification settings updated.', request)
+      cb({})
+    } catch (error) {
+      logSocketError(socket, error, request)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+}
+
+console.debug('NotificationManager.js loaded.')
@@ -1,11 +1,14 @@
 /**
  * This file handles communications with client related to requests.
- * Including requesting file, responding to request, deleting request, getting request lists.
+ * Including requesting file or folder, responding to request, deleting request, getting request lists,
+ * commenting on requests, revoking granted files, removing expired granted files, and reminding and
+ * expiring pending requests.
  */
 import {
   calculateFileHash,
   checkLoggedIn,
   FileNotFoundErrorMsg,
+  FolderNotFoundErrorMsg,
   InternalServerErrorMsg,
   InvalidArgumentErrorMsg,
   NotLoggedInErrorMsg
@@ -22,13 +25,31 @@ import {
   getUserById,
   deleteFile,
   deleteResponseById,
-  updateFileBlockNumber
+  updateFileBlockNumber,
+  getAllDerivedFilesOfOriginOwnerId,
+  getDerivedFileInfoOfOriginOwnerId,
+  getAllExpiredGrantedFiles,
+  updateResponseGrantedFileId,
+  expirePendingRequestsCreatedBefore,
+  expirePendingRequestsOfFileId,
+  remindPendingRequestsCreatedBefore,
+  addFolderToDatabase,
+  deleteFolder,
+  addUniqueFolderRequest,
+  deleteFolderRequest,
+  getFolderInfo,
+  getFolderRequestOfFolderOwner,
+  getRequestsNotRespondedOfFolderRequest,
+  getRequestParticipantsById,
+  addRequestComment,
+  getCommentsOfRequestId
 } from './StorageDatabase.js'
 import CryptoHandler from './CryptoHandler.js'
 import { randomUUID } from 'node:crypto'
 import { copyFile, unlink } from 'node:fs/promises'
 import { join } from 'node:path'
 import {
+  logger,
   logInvalidSchemaWarning,
   logSocketError,
   logSocketInfo,
@@ -36,12 +57,98 @@ import {
 } from './Logger.js'
 import ConfigManager from './ConfigManager.js'
 import {
+  AddRequestCommentRequestSchema,
   DeleteRequestRequestSchema,
+  GetRequestCommentsRequestSchema,
   ReqeustFileRequestSchema,
-  RespondRequestRequestSchema
+  RequestFolderRequestSchema,
+  RespondFolderRequestRequestSchema,
+  RespondRequestRequestSchema,
+  RespondRequestsBatchRequestSchema,
+  RevokeGrantRequestSchema
 } from './Validation.js'
 import BlockchainManager from './BlockchainManager.js'
-import { emitToOnlineUser } from './UserLoginInfo.js'
+import { notifyUser } from './NotificationManager.js'
+import { triggerWebhooks } from './WebhookManager.js'
+import { collectFolderTree, removeFile } from './TrashManager.js'
+
+/**
+ * Respond to a request of a file owned by the client, and notify the requester.
+ * The response is reverted if any error occurs.
+ * @param {*} socket
+ * @param {{requestId: string, agreed: boolean, description: string, rekey: string|null, expiresAt: string|null}} response
+ * @param {string|null} parentFolderId The folder of the requester to put the reencrypted file in, or null for root.
+ * @param {boolean} notify false to leave notifying the requester to the caller, for responding many requests at once.
+ * @returns {Promise<{errorMsg: string}|{requester: string, name: string}>} Error message if the request does not
+ * exist or is already responded, otherwise the requester and the name of the file.
+ * @throws Any error occurred.
+ */
+const respondToRequest = async (
+  socket,
+  { requestId, agreed, description, rekey, expiresAt },
+  parentFolderId = null,
+  notify = true
+) => {
+  const requestInfo = await getRequestNotRespondedByIdOfFileOwner(requestId, socket.userId)
+  if (requestInfo === undefined) return { errorMsg: 'Request not exist or already responded.' }
+
+  const authorizerInfo = await getUserById(socket.userId)
+  const requestorInfo = await getUserById(requestInfo.requester)
+  const fileInfo = await getFileInfo(requestInfo.fileId)
+  // The file may be moved to trash after the request is retrieved
+  if (fileInfo === undefined) return { errorMsg: FileNotFoundErrorMsg }
+  let responseId
+  try {
+    ;({ responseId } = await addResponse(
+      requestId,
+      agreed ? 1 : 0,
+      description,
+      agreed ? expiresAt : null
+    ))
+
+    if (agreed) {
+      const newFileId = await reencryptFile(
+        rekey,
+        fileInfo,
+        requestInfo,
+        authorizerInfo,
+        requestorInfo,
+        responseId,
+        expiresAt,
+        parentFolderId
+      )
+      logSocketInfo(socket, 'File reencrypted.', { newFileId, expiresAt })
+    } else {
+      await BlockchainManager.addAuthRecord(
+        fileInfo.id,
+        requestorInfo.address,
+        authorizerInfo.address,
+        'rejected'
+      )
+    }
+  } catch (error) {
+    // Revert response
+    if (responseId) await deleteResponseById(responseId)
+    throw error
+  }
+  // Forward response to requesting client
+  if (notify) {
+    await notifyUser(requestInfo.requester, 'new-response', {
+      requestId,
+      fileId: fileInfo.id,
+      name: fileInfo.name,
+      agreed
+    })
+  }
+  await triggerWebhooks([socket.userId, requestInfo.requester], 'request-responded', {
+    requestId,
+    fileId: fileInfo.id,
+    requester: requestInfo.requester,
+    agreed,
+    expiresAt: agreed ? expiresAt : null
+  })
+  return { requester: requestInfo.requester, name: fileInfo.name }
+}
 
 // Reqeust related events
 const requestBinder = (socket) => {
@@ -103,7 +210,17 @@ const requestBinder = (socket) => {
       cb({})
 
       // Forward request to file owner
-      emitToOnlineUser(fileInfo.ownerId, 'new-request')
+      await notifyUser(fileInfo.ownerId, 'new-request', {
+        requestId,
+        fileId,
+        name: fileInfo.name,
+        requesterName: requestorInfo.name
+      })
+      await triggerWebhooks([fileInfo.ownerId, socket.userId], 'request-created', {
+        requestId,
+        fileId,
+        requester: socket.userId
+      })
     } catch (error) {
       logSocketError(socket, error, request)
       cb({ errorMsg: InternalServerErrorMsg })
@@ -112,6 +229,120 @@ const requestBinder = (socket) => {
     }
   })
 
+  /**
+   * Client asks to request all files in a folder
+   */
+  socket.on('request-folder', async (request, cb) => {
+    let folderRequestId
+    try {
+      const actionStr = 'Client asks to request folder'
+      logSocketInfo(socket, actionStr + '.', request)
+
+      const result = RequestFolderRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, request)
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { folderId, description } = result.data
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.', request)
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      const folderInfo = await getFolderInfo(folderId)
+      if (!folderInfo || folderInfo.deletedAt) {
+        logSocketWarning(socket, actionStr + ' which does not exist.', request)
+        cb({ errorMsg: FolderNotFoundErrorMsg })
+        return
+      }
+      if (folderInfo.ownerId === socket.userId) {
+        logSocketWarning(socket, actionStr + ' which is owned by the client.', request)
+        cb({ errorMsg: 'Folder is owned.' })
+        return
+      }
+      if (folderInfo.permissions === 0) {
+        logSocketWarning(socket, actionStr + ' which is not public.', request)
+        cb({ errorMsg: FolderNotFoundErrorMsg })
+        return
+      }
+      const folderTree = await collectFolderTree(folderInfo, folderInfo.ownerId)
+      if (folderTree.files.length === 0) {
+        logSocketWarning(socket, actionStr + ' which is empty.', request)
+        cb({ errorMsg: 'Folder is empty.' })
+        return
+      }
+      // Private files cannot be requested, the same as requesting them one by one
+      const files = folderTree.files.filter((file) => file.permissions !== 0)
+      if (files.length === 0) {
+        logSocketWarning(socket, actionStr + ' whose files are all private.', request)
+        cb({ errorMsg: FolderNotFoundErrorMsg })
+        return
+      }
+      folderRequestId = await addUniqueFolderRequest(folderId, socket.userId, description)
+      if (!folderRequestId) {
+        logSocketWarning(socket, actionStr + ' which is already requested.', request)
+        cb({ errorMsg: 'Folder already requested.' })
+        return
+      }
+
+      // Request every file, files already requested by the client are skipped
+      const requestorInfo = await getUserById(socket.userId)
+      const authorizerInfo = await getUserById(folderInfo.ownerId)
+      const requests = []
+      for (const file of files) {
+        const requestId = await addUniqueRequest(
+          file.id,
+          socket.userId,
+          description,
+          folderRequestId
+        )
+        if (!requestId) continue
+        requests.push({ requestId, fileId: file.id })
+        await BlockchainManager.addAuthRecord(
+          file.id,
+          requestorInfo.address,
+          authorizerInfo.address,
+          'not-replied'
+        )
+      }
+      if (requests.length === 0) {
+        await deleteFolderRequest(folderRequestId)
+        logSocketWarning(socket, actionStr + ' whose files are all already requested.', request)
+        cb({ errorMsg: 'Folder already requested.' })
+        return
+      }
+      logSocketInfo(socket, 'Folder request added to database.', {
+        folderRequestId,
+        requestCount: requests.length
+      })
+      cb({ folderRequestId })
+
+      // Forward request to folder owner
+      await notifyUser(folderInfo.ownerId, 'new-request', {
+        folderRequestId,
+        folderId,
+        name: folderInfo.name,
+        requesterName: requestorInfo.name
+      })
+      for (const { requestId, fileId } of requests) {
+        await triggerWebhooks([folderInfo.ownerId, socket.userId], 'request-created', {
+          requestId,
+          fileId,
+          requester: socket.userId,
+          folderRequestId
+        })
+      }
+    } catch (error) {
+      logSocketError(socket, error, request)
+      cb({ errorMsg: InternalServerErrorMsg })
+      // Revert folder request along with requests of its files
+      if (folderRequestId) await deleteFolderRequest(folderRequestId)
+    }
+  })
+
   /**
    * Client asks to delete request
    */
@@ -151,7 +382,6 @@ const requestBinder = (socket) => {
    * Client responds to request
    */
   socket.on('respond-request', async (request, cb) => {
-    let responseId
     try {
       const actionStr = 'Client asks to respond to request'
       logSocketInfo(socket, actionStr + '.', request)
@@ -163,7 +393,118 @@ const requestBinder = (socket) => {
         return
       }
 
-      const { requestId, agreed, description, rekey } = request
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.', request)
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      const { errorMsg } = await respondToRequest(socket, result.data)
+      if (errorMsg) {
+        logSocketWarning(socket, actionStr + ' which does not exist or already responded.', request)
+        cb({ errorMsg })
+        return
+      }
+      logSocketInfo(socket, 'Request responded.', request)
+      cb({})
+    } catch (error) {
+      logSocketError(socket, error, request)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+
+  /**
+   * Client responds to multiple requests at once
+   */
+  socket.on('respond-requests-batch', async (request, cb) => {
+    try {
+      const actionStr = 'Client asks to respond to requests in batch'
+      logSocketInfo(socket, actionStr + '.', request)
+
+      const result = RespondRequestsBatchRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, request)
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.', request)
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      // Respond one by one, a failed item does not affect the others
+      const results = []
+      const responded = []
+      for (const response of result.data) {
+        const { requestId, agreed } = response
+        try {
+          const { errorMsg, requester, name } = await respondToRequest(
+            socket,
+            response,
+            null,
+            false
+          )
+          if (errorMsg) {
+            logSocketWarning(
+              socket,
+              actionStr + ' but one does not exist or already responded.',
+              response
+            )
+            results.push({ requestId, errorMsg })
+            continue
+          }
+          results.push({ requestId })
+          responded.push({ requestId, requester, name, agreed })
+        } catch (error) {
+          logSocketError(socket, error, response)
+          results.push({ requestId, errorMsg: InternalServerErrorMsg })
+        }
+      }
+      // One notification for each requester and answer instead of one for each file
+      const groups = new Map()
+      for (const item of responded) {
+        const key = JSON.stringify([item.requester, item.agreed])
+        if (!groups.has(key)) groups.set(key, [])
+        groups.get(key).push(item)
+      }
+      for (const group of groups.values()) {
+        const [{ requester, name, agreed }] = group
+        await notifyUser(requester, 'new-response', {
+          requestIds: group.map((item) => item.requestId),
+          ...(group.length === 1 && { name }),
+          fileCount: group.length,
+          agreed
+        })
+      }
+      const failedCount = results.filter((item) => item.errorMsg).length
+      logSocketInfo(socket, 'Requests responded in batch.', {
+        respondedCount: results.length - failedCount,
+        failedCount
+      })
+      cb({ results })
+    } catch (error) {
+      logSocketError(socket, error, request)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+
+  /**
+   * Client responds to a folder request with one rekey for every file in the folder
+   */
+  socket.on('respond-folder-request', async (request, cb) => {
+    try {
+      const actionStr = 'Client asks to respond to folder request'
+      logSocketInfo(socket, actionStr + '.', request)
+
+      const result = RespondFolderRequestRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, request)
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { folderRequestId, ...response } = result.data
 
       if (!checkLoggedIn(socket)) {
         logSocketWarning(socket, actionStr + ' but is not logged in.', request)
@@ -171,43 +512,64 @@ const requestBinder = (socket) => {
         return
       }
 
-      const requestInfo = await getRequestNotRespondedByIdOfFileOwner(requestId, socket.userId)
-      if (requestInfo === undefined) {
+      const folderRequest = await getFolderRequestOfFolderOwner(folderRequestId, socket.userId)
+      const requests = folderRequest
+        ? await getRequestsNotRespondedOfFolderRequest(folderRequestId)
+        : []
+      if (requests.length === 0) {
         logSocketWarning(socket, actionStr + ' which does not exist or already responded.', request)
         cb({ errorMsg: 'Request not exist or already responded.' })
         return
       }
-      ;({ responseId } = await addResponse(requestId, agreed ? 1 : 0, description))
 
-      const authorizerInfo = await getUserById(socket.userId)
-      const requestorInfo = await getUserById(requestInfo.requester)
-      const fileInfo = await getFileInfo(requestInfo.fileId)
-      if (agreed) {
-        const newFileId = await reencryptFile(
-          rekey,
-          fileInfo,
-          requestInfo,
-          authorizerInfo,
-          requestorInfo
-        )
-        logSocketInfo(socket, 'File reencrypted.', { newFileId })
+      // Put reencrypted files under a folder with the same structure in requester's root
+      const folderIds = response.agreed
+        ? await mirrorFolderTree(
+            { id: folderRequest.folderId, name: folderRequest.name, ownerId: socket.userId },
+            folderRequest.requester
+          )
+        : new Map()
+      const results = []
+      for (const { requestId, fileId, parentFolderId } of requests) {
+        try {
+          const { errorMsg } = await respondToRequest(
+            socket,
+            { ...response, requestId },
+            // Files moved out of the folder after request are put in the top folder
+            folderIds.get(parentFolderId) ?? folderIds.get(folderRequest.folderId) ?? null,
+            false
+          )
+          results.push(errorMsg ? { requestId, fileId, errorMsg } : { requestId, fileId })
+        } catch (error) {
+          logSocketError(socket, error, { requestId, fileId })
+          results.push({ requestId, fileId, errorMsg: InternalServerErrorMsg })
+        }
+      }
+      const failedCount = results.filter((item) => item.errorMsg).length
+      if (failedCount === results.length) {
+        // No file is granted, so the mirrored folders would be left empty
+        for (const mirroredFolderId of [...folderIds.values()].reverse()) {
+          await deleteFolder(mirroredFolderId)
+        }
       } else {
-        await BlockchainManager.addAuthRecord(
-          fileInfo.id,
-          requestorInfo.address,
-          authorizerInfo.address,
-          'rejected'
-        )
+        // One notification for the whole folder instead of one for each file
+        await notifyUser(folderRequest.requester, 'new-response', {
+          folderRequestId,
+          folderId: folderRequest.folderId,
+          name: folderRequest.name,
+          fileCount: results.length - failedCount,
+          agreed: response.agreed
+        })
       }
-      logSocketInfo(socket, 'Request responded.', request)
-      cb({})
-      // Forward response to requesting client
-      emitToOnlineUser(requestInfo.requester, 'new-response')
+      logSocketInfo(socket, 'Folder request responded.', {
+        folderRequestId,
+        respondedCount: results.length - failedCount,
+        failedCount
+      })
+      cb({ results })
     } catch (error) {
       logSocketError(socket, error, request)
       cb({ errorMsg: InternalServerErrorMsg })
-      // Revert response
-      if (responseId) await deleteResponseById(responseId)
     }
   })
 
@@ -263,6 +625,173 @@ const requestBinder = (socket) => {
       cb({ errorMsg: InternalServerErrorMsg })
     }
   })
+
+  /**
+   * Client asks to get files reencrypted from its files for other clients
+   */
+  socket.on('get-grant-list', async (cb) => {
+    try {
+      const actionStr = 'Client asks to get granted file list'
+      logSocketInfo(socket, actionStr + '.')
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.')
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      const grants = await getAllDerivedFilesOfOriginOwnerId(socket.userId)
+      logSocketInfo(socket, 'Responding granted file list to client.')
+      cb({ grants: JSON.stringify(grants) })
+    } catch (error) {
+      logSocketError(socket, error)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+
+  /**
+   * Client asks to revoke a file reencrypted from its file for another client
+   */
+  socket.on('revoke-grant', async (request, cb) => {
+    try {
+      const actionStr = 'Client asks to revoke grant'
+      logSocketInfo(socket, actionStr + '.', request)
+
+      const result = RevokeGrantRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, request)
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { fileId } = result.data
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.', request)
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      const grantInfo = await getDerivedFileInfoOfOriginOwnerId(fileId, socket.userId)
+      // Files of the client itself are not granted, and must not be removed here
+      if (!grantInfo || grantInfo.ownerId === socket.userId) {
+        logSocketWarning(socket, actionStr + ' which does not exist.', request)
+        cb({ errorMsg: FileNotFoundErrorMsg })
+        return
+      }
+      await removeFile(grantInfo.ownerId, grantInfo.id)
+
+      // Add record to blockchain
+      const authorizerInfo = await getUserById(socket.userId)
+      const requestorInfo = await getUserById(grantInfo.ownerId)
+      // Files granted before the original file is recorded fall back to their own ID
+      await BlockchainManager.addAuthRecord(
+        grantInfo.originFileId ?? grantInfo.id,
+        requestorInfo.address,
+        authorizerInfo.address,
+        'revoked'
+      )
+      logSocketInfo(socket, 'Grant revoked.', request)
+      cb({})
+
+      // Notify the client which the file was granted to
+      await notifyUser(grantInfo.ownerId, 'grant-revoked', { fileId })
+    } catch (error) {
+      logSocketError(socket, error, request)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+
+  /**
+   * Client asks to comment on a request (client is requester or file owner)
+   */
+  socket.on('add-request-comment', async (request, cb) => {
+    try {
+      const actionStr = 'Client asks to comment on request'
+      logSocketInfo(socket, actionStr + '.', request)
+
+      const result = AddRequestCommentRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, request)
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { requestId, content } = result.data
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.', request)
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      const participants = await getRequestParticipantsById(requestId)
+      if (
+        !participants ||
+        (participants.requester !== socket.userId && participants.ownerId !== socket.userId)
+      ) {
+        logSocketWarning(socket, actionStr + ' which does not exist.', request)
+        cb({ errorMsg: 'Request not found.' })
+        return
+      }
+
+      const commentId = await addRequestComment(requestId, socket.userId, content)
+      logSocketInfo(socket, 'Request comment added.', { requestId, commentId })
+      cb({ commentId })
+
+      // Notify the other party of the request
+      const otherId =
+        participants.requester === socket.userId ? participants.ownerId : participants.requester
+      await notifyUser(otherId, 'new-request-comment', {
+        requestId,
+        commentId,
+        userId: socket.userId,
+        content
+      })
+    } catch (error) {
+      logSocketError(socket, error, request)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+
+  /**
+   * Client asks to get comments of a request (client is requester or file owner)
+   */
+  socket.on('get-request-comments', async (request, cb) => {
+    try {
+      const actionStr = 'Client asks to get request comments'
+      logSocketInfo(socket, actionStr + '.', request)
+
+      const result = GetRequestCommentsRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, request)
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { requestId } = result.data
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.', request)
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      const participants = await getRequestParticipantsById(requestId)
+      if (
+        !participants ||
+        (participants.requester !== socket.userId && participants.ownerId !== socket.userId)
+      ) {
+        logSocketWarning(socket, actionStr + ' which does not exist.', request)
+        cb({ errorMsg: 'Request not found.' })
+        return
+      }
+
+      const comments = await getCommentsOfRequestId(requestId)
+      logSocketInfo(socket, 'Responding request comments to client.', request)
+      cb({ comments: JSON.stringify(comments) })
+    } catch (error) {
+      logSocketError(socket, error, request)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
 }
 
 /**
@@ -272,9 +801,21 @@ const requestBinder = (socket) => {
  * @param {*} requestInfo
  * @param {*} authorizerInfo
  * @param {*} requestorInfo
+ * @param {string} responseId The response which grants the file.
+ * @param {string|null} expiresAt The time when the granted file expires, or null if it never expires.
+ * @param {string|null} parentFolderId The folder of the requester to put the file in, or null for root.
  * @returns
  */
-const reencryptFile = async (rekey, fileInfo, requestInfo, authorizerInfo, requestorInfo) => {
+const reencryptFile = async (
+  rekey,
+  fileInfo,
+  requestInfo,
+  authorizerInfo,
+  requestorInfo,
+  responseId,
+  expiresAt = null,
+  parentFolderId = null
+) => {
   // Reencrypt file
   let newUUID
   let hasAddToDatabase = false
@@ -293,15 +834,18 @@ const reencryptFile = async (rekey, fileInfo, requestInfo, authorizerInfo, reque
       id: newUUID,
       userId: requestInfo.requester,
       originOwnerId: fileInfo.ownerId,
+      originFileId: fileInfo.id,
       cipher: newcipher,
       spk: newspk,
-      parentFolderId: null, // null for root
+      parentFolderId,
       size: fileInfo.size,
       description: fileInfo.description,
       infoBlockNumber: 0,
-      verifyBlockNumber: 0
+      verifyBlockNumber: 0,
+      hash: fileInfo.hash
     })
     hasAddToDatabase = true
+    await updateResponseGrantedFileId(responseId, newUUID)
     // Copy the file from original owner to requester, as we only reencrypts its AES key
     copiedFilePath = join(ConfigManager.uploadDir, requestInfo.requester, newUUID)
     await copyFile(join(ConfigManager.uploadDir, fileInfo.ownerId, fileInfo.id), copiedFilePath)
@@ -312,7 +856,7 @@ const reencryptFile = async (rekey, fileInfo, requestInfo, authorizerInfo, reque
     const receipt = await BlockchainManager.reencryptFile(
       newUUID,
       fileHash,
-      JSON.stringify({ filename: fileInfo.name }),
+      JSON.stringify({ filename: fileInfo.name, ...(expiresAt && { expiresAt }) }),
       requestorInfo.address,
       authorizerInfo.address
     )
@@ -331,5 +875,129 @@ const reencryptFile = async (rekey, fileInfo, requestInfo, authorizerInfo, reque
   }
 }
 
+/**
+ * Create folders in the root of the requester with the same structure as a requested folder.
+ * @param {object} folderInfo The folder information of the requested folder.
+ * @param {string} requesterId
+ * @returns {Promise<Map<string, string>>} Map from IDs of the requested folders to IDs of the created folders.
+ */
+const mirrorFolderTree = async (folderInfo, requesterId) => {
+  const { folders } = await collectFolderTree(folderInfo, folderInfo.ownerId)
+  const folderIds = new Map()
+  // Parents come before children, so their created ID is always known
+  for (const folder of folders) {
+    const parentFolderId = folder.id === folderInfo.id ? null : folderIds.get(folder.parentFolderId)
+    folderIds.set(folder.id, await addFolderToDatabase(folder.name, parentFolderId, requesterId))
+  }
+  return folderIds
+}
+
+/**
+ * Remove granted files whose grant has expired, and record the expiry on blockchain.
+ */
+export const removeExpiredGrants = async () => {
+  try {
+    for (const fileInfo of await getAllExpiredGrantedFiles()) {
+      try {
+        // Record before removing, so a failed record leaves the grant to be retried next time
+        const authorizerInfo = await getUserById(fileInfo.originOwnerId)
+        const requestorInfo = await getUserById(fileInfo.ownerId)
+        // Files granted before the original file is recorded fall back to their own ID
+        await BlockchainManager.addAuthRecord(
+          fileInfo.originFileId ?? fileInfo.id,
+          requestorInfo.address,
+          authorizerInfo.address,
+          'expired'
+        )
+        await removeFile(fileInfo.ownerId, fileInfo.id)
+        await updateResponseGrantedFileId(fileInfo.responseId, null)
+        logger.info('Expired grant removed.', {
+          fileId: fileInfo.id,
+          responseId: fileInfo.responseId
+        })
+        await notifyUser(fileInfo.ownerId, 'grant-expired', { fileId: fileInfo.id })
+      } catch (error) {
+        logger.error(error)
+      }
+    }
+  } catch (error) {
+    logger.error(error)
+  }
+}
+
+/**
+ * Record expired requests on blockchain and notify their requesters.
+ * @param {Array<object>} expiredRequests Requests with request ID, file ID, requester and owner ID.
+ */
+const recordExpiredRequests = async (expiredRequests) => {
+  for (const requestInfo of expiredRequests) {
+    try {
+      const requestorInfo = await getUserById(requestInfo.requester)
+      const authorizerInfo = await getUserById(requestInfo.ownerId)
+      await BlockchainManager.addAuthRecord(
+        requestInfo.fileId,
+        requestorInfo.address,
+        authorizerInfo.address,
+        'expired'
+      )
+      logger.info('Request expired.', { requestId: requestInfo.requestId })
+      await notifyUser(requestInfo.requester, 'request-expired', {
+        requestId: requestInfo.requestId,
+        fileId: requestInfo.fileId
+      })
+    } catch (error) {
+      logger.error(error)
+    }
+  }
+}
+
+/**
+ * Expire requests not responded of a file, such as when the file is moved to trash.
+ * @param {string} fileId
+ */
+export const expirePendingRequestsOfFile = async (fileId) => {
+  await recordExpiredRequests(await expirePendingRequestsOfFileId(fileId))
+}
+
+/**
+ * Expire requests not responded within the time-to-live, and remind file owners of requests about to expire.
+ */
+export const checkPendingRequests = async () => {
+  try {
+    const { requestTTLHours, requestReminderHours } = ConfigManager.settings
+    const hourMs = 60 * 60 * 1000
+    // Expire first so expired requests are not reminded
+    const expiredRequests = await expirePendingRequestsCreatedBefore(
+      new Date(Date.now() - requestTTLHours * hourMs)
+    )
+    await recordExpiredRequests(expiredRequests)
+
+    const remindedRequests = await remindPendingRequestsCreatedBefore(
+      new Date(Date.now() - (requestTTLHours - requestReminderHours) * hourMs)
+    )
+    for (const requestInfo of remindedRequests) {
+      await notifyUser(requestInfo.ownerId, 'request-reminder', {
+        requestId: requestInfo.requestId,
+        fileId: requestInfo.fileId,
+        name: requestInfo.name,
+        expiresAt: new Date(requestInfo.requestTime.getTime() + requestTTLHours * hourMs)
+      })
+    }
+    if (expiredRequests.length > 0 || remindedRequests.length > 0) {
+      logger.info('Pending requests checked.', {
+        expiredCount: expiredRequests.length,
+        remindedCount: remindedRequests.length
+      })
+    }
+  } catch (error) {
+    logger.error(error)
+  }
+}
+
+// Periodically remove expired granted files
+setInterval(removeExpiredGrants, ConfigManager.settings.grantExpiryCheckIntervalMin * 60 * 1000)
+// Periodically expire and remind pending requests
+setInterval(checkPendingRequests, ConfigManager.settings.requestCheckIntervalMin * 60 * 1000)
+
 export { requestBinder }
 console.debug('RequestManager.js loaded.')
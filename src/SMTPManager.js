@@ -5,6 +5,7 @@ import nodemailer from 'nodemailer'
 import ConfigManager from './ConfigManager.js'
 import { MailerSend, EmailParams, Sender, Recipient } from 'mailersend'
 import { logger } from './Logger.js'
+import { renderNotificationEmail } from './EmailTemplates.js'
 
 // Create a transporter for SMTP
 let transporter
@@ -39,36 +40,58 @@ if (ConfigManager.smtp.enabled) {
 }
 
 /**
- * Send the email authentication code to certain email with certain name.
- * @param {string} email 
- * @param {string} name 
- * @param {string} auth 
- * @returns 
+ * Send a mail with the configured API.
+ * @param {string} email
+ * @param {string} name
+ * @param {{subject: string, text: string, html: string}} content
  */
-export async function sendEmailAuth(email, name, auth) {
-  if (!ConfigManager.smtp.enabled) return
+async function sendMail(email, name, { subject, text, html }) {
   if (ConfigManager.smtp.useMailerSend) {
     const recipients = [new Recipient(email, name)]
     const emailParams = new EmailParams()
       .setFrom(sentFrom)
       .setTo(recipients)
       // .setReplyTo(sentFrom)
-      .setSubject('機敏雲端驗證碼')
-      .setHtml(`<b>您的驗證碼是 ${auth}，請在${ConfigManager.settings.emailAuthExpireTimeMin}分鐘內輸入完畢</b>`)
-      .setText(`您的驗證碼是 ${auth}，請在${ConfigManager.settings.emailAuthExpireTimeMin}分鐘內輸入完畢`)
+      .setSubject(subject)
+      .setHtml(html)
+      .setText(text)
 
     await mailerSend.email.send(emailParams)
   } else {
     const mailContext = {
       from: ConfigManager.smtp.from, // sender address
       to: email, // list of receivers
-      subject: '機敏雲端驗證碼', // Subject line
-      text: `您的驗證碼是 ${auth}，請在${ConfigManager.settings.emailAuthExpireTimeMin}分鐘內輸入完畢`, // plain text body
-      html: `<b>您的驗證碼是 ${auth}，請在${ConfigManager.settings.emailAuthExpireTimeMin}分鐘內輸入完畢</b>` // html body
+      subject, // Subject line
+      text, // plain text body
+      html // html body
     }
 
     await transporter.sendMail(mailContext)
   }
 }
 
+/**
+ * Send the email authentication code to certain email with certain name.
+ * @param {string} email 
+ * @param {string} name 
+ * @param {string} auth 
+ * @returns 
+ */
+export async function sendEmailAuth(email, name, auth) {
+  if (!ConfigManager.smtp.enabled) return
+  const text = `您的驗證碼是 ${auth}，請在${ConfigManager.settings.emailAuthExpireTimeMin}分鐘內輸入完畢`
+  await sendMail(email, name, { subject: '機敏雲端驗證碼', text, html: `<b>${text}</b>` })
+}
+
+/**
+ * Send a notification email in the language of the user.
+ * @param {{email: string, name: string, locale: string}} userInfo
+ * @param {'new-request'|'new-response'|'upload-failed'} type
+ * @param {object} params Values to fill in the template.
+ */
+export async function sendNotificationEmail({ email, name, locale }, type, params) {
+  if (!ConfigManager.smtp.enabled) return
+  await sendMail(email, name, renderNotificationEmail(locale, type, params))
+}
+
 console.debug('SMTPManager.js loaded.')
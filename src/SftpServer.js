@@ -5,10 +5,15 @@ import ConfigManager from './ConfigManager.js'
 import { logger, logSftpError, logSftpInfo, logSftpWarning } from './Logger.js'
 import fs from 'node:fs'
 import pkg from 'ssh2'
-import { FileIdSchema } from './Validation.js'
-import { finishUpload, hasUpload } from './UploadVerifier.js'
-import { getFilePath } from './Utils.js'
-import { getLoggedInUserIdOfSocket } from './UserLoginInfo.js'
+import {
+  abortUpload,
+  finishUpload,
+  getRemainingQuota,
+  hasUpload,
+  keepUploadAlive
+} from './UploadVerifier.js'
+import { getFilePath, QuotaExceededErrorMsg } from './Utils.js'
+import { accountTransferTargets, verifyTransferToken } from './TransferToken.js'
 const { Server, utils } = pkg
 
 // Create a new SFTP server
@@ -17,27 +22,23 @@ new Server({ hostKeys: [fs.readFileSync(ConfigManager.sshKeyPath)] }, (client, i
   logger.info('Sftp Client connected.')
   let userId
   let fileId
+  let operation
   client
     .on('authentication', (ctx) => {
-      // Client authenticates with socketId as username and fileId as password
+      // Client authenticates with transfer token as password, username is not used
       if (ctx.method !== 'password') return ctx.reject()
-      let actionStr = 'Client tries to authenticate'
-      fileId = ctx.password
-      logSftpInfo(ip, userId, fileId, actionStr + '.', { socketId: ctx.username })
+      const actionStr = 'Client tries to authenticate'
+      logSftpInfo(ip, userId, fileId, actionStr + '.')
 
-      const result = FileIdSchema.safeParse(ctx.password)
-      if (!result.success) {
-        logSftpWarning(ip, userId, fileId, actionStr + ' with invalid fileId.')
+      const tokenInfo = verifyTransferToken(ctx.password)
+      if (!tokenInfo || accountTransferTargets.includes(tokenInfo.fileId)) {
+        logSftpWarning(ip, userId, fileId, actionStr + ' with invalid or expired transfer token.')
         return ctx.reject()
       }
-      fileId = result.data
-
-      userId = getLoggedInUserIdOfSocket(ctx.username)
-      if (!userId) {
-        logSftpWarning(ip, userId, fileId, actionStr + ' but is not logged in.')
-        return ctx.reject()
-      }
-      // check login and fileId
+      userId = tokenInfo.userId
+      fileId = tokenInfo.fileId
+      operation = tokenInfo.operation
+      logSftpInfo(ip, userId, fileId, 'Client is authenticated.', { operation })
       ctx.accept()
     })
     .on('ready', () => {
@@ -50,8 +51,9 @@ new Server({ hostKeys: [fs.readFileSync(ConfigManager.sshKeyPath)] }, (client, i
           const openFiles = new Map()
           let isWrite = false
           let openedFileName
+          let remainingQuota = 0
           sftp
-            .on('OPEN', (reqId, filename, flags, attrs) => {
+            .on('OPEN', async (reqId, filename, flags, attrs) => {
               // Opens the file to write/read
               logger.debug('Sftp client OPEN.')
               isWrite = flags & utils.sftp.OPEN_MODE.WRITE
@@ -69,6 +71,18 @@ new Server({ hostKeys: [fs.readFileSync(ConfigManager.sshKeyPath)] }, (client, i
                 return sftp.status(reqId, utils.sftp.STATUS_CODE.OP_UNSUPPORTED)
               }
 
+              // Check if the transfer token is issued for this operation
+              if ((isWrite ? 'upload' : 'download') !== operation) {
+                logSftpWarning(
+                  ip,
+                  userId,
+                  fileId,
+                  'Client tries to do file operation which transfer token is not issued for.',
+                  { operation }
+                )
+                return sftp.status(reqId, utils.sftp.STATUS_CODE.PERMISSION_DENIED)
+              }
+
               // Check if have asked to upload
               if (isWrite && !hasUpload(fileId)) {
                 logSftpWarning(
@@ -79,6 +93,14 @@ new Server({ hostKeys: [fs.readFileSync(ConfigManager.sshKeyPath)] }, (client, i
                 )
               }
               openedFileName = filename
+              if (isWrite) {
+                try {
+                  remainingQuota = await getRemainingQuota(userId)
+                } catch (error) {
+                  logSftpError(ip, userId, fileId, error)
+                  return sftp.status(reqId, utils.sftp.STATUS_CODE.FAILURE)
+                }
+              }
               // Actually open the file and store the file descriptor 
               fs.open(getFilePath(userId, fileId), utils.sftp.flagsToString(flags), (err, fd) => {
                 if (err) {
@@ -99,11 +121,23 @@ new Server({ hostKeys: [fs.readFileSync(ConfigManager.sshKeyPath)] }, (client, i
                 logSftpWarning(ip, userId, fileId, 'Client tried to write to non-opened file.')
                 return sftp.status(reqId, utils.sftp.STATUS_CODE.FAILURE)
               }
+              if (offset + data.length > remainingQuota) {
+                // Abort upload exceeding quota, later writes and close will fail
+                logSftpWarning(ip, userId, fileId, 'Client upload file exceeding storage quota.')
+                openFiles.delete(fnum)
+                fs.close(fnum, (err) => {
+                  if (err) logSftpError(ip, userId, fileId, err)
+                  abortUpload(userId, fileId, QuotaExceededErrorMsg)
+                })
+                return sftp.status(reqId, utils.sftp.STATUS_CODE.FAILURE)
+              }
               fs.write(fnum, data, 0, data.length, offset, (err) => {
                 if (err) {
                   logSftpError(ip, userId, fileId, err)
                   return sftp.status(reqId, utils.sftp.STATUS_CODE.FAILURE)
                 }
+                // Keep upload info while content arrives
+                keepUploadAlive(fileId)
                 sftp.status(reqId, utils.sftp.STATUS_CODE.OK)
               })
             })
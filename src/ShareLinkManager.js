@@ -0,0 +1,225 @@
+/**
+ * This file handles share links, which let a recipient without an account download a file.
+ * Including creating, listing and deleting share links, and redeeming them by reencrypting the file
+ * to the public key of the recipient.
+ */
+import { createHash, randomBytes } from 'node:crypto'
+import { ZeroAddress } from 'ethers'
+import {
+  logger,
+  logInvalidSchemaWarning,
+  logSocketError,
+  logSocketInfo,
+  logSocketWarning
+} from './Logger.js'
+import {
+  addShareLink,
+  claimShareLinkDownload,
+  deleteShareLinkOfOwnerId,
+  getFileInfo,
+  getFileInfoOfOwnerId,
+  getRedeemedShareLink,
+  getShareLinksOfOwnerId,
+  getUserById,
+  releaseShareLinkDownload
+} from './StorageDatabase.js'
+import {
+  checkLoggedIn,
+  FileNotFoundErrorMsg,
+  InternalServerErrorMsg,
+  InvalidArgumentErrorMsg,
+  NotLoggedInErrorMsg
+} from './Utils.js'
+import { CreateShareLinkRequestSchema, DeleteShareLinkRequestSchema } from './Validation.js'
+import CryptoHandler from './CryptoHandler.js'
+import BlockchainManager from './BlockchainManager.js'
+
+/**
+ * Hash a link token. Only hashes are stored, so leaked database rows cannot be used as links.
+ * @param {string} token
+ * @returns {string}
+ */
+const hashShareToken = (token) => createHash('sha256').update(token).digest('hex')
+
+/**
+ * Reencrypt the key of the file of a share link to the recipient.
+ * @param {object} shareLink
+ * @returns {Promise<{shareLinkId: string, fileInfo: object, cipher: string, spk: string}|undefined>}
+ * The shared file and its reencrypted key, or undefined if the file no longer exists.
+ */
+const reencryptSharedFile = async (shareLink) => {
+  const fileInfo = await getFileInfo(shareLink.fileId)
+  if (!fileInfo || fileInfo.ownerId !== shareLink.ownerId) return undefined
+  const { recipher, spk } = await CryptoHandler.reencrypt(
+    shareLink.rekey,
+    fileInfo.cipher,
+    fileInfo.spk,
+    shareLink.recipientPk
+  )
+  return { shareLinkId: shareLink.id, fileInfo, cipher: recipher, spk }
+}
+
+/**
+ * Redeem a share link: count the download, reencrypt the file key to the recipient
+ * and record the redemption on blockchain.
+ * The download is given back if anything fails.
+ * @param {string} token The token of the share link.
+ * @returns {Promise<{shareLinkId: string, fileInfo: object, cipher: string, spk: string}|undefined>}
+ * The shared file and its key reencrypted to the recipient, or undefined if the link cannot be downloaded.
+ * @throws Any error occurred.
+ */
+export const redeemShareLink = async (token) => {
+  const shareLink = await claimShareLinkDownload(hashShareToken(token))
+  if (!shareLink) return undefined
+  try {
+    const shareInfo = await reencryptSharedFile(shareLink)
+    if (!shareInfo) {
+      await releaseShareLinkDownload(shareLink.id)
+      return undefined
+    }
+    const { fileInfo } = shareInfo
+    // The recipient has no blockchain address
+    const ownerInfo = await getUserById(shareLink.ownerId)
+    await BlockchainManager.addAuthRecord(
+      fileInfo.id,
+      ZeroAddress,
+      ownerInfo.address,
+      'share-redeemed'
+    )
+    logger.info('Share link redeemed.', {
+      shareLinkId: shareLink.id,
+      fileId: fileInfo.id,
+      downloads: shareLink.downloads,
+      maxDownloads: shareLink.maxDownloads
+    })
+    return shareInfo
+  } catch (error) {
+    await releaseShareLinkDownload(shareLink.id)
+    throw error
+  }
+}
+
+/**
+ * Resume a download of a share link, such as a Range request after a dropped connection.
+ * Only links redeemed before and not expired can be resumed, and resuming is neither counted nor recorded.
+ * @param {string} token The token of the share link.
+ * @returns {Promise<{shareLinkId: string, fileInfo: object, cipher: string, spk: string}|undefined>}
+ * The shared file and its key reencrypted to the recipient, or undefined if no download can be resumed.
+ * @throws Any error occurred.
+ */
+export const resumeShareLink = async (token) => {
+  const shareLink = await getRedeemedShareLink(hashShareToken(token))
+  if (!shareLink) return undefined
+  return await reencryptSharedFile(shareLink)
+}
+
+// Share link related events
+export const shareLinkBinder = (socket) => {
+  /**
+   * Client asks to create a share link of a file
+   */
+  socket.on('create-share-link', async (request, cb) => {
+    try {
+      const actionStr = 'Client asks to create share link'
+      logSocketInfo(socket, actionStr + '.', request)
+
+      const result = CreateShareLinkRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, request)
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { fileId, recipientPk, rekey, expiresAt, maxDownloads } = result.data
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.', request)
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      if (!(await getFileInfoOfOwnerId(fileId, socket.userId))) {
+        logSocketWarning(socket, actionStr + ' but file does not exist.', request)
+        cb({ errorMsg: FileNotFoundErrorMsg })
+        return
+      }
+
+      // The token is only responded here, the link cannot be recovered afterwards
+      const token = randomBytes(32).toString('base64url')
+      const shareLinkId = await addShareLink({
+        fileId,
+        ownerId: socket.userId,
+        tokenHash: hashShareToken(token),
+        recipientPk,
+        rekey,
+        expiresAt,
+        maxDownloads
+      })
+      logSocketInfo(socket, 'Share link created.', { shareLinkId, fileId, expiresAt, maxDownloads })
+      cb({ shareLinkId, token })
+    } catch (error) {
+      logSocketError(socket, error, request)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+
+  /**
+   * Client asks to get its share links
+   */
+  socket.on('get-share-links', async (cb) => {
+    try {
+      const actionStr = 'Client asks to get share links'
+      logSocketInfo(socket, actionStr + '.')
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.')
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      const shareLinks = await getShareLinksOfOwnerId(socket.userId)
+      logSocketInfo(socket, 'Responding share links to client.')
+      cb({ shareLinks: JSON.stringify(shareLinks) })
+    } catch (error) {
+      logSocketError(socket, error)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+
+  /**
+   * Client asks to delete a share link
+   */
+  socket.on('delete-share-link', async (request, cb) => {
+    try {
+      const actionStr = 'Client asks to delete share link'
+      logSocketInfo(socket, actionStr + '.', request)
+
+      const result = DeleteShareLinkRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, request)
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { shareLinkId } = result.data
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.', request)
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      const info = await deleteShareLinkOfOwnerId(shareLinkId, socket.userId)
+      if (info.rowCount == 0) {
+        logSocketWarning(socket, actionStr + ' but share link does not exist.', request)
+        cb({ errorMsg: 'Share link not found.' })
+        return
+      }
+      logSocketInfo(socket, 'Share link deleted.', request)
+      cb({})
+    } catch (error) {
+      logSocketError(socket, error, request)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+}
+
+console.debug('ShareLinkManager.js loaded.')
@@ -10,10 +10,16 @@ import { logger, logSocketInfo } from './Logger.js'
 import { allFileBinder } from './FileManager.js'
 import authenticationBinder from './Authentication.js'
 import { requestBinder } from './RequestManager.js'
+import { notificationBinder } from './NotificationManager.js'
+import { webhookBinder } from './WebhookManager.js'
+import { shareLinkBinder } from './ShareLinkManager.js'
+import { transferTokenBinder } from './TransferToken.js'
+import { totpBinder } from './TotpManager.js'
+import { accountBinder } from './AccountManager.js'
 import ConfigManager from './ConfigManager.js'
 import { createServer } from 'node:https'
 import { readFileSync } from 'node:fs'
-import { userLogout } from './UserLoginInfo.js'
+import { userDisconnect } from './UserLoginInfo.js'
 
 const app = express()
 app.set('trust proxy', true)
@@ -55,7 +61,8 @@ io.on('connection', (socket) => {
 
   socket.on('disconnect', () => {
     // Maybe move to Authentication.js?
-    userLogout(socket)
+    // Session is kept for a while so the client can resume it
+    userDisconnect(socket)
 
     logSocketInfo(socket, 'Client disconnected.', { event: undefined })
   })
@@ -63,6 +70,12 @@ io.on('connection', (socket) => {
   authenticationBinder(socket)
   allFileBinder(socket)
   requestBinder(socket, io)
+  notificationBinder(socket)
+  webhookBinder(socket)
+  shareLinkBinder(socket)
+  transferTokenBinder(socket)
+  totpBinder(socket)
+  accountBinder(socket)
 })
 
 const emitToSocket = (socketId, event, ...data) => {
@@ -39,6 +39,8 @@ const parseUserRows = async (rows) => {
   for (const element of rows) {
     element.name = element.name ? await decryptWithAES(element.name, key, iv) : undefined
     element.email = element.email ? await decryptWithAES(element.email, key, iv) : undefined
+    element.emailNotifications = element.emailnotifications
+    delete element.emailnotifications
   }
   return rows
 }
@@ -50,6 +52,9 @@ const parseUserRows = async (rows) => {
  * @property {string} name - The user's name.
  * @property {string} email - The user's email address.
  * @property {string} status - The user's account status ('activate', 'stopped', 'deleted').
+ * @property {number|null} quota - The user's storage quota in bytes, or null to use the default quota.
+ * @property {Array<string>} emailNotifications - The notification types the user receives emails for.
+ * @property {string} locale - The language of emails sent to the user.
  * @property {number} timestamp - The creation timestamp.
  */
 
@@ -129,6 +134,54 @@ export const updateUserInfoById = async (id, name, email) => {
   ])
 }
 
+/**
+ * Updates the storage quota of a user by their ID.
+ * @param {string} id - The UUID of the user.
+ * @param {number|null} quota - The storage quota in bytes, or null to use the default quota.
+ * @returns {Promise<import('pg').QueryResult>} A promise that resolves to the query result.
+ */
+export const updateUserQuotaById = async (id, quota) => {
+  return await pool.query('UPDATE users SET quota = $1 WHERE id = $2', [quota, id])
+}
+
+/**
+ * Updates the email notification settings of a user by their ID.
+ * @param {string} id - The UUID of the user.
+ * @param {Array<string>} emailNotifications - The notification types to receive emails for.
+ * @param {string} locale - The language of emails.
+ * @returns {Promise<import('pg').QueryResult>} A promise that resolves to the query result.
+ */
+export const updateUserNotificationSettingsById = async (id, emailNotifications, locale) => {
+  return await pool.query('UPDATE users SET emailNotifications = $1, locale = $2 WHERE id = $3', [
+    emailNotifications,
+    locale,
+    id
+  ])
+}
+
+/**
+ * Retrieves the storage quota of a user and the bytes used by the user's files,
+ * including files in trash and archived versions.
+ * @param {string} id - The UUID of the user.
+ * @returns {Promise<{quota: number|null, used: number}|undefined>} The quota and used bytes, or undefined if the user does not exist.
+ */
+export const getStorageUsageOfUserId = async (id) => {
+  const result = await pool.query(
+    `
+        SELECT quota,
+          (SELECT COALESCE(SUM(size), 0) FROM files WHERE ownerId = $1)
+          + (SELECT COALESCE(SUM(file_versions.size), 0) FROM file_versions
+              JOIN files ON file_versions.fileId = files.id WHERE files.ownerId = $1) AS used
+        FROM users WHERE id = $1
+    `,
+    [id]
+  )
+  const row = result.rows[0]
+  if (!row) return undefined
+  // pg returns bigint as string
+  return { quota: row.quota === null ? null : Number(row.quota), used: Number(row.used) }
+}
+
 /**
  * Deletes a user from the database by their ID.
  * @param {string} id - The UUID of the user.
@@ -163,10 +216,16 @@ const parseFileRows = (rows) => {
   for (const element of rows) {
     element.ownerId = element.ownerid
     element.originOwnerId = element.originownerid
+    element.originFileId = element.originfileid
     element.parentFolderId = element.parentfolderid
+    element.deletedAt = element.deletedat
+    element.uploadId = element.uploadid
     delete element.ownerid
     delete element.originownerid
+    delete element.originfileid
     delete element.parentfolderid
+    delete element.deletedat
+    delete element.uploadid
   }
   return rows
 }
@@ -178,6 +237,7 @@ const parseFileRows = (rows) => {
  * @param {string} fileData.id - The UUID of the file.
  * @param {string} fileData.userId - The ID of the user.
  * @param {string} fileData.originOwnerId - The ID of the orignal owner of the file.
+ * @param {string} fileData.originFileId - The ID of the original file this file is reencrypted from.
  * @param {string} fileData.cipher - The cipher for the key.
  * @param {string} fileData.spk - The cipher for the initialization vector.
  * @param {string} fileData.parentFolderId - The ID of the parent folder.
@@ -185,6 +245,7 @@ const parseFileRows = (rows) => {
  * @param {string} fileData.description - The description of the file.
  * @param {number} fileData.infoBlockNumber - The block of file info on blockchain.
  * @param {number} fileData.verifyBlockNumber - The block of verification info on blockchain.
+ * @param {string} fileData.hash - The SHA-256 hash of the stored file.
  * @returns {Promise<void>}
  */
 export const addFileToDatabase = async ({
@@ -192,13 +253,15 @@ export const addFileToDatabase = async ({
   id,
   userId,
   originOwnerId,
+  originFileId,
   cipher,
   spk,
   parentFolderId,
   size,
   description,
   infoBlockNumber,
-  verifyBlockNumber
+  verifyBlockNumber,
+  hash
 }) => {
   const params = [
     id,
@@ -212,12 +275,14 @@ export const addFileToDatabase = async ({
     size,
     description || '', // Ensure description is a string
     infoBlockNumber,
-    verifyBlockNumber
+    verifyBlockNumber,
+    hash,
+    originFileId
   ]
   await pool.query(
     `
-        INSERT INTO files (id, name, ownerId, originOwnerId, cipher, spk, parentFolderId, permissions, size, description, infoblocknumber, verifyblocknumber)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        INSERT INTO files (id, name, ownerId, originOwnerId, cipher, spk, parentFolderId, permissions, size, description, infoblocknumber, verifyblocknumber, hash, originFileId)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
     `,
     params
   )
@@ -242,7 +307,7 @@ export const updateFileBlockNumber = async ({ fileId, infoBlockNumber, verifyBlo
  * @returns {Promise<object|undefined>} An object of the file information if found, or undefined if not found.
  */
 export const getFileInfo = async (uuid) => {
-  const result = await pool.query('SELECT * FROM files WHERE id = $1', [uuid])
+  const result = await pool.query('SELECT * FROM files WHERE id = $1 AND deletedAt IS NULL', [uuid])
   return parseFileRows(result.rows)[0] // Returns the first row or undefined
 }
 
@@ -275,10 +340,10 @@ export const getFilesOfOwnerId = async (userId) => {
  * @returns {Promise<object|undefined>} An object of the file information if found, or undefined if not found.
  */
 export const getFileInfoOfOwnerId = async (uuid, userId) => {
-  const result = await pool.query('SELECT * FROM files WHERE id = $1 AND ownerId = $2', [
-    uuid,
-    userId
-  ])
+  const result = await pool.query(
+    'SELECT * FROM files WHERE id = $1 AND ownerId = $2 AND deletedAt IS NULL',
+    [uuid, userId]
+  )
   return parseFileRows(result.rows)[0]
 }
 
@@ -337,6 +402,29 @@ export const moveFileToFolder = async (uuid, parentFolderId) => {
   )
 }
 
+/**
+ * Renames a file owned by a specific user.
+ * The new name is rejected if another file in the same parent folder already uses it.
+ * Checked in the same query as the update, so concurrent renames cannot both take the name.
+ *
+ * @param {string} uuid - The UUID of the file.
+ * @param {string} userId - The ID of the owner.
+ * @param {string} name - The new name of the file.
+ * @returns {Promise<object>} The query result, with rowCount 0 if the name already exists in the same folder.
+ */
+export const renameFileOfOwnerId = async (uuid, userId, name) => {
+  return await pool.query(
+    `UPDATE files SET name = $1 WHERE id = $2 AND ownerId = $3 AND deletedAt IS NULL
+         AND NOT EXISTS (
+           SELECT 1 FROM files AS siblings
+           WHERE siblings.ownerId = files.ownerId
+           AND siblings.parentFolderId IS NOT DISTINCT FROM files.parentFolderId
+           AND siblings.name = $1 AND siblings.id != files.id AND siblings.deletedAt IS NULL
+         )`,
+    [name, uuid, userId]
+  )
+}
+
 /**
  * Deletes a file by its UUID.
  *
@@ -374,9 +462,14 @@ export const getAllFilesByParentFolderId = async (parentFolderId) => {
  *
  * @param {string|null} parentFolderId - The ID of the parent folder, or null for root files.
  * @param {string} userId - The ID of the owner.
+ * @param {boolean} includeDeleted - Whether to include files in trash.
  * @returns {Promise<Array<object>>} An array of file objects.
  */
-export const getAllFilesByParentFolderIdUserId = async (parentFolderId, userId) => {
+export const getAllFilesByParentFolderIdUserId = async (
+  parentFolderId,
+  userId,
+  includeDeleted = false
+) => {
   let queryText
   let params
 
@@ -387,18 +480,118 @@ export const getAllFilesByParentFolderIdUserId = async (parentFolderId, userId)
     queryText = 'SELECT * FROM files WHERE parentFolderId IS NULL AND ownerId = $1'
     params = [userId]
   }
+  if (!includeDeleted) queryText += ' AND deletedAt IS NULL'
 
   const result = await pool.query(queryText, params)
   return parseFileRows(result.rows)
 }
 
+/**
+ * Retrieves all files reencrypted from files of an original owner, along with their holder information.
+ * Files uploaded by the original owner itself are not included.
+ *
+ * @param {string} userId - The ID of the original owner.
+ * @returns {Promise<Array<object>>} An array of file objects with holder name, email and grant expiry time.
+ */
+export const getAllDerivedFilesOfOriginOwnerId = async (userId) => {
+  const result = await pool.query(
+    `SELECT files.id, files.name, files.ownerId, files.originOwnerId, files.originFileId, files.size, files.timestamp,
+         holders.name as holderName, holders.email as holderEmail, responses.expiresAt
+         FROM files JOIN users as holders ON files.ownerId = holders.id
+         LEFT JOIN responses ON responses.grantedFileId = files.id
+         WHERE files.originOwnerId = $1 AND files.ownerId <> files.originOwnerId`,
+    [userId]
+  )
+  for (const element of result.rows) {
+    element.holderName = element.holdername
+      ? await decryptWithAES(element.holdername, key, iv)
+      : undefined
+    element.holderEmail = element.holderemail
+      ? await decryptWithAES(element.holderemail, key, iv)
+      : undefined
+    element.expiresAt = element.expiresat
+    delete element.holdername
+    delete element.holderemail
+    delete element.expiresat
+  }
+  return parseFileRows(result.rows)
+}
+
+/**
+ * Retrieves a file reencrypted from a file of a specific original owner.
+ * Files uploaded by the original owner itself are not found.
+ *
+ * @param {string} uuid - The UUID of the reencrypted file.
+ * @param {string} userId - The ID of the original owner.
+ * @returns {Promise<object|undefined>} The file information if found, or undefined if not found.
+ */
+export const getDerivedFileInfoOfOriginOwnerId = async (uuid, userId) => {
+  const result = await pool.query(
+    'SELECT * FROM files WHERE id = $1 AND originOwnerId = $2 AND ownerId <> originOwnerId',
+    [uuid, userId]
+  )
+  return parseFileRows(result.rows)[0]
+}
+
+/**
+ * Searches files not in trash of an owner by name and description.
+ * Files are matched by substring or name similarity, and ordered by similarity and then by ID.
+ * The path of the folder containing each file is included, for example '/photos/2025', or '/' for root.
+ *
+ * @param {string} userId - The ID of the owner.
+ * @param {string} query - The text to search for.
+ * @param {{limit: number, after: {value: string, id: string}|null}} options - The maximum number of files,
+ * and the position of the last file of the previous page, or null for the first page.
+ * @returns {Promise<{rows: Array<object>, hasMore: boolean, last: {value: string, id: string}|null}>}
+ * The files in the page, whether there are more files, and the position of the last file.
+ */
+export const searchFilesOfOwnerId = async (userId, query, { limit, after }) => {
+  const pattern = '%' + query.replace(/[\\%_]/g, '\\$&') + '%'
+  const params = [userId, query, pattern, limit + 1]
+  let afterCondition = ''
+  if (after) {
+    params.push(after.value, after.id)
+    afterCondition = 'WHERE (rank, id) < ($5::real, $6)'
+  }
+  const result = await pool.query(
+    `WITH RECURSIVE matches AS (
+         SELECT * FROM (
+           SELECT *, GREATEST(similarity(name, $2), similarity(description, $2)) AS rank FROM files
+             WHERE ownerId = $1 AND deletedAt IS NULL
+             AND (name ILIKE $3 OR description ILIKE $3 OR name % $2)
+         ) AS ranked ${afterCondition}
+         ORDER BY rank DESC, id DESC LIMIT $4
+       ), paths AS (
+         SELECT id AS fileId, parentFolderId AS folderId, ''::text AS path FROM matches
+         UNION ALL
+         SELECT paths.fileId, folders.parentFolderId, '/' || folders.name || paths.path
+           FROM paths JOIN folders ON folders.id = paths.folderId
+       )
+       SELECT matches.*, matches.rank::text AS rankvalue, COALESCE(NULLIF(paths.path, ''), '/') AS folderpath
+         FROM matches JOIN paths ON paths.fileId = matches.id AND paths.folderId IS NULL
+         ORDER BY matches.rank DESC, matches.id DESC`,
+    params
+  )
+  const hasMore = result.rows.length > limit
+  const rows = result.rows.slice(0, limit)
+  const lastRow = rows.at(-1)
+  const last = lastRow ? { value: lastRow.rankvalue, id: lastRow.id } : null
+  for (const row of rows) {
+    row.folderPath = row.folderpath
+    delete row.folderpath
+    delete row.rank
+    delete row.rankvalue
+  }
+  return { rows: parseFileRows(rows), hasMore, last }
+}
+
 /**
  * Retrieves all public files (permissions = 1).
  *
  * @returns {Promise<Array<object>>} An array of public file objects.
  */
 export const getAllPublicFiles = async () => {
-  const result = await pool.query('SELECT * FROM files WHERE permissions = 1')
+  const result = await pool.query('SELECT * FROM files WHERE permissions = 1 AND deletedAt IS NULL')
   return parseFileRows(result.rows)
 }
 
@@ -409,9 +602,10 @@ export const getAllPublicFiles = async () => {
  * @returns {Promise<Array<object>>} An array of public file objects not owned by the specified user.
  */
 export const getAllPublicFilesNotOwned = async (userId) => {
-  const result = await pool.query('SELECT * FROM files WHERE permissions = 1 AND ownerId != $1', [
-    userId
-  ])
+  const result = await pool.query(
+    'SELECT * FROM files WHERE permissions = 1 AND ownerId != $1 AND deletedAt IS NULL',
+    [userId]
+  )
   return parseFileRows(result.rows)
 }
 
@@ -423,7 +617,7 @@ export const getAllPublicFilesNotOwned = async (userId) => {
  */
 export const getPublicFilesNotOwnedByFileId = async (userId, fileId) => {
   const result = await pool.query(
-    `SELECT * FROM files WHERE id = $1 AND permissions = 1 AND ownerId != $2`,
+    `SELECT * FROM files WHERE id = $1 AND permissions = 1 AND ownerId != $2 AND deletedAt IS NULL`,
     [fileId, userId]
   )
   if (result.rows.length > 0) {
@@ -439,8 +633,10 @@ const parseFolderRows = (rows) => {
   for (const element of rows) {
     element.ownerId = element.ownerid
     element.parentFolderId = element.parentfolderid
+    element.deletedAt = element.deletedat
     delete element.ownerid
     delete element.parentfolderid
+    delete element.deletedat
   }
   return rows
 }
@@ -472,6 +668,51 @@ export const deleteFolder = async (folderId) => {
   return await pool.query('DELETE FROM folders WHERE id = $1', [folderId])
 }
 
+/**
+ * Renames a folder owned by a specific user.
+ * The new name is rejected if another folder in the same parent folder already uses it.
+ * Checked in the same query as the update, so concurrent renames cannot both take the name.
+ *
+ * @param {string} folderId - The ID of the folder.
+ * @param {string} userId - The ID of the owner.
+ * @param {string} name - The new name of the folder.
+ * @returns {Promise<object>} The query result, with rowCount 0 if the name already exists in the same folder.
+ */
+export const renameFolderOfOwnerId = async (folderId, userId, name) => {
+  return await pool.query(
+    `UPDATE folders SET name = $1 WHERE id = $2 AND ownerId = $3 AND deletedAt IS NULL
+         AND NOT EXISTS (
+           SELECT 1 FROM folders AS siblings
+           WHERE siblings.ownerId = folders.ownerId
+           AND siblings.parentFolderId IS NOT DISTINCT FROM folders.parentFolderId
+           AND siblings.name = $1 AND siblings.id != folders.id AND siblings.deletedAt IS NULL
+         )`,
+    [name, folderId, userId]
+  )
+}
+
+/**
+ * Moves a folder owned by a specific user to a different parent folder.
+ * The folder is not moved if another folder in the new parent folder already uses its name.
+ *
+ * @param {string} folderId - The ID of the folder.
+ * @param {string} userId - The ID of the owner.
+ * @param {string|null} parentFolderId - The ID of the new parent folder, or null for root.
+ * @returns {Promise<object>} The query result, with rowCount 0 if the name already exists in the new parent folder.
+ */
+export const moveFolderToFolderOfOwnerId = async (folderId, userId, parentFolderId) => {
+  return await pool.query(
+    `UPDATE folders SET parentFolderId = $1 WHERE id = $2 AND ownerId = $3 AND deletedAt IS NULL
+         AND NOT EXISTS (
+           SELECT 1 FROM folders AS siblings
+           WHERE siblings.ownerId = folders.ownerId
+           AND siblings.parentFolderId IS NOT DISTINCT FROM $1
+           AND siblings.name = folders.name AND siblings.id != folders.id AND siblings.deletedAt IS NULL
+         )`,
+    [parentFolderId, folderId, userId]
+  )
+}
+
 /**
  * Retrieves folder information by its ID.
  *
@@ -483,6 +724,21 @@ export const getFolderInfo = async (folderId) => {
   return parseFolderRows(result.rows)[0]
 }
 
+/**
+ * Updates the permissions of a folder owned by a specific user.
+ *
+ * @param {string} folderId - The ID of the folder.
+ * @param {string} userId - The ID of the owner.
+ * @param {number} permissions - The new permissions value.
+ * @returns {Promise<object>}
+ */
+export const updateFolderPermOfOwnerId = async (folderId, userId, permissions) => {
+  return await pool.query(
+    'UPDATE folders SET permissions = $1 WHERE id = $2 AND ownerId = $3 AND deletedAt IS NULL',
+    [permissions, folderId, userId]
+  )
+}
+
 /**
  * Retrieves folder information by its ID and owner ID.
  *
@@ -491,10 +747,10 @@ export const getFolderInfo = async (folderId) => {
  * @returns {Promise<object|undefined>} The folder information if found, or undefined.
  */
 export const getFolderInfoOfOwnerId = async (folderId, userId) => {
-  const result = await pool.query('SELECT * FROM folders WHERE id = $1 AND ownerId = $2', [
-    folderId,
-    userId
-  ])
+  const result = await pool.query(
+    'SELECT * FROM folders WHERE id = $1 AND ownerId = $2 AND deletedAt IS NULL',
+    [folderId, userId]
+  )
   return parseFolderRows(result.rows)[0]
 }
 
@@ -505,7 +761,10 @@ export const getFolderInfoOfOwnerId = async (folderId, userId) => {
  * @returns {Promise<Array<object>>} An array of folder objects.
  */
 export const getAllFoldersByUserId = async (userId) => {
-  const result = await pool.query('SELECT * FROM folders WHERE ownerId = $1', [userId])
+  const result = await pool.query(
+    'SELECT * FROM folders WHERE ownerId = $1 AND deletedAt IS NULL',
+    [userId]
+  )
   return parseFolderRows(result.rows)
 }
 
@@ -527,9 +786,14 @@ export const getAllFoldersByParentFolderId = async (parentFolderId) => {
  *
  * @param {string|null} parentFolderId - The ID of the parent folder, or null for root folders.
  * @param {string} userId - The ID of the owner.
+ * @param {boolean} includeDeleted - Whether to include folders in trash.
  * @returns {Promise<Array<object>>} An array of folder objects.
  */
-export const getAllFoldersByParentFolderIdUserId = async (parentFolderId, userId) => {
+export const getAllFoldersByParentFolderIdUserId = async (
+  parentFolderId,
+  userId,
+  includeDeleted = false
+) => {
   let queryText
   let params
 
@@ -540,212 +804,1341 @@ export const getAllFoldersByParentFolderIdUserId = async (parentFolderId, userId
     queryText = 'SELECT * FROM folders WHERE parentFolderId IS NULL AND ownerId = $1'
     params = [userId]
   }
+  if (!includeDeleted) queryText += ' AND deletedAt IS NULL'
 
   const result = await pool.query(queryText, params)
   return parseFolderRows(result.rows)
 }
 
-//- Request
-// Use camel cases
-const parseRequestResponseRows = async (rows) => {
-  for (const element of rows) {
-    element.ownerId = element.ownerid
-    element.originOwnerId = element.originownerid
-    element.parentFolderId = element.parentfolderid
-    element.fileDescription = element.filedescription
-    element.fileTimestamp = element.filetimestamp
-    element.requestId = element.requestid
-    element.fileId = element.fileid
-    element.requestDescription = element.requestdescription
-    element.requestTime = element.requesttime
-    element.responseDescription = element.responsedescription
-    element.responseTime = element.responsetime
-    element.userName = element.username
-      ? await decryptWithAES(element.username, key, iv)
-      : undefined
-    element.userEmail = element.useremail
-      ? await decryptWithAES(element.useremail, key, iv)
-      : undefined
-    delete element.ownerid
-    delete element.originownerid
-    delete element.parentfolderid
-    delete element.filedescription
-    delete element.filetimestamp
-    delete element.requestid
-    delete element.fileid
-    delete element.requestdescription
-    delete element.requesttime
-    delete element.responsedescription
-    delete element.responsetime
-    delete element.username
-    delete element.useremail
+//- List page
+/**
+ * @typedef {object} ListPageOptions
+ * @property {number} limit - The maximum number of items in the page.
+ * @property {{value: string|null, id: string|null}|null} after - The position of the last item of the previous page, or null for the first page.
+ * @property {'name'|'size'|'timestamp'} sortBy - The column to sort by. Folders are sorted by name instead of size.
+ * @property {'asc'|'desc'} order - The sort order.
+ * @property {Array<number>} [permissions] - Only list items with one of these permissions.
+ * @property {string} [namePrefix] - Only list items whose name starts with this prefix.
+ * @property {string} [from] - Only list items created at or after this time.
+ * @property {string} [to] - Only list items created at or before this time.
+ */
+
+// Sort expressions and their types. NULLs are replaced so that row comparison works.
+const listSortColumns = {
+  files: {
+    name: { column: 'name', type: 'text' },
+    size: { column: 'COALESCE(size, 0)', type: 'bigint' },
+    timestamp: { column: "COALESCE(timestamp, 'epoch')", type: 'timestamptz' }
+  },
+  folders: {
+    name: { column: 'name', type: 'text' },
+    size: { column: 'name', type: 'text' },
+    timestamp: { column: "COALESCE(timestamp, 'epoch')", type: 'timestamptz' }
   }
-  return rows
 }
+
 /**
-/**
- * Adds a unique request to the database with the given file ID, UUID, owner, and requester.
+ * Retrieves a page of files or folders not in trash by parent folder ID and owner ID.
+ * Items are ordered by the sort column and then by ID, which gives every item a unique position.
  *
- * @param {string} fileId - The ID of the file in the database.
- * @param {string} requester - The ID of the requester.
- * @param {string} description - The description of the request.
- * @return {Promise<string | null>} Returns the requestId if the request was added successfully, null otherwise.
+ * @param {'files'|'folders'} table - The table to list.
+ * @param {string|null} parentFolderId - The ID of the parent folder, or null for root.
+ * @param {string} userId - The ID of the owner.
+ * @param {ListPageOptions} options - The page options.
+ * @returns {Promise<{rows: Array<object>, hasMore: boolean, last: {value: string, id: string}|null}>}
+ * The items in the page, whether there are more items, and the position of the last item.
  */
-export const addUniqueRequest = async (fileId, requester, description) => {
-  const existingRequest = await pool.query(
-    `SELECT requests.fileId, requests.requester FROM requests LEFT JOIN responses ON responses.requestId = requests.id
-         WHERE requests.fileId = $1 AND requests.requester = $2 AND responses.agreed IS NULL`,
-    [fileId, requester]
-  )
+const getPageByParentFolderIdUserId = async (table, parentFolderId, userId, options) => {
+  const { limit, after, sortBy, order, permissions, namePrefix, from, to } = options
+  const { column, type } = listSortColumns[table][sortBy]
+  const params = []
+  const param = (value) => {
+    params.push(value)
+    return '$' + params.length
+  }
 
-  if (existingRequest.rows.length > 0) {
-    return null // Request already exists and not responded
+  const conditions = [`ownerId = ${param(userId)}`, 'deletedAt IS NULL']
+  if (parentFolderId) conditions.push(`parentFolderId = ${param(parentFolderId)}`)
+  else conditions.push('parentFolderId IS NULL')
+  if (permissions) conditions.push(`permissions = ANY(${param(permissions)})`)
+  if (namePrefix) {
+    conditions.push(`name LIKE ${param(namePrefix.replace(/[\\%_]/g, '\\$&') + '%')}`)
+  }
+  if (from) conditions.push(`timestamp >= ${param(from)}`)
+  if (to) conditions.push(`timestamp <= ${param(to)}`)
+  const direction = order == 'desc' ? 'DESC' : 'ASC'
+  if (after) {
+    conditions.push(
+      `(${column}, id) ${order == 'desc' ? '<' : '>'} (${param(after.value)}::${type}, ${param(after.id)})`
+    )
   }
 
-  const requestId = randomUUID().toString()
-  await pool.query(
-    'INSERT INTO requests (fileId, id, requester, description) VALUES ($1, $2, $3, $4)',
-    [fileId, requestId, requester, description]
+  const result = await pool.query(
+    `SELECT *, (${column})::text AS sortvalue FROM ${table} WHERE ${conditions.join(' AND ')}
+       ORDER BY ${column} ${direction}, id ${direction} LIMIT ${param(limit + 1)}`,
+    params
   )
-  return requestId
+  const hasMore = result.rows.length > limit
+  const rows = result.rows.slice(0, limit)
+  const lastRow = rows.at(-1)
+  const last = lastRow ? { value: lastRow.sortvalue, id: lastRow.id } : null
+  for (const row of rows) delete row.sortvalue
+  return { rows, hasMore, last }
 }
 
 /**
- * Adds a response to a request.
+ * Retrieves a page of files not in trash by parent folder ID and owner ID.
  *
- * @param {string} requestId - The ID of the request being responded to.
- * @param {boolean} agreed - Whether the request was agreed to.
- * @param {string} description - The description of the response.
- * @returns {Promise<{result: object, responseId: string}>} An object containing the query result and the new responseId.
+ * @param {string|null} parentFolderId - The ID of the parent folder, or null for root files.
+ * @param {string} userId - The ID of the owner.
+ * @param {ListPageOptions} options - The page options.
+ * @returns {Promise<{rows: Array<object>, hasMore: boolean, last: {value: string, id: string}|null}>}
  */
-export const addResponse = async (requestId, agreed, description) => {
-  const responseId = randomUUID().toString()
-  const result = await pool.query(
-    'INSERT INTO responses (id, requestId, agreed, description) VALUES ($1, $2, $3, $4)',
-    [responseId, requestId, agreed, description || '']
-  )
-  return { result, responseId }
+export const getFilesPageByParentFolderIdUserId = async (parentFolderId, userId, options) => {
+  const page = await getPageByParentFolderIdUserId('files', parentFolderId, userId, options)
+  page.rows = parseFileRows(page.rows)
+  return page
 }
 
 /**
- * Deletes a response by its ID.
+ * Retrieves a page of folders not in trash by parent folder ID and owner ID.
  *
- * @param {string} responseId - The ID of the response to delete.
- * @returns {Promise<void>}
+ * @param {string|null} parentFolderId - The ID of the parent folder, or null for root folders.
+ * @param {string} userId - The ID of the owner.
+ * @param {ListPageOptions} options - The page options.
+ * @returns {Promise<{rows: Array<object>, hasMore: boolean, last: {value: string, id: string}|null}>}
  */
-export const deleteResponseById = async (responseId) => {
-  await pool.query('DELETE from responses where id = $1', [responseId])
+export const getFoldersPageByParentFolderIdUserId = async (parentFolderId, userId, options) => {
+  const page = await getPageByParentFolderIdUserId('folders', parentFolderId, userId, options)
+  page.rows = parseFolderRows(page.rows)
+  return page
 }
 
+//- Trash
 /**
- * Retrieves all requests and their responses, along with file and owner information, for a given file owner.
+ * Sets or clears the deletion timestamp of a file. A file with a deletion timestamp is in trash.
  *
- * @param {string} userId - The ID of the file owner.
- * @returns {Promise<Array<object>>} An array of request/response/file/owner objects.
+ * @param {string} uuid - The UUID of the file.
+ * @param {Date|null} deletedAt - The deletion timestamp, or null to restore the file.
+ * @returns {Promise<object>}
  */
-export const getAllRequestsResponsesFilesByOwner = async (userId) => {
-  const result = await pool.query(
-    `SELECT requests.id as requestId, requests.fileId, requests.requester, requests.description as requestDescription, requests.timestamp as requestTime,
-         responses.agreed, responses.description as responseDescription, responses.timestamp as responseTime,
-         files.name, files.ownerId, files.originOwnerId, files.permissions, files.parentFolderId, files.size, files.description , files.timestamp, files.spk,
-         requesters.pk, requesters.name as userName, requesters.email as userEmail
-         FROM requests LEFT JOIN responses ON responses.requestId = requests.id JOIN files ON requests.fileId = files.id
-         JOIN users as owners ON files.ownerId = owners.id JOIN users as requesters ON requests.requester = requesters.id WHERE files.ownerId = $1`,
-    [userId]
-  )
-  const parsedRows = await parseRequestResponseRows(result.rows)
-  return parsedRows
+export const setFileDeletedAt = async (uuid, deletedAt) => {
+  return await pool.query('UPDATE files SET deletedAt = $1 WHERE id = $2', [deletedAt, uuid])
 }
 
 /**
- * Retrieves all requests and their responses made by a specific requester.
+ * Sets or clears the deletion timestamp of a folder. A folder with a deletion timestamp is in trash.
  *
- * @param {string} userId - The ID of the requester.
- * @returns {Promise<Array<object>>} An array of request/response objects.
+ * @param {string} folderId - The ID of the folder.
+ * @param {Date|null} deletedAt - The deletion timestamp, or null to restore the folder.
+ * @returns {Promise<object>}
  */
-export const getAllRequestsResponsesByRequester = async (userId) => {
-  const result = await pool.query(
-    `SELECT requests.id as requestId, requests.fileId, requests.requester, requests.description as requestDescription, requests.timestamp as requestTime,
-         responses.agreed, responses.description as responseDescription, responses.timestamp as responseTime,
-         users.name as userName, users.email as userEmail
-         FROM requests LEFT JOIN responses ON responses.requestId = requests.id JOIN users ON requests.requester = users.id WHERE requests.requester = $1`,
-    [userId]
+export const setFolderDeletedAt = async (folderId, deletedAt) => {
+  return await pool.query('UPDATE folders SET deletedAt = $1 WHERE id = $2', [deletedAt, folderId])
+}
+
+/**
+ * Restores a file in trash owned by a specific user into a parent folder.
+ * The file is not restored if another file in the parent folder already uses its name.
+ *
+ * @param {string} uuid - The UUID of the file.
+ * @param {string} userId - The ID of the owner.
+ * @param {string|null} parentFolderId - The ID of the parent folder to restore into, or null for root.
+ * @returns {Promise<object>} The query result, with rowCount 0 if the name already exists in the parent folder.
+ */
+export const restoreFileOfOwnerId = async (uuid, userId, parentFolderId) => {
+  return await pool.query(
+    `UPDATE files SET deletedAt = NULL, parentFolderId = $3
+         WHERE id = $1 AND ownerId = $2 AND deletedAt IS NOT NULL
+         AND NOT EXISTS (
+           SELECT 1 FROM files AS siblings
+           WHERE siblings.ownerId = files.ownerId
+           AND siblings.parentFolderId IS NOT DISTINCT FROM $3
+           AND siblings.name = files.name AND siblings.id != files.id AND siblings.deletedAt IS NULL
+         )`,
+    [uuid, userId, parentFolderId]
   )
-  const parsedRows = await parseRequestResponseRows(result.rows)
-  return parsedRows
 }
 
 /**
- * Retrieves a request that has not been responded to, identified by request ID and file owner.
+ * Restores a folder in trash owned by a specific user into a parent folder.
+ * The folder is not restored if another folder in the parent folder already uses its name.
+ * Items inside the folder are not restored.
  *
- * @param {string} requestId - The ID of the request.
- * @param {string} ownerId - The ID of the file owner.
- * @returns {Promise<object|undefined>} The request information if found, or undefined.
+ * @param {string} folderId - The ID of the folder.
+ * @param {string} userId - The ID of the owner.
+ * @param {string|null} parentFolderId - The ID of the parent folder to restore into, or null for root.
+ * @returns {Promise<object>} The query result, with rowCount 0 if the name already exists in the parent folder.
  */
-export const getRequestNotRespondedByIdOfFileOwner = async (requestId, ownerId) => {
-  const result = await pool.query(
-    `SELECT requests.fileId, requests.requester FROM requests LEFT JOIN responses ON responses.requestId = requests.id JOIN files ON requests.fileId = files.id
-         WHERE requests.id = $1 AND files.ownerId = $2 AND responses.agreed IS NULL`,
-    [requestId, ownerId]
+export const restoreFolderOfOwnerId = async (folderId, userId, parentFolderId) => {
+  return await pool.query(
+    `UPDATE folders SET deletedAt = NULL, parentFolderId = $3
+         WHERE id = $1 AND ownerId = $2 AND deletedAt IS NOT NULL
+         AND NOT EXISTS (
+           SELECT 1 FROM folders AS siblings
+           WHERE siblings.ownerId = folders.ownerId
+           AND siblings.parentFolderId IS NOT DISTINCT FROM $3
+           AND siblings.name = folders.name AND siblings.id != folders.id AND siblings.deletedAt IS NULL
+         )`,
+    [folderId, userId, parentFolderId]
   )
-  const parsedRows = await parseRequestResponseRows(result.rows)
-  return parsedRows[0]
 }
 
 /**
- * Retrieves the requester's public key and file ID for a given request ID.
+ * Retrieves a file in trash by its ID and owner ID.
  *
- * @param {string} requestId - The ID of the request.
- * @returns {Promise<{requester: string, pk: string, fileId: string}|undefined>} The public key of the requester and file ID, or undefined.
+ * @param {string} uuid - The UUID of the file.
+ * @param {string} userId - The ID of the owner.
+ * @returns {Promise<object|undefined>} An object of the file information if found, or undefined if not found.
  */
-export const getRequesterPkFileId = async (requestId) => {
+export const getTrashedFileInfoOfOwnerId = async (uuid, userId) => {
   const result = await pool.query(
-    `SELECT users.pk, requests.requester, requests.fileId FROM requests
-         JOIN users ON requests.requester = users.id
-         WHERE requests.id = $1`,
-    [requestId]
+    'SELECT * FROM files WHERE id = $1 AND ownerId = $2 AND deletedAt IS NOT NULL',
+    [uuid, userId]
   )
-  const parsedRows = await parseRequestResponseRows(result.rows)
-  return parsedRows[0]
+  return parseFileRows(result.rows)[0]
 }
 
 /**
- * Retrieves request information by its ID.
+ * Retrieves a folder in trash by its ID and owner ID.
  *
- * @param {string} requestId - The ID of the request.
- * @returns {Promise<object|undefined>} The information of the request, or undefined.
- */
-export const getRequestById = async (requestId) => {
+ * @param {string} folderId - The ID of the folder.
+ * @param {string} userId - The ID of the owner.
+ * @returns {Promise<object|undefined>} The folder information if found, or undefined.
+ */
+export const getTrashedFolderInfoOfOwnerId = async (folderId, userId) => {
+  const result = await pool.query(
+    'SELECT * FROM folders WHERE id = $1 AND ownerId = $2 AND deletedAt IS NOT NULL',
+    [folderId, userId]
+  )
+  return parseFolderRows(result.rows)[0]
+}
+
+/**
+ * Retrieves the files a user deleted directly, excluding files deleted along with their parent folder.
+ *
+ * @param {string} userId - The ID of the owner.
+ * @returns {Promise<Array<object>>} An array of file objects in trash.
+ */
+export const getTrashedFilesOfOwnerId = async (userId) => {
+  const result = await pool.query(
+    `SELECT files.* FROM files LEFT JOIN folders ON files.parentFolderId = folders.id
+         WHERE files.ownerId = $1 AND files.deletedAt IS NOT NULL
+         AND folders.deletedAt IS DISTINCT FROM files.deletedAt`,
+    [userId]
+  )
+  return parseFileRows(result.rows)
+}
+
+/**
+ * Retrieves the folders a user deleted directly, excluding folders deleted along with their parent folder.
+ *
+ * @param {string} userId - The ID of the owner.
+ * @returns {Promise<Array<object>>} An array of folder objects in trash.
+ */
+export const getTrashedFoldersOfOwnerId = async (userId) => {
+  const result = await pool.query(
+    `SELECT folders.* FROM folders LEFT JOIN folders AS parents ON folders.parentFolderId = parents.id
+         WHERE folders.ownerId = $1 AND folders.deletedAt IS NOT NULL
+         AND parents.deletedAt IS DISTINCT FROM folders.deletedAt`,
+    [userId]
+  )
+  return parseFolderRows(result.rows)
+}
+
+/**
+ * Retrieves all files in trash of a user, including files deleted along with their parent folder.
+ *
+ * @param {string} userId - The ID of the owner.
+ * @returns {Promise<Array<object>>} An array of file objects in trash.
+ */
+export const getAllTrashedFilesOfOwnerId = async (userId) => {
+  const result = await pool.query(
+    'SELECT * FROM files WHERE ownerId = $1 AND deletedAt IS NOT NULL',
+    [userId]
+  )
+  return parseFileRows(result.rows)
+}
+
+/**
+ * Retrieves all folders in trash of a user, including folders deleted along with their parent folder.
+ *
+ * @param {string} userId - The ID of the owner.
+ * @returns {Promise<Array<object>>} An array of folder objects in trash.
+ */
+export const getAllTrashedFoldersOfOwnerId = async (userId) => {
+  const result = await pool.query(
+    'SELECT * FROM folders WHERE ownerId = $1 AND deletedAt IS NOT NULL',
+    [userId]
+  )
+  return parseFolderRows(result.rows)
+}
+
+/**
+ * Retrieves all files of every user which were put in trash before a certain time.
+ *
+ * @param {Date} deletedBefore - The time before which the files were deleted.
+ * @returns {Promise<Array<object>>} An array of file objects in trash.
+ */
+export const getAllTrashedFilesDeletedBefore = async (deletedBefore) => {
+  const result = await pool.query('SELECT * FROM files WHERE deletedAt < $1', [deletedBefore])
+  return parseFileRows(result.rows)
+}
+
+/**
+ * Retrieves all folders of every user which were put in trash before a certain time.
+ *
+ * @param {Date} deletedBefore - The time before which the folders were deleted.
+ * @returns {Promise<Array<object>>} An array of folder objects in trash.
+ */
+export const getAllTrashedFoldersDeletedBefore = async (deletedBefore) => {
+  const result = await pool.query('SELECT * FROM folders WHERE deletedAt < $1', [deletedBefore])
+  return parseFolderRows(result.rows)
+}
+
+//- File version
+// Helper function
+const parseFileVersionRows = (rows) => {
+  for (const element of rows) {
+    element.fileId = element.fileid
+    element.uploadId = element.uploadid
+    delete element.fileid
+    delete element.uploadid
+  }
+  return rows
+}
+
+/**
+ * Archives the current content of a file as a version and replaces it with newly uploaded content.
+ * The new content gets the next version number of the file.
+ *
+ * @param {string} archiveId - The UUID of the archived version, which is also its stored filename.
+ * @param {object} versionData - Object containing the new content.
+ * @param {string} versionData.fileId - The UUID of the file.
+ * @param {string} versionData.uploadId - The UUID the new content was uploaded and verified with.
+ * @param {string} versionData.cipher - The cipher for the key.
+ * @param {string} versionData.spk - The cipher for the initialization vector.
+ * @param {number} versionData.size - The size of the new content in bytes.
+ * @param {number} versionData.infoBlockNumber - The block of file info on blockchain.
+ * @param {number} versionData.verifyBlockNumber - The block of verification info on blockchain.
+ * @param {string} versionData.hash - The SHA-256 hash of the new content.
+ * @returns {Promise<number|undefined>} The new version number, or undefined if the file does not exist.
+ */
+export const addFileVersion = async (
+  archiveId,
+  { fileId, uploadId, cipher, spk, size, infoBlockNumber, verifyBlockNumber, hash }
+) => {
+  const result = await pool.query(
+    `
+        WITH current AS (SELECT * FROM files WHERE id = $1 AND deletedAt IS NULL FOR UPDATE),
+        archived AS (
+          INSERT INTO file_versions (id, fileId, version, uploadId, cipher, spk, size, infoblocknumber, verifyblocknumber, timestamp, hash)
+          SELECT $2, id, version, COALESCE(uploadId, id), cipher, spk, size, infoblocknumber, verifyblocknumber, timestamp, hash FROM current
+        )
+        UPDATE files SET cipher = $3, spk = $4, size = $5, uploadId = $6, infoblocknumber = $7, verifyblocknumber = $8, hash = $9, timestamp = NOW(),
+          version = GREATEST(files.version, (SELECT COALESCE(MAX(version), 0) FROM file_versions WHERE fileId = $1)) + 1
+        FROM current WHERE files.id = current.id
+        RETURNING files.version
+    `,
+    [fileId, archiveId, cipher, spk, size, uploadId, infoBlockNumber, verifyBlockNumber, hash]
+  )
+  return result.rows[0]?.version
+}
+
+/**
+ * Swaps the current content of a file with one of its archived versions.
+ * The current content is archived with its own version number, only if the version to restore exists.
+ *
+ * @param {string} fileId - The UUID of the file.
+ * @param {string} versionId - The UUID of the version to restore.
+ * @param {string} archiveId - The UUID of the archived current content.
+ * @returns {Promise<import('pg').QueryResult>} A promise that resolves to the query result.
+ */
+export const restoreFileVersion = async (fileId, versionId, archiveId) => {
+  return await pool.query(
+    `
+        WITH current AS (SELECT * FROM files WHERE id = $1 AND deletedAt IS NULL FOR UPDATE),
+        target AS (
+          DELETE FROM file_versions WHERE id = $2 AND fileId IN (SELECT id FROM current) RETURNING *
+        ),
+        archived AS (
+          INSERT INTO file_versions (id, fileId, version, uploadId, cipher, spk, size, infoblocknumber, verifyblocknumber, timestamp, hash)
+          SELECT $3, id, version, COALESCE(uploadId, id), cipher, spk, size, infoblocknumber, verifyblocknumber, timestamp, hash FROM current
+            WHERE EXISTS (SELECT 1 FROM target)
+        )
+        UPDATE files SET cipher = target.cipher, spk = target.spk, size = target.size, uploadId = target.uploadId, hash = target.hash,
+          infoblocknumber = target.infoblocknumber, verifyblocknumber = target.verifyblocknumber,
+          timestamp = target.timestamp, version = target.version
+        FROM target WHERE files.id = $1
+    `,
+    [fileId, versionId, archiveId]
+  )
+}
+
+/**
+ * Retrieves all archived versions of a file, newest first.
+ *
+ * @param {string} fileId - The UUID of the file.
+ * @returns {Promise<Array<object>>} An array of file version objects.
+ */
+export const getFileVersionsOfFileId = async (fileId) => {
+  const result = await pool.query(
+    'SELECT * FROM file_versions WHERE fileId = $1 ORDER BY version DESC',
+    [fileId]
+  )
+  return parseFileVersionRows(result.rows)
+}
+
+/**
+ * Retrieves an archived version of a file by its version number.
+ *
+ * @param {string} fileId - The UUID of the file.
+ * @param {number} version - The version number.
+ * @returns {Promise<object|undefined>} The file version if found, or undefined.
+ */
+export const getFileVersionOfFileId = async (fileId, version) => {
+  const result = await pool.query(
+    'SELECT * FROM file_versions WHERE fileId = $1 AND version = $2',
+    [fileId, version]
+  )
+  return parseFileVersionRows(result.rows)[0]
+}
+
+//- Request
+// Use camel cases
+const parseRequestResponseRows = async (rows) => {
+  for (const element of rows) {
+    element.ownerId = element.ownerid
+    element.originOwnerId = element.originownerid
+    element.parentFolderId = element.parentfolderid
+    element.fileDescription = element.filedescription
+    element.fileTimestamp = element.filetimestamp
+    element.requestId = element.requestid
+    element.fileId = element.fileid
+    element.requestDescription = element.requestdescription
+    element.requestTime = element.requesttime
+    element.responseDescription = element.responsedescription
+    element.responseTime = element.responsetime
+    element.expiresAt = element.expiresat
+    element.expiredAt = element.expiredat
+    element.folderRequestId = element.folderrequestid
+    element.userName = element.username
+      ? await decryptWithAES(element.username, key, iv)
+      : undefined
+    element.userEmail = element.useremail
+      ? await decryptWithAES(element.useremail, key, iv)
+      : undefined
+    delete element.ownerid
+    delete element.originownerid
+    delete element.parentfolderid
+    delete element.filedescription
+    delete element.filetimestamp
+    delete element.requestid
+    delete element.fileid
+    delete element.expiresat
+    delete element.expiredat
+    delete element.folderrequestid
+    delete element.requestdescription
+    delete element.requesttime
+    delete element.responsedescription
+    delete element.responsetime
+    delete element.username
+    delete element.useremail
+  }
+  return rows
+}
+/**
+/**
+ * Adds a unique request to the database with the given file ID, UUID, owner, and requester.
+ *
+ * @param {string} fileId - The ID of the file in the database.
+ * @param {string} requester - The ID of the requester.
+ * @param {string} description - The description of the request.
+ * @param {string|null} folderRequestId - The ID of the folder request this request belongs to, or null.
+ * @return {Promise<string | null>} Returns the requestId if the request was added successfully, null otherwise.
+ */
+export const addUniqueRequest = async (fileId, requester, description, folderRequestId = null) => {
+  const existingRequest = await pool.query(
+    `SELECT requests.fileId, requests.requester FROM requests LEFT JOIN responses ON responses.requestId = requests.id
+         WHERE requests.fileId = $1 AND requests.requester = $2 AND responses.agreed IS NULL
+         AND requests.expiredAt IS NULL`,
+    [fileId, requester]
+  )
+
+  if (existingRequest.rows.length > 0) {
+    return null // Request already exists and not responded
+  }
+
+  const requestId = randomUUID().toString()
+  await pool.query(
+    'INSERT INTO requests (fileId, id, requester, description, folderRequestId) VALUES ($1, $2, $3, $4, $5)',
+    [fileId, requestId, requester, description, folderRequestId]
+  )
+  return requestId
+}
+
+/**
+ * Adds a folder request to the database, unless the requester has a pending request of the same folder.
+ *
+ * @param {string} folderId - The ID of the requested folder.
+ * @param {string} requester - The ID of the requester.
+ * @param {string} description - The description of the request.
+ * @return {Promise<string | null>} Returns the folderRequestId if added successfully, null otherwise.
+ */
+export const addUniqueFolderRequest = async (folderId, requester, description) => {
+  const existingRequest = await pool.query(
+    `SELECT folder_requests.id FROM folder_requests JOIN requests ON requests.folderRequestId = folder_requests.id
+         LEFT JOIN responses ON responses.requestId = requests.id
+         WHERE folder_requests.folderId = $1 AND folder_requests.requester = $2 AND responses.agreed IS NULL
+         AND requests.expiredAt IS NULL`,
+    [folderId, requester]
+  )
+
+  if (existingRequest.rows.length > 0) {
+    return null // Request already exists and not responded
+  }
+
+  const folderRequestId = randomUUID().toString()
+  await pool.query(
+    'INSERT INTO folder_requests (id, folderId, requester, description) VALUES ($1, $2, $3, $4)',
+    [folderRequestId, folderId, requester, description]
+  )
+  return folderRequestId
+}
+
+/**
+ * Deletes a folder request along with the requests of its files.
+ *
+ * @param {string} folderRequestId - The ID of the folder request.
+ * @returns {Promise<void>}
+ */
+export const deleteFolderRequest = async (folderRequestId) => {
+  await pool.query('DELETE FROM folder_requests WHERE id = $1', [folderRequestId])
+}
+
+/**
+ * Retrieves a folder request of a folder owned by a specific user.
+ *
+ * @param {string} folderRequestId - The ID of the folder request.
+ * @param {string} ownerId - The ID of the folder owner.
+ * @returns {Promise<object|undefined>} The folder request with folder name and owner ID, or undefined.
+ */
+export const getFolderRequestOfFolderOwner = async (folderRequestId, ownerId) => {
+  const result = await pool.query(
+    `SELECT folder_requests.id, folder_requests.folderId, folder_requests.requester, folders.name, folders.ownerId
+         FROM folder_requests JOIN folders ON folder_requests.folderId = folders.id
+         WHERE folder_requests.id = $1 AND folders.ownerId = $2`,
+    [folderRequestId, ownerId]
+  )
+  for (const element of result.rows) {
+    element.folderId = element.folderid
+    element.ownerId = element.ownerid
+    delete element.folderid
+    delete element.ownerid
+  }
+  return result.rows[0]
+}
+
+/**
+ * Retrieves the requests of a folder request which have not been responded to or expired.
+ *
+ * @param {string} folderRequestId - The ID of the folder request.
+ * @returns {Promise<Array<object>>} An array of requests with file ID and the parent folder ID of the file.
+ */
+export const getRequestsNotRespondedOfFolderRequest = async (folderRequestId) => {
+  const result = await pool.query(
+    `SELECT requests.id as requestId, requests.fileId, files.parentFolderId FROM requests
+         LEFT JOIN responses ON responses.requestId = requests.id JOIN files ON requests.fileId = files.id
+         WHERE requests.folderRequestId = $1 AND responses.agreed IS NULL AND requests.expiredAt IS NULL`,
+    [folderRequestId]
+  )
+  return await parseRequestResponseRows(result.rows)
+}
+
+/**
+ * Adds a response to a request.
+ *
+ * @param {string} requestId - The ID of the request being responded to.
+ * @param {boolean} agreed - Whether the request was agreed to.
+ * @param {string} description - The description of the response.
+ * @param {string|null} expiresAt - The time when the granted file expires, or null if it never expires.
+ * @returns {Promise<{result: object, responseId: string}>} An object containing the query result and the new responseId.
+ */
+export const addResponse = async (requestId, agreed, description, expiresAt = null) => {
+  const responseId = randomUUID().toString()
+  const result = await pool.query(
+    'INSERT INTO responses (id, requestId, agreed, description, expiresAt) VALUES ($1, $2, $3, $4, $5)',
+    [responseId, requestId, agreed, description || '', expiresAt]
+  )
+  return { result, responseId }
+}
+
+/**
+ * Sets or clears the file granted to the requester by a response.
+ *
+ * @param {string} responseId - The ID of the response.
+ * @param {string|null} fileId - The ID of the granted file, or null to clear it.
+ * @returns {Promise<void>}
+ */
+export const updateResponseGrantedFileId = async (responseId, fileId) => {
+  await pool.query('UPDATE responses SET grantedFileId = $1 WHERE id = $2', [fileId, responseId])
+}
+
+/**
+ * Retrieves all granted files whose grant has expired, along with the response ID.
+ *
+ * @returns {Promise<Array<object>>} An array of file objects with responseId.
+ */
+export const getAllExpiredGrantedFiles = async () => {
+  const result = await pool.query(
+    `SELECT files.*, responses.id as responseId FROM responses JOIN files ON files.id = responses.grantedFileId
+         WHERE responses.expiresAt <= NOW()`
+  )
+  for (const element of result.rows) {
+    element.responseId = element.responseid
+    delete element.responseid
+  }
+  return parseFileRows(result.rows)
+}
+
+/**
+ * Deletes a response by its ID.
+ *
+ * @param {string} responseId - The ID of the response to delete.
+ * @returns {Promise<void>}
+ */
+export const deleteResponseById = async (responseId) => {
+  await pool.query('DELETE from responses where id = $1', [responseId])
+}
+
+/**
+ * Retrieves all requests and their responses, along with file and owner information, for a given file owner.
+ *
+ * @param {string} userId - The ID of the file owner.
+ * @returns {Promise<Array<object>>} An array of request/response/file/owner objects.
+ */
+export const getAllRequestsResponsesFilesByOwner = async (userId) => {
+  const result = await pool.query(
+    `SELECT requests.id as requestId, requests.fileId, requests.requester, requests.description as requestDescription, requests.timestamp as requestTime, requests.expiredAt, requests.folderRequestId,
+         responses.agreed, responses.description as responseDescription, responses.timestamp as responseTime, responses.expiresAt,
+         files.name, files.ownerId, files.originOwnerId, files.permissions, files.parentFolderId, files.size, files.description , files.timestamp, files.spk,
+         requesters.pk, requesters.name as userName, requesters.email as userEmail
+         FROM requests LEFT JOIN responses ON responses.requestId = requests.id JOIN files ON requests.fileId = files.id
+         JOIN users as owners ON files.ownerId = owners.id JOIN users as requesters ON requests.requester = requesters.id WHERE files.ownerId = $1`,
+    [userId]
+  )
+  const parsedRows = await parseRequestResponseRows(result.rows)
+  return parsedRows
+}
+
+/**
+ * Retrieves all requests and their responses made by a specific requester.
+ *
+ * @param {string} userId - The ID of the requester.
+ * @returns {Promise<Array<object>>} An array of request/response objects.
+ */
+export const getAllRequestsResponsesByRequester = async (userId) => {
+  const result = await pool.query(
+    `SELECT requests.id as requestId, requests.fileId, requests.requester, requests.description as requestDescription, requests.timestamp as requestTime, requests.expiredAt, requests.folderRequestId,
+         responses.agreed, responses.description as responseDescription, responses.timestamp as responseTime, responses.expiresAt,
+         users.name as userName, users.email as userEmail
+         FROM requests LEFT JOIN responses ON responses.requestId = requests.id JOIN users ON requests.requester = users.id WHERE requests.requester = $1`,
+    [userId]
+  )
+  const parsedRows = await parseRequestResponseRows(result.rows)
+  return parsedRows
+}
+
+/**
+ * Marks requests not responded and created before a time as reminded, and retrieves them.
+ * Requests already reminded or expired are skipped.
+ *
+ * @param {Date} createdBefore - Only requests created before this time are reminded.
+ * @returns {Promise<Array<object>>} An array of reminded requests with file ID, file name and owner ID.
+ */
+export const remindPendingRequestsCreatedBefore = async (createdBefore) => {
+  const result = await pool.query(
+    `WITH reminded AS (
+         UPDATE requests SET remindedAt = NOW()
+           WHERE remindedAt IS NULL AND expiredAt IS NULL AND timestamp <= $1
+           AND NOT EXISTS (SELECT 1 FROM responses WHERE responses.requestId = requests.id)
+           RETURNING *
+       )
+       SELECT reminded.id as requestId, reminded.fileId, reminded.requester, reminded.timestamp as requestTime,
+         files.name, files.ownerId FROM reminded JOIN files ON reminded.fileId = files.id`,
+    [createdBefore]
+  )
+  return await parseRequestResponseRows(result.rows)
+}
+
+/**
+ * Marks requests not responded and created before a time as expired, and retrieves them.
+ *
+ * @param {Date} createdBefore - Only requests created before this time are expired.
+ * @returns {Promise<Array<object>>} An array of expired requests with file ID and owner ID.
+ */
+export const expirePendingRequestsCreatedBefore = async (createdBefore) => {
+  const result = await pool.query(
+    `WITH expired AS (
+         UPDATE requests SET expiredAt = NOW()
+           WHERE expiredAt IS NULL AND timestamp <= $1
+           AND NOT EXISTS (SELECT 1 FROM responses WHERE responses.requestId = requests.id)
+           RETURNING *
+       )
+       SELECT expired.id as requestId, expired.fileId, expired.requester, files.ownerId
+         FROM expired JOIN files ON expired.fileId = files.id`,
+    [createdBefore]
+  )
+  return await parseRequestResponseRows(result.rows)
+}
+
+/**
+ * Marks requests not responded of a file as expired, and retrieves them.
+ *
+ * @param {string} fileId - The ID of the requested file.
+ * @returns {Promise<Array<object>>} An array of expired requests with file ID and owner ID.
+ */
+export const expirePendingRequestsOfFileId = async (fileId) => {
+  const result = await pool.query(
+    `WITH expired AS (
+         UPDATE requests SET expiredAt = NOW()
+           WHERE expiredAt IS NULL AND fileId = $1
+           AND NOT EXISTS (SELECT 1 FROM responses WHERE responses.requestId = requests.id)
+           RETURNING *
+       )
+       SELECT expired.id as requestId, expired.fileId, expired.requester, files.ownerId
+         FROM expired JOIN files ON expired.fileId = files.id`,
+    [fileId]
+  )
+  return await parseRequestResponseRows(result.rows)
+}
+
+/**
+ * Retrieves a request that has not been responded to, identified by request ID and file owner.
+ * Requests of files in trash are excluded.
+ *
+ * @param {string} requestId - The ID of the request.
+ * @param {string} ownerId - The ID of the file owner.
+ * @returns {Promise<object|undefined>} The request information if found, or undefined.
+ */
+export const getRequestNotRespondedByIdOfFileOwner = async (requestId, ownerId) => {
+  const result = await pool.query(
+    `SELECT requests.fileId, requests.requester FROM requests LEFT JOIN responses ON responses.requestId = requests.id JOIN files ON requests.fileId = files.id
+         WHERE requests.id = $1 AND files.ownerId = $2 AND responses.agreed IS NULL
+         AND requests.expiredAt IS NULL AND files.deletedAt IS NULL`,
+    [requestId, ownerId]
+  )
+  const parsedRows = await parseRequestResponseRows(result.rows)
+  return parsedRows[0]
+}
+
+/**
+ * Retrieves the requester's public key and file ID for a given request ID.
+ *
+ * @param {string} requestId - The ID of the request.
+ * @returns {Promise<{requester: string, pk: string, fileId: string}|undefined>} The public key of the requester and file ID, or undefined.
+ */
+export const getRequesterPkFileId = async (requestId) => {
+  const result = await pool.query(
+    `SELECT users.pk, requests.requester, requests.fileId FROM requests
+         JOIN users ON requests.requester = users.id
+         WHERE requests.id = $1`,
+    [requestId]
+  )
+  const parsedRows = await parseRequestResponseRows(result.rows)
+  return parsedRows[0]
+}
+
+/**
+ * Retrieves request information by its ID.
+ *
+ * @param {string} requestId - The ID of the request.
+ * @returns {Promise<object|undefined>} The information of the request, or undefined.
+ */
+export const getRequestById = async (requestId) => {
   const result = await pool.query('SELECT * FROM requests WHERE id = $1', [requestId])
   const parsedRows = await parseRequestResponseRows(result.rows)
   return parsedRows[0]
 }
 
 /**
- * Deletes a request from the database based on the given UUID.
+ * Deletes a request from the database based on the given UUID.
+ *
+ * @param {string} uuid - The UUID of the request to be deleted.
+ * @return {Promise<boolean>} Returns true if the request was deleted successfully, false otherwise.
+ */
+export const deleteRequest = async (uuid) => {
+  const result = await pool.query('DELETE FROM requests WHERE id = $1', [uuid])
+  return result.rowCount > 0
+}
+
+/**
+ * Deletes a request from the database by its ID and requester ID.
+ *
+ * @param {string} requestId - The ID of the request.
+ * @param {string} requester - The ID of the requester.
+ * @returns {Promise<object>}
+ */
+export const deleteRequestOfRequester = async (requestId, requester) => {
+  return await pool.query('DELETE FROM requests WHERE id = $1 AND requester = $2', [
+    requestId,
+    requester
+  ])
+}
+
+//- Request comment
+// Helper function
+const parseRequestCommentRows = async (rows) => {
+  for (const element of rows) {
+    element.requestId = element.requestid
+    element.userId = element.userid
+    element.userName = element.username
+      ? await decryptWithAES(element.username, key, iv)
+      : undefined
+    delete element.requestid
+    delete element.userid
+    delete element.username
+  }
+  return rows
+}
+
+/**
+ * Retrieves the requester and the file owner of a request.
+ *
+ * @param {string} requestId - The ID of the request.
+ * @returns {Promise<{requester: string, ownerId: string}|undefined>} The participants of the request, or undefined.
+ */
+export const getRequestParticipantsById = async (requestId) => {
+  const result = await pool.query(
+    `SELECT requests.requester, files.ownerId FROM requests JOIN files ON requests.fileId = files.id
+         WHERE requests.id = $1`,
+    [requestId]
+  )
+  const parsedRows = await parseRequestResponseRows(result.rows)
+  return parsedRows[0]
+}
+
+/**
+ * Adds a comment to a request.
  *
- * @param {string} uuid - The UUID of the request to be deleted.
- * @return {Promise<boolean>} Returns true if the request was deleted successfully, false otherwise.
+ * @param {string} requestId - The ID of the request.
+ * @param {string} userId - The ID of the user commenting.
+ * @param {string} content - The content of the comment.
+ * @returns {Promise<string>} The ID of the comment.
  */
-export const deleteRequest = async (uuid) => {
-  const result = await pool.query('DELETE FROM requests WHERE id = $1', [uuid])
-  return result.rowCount > 0
+export const addRequestComment = async (requestId, userId, content) => {
+  const id = randomUUID()
+  await pool.query(
+    'INSERT INTO request_comments (id, requestId, userId, content) VALUES ($1, $2, $3, $4)',
+    [id, requestId, userId, content]
+  )
+  return id
 }
 
 /**
- * Deletes a request from the database by its ID and requester ID.
+ * Retrieves the comments of a request with the names of their authors, oldest first.
  *
  * @param {string} requestId - The ID of the request.
- * @param {string} requester - The ID of the requester.
- * @returns {Promise<object>}
+ * @returns {Promise<Array<object>>} An array of comment objects.
  */
-export const deleteRequestOfRequester = async (requestId, requester) => {
-  return await pool.query('DELETE FROM requests WHERE id = $1 AND requester = $2', [
-    requestId,
-    requester
+export const getCommentsOfRequestId = async (requestId) => {
+  const result = await pool.query(
+    `SELECT request_comments.*, users.name as userName FROM request_comments
+         JOIN users ON request_comments.userId = users.id
+         WHERE request_comments.requestId = $1 ORDER BY request_comments.timestamp, request_comments.id`,
+    [requestId]
+  )
+  return await parseRequestCommentRows(result.rows)
+}
+
+//- Notification
+// Helper function
+const parseNotificationRows = (rows) => {
+  for (const element of rows) {
+    element.userId = element.userid
+    element.readAt = element.readat
+    delete element.userid
+    delete element.readat
+  }
+  return rows
+}
+
+/**
+ * Adds a notification for a user.
+ *
+ * @param {string} userId - The ID of the user to notify.
+ * @param {string} event - The socket event the notification was emitted as.
+ * @param {object|null} data - The data emitted with the event.
+ * @returns {Promise<string>} The ID of the notification.
+ */
+export const addNotification = async (userId, event, data = null) => {
+  const id = randomUUID()
+  await pool.query('INSERT INTO notifications (id, userId, event, data) VALUES ($1, $2, $3, $4)', [
+    id,
+    userId,
+    event,
+    data
+  ])
+  return id
+}
+
+/**
+ * Retrieves the newest notifications of a user, newest first.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {{limit: number, unreadOnly: boolean}} options - The maximum number of notifications,
+ * and whether to only include unread notifications.
+ * @returns {Promise<Array<object>>} An array of notification objects.
+ */
+export const getNotificationsOfUserId = async (userId, { limit, unreadOnly }) => {
+  const result = await pool.query(
+    `SELECT * FROM notifications WHERE userId = $1 ${unreadOnly ? 'AND readAt IS NULL' : ''}
+       ORDER BY timestamp DESC, id DESC LIMIT $2`,
+    [userId, limit]
+  )
+  return parseNotificationRows(result.rows)
+}
+
+/**
+ * Counts the unread notifications of a user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<number>} The number of unread notifications.
+ */
+export const getUnreadNotificationCountOfUserId = async (userId) => {
+  const result = await pool.query(
+    'SELECT COUNT(*)::int AS count FROM notifications WHERE userId = $1 AND readAt IS NULL',
+    [userId]
+  )
+  return result.rows[0].count
+}
+
+/**
+ * Marks unread notifications of a user as read.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Array<string>|null} notificationIds - The IDs of the notifications, or null for all notifications.
+ * @returns {Promise<import('pg').QueryResult>} A promise that resolves to the query result.
+ */
+export const markNotificationsReadOfUserId = async (userId, notificationIds = null) => {
+  if (!notificationIds) {
+    return await pool.query(
+      'UPDATE notifications SET readAt = NOW() WHERE userId = $1 AND readAt IS NULL',
+      [userId]
+    )
+  }
+  return await pool.query(
+    'UPDATE notifications SET readAt = NOW() WHERE userId = $1 AND readAt IS NULL AND id = ANY($2)',
+    [userId, notificationIds]
+  )
+}
+
+//- Webhook
+// Helper function
+const parseWebhookRows = async (rows) => {
+  for (const element of rows) {
+    element.userId = element.userid
+    delete element.userid
+    if (element.secret) element.secret = await decryptWithAES(element.secret, key, iv)
+  }
+  return rows
+}
+
+// Helper function
+const parseWebhookDeliveryRows = (rows) => {
+  for (const element of rows) {
+    element.webhookId = element.webhookid
+    element.responseStatus = element.responsestatus
+    element.lastError = element.lasterror
+    element.nextAttemptAt = element.nextattemptat
+    // Only deliveries claimed for retry have the user of their webhook
+    if ('userid' in element) element.userId = element.userid
+    delete element.webhookid
+    delete element.responsestatus
+    delete element.lasterror
+    delete element.nextattemptat
+    delete element.userid
+  }
+  return rows
+}
+
+/**
+ * Adds a webhook. The secret is stored encrypted.
+ *
+ * @param {string|null} userId - The ID of the user, or null for a webhook of admin which receives events of all users.
+ * @param {string} url - The HTTPS URL to post events to.
+ * @param {Array<string>} events - The events to post.
+ * @param {string} secret - The secret to sign payloads with.
+ * @returns {Promise<string>} The ID of the webhook.
+ */
+export const addWebhook = async (userId, url, events, secret) => {
+  const id = randomUUID()
+  const encryptedSecret = await encryptWithAES(secret, key, iv)
+  await pool.query(
+    'INSERT INTO webhooks (id, userId, url, events, secret) VALUES ($1, $2, $3, $4, $5)',
+    [id, userId, url, events, encryptedSecret]
+  )
+  return id
+}
+
+/**
+ * Retrieves all webhooks of a user, without secrets.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Array<object>>} An array of webhook objects.
+ */
+export const getWebhooksOfUserId = async (userId) => {
+  const result = await pool.query(
+    'SELECT id, userId, url, events, timestamp FROM webhooks WHERE userId = $1 ORDER BY timestamp',
+    [userId]
+  )
+  return await parseWebhookRows(result.rows)
+}
+
+/**
+ * Retrieves all webhooks of all users and admin, without secrets.
+ *
+ * @returns {Promise<Array<object>>} An array of webhook objects.
+ */
+export const getAllWebhooks = async () => {
+  const result = await pool.query(
+    'SELECT id, userId, url, events, timestamp FROM webhooks ORDER BY timestamp'
+  )
+  return await parseWebhookRows(result.rows)
+}
+
+/**
+ * Retrieves the webhooks which post an event of any of the users, including webhooks of admin.
+ *
+ * @param {Array<string>} userIds - The IDs of the users the event is about.
+ * @param {string} event - The event.
+ * @returns {Promise<Array<object>>} An array of webhook objects with secrets.
+ */
+export const getWebhooksOfEvent = async (userIds, event) => {
+  const result = await pool.query(
+    'SELECT * FROM webhooks WHERE (userId = ANY($1) OR userId IS NULL) AND $2 = ANY(events)',
+    [userIds, event]
+  )
+  return await parseWebhookRows(result.rows)
+}
+
+/**
+ * Deletes a webhook of a user.
+ *
+ * @param {string} webhookId - The ID of the webhook.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<import('pg').QueryResult>} A promise that resolves to the query result.
+ */
+export const deleteWebhookOfUserId = async (webhookId, userId) => {
+  return await pool.query('DELETE FROM webhooks WHERE id = $1 AND userId = $2', [webhookId, userId])
+}
+
+/**
+ * Deletes a webhook of any user or admin.
+ *
+ * @param {string} webhookId - The ID of the webhook.
+ * @returns {Promise<import('pg').QueryResult>} A promise that resolves to the query result.
+ */
+export const deleteWebhook = async (webhookId) => {
+  return await pool.query('DELETE FROM webhooks WHERE id = $1', [webhookId])
+}
+
+/**
+ * Adds a pending delivery of a webhook.
+ *
+ * @param {string} webhookId - The ID of the webhook.
+ * @param {string} event - The event.
+ * @param {object} payload - The payload to post.
+ * @param {Date} nextAttemptAt - When to retry if the first attempt is not finished by then.
+ * @returns {Promise<string>} The ID of the delivery.
+ */
+export const addWebhookDelivery = async (webhookId, event, payload, nextAttemptAt) => {
+  const id = randomUUID()
+  await pool.query(
+    'INSERT INTO webhook_deliveries (id, webhookId, event, payload, nextAttemptAt) VALUES ($1, $2, $3, $4, $5)',
+    [id, webhookId, event, payload, nextAttemptAt]
+  )
+  return id
+}
+
+/**
+ * Records the result of an attempt of a webhook delivery.
+ *
+ * @param {string} deliveryId - The ID of the delivery.
+ * @param {object} result - The result of the attempt.
+ * @param {'pending'|'success'|'failed'} result.status - The status of the delivery after the attempt.
+ * @param {number|null} result.responseStatus - The HTTP status responded, or null if no response.
+ * @param {string|null} result.lastError - The error of the attempt, or null if succeeded.
+ * @param {Date|null} result.nextAttemptAt - When to retry, or null if no retry.
+ * @returns {Promise<import('pg').QueryResult>} A promise that resolves to the query result.
+ */
+export const updateWebhookDeliveryAttempt = async (
+  deliveryId,
+  { status, responseStatus, lastError, nextAttemptAt }
+) => {
+  return await pool.query(
+    `UPDATE webhook_deliveries SET status = $1, responseStatus = $2, lastError = $3, nextAttemptAt = $4,
+       attempts = attempts + 1 WHERE id = $5`,
+    [status, responseStatus, lastError, nextAttemptAt, deliveryId]
+  )
+}
+
+/**
+ * Claims pending webhook deliveries which are due to retry, so they are not retried by others until the lease ends.
+ *
+ * @param {Date} leaseUntil - When the claimed deliveries are due again if not updated.
+ * @returns {Promise<Array<object>>} An array of delivery objects, with url, secret and userId of their webhook.
+ */
+export const claimDueWebhookDeliveries = async (leaseUntil) => {
+  const result = await pool.query(
+    `UPDATE webhook_deliveries SET nextAttemptAt = $1 FROM webhooks
+       WHERE webhook_deliveries.webhookId = webhooks.id
+       AND webhook_deliveries.status = 'pending' AND webhook_deliveries.nextAttemptAt <= NOW()
+       RETURNING webhook_deliveries.*, webhooks.url, webhooks.secret, webhooks.userId`,
+    [leaseUntil]
+  )
+  for (const element of result.rows) {
+    element.secret = await decryptWithAES(element.secret, key, iv)
+  }
+  return parseWebhookDeliveryRows(result.rows)
+}
+
+/**
+ * Retrieves the newest deliveries of a webhook, newest first.
+ *
+ * @param {string} webhookId - The ID of the webhook.
+ * @param {number} limit - The maximum number of deliveries.
+ * @returns {Promise<Array<object>>} An array of delivery objects.
+ */
+export const getWebhookDeliveriesOfWebhookId = async (webhookId, limit) => {
+  const result = await pool.query(
+    'SELECT * FROM webhook_deliveries WHERE webhookId = $1 ORDER BY timestamp DESC LIMIT $2',
+    [webhookId, limit]
+  )
+  return parseWebhookDeliveryRows(result.rows)
+}
+
+//- Share link
+// Helper function
+const parseShareLinkRows = (rows) => {
+  for (const element of rows) {
+    element.fileId = element.fileid
+    element.ownerId = element.ownerid
+    element.recipientPk = element.recipientpk
+    element.expiresAt = element.expiresat
+    element.maxDownloads = element.maxdownloads
+    delete element.fileid
+    delete element.ownerid
+    delete element.recipientpk
+    delete element.expiresat
+    delete element.maxdownloads
+    delete element.tokenhash
+  }
+  return rows
+}
+
+/**
+ * Adds a share link of a file.
+ *
+ * @param {{fileId: string, ownerId: string, tokenHash: string, recipientPk: string, rekey: string, expiresAt: string, maxDownloads: number}} shareLinkInfo
+ * - The file and its owner, the hash of the link token, the public key and rekey of the recipient, and the limits of the link.
+ * @returns {Promise<string>} The ID of the share link.
+ */
+export const addShareLink = async ({
+  fileId,
+  ownerId,
+  tokenHash,
+  recipientPk,
+  rekey,
+  expiresAt,
+  maxDownloads
+}) => {
+  const id = randomUUID()
+  await pool.query(
+    `INSERT INTO share_links (id, fileId, ownerId, tokenHash, recipientPk, rekey, expiresAt, maxDownloads)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [id, fileId, ownerId, tokenHash, recipientPk, rekey, expiresAt, maxDownloads]
+  )
+  return id
+}
+
+/**
+ * Retrieves the share links of an owner with the names of their files, newest first.
+ *
+ * @param {string} ownerId - The ID of the owner.
+ * @returns {Promise<Array<object>>} An array of share link objects without token hash and rekey.
+ */
+export const getShareLinksOfOwnerId = async (ownerId) => {
+  const result = await pool.query(
+    `SELECT share_links.id, share_links.fileId, share_links.ownerId, share_links.recipientPk, share_links.expiresAt,
+         share_links.maxDownloads, share_links.downloads, share_links.timestamp, files.name
+         FROM share_links JOIN files ON share_links.fileId = files.id
+         WHERE share_links.ownerId = $1 ORDER BY share_links.timestamp DESC`,
+    [ownerId]
+  )
+  return parseShareLinkRows(result.rows)
+}
+
+/**
+ * Deletes a share link by its ID and owner ID.
+ *
+ * @param {string} shareLinkId - The ID of the share link.
+ * @param {string} ownerId - The ID of the owner.
+ * @returns {Promise<import('pg').QueryResult>} A promise that resolves to the query result.
+ */
+export const deleteShareLinkOfOwnerId = async (shareLinkId, ownerId) => {
+  return await pool.query('DELETE FROM share_links WHERE id = $1 AND ownerId = $2', [
+    shareLinkId,
+    ownerId
+  ])
+}
+
+/**
+ * Counts a download of a share link if it is not expired and has downloads left, and retrieves it.
+ *
+ * @param {string} tokenHash - The hash of the link token.
+ * @returns {Promise<object|undefined>} The share link information, or undefined if it cannot be downloaded.
+ */
+export const claimShareLinkDownload = async (tokenHash) => {
+  const result = await pool.query(
+    `UPDATE share_links SET downloads = downloads + 1
+         WHERE tokenHash = $1 AND downloads < maxDownloads AND expiresAt > NOW()
+         RETURNING *`,
+    [tokenHash]
+  )
+  return parseShareLinkRows(result.rows)[0]
+}
+
+/**
+ * Retrieves a share link which is not expired and has counted downloads, for resuming a download without counting it.
+ *
+ * @param {string} tokenHash - The hash of the link token.
+ * @returns {Promise<object|undefined>} The share link information, or undefined if no download can be resumed.
+ */
+export const getRedeemedShareLink = async (tokenHash) => {
+  const result = await pool.query(
+    'SELECT * FROM share_links WHERE tokenHash = $1 AND downloads > 0 AND expiresAt > NOW()',
+    [tokenHash]
+  )
+  return parseShareLinkRows(result.rows)[0]
+}
+
+/**
+ * Gives back a download counted by claimShareLinkDownload, for downloads which failed.
+ *
+ * @param {string} shareLinkId - The ID of the share link.
+ * @returns {Promise<import('pg').QueryResult>} A promise that resolves to the query result.
+ */
+export const releaseShareLinkDownload = async (shareLinkId) => {
+  return await pool.query(
+    'UPDATE share_links SET downloads = downloads - 1 WHERE id = $1 AND downloads > 0',
+    [shareLinkId]
+  )
+}
+
+//- Two-factor authentication
+// Helper function
+const parseTotpRows = async (rows) => {
+  for (const element of rows) {
+    element.userId = element.userid
+    element.lastCounter = element.lastcounter === null ? null : Number(element.lastcounter)
+    delete element.userid
+    delete element.lastcounter
+    element.secret = await decryptWithAES(element.secret, key, iv)
+  }
+  return rows
+}
+
+/**
+ * Sets a new TOTP secret of a user, which is not enabled until confirmed. The secret is stored encrypted.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} secret - The base32 encoded TOTP secret.
+ * @returns {Promise<import('pg').QueryResult>} A promise that resolves to the query result. No row is affected if TOTP is already enabled.
+ */
+export const setPendingTotpOfUserId = async (userId, secret) => {
+  const encryptedSecret = await encryptWithAES(secret, key, iv)
+  return await pool.query(
+    `INSERT INTO user_totp (userId, secret) VALUES ($1, $2)
+         ON CONFLICT (userId) DO UPDATE SET secret = $2, lastCounter = NULL, timestamp = NOW()
+         WHERE user_totp.enabled = false`,
+    [userId, encryptedSecret]
+  )
+}
+
+/**
+ * Retrieves the TOTP information of a user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<{userId: string, secret: string, enabled: boolean, lastCounter: number|null}|undefined>}
+ * The TOTP information, or undefined if the user has not enrolled.
+ */
+export const getTotpOfUserId = async (userId) => {
+  const result = await pool.query('SELECT * FROM user_totp WHERE userId = $1', [userId])
+  return (await parseTotpRows(result.rows))[0]
+}
+
+/**
+ * Records a TOTP time step as used, so a code cannot be used twice.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {number} counter - The time step of the code.
+ * @returns {Promise<import('pg').QueryResult>} A promise that resolves to the query result. No row is affected if the time step or a later one was used.
+ */
+export const useTotpCounterOfUserId = async (userId, counter) => {
+  return await pool.query(
+    `UPDATE user_totp SET lastCounter = $2
+         WHERE userId = $1 AND (lastCounter IS NULL OR lastCounter < $2)`,
+    [userId, counter]
+  )
+}
+
+/**
+ * Enables TOTP of a user and stores its recovery codes.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Array<string>} codeHashes - The hashes of the recovery codes.
+ * @returns {Promise<import('pg').QueryResult>} A promise that resolves to the query result. No row is returned if TOTP is not pending.
+ */
+export const enableTotpOfUserId = async (userId, codeHashes) => {
+  return await pool.query(
+    `
+        WITH enabled AS (
+          UPDATE user_totp SET enabled = true WHERE userId = $1 AND enabled = false RETURNING userId
+        ),
+        inserted AS (
+          INSERT INTO totp_recovery_codes (userId, codeHash) SELECT enabled.userId, UNNEST($2::TEXT[]) FROM enabled
+        )
+        SELECT userId FROM enabled
+    `,
+    [userId, codeHashes]
+  )
+}
+
+/**
+ * Uses up a recovery code of a user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} codeHash - The hash of the recovery code.
+ * @returns {Promise<import('pg').QueryResult>} A promise that resolves to the query result. No row is affected if the code does not exist.
+ */
+export const useTotpRecoveryCodeOfUserId = async (userId, codeHash) => {
+  return await pool.query('DELETE FROM totp_recovery_codes WHERE userId = $1 AND codeHash = $2', [
+    userId,
+    codeHash
   ])
 }
 
+/**
+ * Deletes the TOTP information and recovery codes of a user, which disables two-factor authentication.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<import('pg').QueryResult>} A promise that resolves to the query result.
+ */
+export const deleteTotpOfUserId = async (userId) => {
+  return await pool.query('DELETE FROM user_totp WHERE userId = $1', [userId])
+}
+
 //-- ABSE related --//
 // Insert encrypted index information to database
 export const insertCtw = async (fileId, j, ctw) => {
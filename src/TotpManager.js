@@ -0,0 +1,309 @@
+/**
+ * This file handles TOTP two-factor authentication (RFC 6238).
+ * Including enrolling and disabling two-factor authentication, and checking codes and recovery codes on login.
+ */
+import { createHash, createHmac, randomBytes } from 'node:crypto'
+import {
+  logger,
+  logInvalidSchemaWarning,
+  logSocketError,
+  logSocketInfo,
+  logSocketWarning
+} from './Logger.js'
+import {
+  deleteTotpOfUserId,
+  enableTotpOfUserId,
+  getTotpOfUserId,
+  setPendingTotpOfUserId,
+  useTotpCounterOfUserId,
+  useTotpRecoveryCodeOfUserId
+} from './StorageDatabase.js'
+import {
+  checkLoggedIn,
+  InternalServerErrorMsg,
+  InvalidArgumentErrorMsg,
+  NotLoggedInErrorMsg
+} from './Utils.js'
+import { ConfirmTotpRequestSchema, DisableTotpRequestSchema } from './Validation.js'
+import { checkLoginBlocked, userLoginFailure } from './UserLoginInfo.js'
+
+const issuer = 'SecureCloudStorage'
+const periodSec = 30
+const digits = 6
+const allowedDrift = 1 // Time steps accepted before and after current time, for clock differences
+const recoveryCodeCount = 10
+const base32Alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+export const IncorrectTotpCodeErrorMsg = 'Incorrect two-factor authentication code.'
+
+/**
+ * Encode a buffer with base32 (RFC 4648) without padding, as authenticator apps expect.
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = ''
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0')
+  let encoded = ''
+  for (let i = 0; i < bits.length; i += 5) {
+    encoded += base32Alphabet[Number.parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)]
+  }
+  return encoded
+}
+
+/**
+ * Decode a base32 string without padding.
+ * @param {string} encoded
+ * @returns {Buffer}
+ */
+const base32Decode = (encoded) => {
+  let bits = ''
+  for (const char of encoded) bits += base32Alphabet.indexOf(char).toString(2).padStart(5, '0')
+  const bytes = []
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(Number.parseInt(bits.slice(i, i + 8), 2))
+  return Buffer.from(bytes)
+}
+
+/**
+ * Generate the code of a time step (HOTP of RFC 4226).
+ * @param {string} secret The base32 encoded secret.
+ * @param {number} counter The time step.
+ * @returns {string}
+ */
+const generateCode = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8)
+  counterBuffer.writeBigUInt64BE(BigInt(counter))
+  const hmac = createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+  return String(binary % 10 ** digits).padStart(digits, '0')
+}
+
+/**
+ * Hash a recovery code. Only hashes are stored, so leaked database rows cannot be used to log in.
+ * @param {string} code
+ * @returns {string}
+ */
+const hashRecoveryCode = (code) => createHash('sha256').update(code).digest('hex')
+
+/**
+ * Generate recovery codes, each of two groups of 5 hex digits.
+ * @returns {Array<string>}
+ */
+const generateRecoveryCodes = () =>
+  Array.from({ length: recoveryCodeCount }, () =>
+    randomBytes(5)
+      .toString('hex')
+      .replace(/^(.{5})/, '$1-')
+  )
+
+/**
+ * Find the time step a TOTP code is of, within the allowed drift.
+ * @param {string} secret The base32 encoded secret.
+ * @param {string} code
+ * @param {number|null} lastCounter The last used time step. Codes of this and earlier steps are not accepted.
+ * @returns {number|null} The time step, or null if the code is incorrect.
+ */
+export const verifyTotpCode = (secret, code, lastCounter = null) => {
+  const currentCounter = Math.floor(Date.now() / 1000 / periodSec)
+  for (
+    let counter = currentCounter - allowedDrift;
+    counter <= currentCounter + allowedDrift;
+    counter++
+  ) {
+    if (lastCounter !== null && counter <= lastCounter) continue
+    if (generateCode(secret, counter) === code) return counter
+  }
+  return null
+}
+
+/**
+ * Check if a user has enabled two-factor authentication.
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+export const isTotpEnabled = async (userId) => (await getTotpOfUserId(userId))?.enabled === true
+
+/**
+ * Check the second factor of a user, which is a TOTP code or a recovery code.
+ * Used codes cannot be used again.
+ * @param {string} userId
+ * @param {string} code A 6 digit TOTP code or a recovery code.
+ * @returns {Promise<boolean>} Whether the code is correct.
+ */
+export const checkSecondFactor = async (userId, code) => {
+  const totpInfo = await getTotpOfUserId(userId)
+  if (!totpInfo?.enabled) return false
+  if (/^\d+$/.test(code)) {
+    const counter = verifyTotpCode(totpInfo.secret, code, totpInfo.lastCounter)
+    if (counter === null) return false
+    // Another request may have used the code meanwhile
+    return (await useTotpCounterOfUserId(userId, counter)).rowCount > 0
+  }
+  const result = await useTotpRecoveryCodeOfUserId(userId, hashRecoveryCode(code))
+  if (result.rowCount === 0) return false
+  logger.info('Recovery code used.', { userId })
+  return true
+}
+
+// Two-factor authentication related events
+export const totpBinder = (socket) => {
+  /**
+   * Client asks to enable two-factor authentication.
+   * The secret is not used on login until confirmed with a code.
+   */
+  socket.on('enable-totp', async (cb) => {
+    try {
+      const actionStr = 'Client asks to enable two-factor authentication'
+      logSocketInfo(socket, actionStr + '.')
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.')
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      const secret = base32Encode(randomBytes(20))
+      const result = await setPendingTotpOfUserId(socket.userId, secret)
+      if (result.rowCount === 0) {
+        logSocketWarning(socket, actionStr + ' but it is already enabled.')
+        cb({ errorMsg: 'Two-factor authentication already enabled.' })
+        return
+      }
+      const label = encodeURIComponent(`${issuer}:${socket.email}`)
+      const uri =
+        `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+        `&algorithm=SHA1&digits=${digits}&period=${periodSec}`
+      logSocketInfo(socket, 'Responding two-factor authentication URI to client.')
+      cb({ uri })
+    } catch (error) {
+      logSocketError(socket, error)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+
+  /**
+   * Client confirms two-factor authentication with a code from its authenticator
+   */
+  socket.on('confirm-totp', async (request, cb) => {
+    try {
+      const actionStr = 'Client confirms two-factor authentication'
+      logSocketInfo(socket, actionStr + '.', { ...request, code: undefined })
+
+      const result = ConfirmTotpRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, {
+          ...request,
+          code: undefined
+        })
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { code } = result.data
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.')
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      const totpInfo = await getTotpOfUserId(socket.userId)
+      if (!totpInfo || totpInfo.enabled) {
+        logSocketWarning(socket, actionStr + ' but did not ask to enable it.')
+        cb({ errorMsg: 'Did not ask to enable two-factor authentication first.' })
+        return
+      }
+
+      // Codes are short, so failures count toward login attempts as on login
+      if (checkLoginBlocked(socket.userId)) {
+        logSocketWarning(socket, actionStr + ' but failed too many login attempts.')
+        cb({ errorMsg: 'Failed too many login attempts.' })
+        return
+      }
+
+      const counter = verifyTotpCode(totpInfo.secret, code, totpInfo.lastCounter)
+      if (
+        counter === null ||
+        (await useTotpCounterOfUserId(socket.userId, counter)).rowCount === 0
+      ) {
+        logSocketWarning(socket, actionStr + ' with incorrect code.')
+        userLoginFailure(socket.userId)
+        cb({ errorMsg: IncorrectTotpCodeErrorMsg })
+        return
+      }
+
+      // Recovery codes are only responded here
+      const recoveryCodes = generateRecoveryCodes()
+      const enableResult = await enableTotpOfUserId(
+        socket.userId,
+        recoveryCodes.map(hashRecoveryCode)
+      )
+      if (enableResult.rowCount === 0) {
+        logSocketWarning(socket, actionStr + ' but it is already enabled.')
+        cb({ errorMsg: 'Two-factor authentication already enabled.' })
+        return
+      }
+      logSocketInfo(socket, 'Two-factor authentication enabled.')
+      cb({ recoveryCodes })
+    } catch (error) {
+      logSocketError(socket, error)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+
+  /**
+   * Client asks to disable two-factor authentication with a code or a recovery code
+   */
+  socket.on('disable-totp', async (request, cb) => {
+    try {
+      const actionStr = 'Client asks to disable two-factor authentication'
+      logSocketInfo(socket, actionStr + '.', { ...request, code: undefined })
+
+      const result = DisableTotpRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, {
+          ...request,
+          code: undefined
+        })
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { code } = result.data
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.')
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      if (!(await isTotpEnabled(socket.userId))) {
+        logSocketWarning(socket, actionStr + ' but it is not enabled.')
+        cb({ errorMsg: 'Two-factor authentication not enabled.' })
+        return
+      }
+
+      // Codes are short, so failures count toward login attempts as on login
+      if (checkLoginBlocked(socket.userId)) {
+        logSocketWarning(socket, actionStr + ' but failed too many login attempts.')
+        cb({ errorMsg: 'Failed too many login attempts.' })
+        return
+      }
+
+      if (!(await checkSecondFactor(socket.userId, code))) {
+        logSocketWarning(socket, actionStr + ' with incorrect code.')
+        userLoginFailure(socket.userId)
+        cb({ errorMsg: IncorrectTotpCodeErrorMsg })
+        return
+      }
+
+      await deleteTotpOfUserId(socket.userId)
+      logSocketInfo(socket, 'Two-factor authentication disabled.')
+      cb({})
+    } catch (error) {
+      logSocketError(socket, error)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+}
+
+console.debug('TotpManager.js loaded.')
@@ -0,0 +1,125 @@
+/**
+ * This file handles transfer tokens, which authenticate HTTPS, FTPS and SFTP transfers.
+ * A token is issued over the authenticated socket, and is bound to a user, an operation and a file.
+ * Tokens are signed with a key generated on startup, so restarting the server invalidates all tokens.
+ */
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto'
+import {
+  logInvalidSchemaWarning,
+  logSocketError,
+  logSocketInfo,
+  logSocketWarning
+} from './Logger.js'
+import { getFileInfoOfOwnerId } from './StorageDatabase.js'
+import {
+  checkLoggedIn,
+  FileNotFoundErrorMsg,
+  InternalServerErrorMsg,
+  InvalidArgumentErrorMsg,
+  NotLoggedInErrorMsg
+} from './Utils.js'
+import ConfigManager from './ConfigManager.js'
+import { GetTransferTokenRequestSchema } from './Validation.js'
+import { hasUploadOfUserId } from './UploadVerifier.js'
+
+const signingKey = randomBytes(32)
+
+// Transfer targets which are data of the user instead of a file: the encrypted database and the account export
+export const accountTransferTargets = Object.freeze(['database', 'export'])
+
+/**
+ * Sign the encoded payload of a token.
+ * @param {string} encodedPayload
+ * @returns {Buffer}
+ */
+const sign = (encodedPayload) => createHmac('sha256', signingKey).update(encodedPayload).digest()
+
+/**
+ * Issue a transfer token.
+ * @param {string} userId
+ * @param {'upload'|'download'} operation
+ * @param {string} fileId The file to transfer, or one of accountTransferTargets.
+ * @returns {{token: string, expiresAt: number}}
+ */
+export const issueTransferToken = (userId, operation, fileId) => {
+  const expiresAt = Date.now() + ConfigManager.settings.transferTokenTTLSec * 1000
+  const encodedPayload = Buffer.from(
+    JSON.stringify({ userId, operation, fileId, expiresAt })
+  ).toString('base64url')
+  return {
+    token: `${encodedPayload}.${sign(encodedPayload).toString('base64url')}`,
+    expiresAt
+  }
+}
+
+/**
+ * Verify a transfer token.
+ * @param {string} token
+ * @returns {{userId: string, operation: 'upload'|'download', fileId: string, expiresAt: number}|null}
+ * The payload of the token, or null if the token is invalid or expired.
+ */
+export const verifyTransferToken = (token) => {
+  if (typeof token !== 'string') return null
+  const [encodedPayload, encodedSignature, ...rest] = token.split('.')
+  if (!encodedPayload || !encodedSignature || rest.length > 0) return null
+  const signature = Buffer.from(encodedSignature, 'base64url')
+  const expectedSignature = sign(encodedPayload)
+  if (
+    signature.length !== expectedSignature.length ||
+    !timingSafeEqual(signature, expectedSignature)
+  ) {
+    return null
+  }
+  const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString())
+  if (payload.expiresAt <= Date.now()) return null
+  return payload
+}
+
+// Transfer token related events
+export const transferTokenBinder = (socket) => {
+  /**
+   * Client asks for a token to upload or download a file over HTTPS, FTPS or SFTP
+   */
+  socket.on('get-transfer-token', async (request, cb) => {
+    try {
+      const actionStr = 'Client asks to get transfer token'
+      logSocketInfo(socket, actionStr + '.', request)
+
+      const result = GetTransferTokenRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, request)
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { operation, fileId } = result.data
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.', request)
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      if (!accountTransferTargets.includes(fileId)) {
+        if (operation === 'upload' && !hasUploadOfUserId(fileId, socket.userId)) {
+          logSocketWarning(socket, actionStr + ' but upload info does not exist.', request)
+          cb({ errorMsg: 'Upload info not found.' })
+          return
+        }
+        if (operation === 'download' && !(await getFileInfoOfOwnerId(fileId, socket.userId))) {
+          logSocketWarning(socket, actionStr + ' but file does not exist.', request)
+          cb({ errorMsg: FileNotFoundErrorMsg })
+          return
+        }
+      }
+
+      const { token, expiresAt } = issueTransferToken(socket.userId, operation, fileId)
+      logSocketInfo(socket, 'Transfer token issued.', { ...request, expiresAt })
+      cb({ token, expiresAt })
+    } catch (error) {
+      logSocketError(socket, error, request)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+}
+
+console.debug('TransferToken.js loaded.')
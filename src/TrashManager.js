@@ -0,0 +1,279 @@
+/**
+ * This file handles the trash bin of deleted files and folders.
+ * Including moving items to trash, listing, restoring and emptying trash, and purging expired items.
+ */
+import {
+  logger,
+  logInvalidSchemaWarning,
+  logSocketError,
+  logSocketInfo,
+  logSocketWarning
+} from './Logger.js'
+import {
+  deleteFile,
+  deleteFolder,
+  getAllFilesByParentFolderIdUserId,
+  getAllFoldersByParentFolderIdUserId,
+  getAllTrashedFilesDeletedBefore,
+  getAllTrashedFilesOfOwnerId,
+  getAllTrashedFoldersDeletedBefore,
+  getAllTrashedFoldersOfOwnerId,
+  getTrashedFileInfoOfOwnerId,
+  getTrashedFilesOfOwnerId,
+  getTrashedFolderInfoOfOwnerId,
+  getTrashedFoldersOfOwnerId,
+  restoreFileOfOwnerId,
+  restoreFolderOfOwnerId,
+  setFileDeletedAt,
+  setFolderDeletedAt
+} from './StorageDatabase.js'
+import { unlink } from 'node:fs/promises'
+import {
+  checkFolderExistsForUser,
+  checkLoggedIn,
+  FileNotFoundErrorMsg,
+  FolderNotFoundErrorMsg,
+  getFilePath,
+  InternalServerErrorMsg,
+  InvalidArgumentErrorMsg,
+  NameAlreadyExistsErrorMsg,
+  NotLoggedInErrorMsg
+} from './Utils.js'
+import ConfigManager from './ConfigManager.js'
+import { RestoreTrashRequestSchema } from './Validation.js'
+import ABSEManeger from './ABSEManager.js'
+import { removeFileVersions } from './VersionManager.js'
+import { triggerWebhooks } from './WebhookManager.js'
+import { expirePendingRequestsOfFile } from './RequestManager.js'
+
+/**
+ * Collect all files and folders under a folder, including the folder itself.
+ * Folders are ordered so that every parent comes before its children.
+ * @param {object} rootFolder The folder information of the root folder.
+ * @param {string} userId
+ * @param {boolean} includeDeleted Whether to include items in trash.
+ * @returns {Promise<{files: Array<object>, folders: Array<object>}>}
+ */
+export const collectFolderTree = async (rootFolder, userId, includeDeleted = false) => {
+  const files = []
+  const folders = [rootFolder]
+  for (let i = 0; i < folders.length; i++) {
+    files.push(...(await getAllFilesByParentFolderIdUserId(folders[i].id, userId, includeDeleted)))
+    folders.push(
+      ...(await getAllFoldersByParentFolderIdUserId(folders[i].id, userId, includeDeleted))
+    )
+  }
+  return { files, folders }
+}
+
+/**
+ * Remove a file and its versions from disk, database and ABSE index.
+ * @param {string} userId
+ * @param {string} fileId
+ */
+export const removeFile = async (userId, fileId) => {
+  await ABSEManeger.deleteFileIndex(fileId)
+  await removeFileVersions(userId, fileId)
+  await deleteFile(fileId)
+  try {
+    await unlink(getFilePath(userId, fileId))
+  } catch (error) {
+    if (error.code != 'ENOENT') throw error
+  }
+  await triggerWebhooks([userId], 'file-deleted', { fileId, permanent: true })
+}
+
+/**
+ * Move files and folders to trash with the same deletion timestamp,
+ * so they can be restored together.
+ * @param {Array<object>} files
+ * @param {Array<object>} folders
+ */
+export const moveToTrash = async (files, folders) => {
+  const deletedAt = new Date()
+  for (const file of files) {
+    await setFileDeletedAt(file.id, deletedAt)
+    // Requests of a file in trash can no longer be responded
+    await expirePendingRequestsOfFile(file.id)
+    await triggerWebhooks([file.ownerId], 'file-deleted', { fileId: file.id, permanent: false })
+  }
+  for (const folder of folders) {
+    await setFolderDeletedAt(folder.id, deletedAt)
+  }
+}
+
+/**
+ * Get the folder to restore an item into, which is root if the parent folder is gone.
+ * @param {string|null} parentFolderId
+ * @param {string} userId
+ * @returns {Promise<string|null>}
+ */
+const getRestoreFolderId = async (parentFolderId, userId) => {
+  return (await checkFolderExistsForUser(parentFolderId, userId)) ? parentFolderId : null
+}
+
+/**
+ * Permanently remove files and folders in trash.
+ * @param {Array<object>} files
+ * @param {Array<object>} folders
+ */
+const removeTrashedItems = async (files, folders) => {
+  for (const file of files) {
+    await removeFile(file.ownerId, file.id)
+  }
+  for (const folder of folders) {
+    await deleteFolder(folder.id)
+  }
+}
+
+/**
+ * Permanently remove items which have been in trash longer than the retention period.
+ */
+export const purgeTrash = async () => {
+  try {
+    const deletedBefore = new Date(
+      Date.now() - ConfigManager.settings.trashRetentionDays * 24 * 60 * 60 * 1000
+    )
+    const files = await getAllTrashedFilesDeletedBefore(deletedBefore)
+    const folders = await getAllTrashedFoldersDeletedBefore(deletedBefore)
+    await removeTrashedItems(files, folders)
+    if (files.length > 0 || folders.length > 0) {
+      logger.info('Expired trash purged.', {
+        fileCount: files.length,
+        folderCount: folders.length
+      })
+    }
+  } catch (error) {
+    logger.error(error)
+  }
+}
+
+// Trash related events
+export const trashBinder = (socket) => {
+  /**
+   * Client asks to get items in trash
+   */
+  socket.on('get-trash-list', async (cb) => {
+    try {
+      const actionStr = 'Client asks to get trash list'
+      logSocketInfo(socket, actionStr + '.')
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.')
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      const files = await getTrashedFilesOfOwnerId(socket.userId)
+      const folders = await getTrashedFoldersOfOwnerId(socket.userId)
+      logSocketInfo(socket, 'Responding trash list to client.')
+      cb({ files: JSON.stringify(files), folders: JSON.stringify(folders) })
+    } catch (error) {
+      logSocketError(socket, error)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+
+  /**
+   * Client asks to restore a file or folder from trash
+   */
+  socket.on('restore-trash', async (request, cb) => {
+    try {
+      const actionStr = 'Client asks to restore from trash'
+      logSocketInfo(socket, actionStr + '.', request)
+
+      const result = RestoreTrashRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, request)
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { fileId, folderId } = result.data
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.', request)
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      if (fileId) {
+        const fileInfo = await getTrashedFileInfoOfOwnerId(fileId, socket.userId)
+        if (!fileInfo) {
+          logSocketWarning(socket, actionStr + ' but file is not in trash.', request)
+          cb({ errorMsg: FileNotFoundErrorMsg })
+          return
+        }
+        const parentFolderId = await getRestoreFolderId(fileInfo.parentFolderId, socket.userId)
+        const { rowCount } = await restoreFileOfOwnerId(fileId, socket.userId, parentFolderId)
+        if (rowCount === 0) {
+          logSocketWarning(socket, actionStr + ' but name already exists.', request)
+          cb({ errorMsg: NameAlreadyExistsErrorMsg })
+          return
+        }
+        logSocketInfo(socket, 'File restored from trash.', request)
+        cb({})
+        return
+      }
+
+      const folderInfo = await getTrashedFolderInfoOfOwnerId(folderId, socket.userId)
+      if (!folderInfo) {
+        logSocketWarning(socket, actionStr + ' but folder is not in trash.', request)
+        cb({ errorMsg: FolderNotFoundErrorMsg })
+        return
+      }
+      const parentFolderId = await getRestoreFolderId(folderInfo.parentFolderId, socket.userId)
+      const { rowCount } = await restoreFolderOfOwnerId(folderId, socket.userId, parentFolderId)
+      if (rowCount === 0) {
+        logSocketWarning(socket, actionStr + ' but name already exists.', request)
+        cb({ errorMsg: NameAlreadyExistsErrorMsg })
+        return
+      }
+      // Only restore items deleted together with the folder
+      const deletedTime = folderInfo.deletedAt.getTime()
+      const { files, folders } = await collectFolderTree(folderInfo, socket.userId, true)
+      for (const file of files) {
+        if (file.deletedAt?.getTime() === deletedTime) await setFileDeletedAt(file.id, null)
+      }
+      for (const folder of folders.slice(1)) {
+        if (folder.deletedAt?.getTime() === deletedTime) await setFolderDeletedAt(folder.id, null)
+      }
+      logSocketInfo(socket, 'Folder restored from trash.', request)
+      cb({})
+    } catch (error) {
+      logSocketError(socket, error, request)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+
+  /**
+   * Client asks to permanently remove everything in trash
+   */
+  socket.on('empty-trash', async (cb) => {
+    try {
+      const actionStr = 'Client asks to empty trash'
+      logSocketInfo(socket, actionStr + '.')
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.')
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      const files = await getAllTrashedFilesOfOwnerId(socket.userId)
+      const folders = await getAllTrashedFoldersOfOwnerId(socket.userId)
+      await removeTrashedItems(files, folders)
+      logSocketInfo(socket, 'Trash emptied.', {
+        fileCount: files.length,
+        folderCount: folders.length
+      })
+      cb({})
+    } catch (error) {
+      logSocketError(socket, error)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+}
+
+// Periodically purge expired items in trash
+setInterval(purgeTrash, ConfigManager.settings.trashPurgeIntervalMin * 60 * 1000)
+console.debug('TrashManager.js loaded.')
@@ -4,11 +4,17 @@
 import { randomUUID } from 'node:crypto'
 import EvictingMap from './EvictingMap.js'
 import { logger } from './Logger.js'
-import { addFileToDatabase, deleteFileOfOwnerId } from './StorageDatabase.js'
+import {
+  addFileToDatabase,
+  deleteFileOfOwnerId,
+  getStorageUsageOfUserId
+} from './StorageDatabase.js'
 import {
   calculateFileHash,
   getFilePath,
+  FileNotFoundErrorMsg,
   InternalServerErrorMsg,
+  QuotaExceededErrorMsg,
   bigIntToUuid,
   BigIntToHex,
   riskyMimeTypes
@@ -16,28 +22,100 @@ import {
 import BlockchainManager from './BlockchainManager.js'
 import { unlink } from 'node:fs/promises'
 import ConfigManager from './ConfigManager.js'
-import { emitToOnlineUser } from './UserLoginInfo.js'
+import { notifyUser } from './NotificationManager.js'
+import { triggerWebhooks } from './WebhookManager.js'
 import { fileTypeFromFile } from 'file-type'
+import { applyFileVersion } from './VersionManager.js'
 
 // Map for storing upload info
 const uploadInfoMap = new EvictingMap(ConfigManager.settings.uploadExpireTimeMin * 60 * 1000)
 
 /**
  * Store upload related info before actually upload and generate the fileId.
+ * @param {string} userId The user who asks to upload.
  * @param {string} cipher 
  * @param {string} spk 
  * @param {string} parentFolderId 
+ * @param {string|null} versionOf The file this upload is a new version of, or null for a new file.
  * @returns {string} fileId
  */
-export const preUpload = (cipher, spk, parentFolderId) => {
+export const preUpload = (userId, cipher, spk, parentFolderId, versionOf = null) => {
   let fileId = randomUUID()
   while (uploadInfoMap.has(fileId)) {
     fileId = randomUUID()
   }
-  uploadInfoMap.set(fileId, { id: fileId, cipher, spk, parentFolderId })
+  uploadInfoMap.set(fileId, { id: fileId, userId, cipher, spk, parentFolderId, versionOf })
   return fileId
 }
 
+/**
+ * Get how many bytes a user can still store before reaching the storage quota.
+ * @param {string} userId
+ * @returns {Promise<number>} Remaining bytes, 0 if the quota is already reached.
+ */
+export const getRemainingQuota = async (userId) => {
+  const usage = await getStorageUsageOfUserId(userId)
+  if (!usage) return 0
+  const quota = usage.quota ?? ConfigManager.settings.defaultQuotaMB * 1024 * 1024
+  return Math.max(quota - usage.used, 0)
+}
+
+/**
+ * Abort an upload which is still in progress, and revert it.
+ * @param {string} userId
+ * @param {string} fileId
+ * @param {string} errorMsg
+ */
+export const abortUpload = async (userId, fileId, errorMsg) => {
+  uploadInfoMap.delete(fileId)
+  await revertUpload(userId, fileId, errorMsg)
+}
+
+/**
+ * Store verified upload in database, as a new file or as a new version of an existing file.
+ * @param {object} uploadInfo
+ * @returns {Promise<boolean>} Whether the upload is stored.
+ */
+const storeUpload = async (uploadInfo) => {
+  if (!uploadInfo.versionOf) {
+    await addFileToDatabase(uploadInfo)
+    return true
+  }
+  const version = await applyFileVersion(uploadInfo)
+  if (!version) return false
+  logger.info('File version stored.', { fileId: uploadInfo.versionOf, version })
+  return true
+}
+
+/**
+ * Describe an upload in webhook payloads.
+ * @param {object} uploadInfo
+ * @returns {object}
+ */
+const getUploadWebhookData = (uploadInfo) => ({
+  fileId: uploadInfo.id,
+  versionOf: uploadInfo.versionOf ?? null,
+  name: uploadInfo.name,
+  size: uploadInfo.size,
+  hash: uploadInfo.hash
+})
+
+/**
+ * Notify the user of a stored upload, and post it to webhooks.
+ * Webhooks are only posted once the upload is stored, so they never see uploads which are reverted.
+ * @param {object} uploadInfo
+ */
+const announceStoredUpload = async (uploadInfo) => {
+  const { id: fileId, userId, infoBlockNumber, verifyBlockNumber } = uploadInfo
+  await notifyUser(userId, 'upload-file-res', { fileId })
+  await triggerWebhooks([userId], 'file-uploaded', getUploadWebhookData(uploadInfo))
+  await triggerWebhooks([userId], 'file-verified', {
+    ...getUploadWebhookData(uploadInfo),
+    infoBlockNumber,
+    verifyBlockNumber
+  })
+}
+
 /**
  * Store file info in map after upload, and wait for blockchain info
  * @param {{
@@ -62,24 +140,31 @@ export const finishUpload = async (uploadInfo) => {
       await revertUpload(userId, fileId, 'Upload file is of risky mime type.')
       return
     }
+    // Check quota again as other uploads may have finished during this upload
+    if (uploadInfo.size > (await getRemainingQuota(userId))) {
+      logger.warn('Client upload file exceeding storage quota.', { userId, fileId })
+      await abortUpload(userId, fileId, QuotaExceededErrorMsg)
+      return
+    }
+    // Hash is stored with the file for download ETag and compared with blockchain
+    const hash = await calculateFileHash(getFilePath(uploadInfo.userId, uploadInfo.id))
+    uploadInfo = { ...uploadInfo, ...uploadInfoMap.get(uploadInfo.id), hash }
     if (!ConfigManager.blockchain.enabled) {
       // Ignore blockchain and directly accept upload
 
-      uploadInfo = { ...uploadInfo, ...uploadInfoMap.get(uploadInfo.id) }
       uploadInfo.infoBlockNumber = 0
       uploadInfo.verifyBlockNumber = 0
       uploadInfoMap.delete(fileId)
-      await addFileToDatabase(uploadInfo)
-      emitToOnlineUser(userId, 'upload-file-res', { fileId })
+      if (!(await storeUpload(uploadInfo))) {
+        await revertUpload(userId, fileId, FileNotFoundErrorMsg)
+        return
+      }
+      await announceStoredUpload(uploadInfo)
       logger.info('File uploaded.', { fileId, userId })
       return
     }
 
-    const hash = await calculateFileHash(getFilePath(uploadInfo.userId, uploadInfo.id))
-    uploadInfoMap.set(uploadInfo.id, {
-      uploadInfo: { ...uploadInfo, ...uploadInfoMap.get(uploadInfo.id) },
-      hash
-    })
+    uploadInfoMap.set(uploadInfo.id, { uploadInfo, hash })
     logger.info(`upload info map set.`, { fileId: uploadInfo.id, hash })
   } catch (error) {
     logger.error(error)
@@ -96,6 +181,47 @@ export const hasUpload = (fileId) => {
   return uploadInfoMap.has(fileId)
 }
 
+/**
+ * Check if certain fileId is in uploadInfoMap and is uploaded by the user
+ * @param {string} fileId
+ * @param {string} userId
+ * @returns {boolean}
+ */
+export const hasUploadOfUserId = (fileId, userId) => {
+  const value = uploadInfoMap.get(fileId)
+  // Finished uploads waiting for blockchain are stored with uploadInfo
+  return (value?.uploadInfo ?? value)?.userId === userId
+}
+
+/**
+ * Reset the expire time of an upload which is still receiving content,
+ * so it is kept alive while chunks arrive.
+ * @param {string} fileId
+ * @returns {boolean} Whether the upload is still receiving content.
+ */
+export const keepUploadAlive = (fileId) => {
+  const value = uploadInfoMap.get(fileId)
+  // Finished uploads waiting for blockchain are stored with uploadInfo
+  if (!value || value.uploadInfo) return false
+  uploadInfoMap.set(fileId, value)
+  return true
+}
+
+/**
+ * Check the total length declared by a chunk of an upload which is still receiving content.
+ * The length declared by the first chunk is stored with the upload info, later chunks must declare the same.
+ * @param {string} fileId
+ * @param {number} length
+ * @returns {boolean} Whether the length matches the length of the upload.
+ */
+export const checkUploadLength = (fileId, length) => {
+  const value = uploadInfoMap.get(fileId)
+  // Finished uploads waiting for blockchain are stored with uploadInfo
+  if (!value || value.uploadInfo) return false
+  value.length ??= length
+  return value.length === length
+}
+
 // revert upload if blockhain information did not come in time
 uploadInfoMap.onExpired((key, value) => {
   revertUpload(value.uploadInfo?.userId, key, 'Did not get blockchain info in time.')
@@ -139,8 +265,11 @@ BlockchainManager.bindEventListener(
             const receipt = await BlockchainManager.setFileVerification(fileId, uploader, 'success')
             value.uploadInfo.infoBlockNumber = event.log.blockNumber
             value.uploadInfo.verifyBlockNumber = (await receipt.getBlock()).number
-            await addFileToDatabase(value.uploadInfo)
-            emitToOnlineUser(userId, 'upload-file-res', { fileId })
+            if (!(await storeUpload(value.uploadInfo))) {
+              revertUpload(userId, fileId, FileNotFoundErrorMsg)
+              return
+            }
+            await announceStoredUpload(value.uploadInfo)
             logger.info('File uploaded and verified.', { fileId, userId })
           } else {
             logger.warn('File hashes do not meet', {
@@ -181,8 +310,8 @@ const revertUpload = async (userId, fileId, errorMsg) => {
     // remove file from disc
     const filePath = getFilePath(userId, fileId)
     await unlink(filePath)
-    // send message to client if online
-    emitToOnlineUser(userId, 'upload-file-res', { fileId, errorMsg })
+    // notify client, which is kept until read if client is offline
+    await notifyUser(userId, 'upload-file-res', { fileId, errorMsg })
   } catch (error) {
     if (error.code != 'ENOENT') {
       logger.error(error)
@@ -1,90 +1,210 @@
 import ConfigManager from './ConfigManager.js'
 import EvictingMap from './EvictingMap.js'
-import { logSocketInfo, logSocketWarning } from './Logger.js'
+import { logger, logSocketInfo, logSocketWarning } from './Logger.js'
+import { randomBytes, randomUUID } from 'node:crypto'
 
-const loginMap = new EvictingMap(ConfigManager.login.idleTimeoutMin * 60 * 1000) // For idle timeout
+const loginMap = new EvictingMap(ConfigManager.login.idleTimeoutMin * 60 * 1000) // For idle timeout, sessionId as key
+const userSessionsMap = new Map() // userId to set of sessionIds
 const socketToUserIdMap = new Map()
+const resumeMap = new EvictingMap(ConfigManager.login.resumeGraceSec * 1000) // For disconnected sessions, resume token as key
+const maxPendingEvents = 100 // Events kept for a disconnected session
 
 /**
- * Record user login information
+ * Generate a token to resume a session after disconnecting
+ * @returns {string}
+ */
+const issueResumeToken = () => randomBytes(32).toString('base64url')
+
+/**
+ * Record user login information as a new session of the user
  * @param {string} userId 
  * @param {*} socket 
- * @returns 
+ * @param {string} deviceLabel Label of the device given by client
+ * @returns {{sessionId: string, resumeToken: string}|false} The session, or false if the user has too many sessions
  */
-export function userLogin(userId, socket) {
-  if (loginMap.has(userId)) {
-    // Already logged in
-    logSocketWarning(socket, 'Multiple login for same account.')
+export function userLogin(userId, socket, deviceLabel = '') {
+  const sessionIds = userSessionsMap.get(userId) ?? new Set()
+  if (sessionIds.size >= ConfigManager.login.maxSessions) {
+    logSocketWarning(socket, 'Too many sessions for same account.')
     return false
   }
-  loginMap.set(userId, { socket, loginTime: Date.now() })
+  const sessionId = randomUUID()
+  const resumeToken = issueResumeToken()
+  loginMap.set(sessionId, {
+    userId,
+    socket,
+    deviceLabel,
+    loginTime: Date.now(),
+    resumeToken,
+    pendingEvents: []
+  })
+  sessionIds.add(sessionId)
+  userSessionsMap.set(userId, sessionIds)
   socketToUserIdMap.set(socket.id, userId)
-  return true
+  socket.sessionId = sessionId
+  return { sessionId, resumeToken }
+}
+
+/**
+ * Remove all information of a session
+ * @param {string} sessionId
+ * @param {*} session The session information, for sessions already removed from loginMap
+ */
+function removeSession(sessionId, session = loginMap.get(sessionId)) {
+  if (!session) return
+  loginMap.delete(sessionId)
+  resumeMap.delete(session.resumeToken)
+  if (session.socket) socketToUserIdMap.delete(session.socket.id)
+  const sessionIds = userSessionsMap.get(session.userId)
+  sessionIds?.delete(sessionId)
+  if (sessionIds?.size === 0) userSessionsMap.delete(session.userId)
 }
 
 /**
- * Remove user login information
+ * Remove user login information of the session of the socket
  * @param {*} socket 
  */
 export function userLogout(socket) {
-  const userId = socketToUserIdMap.get(socket.id)
-  if (userId) {
-    socketToUserIdMap.delete(socket.id)
-    loginMap.delete(userId)
-    logSocketInfo(socket, 'User logged out.')
+  if (socketToUserIdMap.has(socket.id)) {
+    removeSession(socket.sessionId)
+    logSocketInfo(socket, 'User logged out.', { sessionId: socket.sessionId })
   }
 }
 
+/**
+ * Keep the session of a disconnected socket for the grace period, so the client can resume it.
+ * Events emitted to the session meanwhile are kept until it is resumed.
+ * @param {*} socket
+ */
+export function userDisconnect(socket) {
+  if (!socketToUserIdMap.has(socket.id)) return
+  socketToUserIdMap.delete(socket.id)
+  const session = loginMap.get(socket.sessionId)
+  session.socket = null
+  resumeMap.set(session.resumeToken, socket.sessionId)
+  logSocketInfo(socket, 'Session kept for resumption.', { sessionId: socket.sessionId })
+}
+
+/**
+ * Reattach a disconnected session to a new socket. The resume token is rotated.
+ * @param {string} resumeToken
+ * @param {*} socket
+ * @returns {{userId: string, sessionId: string, resumeToken: string, pendingEvents: Array<{event: string, data: Array<any>}>}|undefined}
+ * The resumed session and events emitted while disconnected, or undefined if the token is invalid or expired.
+ */
+export function resumeSession(resumeToken, socket) {
+  const sessionId = resumeMap.get(resumeToken)
+  if (!sessionId) return undefined
+  resumeMap.delete(resumeToken)
+  const session = loginMap.get(sessionId)
+  const { pendingEvents } = session
+  session.socket = socket
+  session.resumeToken = issueResumeToken()
+  session.pendingEvents = []
+  socketToUserIdMap.set(socket.id, session.userId)
+  socket.sessionId = sessionId
+  return { userId: session.userId, sessionId, resumeToken: session.resumeToken, pendingEvents }
+}
+
 /**
  * Check if user is logged in
  * @param {string} userId 
  * @returns 
  */
 export function checkUserLoggedIn(userId) {
-  return loginMap.has(userId)
+  return userSessionsMap.has(userId)
+}
+
+/**
+ * Check if user has as many sessions as allowed
+ * @param {string} userId
+ * @returns {boolean}
+ */
+export function checkMaxSessionsReached(userId) {
+  return (userSessionsMap.get(userId)?.size ?? 0) >= ConfigManager.login.maxSessions
 }
 
 /**
- * Get userId of certain socketId
- * @param {string} socketId 
- * @returns {string} userId
+ * Get sessions of certain user
+ * @param {string} userId
+ * @returns {Array<{sessionId: string, deviceLabel: string, loginTime: number, connected: boolean}>} session info
  */
-export function getLoggedInUserIdOfSocket(socketId) {
-  return socketToUserIdMap.get(socketId)
+export function getSessionsOfUser(userId) {
+  const sessions = []
+  for (const sessionId of userSessionsMap.get(userId) ?? []) {
+    const { deviceLabel, loginTime, socket } = loginMap.get(sessionId)
+    sessions.push({ sessionId, deviceLabel, loginTime, connected: socket !== null })
+  }
+  return sessions
 }
 
 /**
- * Emit event to certain online user
+ * Log out and disconnect a session of certain user
+ * @param {string} userId
+ * @param {string} sessionId
+ * @returns {boolean} false if the session does not exist or is not of the user
+ */
+export function terminateSession(userId, sessionId) {
+  if (!userSessionsMap.get(userId)?.has(sessionId)) return false
+  const { socket } = loginMap.get(sessionId)
+  removeSession(sessionId)
+  socket?.disconnect(true)
+  return true
+}
+
+/**
+ * Emit event to all sessions of certain online user.
+ * Disconnected sessions keep the event until resumed.
  * @param {string} userId 
  * @param {string} event 
  * @param  {...any} data 
  */
 export function emitToOnlineUser(userId, event, ...data) {
-  if (loginMap.has(userId)) {
-    loginMap.get(userId).socket.emit(event, ...data)
+  for (const sessionId of userSessionsMap.get(userId) ?? []) {
+    const session = loginMap.get(sessionId)
+    if (session.socket) {
+      session.socket.emit(event, ...data)
+    } else {
+      session.pendingEvents.push({ event, data })
+      if (session.pendingEvents.length > maxPendingEvents) session.pendingEvents.shift()
+    }
   }
 }
 
 /**
- * Get onine user information
- * @returns {Array<{userId: string, socketId: string, timestamp: number}>} online user info
+ * Get onine user information, one entry per session
+ * @returns {Array<{userId: string, sessionId: string, deviceLabel: string, socketId: string|undefined, timestamp: number}>} online user info
  */
 export function getOnlineUsers() {
   const info = []
   for (const [key, value] of loginMap) {
-    info.push({ userId: key, socketId: value.socket.id, timestamp: value.loginTime })
+    info.push({
+      userId: value.userId,
+      sessionId: key,
+      deviceLabel: value.deviceLabel,
+      socketId: value.socket?.id,
+      timestamp: value.loginTime
+    })
   }
   return info
 }
 
-// Idle timeout, disconnect the user
+// Idle timeout, disconnect the session
 loginMap.onExpired((key, value) => {
-  logSocketInfo(
-    value.socket,
-    `Client Idle for ${ConfigManager.login.idleTimeoutMin} minutes. Disconnecting...`
-  )
-  userLogout(value.socket.id)
-  value.socket.disconnect(true)
+  removeSession(key, value)
+  if (value.socket) {
+    logSocketInfo(
+      value.socket,
+      `Client Idle for ${ConfigManager.login.idleTimeoutMin} minutes. Disconnecting...`
+    )
+    value.socket.disconnect(true)
+  }
+})
+
+// Grace period passed, the session can no longer be resumed
+resumeMap.onExpired((key, value) => {
+  removeSession(value)
+  logger.info('Disconnected session expired.', { sessionId: value })
 })
 
 const loginFailureMap = new EvictingMap(ConfigManager.login.failedRecordRefreshMin * 60 * 1000) // 5 minute for failure record
@@ -13,6 +13,9 @@ export const InvalidArgumentErrorMsg = 'Invalid arguments.'
 export const InternalServerErrorMsg = 'Internal server error.'
 export const NotLoggedInErrorMsg = 'Not logged in.'
 export const FileNotFoundErrorMsg = 'File not found.'
+export const FolderNotFoundErrorMsg = 'Folder not found.'
+export const NameAlreadyExistsErrorMsg = 'Name already exists.'
+export const QuotaExceededErrorMsg = 'Storage quota exceeded.'
 export const EmailNotRegisteredErrorMsg = 'Email not registered.'
 export const EmailAlreadyRegisteredErrorMsg = 'Email already registered.'
 export const NoEmailAuthFirstErrorMsg = 'Did not ask for email authentication first.'
@@ -3,6 +3,7 @@
  */
 import { z } from 'zod/v4'
 import { isAddress } from 'ethers'
+import ConfigManager from './ConfigManager.js'
 
 const EthereumAddressSchema = z.string().refine((val) => isAddress(val), {
   message: 'Invalid Ethereum address. Check format and checksum.'
@@ -14,6 +15,26 @@ export const PublicKeySchema = z.string().regex(/^[a-zA-Z0-9+/=]+$/)
 const FolderIdSchema = z.uuidv4().nullable()
 export const FileIdSchema = z.uuidv4()
 const HexStringSchema = z.string().regex(/^[0-9a-fA-F]+$/)
+const FileSizeSchema = z.int().nonnegative()
+// Maybe should conenct to storage database via Config Manager
+const PermissionSchema = z.union([z.literal(0), z.literal(1), z.literal(2)])
+
+/**
+ * Schema of a page cursor, which is the base64url encoded JSON of the last listed item position.
+ * @param {z.ZodType} positionSchema Schema of the decoded position.
+ */
+const CursorSchema = (positionSchema) =>
+  z
+    .string()
+    .transform((val, ctx) => {
+      try {
+        return JSON.parse(Buffer.from(val, 'base64url').toString())
+      } catch {
+        ctx.addIssue({ code: 'custom', message: 'Invalid cursor encoding.' })
+        return z.NEVER
+      }
+    })
+    .pipe(positionSchema)
 
 // CryptoHandler.js
 export const Base64Schema = z.base64()
@@ -27,7 +48,8 @@ export const RegisterRequestSchema = z.object({
 })
 
 export const LoginRequestSchema = z.object({
-  publicKey: PublicKeySchema
+  publicKey: PublicKeySchema,
+  deviceLabel: z.string().max(64).default('')
 })
 
 export const AuthResRequestSchema = z.object({
@@ -46,6 +68,29 @@ export const EmailAuthResRequestSchema = z.object({
   emailAuth: z.string()
 })
 
+export const TerminateSessionRequestSchema = z.object({
+  sessionId: z.uuidv4()
+})
+
+export const ResumeSessionRequestSchema = z.object({
+  resumeToken: z.string().regex(/^[A-Za-z0-9_-]{43}$/)
+})
+
+export const TotpCodeSchema = z.string().regex(/^\d{6}$/)
+
+// Two groups of 5 hex digits
+export const RecoveryCodeSchema = z
+  .string()
+  .trim()
+  .toLowerCase()
+  .regex(/^[0-9a-f]{5}-[0-9a-f]{5}$/)
+
+export const SecondFactorCodeSchema = z.union([TotpCodeSchema, RecoveryCodeSchema])
+
+export const TotpResRequestSchema = z.object({
+  code: SecondFactorCodeSchema
+})
+
 // FileManager.js
 export const DownloadFileRequestSchema = z.object({
   fileId: FileIdSchema
@@ -61,16 +106,75 @@ export const DownloadFileHashErrorRequestSchema = z.object({
 export const UploadFileRequestSchema = z.object({
   cipher: z.string(),
   spk: z.string(),
-  parentFolderId: FolderIdSchema
+  parentFolderId: FolderIdSchema,
+  size: FileSizeSchema.optional()
+})
+
+export const UploadFileVersionRequestSchema = z.object({
+  fileId: FileIdSchema,
+  cipher: z.string(),
+  spk: z.string(),
+  size: FileSizeSchema.optional()
 })
 
 export const DeleteFileRequestSchema = z.object({
   fileId: FileIdSchema
 })
 
-export const GetFileListRequestSchema = z.object({
-  parentFolderId: FolderIdSchema
-})
+const FileListSortBySchema = z.enum(['name', 'size', 'timestamp'])
+const FileListOrderSchema = z.enum(['asc', 'desc'])
+
+// Postgres timestamptz in text form, as positions of timestamp sorted lists are stored
+const TimestampTextSchema = z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d+)?([+-]\d{2}(:?\d{2})?|Z)$/)
+  .refine((val) => !Number.isNaN(Date.parse(val)))
+
+/**
+ * Check if the position value of a file list cursor can be cast to the type of its sort column.
+ * Folders have no size, so they are sorted by name instead.
+ * @param {{type: string, sortBy: string, value: string|null}} cursor
+ * @returns {boolean}
+ */
+const isFileListCursorValueValid = ({ type, sortBy, value }) => {
+  if (value === null || sortBy == 'name') return true
+  if (sortBy == 'size') return type == 'folder' || /^\d{1,18}$/.test(value)
+  return TimestampTextSchema.safeParse(value).success
+}
+
+const FileListCursorSchema = CursorSchema(
+  z
+    .object({
+      type: z.enum(['folder', 'file']),
+      sortBy: FileListSortBySchema,
+      order: FileListOrderSchema,
+      value: z.string().nullable(),
+      id: z.string().nullable()
+    })
+    // Only the cursor starting from the first file has no position
+    .refine(
+      (val) => (val.value === null) == (val.id === null) && (val.type == 'file' || val.id !== null),
+      { message: 'Invalid cursor position.' }
+    )
+    .refine(isFileListCursorValueValid, { message: 'Invalid cursor position.' })
+)
+
+export const GetFileListRequestSchema = z
+  .object({
+    parentFolderId: FolderIdSchema,
+    cursor: FileListCursorSchema.optional(),
+    limit: z.int().min(1).max(1000).default(100),
+    sortBy: FileListSortBySchema.default('name'),
+    order: FileListOrderSchema.default('asc'),
+    permissions: PermissionSchema.array().optional(),
+    namePrefix: NonEmptyStringSchema.optional(),
+    from: z.iso.datetime({ offset: true }).optional(),
+    to: z.iso.datetime({ offset: true }).optional()
+  })
+  .refine(
+    (val) => !val.cursor || (val.cursor.sortBy == val.sortBy && val.cursor.order == val.order),
+    { message: 'Cursor does not match sort options.' }
+  )
 
 export const AddFolderRequestSchema = z.object({
   parentFolderId: FolderIdSchema,
@@ -78,7 +182,9 @@ export const AddFolderRequestSchema = z.object({
 })
 
 export const DeleteFolderRequestSchema = z.object({
-  folderId: FolderIdSchema
+  folderId: FolderIdSchema,
+  recursive: z.boolean().default(false),
+  dryRun: z.boolean().default(false)
 })
 
 export const MoveFileRequestSchema = z.object({
@@ -86,6 +192,31 @@ export const MoveFileRequestSchema = z.object({
   targetFolderId: FolderIdSchema
 })
 
+export const MoveFolderRequestSchema = z.object({
+  folderId: z.uuidv4(),
+  targetFolderId: FolderIdSchema
+})
+
+export const RenameFileRequestSchema = z.object({
+  fileId: FileIdSchema,
+  newName: NonEmptyStringSchema
+})
+
+export const RenameFolderRequestSchema = z.object({
+  folderId: z.uuidv4(),
+  newName: NonEmptyStringSchema
+})
+
+export const UpdateFolderPermRequestSchema = z.object({
+  folderId: z.uuidv4(),
+  permission: PermissionSchema
+})
+
+export const RestoreTrashRequestSchema = z.union([
+  z.object({ fileId: FileIdSchema }),
+  z.object({ folderId: z.uuidv4() })
+])
+
 const CTwSchema = z.object({
   ctStar: HexStringSchema,
   ctw: HexStringSchema.array(),
@@ -95,8 +226,7 @@ const CTwSchema = z.object({
 export const UpdateFileRequestSchema = z.object({
   fileId: FileIdSchema,
   description: z.string(),
-  // Maybe should conenct to storage database via Config Manager
-  permission: z.union([z.literal(0), z.literal(1), z.literal(2)]),
+  permission: PermissionSchema,
   CTw: CTwSchema.nullable()
 })
 
@@ -112,6 +242,27 @@ export const SearchFileRequestSchema = z.object({
   tags: z.string().array()
 })
 
+export const SearchOwnFilesRequestSchema = z.object({
+  query: NonEmptyStringSchema.max(256),
+  // The position value is the rank of similarity in text form, such as 0.5 or 1e-05
+  cursor: CursorSchema(
+    z.object({ value: z.string().regex(/^\d+(\.\d+)?(e-?\d+)?$/), id: z.string() })
+  ).optional(),
+  limit: z.int().min(1).max(100).default(20)
+})
+
+// VersionManager.js
+const VersionSchema = z.int().positive()
+
+export const GetFileVersionsRequestSchema = z.object({
+  fileId: FileIdSchema
+})
+
+export const RestoreFileVersionRequestSchema = z.object({
+  fileId: FileIdSchema,
+  version: VersionSchema
+})
+
 // RequestManager.js
 export const ReqeustFileRequestSchema = z.object({
   fileId: FileIdSchema,
@@ -126,8 +277,146 @@ export const RespondRequestRequestSchema = z.object({
   requestId: z.uuidv4(),
   agreed: z.boolean(),
   description: z.string(),
-  rekey: z.string().nullable()
+  rekey: z.string().nullable(),
+  expiresAt: z.iso
+    .datetime({ offset: true })
+    .refine((val) => new Date(val) > new Date(), { message: 'Expiry time must be in the future.' })
+    .nullable()
+    .default(null)
+})
+
+export const RequestFolderRequestSchema = z.object({
+  folderId: z.uuidv4(),
+  description: z.string()
+})
+
+export const RespondFolderRequestRequestSchema = RespondRequestRequestSchema.omit({
+  requestId: true
+}).extend({
+  folderRequestId: z.uuidv4()
+})
+
+export const RespondRequestsBatchRequestSchema = RespondRequestRequestSchema.array().min(1).max(100)
+
+export const RevokeGrantRequestSchema = z.object({
+  fileId: FileIdSchema
+})
+
+export const AddRequestCommentRequestSchema = z.object({
+  requestId: z.uuidv4(),
+  content: NonEmptyStringSchema.max(ConfigManager.commentLengthLimit)
+})
+
+export const GetRequestCommentsRequestSchema = z.object({
+  requestId: z.uuidv4()
+})
+
+// NotificationManager.js
+const EmailNotificationTypeSchema = z.enum(['new-request', 'new-response', 'upload-failed'])
+// Locales need templates in EmailTemplates.js
+const LocaleSchema = z.enum(['zh-TW', 'en'])
+
+export const GetNotificationsRequestSchema = z.object({
+  unreadOnly: z.boolean().default(false),
+  limit: z.int().min(1).max(100).default(50)
+})
+
+export const MarkNotificationsReadRequestSchema = z.object({
+  // Marks all notifications as read if omitted
+  notificationIds: z.uuidv4().array().min(1).max(100).optional()
+})
+
+export const UpdateNotificationSettingsRequestSchema = z.object({
+  emailNotifications: EmailNotificationTypeSchema.array().transform((types) => [...new Set(types)]),
+  locale: LocaleSchema
+})
+
+// WebhookManager.js
+export const WebhookEventSchema = z.enum([
+  'file-uploaded',
+  'file-verified',
+  'request-created',
+  'request-responded',
+  'file-deleted'
+])
+
+export const WebhookUrlSchema = z.url({ protocol: /^https$/ }).max(2048)
+
+export const AddWebhookRequestSchema = z.object({
+  url: WebhookUrlSchema,
+  events: WebhookEventSchema.array()
+    .min(1)
+    .transform((events) => [...new Set(events)])
+})
+
+export const DeleteWebhookRequestSchema = z.object({
+  webhookId: z.uuidv4()
+})
+
+export const GetWebhookDeliveriesRequestSchema = z.object({
+  webhookId: z.uuidv4(),
+  limit: z.int().min(1).max(100).default(20)
+})
+
+// ShareLinkManager.js
+export const CreateShareLinkRequestSchema = z.object({
+  fileId: FileIdSchema,
+  recipientPk: PublicKeySchema,
+  rekey: Base64Schema,
+  expiresAt: z.iso
+    .datetime({ offset: true })
+    .refine((val) => new Date(val) > new Date(), { message: 'Expiry time must be in the future.' }),
+  maxDownloads: z.int().min(1).max(100).default(1)
+})
+
+export const DeleteShareLinkRequestSchema = z.object({
+  shareLinkId: z.uuidv4()
+})
+
+// TransferToken.js
+export const TransferOperationSchema = z.enum(['upload', 'download'])
+// The encrypted database of the user is transferred as 'database', and the account export as 'export'
+export const TransferTargetSchema = z.union([FileIdSchema, z.literal(['database', 'export'])])
+
+export const GetTransferTokenRequestSchema = z
+  .object({
+    operation: TransferOperationSchema,
+    fileId: TransferTargetSchema
+  })
+  .refine(({ operation, fileId }) => operation === 'download' || fileId !== 'export', {
+    message: 'Account export can only be downloaded.'
+  })
+
+// TotpManager.js
+export const ConfirmTotpRequestSchema = z.object({
+  code: TotpCodeSchema
+})
+
+export const DisableTotpRequestSchema = z.object({
+  code: SecondFactorCodeSchema
 })
 
 // HttpsServer.js
-export const SocketIDSchema = z.string()
+export const BearerTokenHeaderSchema = z
+  .string()
+  .regex(/^Bearer \S+$/)
+  .transform((val) => val.slice('Bearer '.length))
+
+// Base64url of 32 random bytes
+export const ShareTokenSchema = z.string().regex(/^[A-Za-z0-9_-]{43}$/)
+
+export const UploadChunkHeadersSchema = z.object({
+  fileid: FileIdSchema,
+  'upload-offset': z.coerce.number().pipe(FileSizeSchema),
+  'upload-length': z.coerce.number().pipe(FileSizeSchema),
+  'file-name': z.string().transform((val, ctx) => {
+    try {
+      return decodeURIComponent(val)
+    } catch {
+      ctx.addIssue({ code: 'custom', message: 'Invalid file name encoding.' })
+      return z.NEVER
+    }
+  })
+})
+
+export const VersionHeaderSchema = z.coerce.number().pipe(VersionSchema).optional()
@@ -0,0 +1,194 @@
+/**
+ * This file handles versions of files.
+ * Including storing uploaded versions, listing and restoring versions, and removing stored versions.
+ */
+import { randomUUID } from 'node:crypto'
+import { rename, unlink } from 'node:fs/promises'
+import {
+  logInvalidSchemaWarning,
+  logSocketError,
+  logSocketInfo,
+  logSocketWarning
+} from './Logger.js'
+import {
+  addFileVersion,
+  getFileInfoOfOwnerId,
+  getFileVersionOfFileId,
+  getFileVersionsOfFileId,
+  restoreFileVersion
+} from './StorageDatabase.js'
+import {
+  checkLoggedIn,
+  FileNotFoundErrorMsg,
+  getFilePath,
+  InternalServerErrorMsg,
+  InvalidArgumentErrorMsg,
+  NotLoggedInErrorMsg
+} from './Utils.js'
+import { GetFileVersionsRequestSchema, RestoreFileVersionRequestSchema } from './Validation.js'
+
+/**
+ * Move the stored content of a file to another name, then move another stored content in its place.
+ * The first move is reverted if the second one fails.
+ * @param {string} userId
+ * @param {string} fileId The file whose content is replaced.
+ * @param {string} archiveId The name to move the current content to.
+ * @param {string} contentId The name of the content to move in.
+ */
+const swapFileContent = async (userId, fileId, archiveId, contentId) => {
+  await rename(getFilePath(userId, fileId), getFilePath(userId, archiveId))
+  try {
+    await rename(getFilePath(userId, contentId), getFilePath(userId, fileId))
+  } catch (error) {
+    await rename(getFilePath(userId, archiveId), getFilePath(userId, fileId))
+    throw error
+  }
+}
+
+/**
+ * Store a verified upload as the newest version of an existing file.
+ * The previous content is kept as a numbered version.
+ * @param {{
+ * id,
+ * userId,
+ * versionOf,
+ * cipher,
+ * spk,
+ * size,
+ * infoBlockNumber,
+ * verifyBlockNumber
+ * }} uploadInfo
+ * @returns {Promise<number|undefined>} The new version number, or undefined if the file does not exist.
+ */
+export const applyFileVersion = async (uploadInfo) => {
+  const { id: uploadId, userId, versionOf: fileId } = uploadInfo
+  if (!(await getFileInfoOfOwnerId(fileId, userId))) return undefined
+
+  const archiveId = randomUUID()
+  await swapFileContent(userId, fileId, archiveId, uploadId)
+  try {
+    const version = await addFileVersion(archiveId, { ...uploadInfo, fileId, uploadId })
+    // File was removed after the check, put the contents back
+    if (!version) await swapFileContent(userId, fileId, uploadId, archiveId)
+    return version
+  } catch (error) {
+    await swapFileContent(userId, fileId, uploadId, archiveId)
+    throw error
+  }
+}
+
+/**
+ * Remove the stored contents of all versions of a file from disk.
+ * @param {string} userId
+ * @param {string} fileId
+ */
+export const removeFileVersions = async (userId, fileId) => {
+  for (const version of await getFileVersionsOfFileId(fileId)) {
+    try {
+      await unlink(getFilePath(userId, version.id))
+    } catch (error) {
+      if (error.code != 'ENOENT') throw error
+    }
+  }
+}
+
+// File version related events
+export const versionBinder = (socket) => {
+  /**
+   * Client asks to get versions of a file
+   */
+  socket.on('get-file-versions', async (request, cb) => {
+    try {
+      const actionStr = 'Client asks to get file versions'
+      logSocketInfo(socket, actionStr + '.', request)
+
+      const result = GetFileVersionsRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, request)
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { fileId } = result.data
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.', request)
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      const fileInfo = await getFileInfoOfOwnerId(fileId, socket.userId)
+      if (!fileInfo) {
+        logSocketWarning(socket, actionStr + ' but file is not found.', request)
+        cb({ errorMsg: FileNotFoundErrorMsg })
+        return
+      }
+
+      const versions = await getFileVersionsOfFileId(fileId)
+      logSocketInfo(socket, 'Responding file versions to client.', request)
+      cb({ currentVersion: fileInfo.version, versions: JSON.stringify(versions) })
+    } catch (error) {
+      logSocketError(socket, error, request)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+
+  /**
+   * Client asks to restore a file to one of its versions
+   */
+  socket.on('restore-file-version', async (request, cb) => {
+    try {
+      const actionStr = 'Client asks to restore file version'
+      logSocketInfo(socket, actionStr + '.', request)
+
+      const result = RestoreFileVersionRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, request)
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { fileId, version } = result.data
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.', request)
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      if (!(await getFileInfoOfOwnerId(fileId, socket.userId))) {
+        logSocketWarning(socket, actionStr + ' but file is not found.', request)
+        cb({ errorMsg: FileNotFoundErrorMsg })
+        return
+      }
+
+      const versionInfo = await getFileVersionOfFileId(fileId, version)
+      if (!versionInfo) {
+        logSocketWarning(socket, actionStr + ' but version is not found.', request)
+        cb({ errorMsg: 'Version not found.' })
+        return
+      }
+
+      const archiveId = randomUUID()
+      await swapFileContent(socket.userId, fileId, archiveId, versionInfo.id)
+      try {
+        const info = await restoreFileVersion(fileId, versionInfo.id, archiveId)
+        if (info.rowCount == 0) {
+          // File or version was removed after the check
+          await swapFileContent(socket.userId, fileId, versionInfo.id, archiveId)
+          logSocketWarning(socket, actionStr + ' but file is not found.', request)
+          cb({ errorMsg: FileNotFoundErrorMsg })
+          return
+        }
+      } catch (error) {
+        await swapFileContent(socket.userId, fileId, versionInfo.id, archiveId)
+        throw error
+      }
+      logSocketInfo(socket, 'File version restored.', request)
+      cb({})
+    } catch (error) {
+      logSocketError(socket, error, request)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+}
+
+console.debug('VersionManager.js loaded.')
@@ -0,0 +1,382 @@
+/**
+ * This file handles outgoing webhooks.
+ * Including registering webhooks, posting signed event payloads, and retrying failed deliveries with backoff.
+ */
+import { createHmac, randomBytes } from 'node:crypto'
+import { lookup } from 'node:dns/promises'
+import { request as httpRequest } from 'node:http'
+import { request as httpsRequest } from 'node:https'
+import { BlockList } from 'node:net'
+import {
+  logger,
+  logInvalidSchemaWarning,
+  logSocketError,
+  logSocketInfo,
+  logSocketWarning
+} from './Logger.js'
+import {
+  addWebhook,
+  addWebhookDelivery,
+  claimDueWebhookDeliveries,
+  deleteWebhookOfUserId,
+  getWebhookDeliveriesOfWebhookId,
+  getWebhooksOfEvent,
+  getWebhooksOfUserId,
+  updateWebhookDeliveryAttempt
+} from './StorageDatabase.js'
+import {
+  checkLoggedIn,
+  InternalServerErrorMsg,
+  InvalidArgumentErrorMsg,
+  NotLoggedInErrorMsg
+} from './Utils.js'
+import ConfigManager from './ConfigManager.js'
+import {
+  AddWebhookRequestSchema,
+  DeleteWebhookRequestSchema,
+  GetWebhookDeliveriesRequestSchema
+} from './Validation.js'
+
+const minuteMs = 60 * 1000
+
+// Loopback, private, shared, link-local and reserved addresses, which webhooks of users must not reach
+const privateAddresses = new BlockList()
+privateAddresses.addSubnet('0.0.0.0', 8, 'ipv4')
+privateAddresses.addSubnet('10.0.0.0', 8, 'ipv4')
+privateAddresses.addSubnet('100.64.0.0', 10, 'ipv4')
+privateAddresses.addSubnet('127.0.0.0', 8, 'ipv4')
+privateAddresses.addSubnet('169.254.0.0', 16, 'ipv4')
+privateAddresses.addSubnet('172.16.0.0', 12, 'ipv4')
+privateAddresses.addSubnet('192.0.0.0', 24, 'ipv4')
+privateAddresses.addSubnet('192.168.0.0', 16, 'ipv4')
+privateAddresses.addSubnet('198.18.0.0', 15, 'ipv4')
+privateAddresses.addAddress('::', 'ipv6')
+privateAddresses.addAddress('::1', 'ipv6')
+privateAddresses.addSubnet('fc00::', 7, 'ipv6')
+privateAddresses.addSubnet('fe80::', 10, 'ipv6')
+
+/**
+ * Resolve the host of a webhook URL, if it only resolves to public addresses.
+ * @param {string} url
+ * @returns {Promise<Array<{address: string, family: number}>|null>} null if the host resolves to any private address or cannot be resolved.
+ */
+const resolvePublicAddresses = async (url) => {
+  // IPv6 hosts are in brackets in URLs
+  const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1')
+  try {
+    const addresses = await lookup(hostname, { all: true })
+    const isPublic = addresses.every(
+      ({ address, family }) => !privateAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4')
+    )
+    return isPublic ? addresses : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Check if the host of a webhook URL only resolves to public addresses.
+ * @param {string} url
+ * @returns {Promise<boolean>} false if the host resolves to any private address or cannot be resolved.
+ */
+const isPublicWebhookUrl = async (url) => (await resolvePublicAddresses(url)) !== null
+
+/**
+ * Create a lookup function for connecting, which always resolves to given addresses.
+ * @param {Array<{address: string, family: number}>} addresses
+ * @returns {Function} A lookup function as of dns.lookup.
+ */
+const pinLookup = (addresses) => (hostname, options, callback) => {
+  if (options.all) callback(null, addresses)
+  else callback(null, addresses[0].address, addresses[0].family)
+}
+
+/**
+ * Post a body to a URL without following redirects.
+ * @param {string} url
+ * @param {object} headers
+ * @param {string} body
+ * @param {Function|undefined} connectLookup The lookup function for connecting, or undefined for dns.lookup.
+ * @returns {Promise<number>} The status code of the response.
+ */
+const postWebhook = (url, headers, body, connectLookup) =>
+  new Promise((resolve, reject) => {
+    const request = new URL(url).protocol === 'http:' ? httpRequest : httpsRequest
+    request(
+      url,
+      {
+        method: 'POST',
+        headers,
+        lookup: connectLookup,
+        signal: AbortSignal.timeout(ConfigManager.settings.webhookTimeoutSec * 1000)
+      },
+      (response) => {
+        // Response body is not used
+        response.resume()
+        resolve(response.statusCode)
+      }
+    )
+      .on('error', reject)
+      .end(body)
+  })
+
+/**
+ * Generate a secret for signing payloads of a webhook.
+ * @returns {string}
+ */
+const generateWebhookSecret = () => randomBytes(32).toString('hex')
+
+/**
+ * Sign a payload body with the secret of a webhook.
+ * @param {string} secret
+ * @param {string} body
+ * @returns {string} The signature, as sent in the X-Webhook-Signature header.
+ */
+export const signWebhookPayload = (secret, body) =>
+  'sha256=' + createHmac('sha256', secret).update(body).digest('hex')
+
+/**
+ * Get when to retry a delivery after a number of failed attempts, doubling the delay every attempt.
+ * @param {number} attempts
+ * @returns {Date}
+ */
+const getRetryTime = (attempts) =>
+  new Date(Date.now() + ConfigManager.settings.webhookRetryBaseMin * minuteMs * 2 ** (attempts - 1))
+
+/**
+ * Post a delivery to its webhook once and record the result.
+ * The delivery is given up if it fails too many times.
+ * Webhooks of users are not posted to private addresses, webhooks of admin (userId is null) are not restricted.
+ * @param {{id: string, event: string, payload: object, attempts: number, url: string, secret: string, userId: string|null}} delivery
+ */
+const attemptDelivery = async ({ id, event, payload, attempts, url, secret, userId }) => {
+  const body = JSON.stringify(payload)
+  let responseStatus = null
+  let lastError = null
+  try {
+    let connectLookup
+    if (userId !== null) {
+      // The host may resolve to another address after the webhook is added
+      const addresses = await resolvePublicAddresses(url)
+      if (!addresses) throw new Error('Host resolves to a private address.')
+      // Connect to the checked addresses, so the host is not resolved again to another address
+      connectLookup = pinLookup(addresses)
+    }
+    responseStatus = await postWebhook(
+      url,
+      {
+        'Content-Type': 'application/json',
+        'X-Webhook-Event': event,
+        'X-Webhook-Delivery': id,
+        'X-Webhook-Signature': signWebhookPayload(secret, body)
+      },
+      body,
+      connectLookup
+    )
+    if (responseStatus < 200 || responseStatus >= 300) {
+      lastError = `Responded with status ${responseStatus}.`
+    }
+  } catch (error) {
+    lastError = error.message
+  }
+
+  const attempted = attempts + 1
+  let status = 'success'
+  if (lastError) {
+    status = attempted >= ConfigManager.settings.webhookMaxAttempts ? 'failed' : 'pending'
+  }
+  await updateWebhookDeliveryAttempt(id, {
+    status,
+    responseStatus,
+    lastError,
+    nextAttemptAt: status === 'pending' ? getRetryTime(attempted) : null
+  })
+  const logInfo = { deliveryId: id, event, url, attempts: attempted, status, responseStatus }
+  if (lastError) logger.warn('Webhook delivery failed.', { ...logInfo, lastError })
+  else logger.info('Webhook delivered.', logInfo)
+}
+
+/**
+ * Post an event to the webhooks of the users it is about and the webhooks of admin.
+ * Deliveries are posted in the background, failing to post does not throw.
+ * @param {Array<string>} userIds The users the event is about.
+ * @param {'file-uploaded'|'file-verified'|'request-created'|'request-responded'|'file-deleted'} event
+ * @param {object} data
+ */
+export const triggerWebhooks = async (userIds, event, data) => {
+  try {
+    const webhooks = await getWebhooksOfEvent(userIds, event)
+    const payload = { event, timestamp: new Date().toISOString(), data }
+    for (const webhook of webhooks) {
+      // Retry is scheduled in case the first attempt never finishes
+      const id = await addWebhookDelivery(webhook.id, event, payload, getRetryTime(1))
+      attemptDelivery({ ...webhook, id, event, payload, attempts: 0 }).catch((error) =>
+        logger.error(error, { deliveryId: id })
+      )
+    }
+  } catch (error) {
+    logger.error(error, { event })
+  }
+}
+
+/**
+ * Retry deliveries which failed before and are due.
+ */
+export const retryWebhookDeliveries = async () => {
+  try {
+    const deliveries = await claimDueWebhookDeliveries(
+      getRetryTime(ConfigManager.settings.webhookMaxAttempts)
+    )
+    for (const delivery of deliveries) {
+      try {
+        await attemptDelivery(delivery)
+      } catch (error) {
+        logger.error(error, { deliveryId: delivery.id })
+      }
+    }
+  } catch (error) {
+    logger.error(error)
+  }
+}
+
+// Webhook related events
+export const webhookBinder = (socket) => {
+  /**
+   * Client asks to add a webhook
+   */
+  socket.on('add-webhook', async (request, cb) => {
+    try {
+      const actionStr = 'Client asks to add webhook'
+      logSocketInfo(socket, actionStr + '.', request)
+
+      const result = AddWebhookRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, request)
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { url, events } = result.data
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.', request)
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      if (!(await isPublicWebhookUrl(url))) {
+        logSocketWarning(socket, actionStr + ' whose host is not public.', request)
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+
+      // The secret is only responded here, client has to keep it for verifying signatures
+      const secret = generateWebhookSecret()
+      const webhookId = await addWebhook(socket.userId, url, events, secret)
+      logSocketInfo(socket, 'Webhook added.', { webhookId, url, events })
+      cb({ webhookId, secret })
+    } catch (error) {
+      logSocketError(socket, error, request)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+
+  /**
+   * Client asks to get webhooks
+   */
+  socket.on('get-webhooks', async (cb) => {
+    try {
+      const actionStr = 'Client asks to get webhooks'
+      logSocketInfo(socket, actionStr + '.')
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.')
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      const webhooks = await getWebhooksOfUserId(socket.userId)
+      logSocketInfo(socket, 'Responding webhooks to client.')
+      cb({ webhooks: JSON.stringify(webhooks) })
+    } catch (error) {
+      logSocketError(socket, error)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+
+  /**
+   * Client asks to delete a webhook
+   */
+  socket.on('delete-webhook', async (request, cb) => {
+    try {
+      const actionStr = 'Client asks to delete webhook'
+      logSocketInfo(socket, actionStr + '.', request)
+
+      const result = DeleteWebhookRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, request)
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { webhookId } = result.data
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.', request)
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      const info = await deleteWebhookOfUserId(webhookId, socket.userId)
+      if (info.rowCount == 0) {
+        logSocketWarning(socket, actionStr + ' but webhook does not exist.', request)
+        cb({ errorMsg: 'Webhook not found.' })
+        return
+      }
+      logSocketInfo(socket, 'Webhook deleted.', request)
+      cb({})
+    } catch (error) {
+      logSocketError(socket, error, request)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+
+  /**
+   * Client asks to get deliveries of a webhook
+   */
+  socket.on('get-webhook-deliveries', async (request, cb) => {
+    try {
+      const actionStr = 'Client asks to get webhook deliveries'
+      logSocketInfo(socket, actionStr + '.', request)
+
+      const result = GetWebhookDeliveriesRequestSchema.safeParse(request)
+      if (!result.success) {
+        logInvalidSchemaWarning(socket, actionStr, result.error.issues, request)
+        cb({ errorMsg: InvalidArgumentErrorMsg })
+        return
+      }
+      const { webhookId, limit } = result.data
+
+      if (!checkLoggedIn(socket)) {
+        logSocketWarning(socket, actionStr + ' but is not logged in.', request)
+        cb({ errorMsg: NotLoggedInErrorMsg })
+        return
+      }
+
+      const webhooks = await getWebhooksOfUserId(socket.userId)
+      if (!webhooks.some((webhook) => webhook.id === webhookId)) {
+        logSocketWarning(socket, actionStr + ' but webhook does not exist.', request)
+        cb({ errorMsg: 'Webhook not found.' })
+        return
+      }
+      const deliveries = await getWebhookDeliveriesOfWebhookId(webhookId, limit)
+      logSocketInfo(socket, 'Responding webhook deliveries to client.', request)
+      cb({ deliveries: JSON.stringify(deliveries) })
+    } catch (error) {
+      logSocketError(socket, error, request)
+      cb({ errorMsg: InternalServerErrorMsg })
+    }
+  })
+}
+
+// Periodically retry failed deliveries
+setInterval(retryWebhookDeliveries, ConfigManager.settings.webhookRetryCheckIntervalMin * minuteMs)
+console.debug('WebhookManager.js loaded.')
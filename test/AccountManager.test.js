@@ -0,0 +1,243 @@
+import { test, expect, jest, describe, beforeEach } from '@jest/globals'
+import { gunzipSync } from 'node:zlib'
+// Mock all external dependencies
+jest.mock('node:fs/promises', () => ({
+  rm: jest.fn(),
+  stat: jest.fn(),
+  writeFile: jest.fn()
+}))
+
+jest.mock('../src/Logger.js', () => ({
+  logSocketError: jest.fn(),
+  logSocketInfo: jest.fn(),
+  logSocketWarning: jest.fn()
+}))
+
+jest.mock('../src/StorageDatabase.js', () => ({
+  deleteUserById: jest.fn(),
+  getAllFoldersByUserId: jest.fn(),
+  getAllRequestsResponsesByRequester: jest.fn(),
+  getAllRequestsResponsesFilesByOwner: jest.fn(),
+  getFilesOfOwnerId: jest.fn(),
+  getFileVersionsOfFileId: jest.fn(),
+  getUserById: jest.fn(),
+  updateUserStatusById: jest.fn(),
+  userStatusType: { stopped: 'stopped' }
+}))
+
+jest.mock('../src/SecretShareDatabase.js', () => ({
+  deleteUserShares: jest.fn()
+}))
+
+jest.mock('../src/Utils.js', () => ({
+  checkLoggedIn: jest.fn(),
+  getFilePath: jest.fn((userId, fileId) => `/uploads/${userId}/${fileId}`),
+  InternalServerErrorMsg: 'Internal server error occurred.',
+  NotLoggedInErrorMsg: 'Not logged in.'
+}))
+
+jest.mock('../src/ConfigManager.js', () => ({
+  __esModule: true,
+  default: {
+    uploadDir: '/uploads',
+    blockchain: {
+      contractAddr: '0xContract'
+    }
+  }
+}))
+
+jest.mock('../src/BlockchainManager.js', () => ({
+  __esModule: true,
+  default: {
+    setClientStatus: jest.fn()
+  }
+}))
+
+// Import the module to be tested
+import { accountBinder, collectAccountData, deleteAccountData } from '../src/AccountManager.js'
+
+// Import mocked dependencies for easier access and assertion
+import { rm, stat, writeFile } from 'node:fs/promises'
+import {
+  deleteUserById,
+  getAllFoldersByUserId,
+  getAllRequestsResponsesByRequester,
+  getAllRequestsResponsesFilesByOwner,
+  getFilesOfOwnerId,
+  getFileVersionsOfFileId,
+  getUserById,
+  updateUserStatusById
+} from '../src/StorageDatabase.js'
+import { deleteUserShares } from '../src/SecretShareDatabase.js'
+import { checkLoggedIn, NotLoggedInErrorMsg } from '../src/Utils.js'
+import BlockchainManager from '../src/BlockchainManager.js'
+
+describe('AccountManager', () => {
+  let mockSocket
+  let mockCb
+  const mockUserId = 'user123'
+  const mockUserInfo = {
+    id: mockUserId,
+    name: 'Test User',
+    email: 'user@example.com',
+    pk: 'userPk',
+    address: '0xUser',
+    status: 'activate',
+    timestamp: '2025-01-01T00:00:00Z'
+  }
+  const mockFile = {
+    id: 'file789',
+    name: 'file.txt',
+    cipher: 'cipher',
+    spk: 'spk',
+    version: 2,
+    uploadId: 'upload2',
+    infoblocknumber: 10,
+    verifyblocknumber: 11
+  }
+  const mockFileVersion = {
+    id: 'version1',
+    fileId: 'file789',
+    version: 1,
+    uploadId: 'file789',
+    infoblocknumber: 5,
+    verifyblocknumber: 6
+  }
+
+  // Helper to trigger a socket event
+  const triggerSocketEvent = async (eventName, ...args) => {
+    const handler = mockSocket.events[eventName]
+    if (handler) {
+      await handler(...args, mockCb)
+    } else {
+      throw new Error(`No handler registered for event: ${eventName}`)
+    }
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    mockSocket = {
+      userId: mockUserId,
+      events: {},
+      on: jest.fn((eventName, handler) => {
+        mockSocket.events[eventName] = handler
+      })
+    }
+    mockCb = jest.fn()
+    checkLoggedIn.mockReturnValue(true)
+    getUserById.mockResolvedValue(mockUserInfo)
+    getFilesOfOwnerId.mockResolvedValue([mockFile])
+    getFileVersionsOfFileId.mockResolvedValue([mockFileVersion])
+    getAllFoldersByUserId.mockResolvedValue([{ id: 'folder1' }])
+    getAllRequestsResponsesByRequester.mockResolvedValue([{ requestId: 'req1' }])
+    getAllRequestsResponsesFilesByOwner.mockResolvedValue([{ requestId: 'req2' }])
+    accountBinder(mockSocket)
+  })
+
+  describe('deleteAccountData', () => {
+    test('should stop account and delete all its data', async () => {
+      updateUserStatusById.mockResolvedValue({ rowCount: 1 })
+
+      expect(await deleteAccountData(mockUserId)).toBe(true)
+
+      expect(updateUserStatusById).toHaveBeenCalledWith(mockUserId, 'stopped')
+      expect(BlockchainManager.setClientStatus).toHaveBeenCalledWith('0xUser', false)
+      expect(rm).toHaveBeenCalledWith('/uploads/user123', { recursive: true, force: true })
+      expect(deleteUserById).toHaveBeenCalledWith(mockUserId)
+      expect(deleteUserShares).toHaveBeenCalledWith(mockUserId)
+    })
+
+    test('should return false if user does not exist', async () => {
+      updateUserStatusById.mockResolvedValue({ rowCount: 0 })
+
+      expect(await deleteAccountData(mockUserId)).toBe(false)
+
+      expect(BlockchainManager.setClientStatus).not.toHaveBeenCalled()
+      expect(deleteUserById).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('collectAccountData', () => {
+    test('should collect files, requests, responses and blockchain records', async () => {
+      const accountData = await collectAccountData(mockUserId)
+
+      expect(accountData).toEqual({
+        exportedAt: expect.any(String),
+        user: {
+          id: mockUserId,
+          name: 'Test User',
+          email: 'user@example.com',
+          pk: 'userPk',
+          address: '0xUser',
+          timestamp: '2025-01-01T00:00:00Z'
+        },
+        folders: [{ id: 'folder1' }],
+        files: [mockFile],
+        fileVersions: [mockFileVersion],
+        requests: [{ requestId: 'req1' }],
+        responses: [{ requestId: 'req2' }],
+        blockchain: {
+          contractAddr: '0xContract',
+          address: '0xUser',
+          records: [
+            {
+              fileId: 'file789',
+              uploadId: 'upload2',
+              version: 2,
+              infoBlockNumber: 10,
+              verifyBlockNumber: 11
+            },
+            {
+              fileId: 'file789',
+              uploadId: 'file789',
+              version: 1,
+              infoBlockNumber: 5,
+              verifyBlockNumber: 6
+            }
+          ]
+        }
+      })
+    })
+
+    test('should record files without new versions with their own ID', async () => {
+      getFilesOfOwnerId.mockResolvedValue([{ ...mockFile, version: 1, uploadId: null }])
+      getFileVersionsOfFileId.mockResolvedValue([])
+
+      const accountData = await collectAccountData(mockUserId)
+
+      expect(accountData.blockchain.records).toEqual([
+        {
+          fileId: 'file789',
+          uploadId: 'file789',
+          version: 1,
+          infoBlockNumber: 10,
+          verifyBlockNumber: 11
+        }
+      ])
+    })
+  })
+
+  describe('export-account-data', () => {
+    test('should write gzipped account data to upload folder of client', async () => {
+      stat.mockResolvedValue({ size: 123 })
+
+      await triggerSocketEvent('export-account-data')
+
+      const [filePath, archive] = writeFile.mock.calls[0]
+      expect(filePath).toBe('/uploads/user123/export.json.gz')
+      expect(JSON.parse(gunzipSync(archive).toString())).toEqual(
+        expect.objectContaining({ files: [mockFile], requests: [{ requestId: 'req1' }] })
+      )
+      expect(mockCb).toHaveBeenCalledWith({ size: 123 })
+    })
+
+    test('should return NotLoggedInErrorMsg if client is not logged in', async () => {
+      checkLoggedIn.mockReturnValue(false)
+
+      await triggerSocketEvent('export-account-data')
+
+      expect(writeFile).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: NotLoggedInErrorMsg })
+    })
+  })
+})
@@ -6,11 +6,20 @@ import authenticationBinder from '../src/Authentication.js'
 import {
   AddUserAndGetId,
   deleteUserById,
+  getUserByEmail,
   getUserByKey,
   userStatusType
 } from '../src/StorageDatabase.js'
-import { addFailure, getFailure, userDbLogin } from '../src/LoginDatabase.js'
-import { InvalidArgumentErrorMsg, InternalServerErrorMsg } from '../src/Utils.js'
+import {
+  checkLoggedIn,
+  EmailAlreadyRegisteredErrorMsg,
+  EmailAuthExpiredErrorMsg,
+  EmailAuthNotMatchErrorMsg,
+  InvalidArgumentErrorMsg,
+  InternalServerErrorMsg,
+  NoEmailAuthFirstErrorMsg,
+  NotLoggedInErrorMsg
+} from '../src/Utils.js'
 import {
   logInvalidSchemaWarning,
   logSocketError,
@@ -19,35 +28,52 @@ import {
 } from '../src/Logger.js'
 import CryptoHandler from '../src/CryptoHandler.js'
 import { mkdir, rmdir } from 'node:fs/promises'
-import { resolve } from 'node:path'
 import ConfigManager from '../src/ConfigManager.js'
 import {
   AuthResRequestSchema,
+  EmailAuthResRequestSchema,
   LoginRequestSchema,
-  RegisterRequestSchema
+  RegisterRequestSchema,
+  SecretRecoverRequestSchema
 } from '../src/Validation.js'
+import BlockchainManager from '../src/BlockchainManager.js'
+import { retrieveUserShares } from '../src/SecretShareDatabase.js'
+import { sendEmailAuth } from '../src/SMTPManager.js'
+import {
+  checkLoginBlocked,
+  checkMaxSessionsReached,
+  getSessionsOfUser,
+  terminateSession,
+  userLogin,
+  userLoginFailure
+} from '../src/UserLoginInfo.js'
+import { isTotpEnabled } from '../src/TotpManager.js'
+import { deleteAccountData } from '../src/AccountManager.js'
 
 // Mock all external dependencies
 jest.mock('../src/StorageDatabase.js', () => ({
   AddUserAndGetId: jest.fn(),
   deleteUserById: jest.fn(),
+  getUserByEmail: jest.fn(),
+  getUserById: jest.fn(),
   getUserByKey: jest.fn(),
   userStatusType: {
-    active: 'active',
+    activate: 'activate',
     stopped: 'stopped'
-    // Add other relevant statuses if they exist in the actual enum
   }
 }))
 
-jest.mock('../src/LoginDatabase.js', () => ({
-  addFailure: jest.fn(),
-  getFailure: jest.fn(),
-  userDbLogin: jest.fn()
-}))
-
 jest.mock('../src/Utils.js', () => ({
-  InvalidArgumentErrorMsg: 'Invalid argument provided.',
-  InternalServerErrorMsg: 'Internal server error occurred.'
+  checkLoggedIn: jest.fn(),
+  EmailAlreadyRegisteredErrorMsg: 'Email already registered.',
+  EmailAuthExpiredErrorMsg: 'Email authentication code is expired.',
+  EmailAuthNotMatchErrorMsg: 'Email authentication code did not match.',
+  EmailNotRegisteredErrorMsg: 'Email not registered.',
+  InvalidArgumentErrorMsg: 'Invalid arguments.',
+  InternalServerErrorMsg: 'Internal server error.',
+  NoEmailAuthFirstErrorMsg: 'Did not ask for email authentication first.',
+  NotLoggedInErrorMsg: 'Not logged in.',
+  ShouldNotReachErrorMsg: 'Should not reach.'
 }))
 
 jest.mock('../src/Logger.js', () => ({
@@ -76,26 +102,68 @@ jest.mock('node:path', () => ({
 jest.mock('../src/ConfigManager.js', () => ({
   __esModule: true,
   default: {
-    loginAttemptsLimit: 3,
-    uploadDir: '/test/upload/dir'
+    uploadDir: '/test/upload/dir',
+    settings: {
+      emailAuthExpireTimeMin: 5,
+      emailAuthLength: 6
+    },
+    smtp: {
+      enabled: true
+    }
   }
 }))
 
 jest.mock('../src/Validation.js', () => ({
-  AuthResRequestSchema: {
-    safeParse: jest.fn()
-  },
-  LoginRequestSchema: {
-    safeParse: jest.fn()
-  },
-  RegisterRequestSchema: {
-    safeParse: jest.fn()
+  AuthResRequestSchema: { safeParse: jest.fn() },
+  EmailAuthResRequestSchema: { safeParse: jest.fn() },
+  LoginRequestSchema: { safeParse: jest.fn() },
+  RegisterRequestSchema: { safeParse: jest.fn() },
+  ResumeSessionRequestSchema: { safeParse: jest.fn() },
+  SecretRecoverRequestSchema: { safeParse: jest.fn() },
+  SecretShareRequestSchema: { safeParse: jest.fn() },
+  TerminateSessionRequestSchema: { safeParse: jest.fn() },
+  TotpResRequestSchema: { safeParse: jest.fn() }
+}))
+
+jest.mock('../src/BlockchainManager.js', () => ({
+  __esModule: true,
+  default: {
+    setClientStatus: jest.fn()
   }
 }))
 
+jest.mock('../src/SecretShareDatabase.js', () => ({
+  retrieveUserShares: jest.fn(),
+  storeUserShares: jest.fn()
+}))
+
+jest.mock('../src/SMTPManager.js', () => ({
+  sendEmailAuth: jest.fn()
+}))
+
+jest.mock('../src/UserLoginInfo.js', () => ({
+  checkLoginBlocked: jest.fn(),
+  checkMaxSessionsReached: jest.fn(),
+  getSessionsOfUser: jest.fn(),
+  resumeSession: jest.fn(),
+  terminateSession: jest.fn(),
+  userLogin: jest.fn(),
+  userLoginFailure: jest.fn(),
+  userLogout: jest.fn()
+}))
+
+jest.mock('../src/TotpManager.js', () => ({
+  checkSecondFactor: jest.fn(),
+  IncorrectTotpCodeErrorMsg: 'Incorrect two-factor authentication code.',
+  isTotpEnabled: jest.fn()
+}))
+
+jest.mock('../src/AccountManager.js', () => ({
+  deleteAccountData: jest.fn()
+}))
+
 describe('Authentication', () => {
   let mockSocket
-  let mockBlockchainManager
   let mockCb // Callback function for socket events
 
   beforeEach(() => {
@@ -122,24 +190,31 @@ describe('Authentication', () => {
       authed: false
     }
 
-    // Mock blockchainManager
-    mockBlockchainManager = {
-      setClientStatus: jest.fn()
-    }
+    checkLoggedIn.mockImplementation((socket) => socket.authed)
+    sendEmailAuth.mockResolvedValue()
 
     // Initialize the authentication binder
-    authenticationBinder(mockSocket, mockBlockchainManager)
+    authenticationBinder(mockSocket)
   })
 
   // Helper to trigger a socket event handler
-  const triggerSocketEvent = async (eventName, request, cb = mockCb) => {
+  const triggerSocketEvent = async (eventName, ...args) => {
     if (mockSocket.events[eventName]) {
-      await mockSocket.events[eventName](request, cb)
+      await mockSocket.events[eventName](...args, mockCb)
     } else {
       throw new Error(`Event handler for '${eventName}' not found.`)
     }
   }
 
+  // The code sent by the last email authentication
+  const getSentEmailAuth = () => sendEmailAuth.mock.calls.at(-1)[2]
+
+  // Helper to respond to email authentication with the code sent
+  const respondEmailAuth = async (emailAuth = getSentEmailAuth()) => {
+    EmailAuthResRequestSchema.safeParse.mockReturnValue({ success: true, data: { emailAuth } })
+    await triggerSocketEvent('email-auth-res', { emailAuth })
+  }
+
   describe('register event', () => {
     const validRegisterRequest = {
       publicKey: 'testPublicKey',
@@ -155,19 +230,16 @@ describe('Authentication', () => {
         cipher: 'cipherVal',
         spk: 'spkVal'
       })
-      getUserByKey.mockResolvedValueOnce(null) // Assume user not found by default
+      getUserByKey.mockResolvedValue(undefined) // Assume user not found by default
+      getUserByEmail.mockResolvedValue(undefined)
     })
 
-    test('should successfully register a new user', async () => {
+    test('should ask client to respond with authentication key', async () => {
       await triggerSocketEvent('register', validRegisterRequest)
 
-      expect(logSocketInfo).toHaveBeenCalledWith(
-        mockSocket,
-        'Client asks to register.',
-        validRegisterRequest
-      )
       expect(RegisterRequestSchema.safeParse).toHaveBeenCalledWith(validRegisterRequest)
       expect(getUserByKey).toHaveBeenCalledWith(validRegisterRequest.publicKey)
+      expect(getUserByEmail).toHaveBeenCalledWith(validRegisterRequest.email)
       expect(CryptoHandler.verifyGen).toHaveBeenCalledWith(validRegisterRequest.publicKey)
 
       expect(mockSocket.randKey).toBe('randKey123')
@@ -175,6 +247,7 @@ describe('Authentication', () => {
       expect(mockSocket.name).toBe(validRegisterRequest.name)
       expect(mockSocket.email).toBe(validRegisterRequest.email)
       expect(mockSocket.blockchainAddress).toBe(validRegisterRequest.blockchainAddress)
+      expect(mockSocket.askRegister).toBe(true)
 
       expect(logSocketInfo).toHaveBeenCalledWith(
         mockSocket,
@@ -205,11 +278,10 @@ describe('Authentication', () => {
 
     test('should return "Already registered." if user already exists', async () => {
       const existingUser = { id: 'user123', name: 'Existing User' }
-      getUserByKey.mockReturnValue(existingUser)
+      getUserByKey.mockResolvedValue(existingUser)
 
       await triggerSocketEvent('register', validRegisterRequest)
 
-      expect(getUserByKey).toHaveBeenCalledWith(validRegisterRequest.publicKey)
       expect(mockSocket.userId).toBe(existingUser.id)
       expect(logSocketWarning).toHaveBeenCalledWith(
         mockSocket,
@@ -220,12 +292,20 @@ describe('Authentication', () => {
       expect(CryptoHandler.verifyGen).not.toHaveBeenCalled()
     })
 
+    test('should return EmailAlreadyRegisteredErrorMsg if email is already registered', async () => {
+      getUserByEmail.mockResolvedValue({ id: 'user123' })
+
+      await triggerSocketEvent('register', validRegisterRequest)
+
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: EmailAlreadyRegisteredErrorMsg })
+      expect(CryptoHandler.verifyGen).not.toHaveBeenCalled()
+    })
+
     test('should return InternalServerErrorMsg if CryptoHandler.verifyGen fails', async () => {
       CryptoHandler.verifyGen.mockRejectedValue(new Error('Crypto error'))
 
       await triggerSocketEvent('register', validRegisterRequest)
 
-      expect(CryptoHandler.verifyGen).toHaveBeenCalledWith(validRegisterRequest.publicKey)
       expect(logSocketError).toHaveBeenCalledWith(
         mockSocket,
         expect.any(Error),
@@ -233,22 +313,34 @@ describe('Authentication', () => {
       )
       expect(mockCb).toHaveBeenCalledWith({ errorMsg: InternalServerErrorMsg })
     })
+
+    test('should forget email authentication asked for deleting account', async () => {
+      mockSocket.emailAuth = 'DELETE'
+      mockSocket.askDeleteAccount = true
+
+      await triggerSocketEvent('register', validRegisterRequest)
+
+      expect(mockSocket.emailAuth).toBeUndefined()
+      expect(mockSocket.askDeleteAccount).toBeUndefined()
+      expect(mockSocket.askRegister).toBe(true)
+    })
   })
 
   describe('login event', () => {
-    const validLoginRequest = { publicKey: 'testPublicKey' }
+    const validLoginRequest = { publicKey: 'testPublicKey', deviceLabel: 'Laptop' }
     const existingUser = {
       id: 'user456',
       publicKey: 'testPublicKey',
       name: 'Logged In User',
       email: 'logged@example.com',
-      status: userStatusType.active
+      status: userStatusType.activate
     }
 
     beforeEach(() => {
       LoginRequestSchema.safeParse.mockReturnValue({ success: true, data: validLoginRequest })
-      getUserByKey.mockReturnValue(existingUser)
-      getFailure.mockReturnValue(null) // No login failures by default
+      getUserByKey.mockResolvedValue(existingUser)
+      checkMaxSessionsReached.mockReturnValue(false)
+      checkLoginBlocked.mockReturnValue(false)
       CryptoHandler.verifyGen.mockResolvedValue({
         message: 'loginRandKey',
         cipher: 'loginCipher',
@@ -259,15 +351,9 @@ describe('Authentication', () => {
     test('should successfully initiate login for an active user', async () => {
       await triggerSocketEvent('login', validLoginRequest)
 
-      expect(logSocketInfo).toHaveBeenCalledWith(
-        mockSocket,
-        'Client asks to login.',
-        validLoginRequest
-      )
       expect(LoginRequestSchema.safeParse).toHaveBeenCalledWith(validLoginRequest)
-      expect(mockSocket.authed).toBe(false) // Ensure not already authed
       expect(getUserByKey).toHaveBeenCalledWith(validLoginRequest.publicKey)
-      expect(getFailure).toHaveBeenCalledWith(existingUser.id)
+      expect(checkLoginBlocked).toHaveBeenCalledWith(existingUser.id)
       expect(CryptoHandler.verifyGen).toHaveBeenCalledWith(validLoginRequest.publicKey)
 
       expect(mockSocket.userId).toBe(existingUser.id)
@@ -275,11 +361,9 @@ describe('Authentication', () => {
       expect(mockSocket.pk).toBe(validLoginRequest.publicKey)
       expect(mockSocket.name).toBe(existingUser.name)
       expect(mockSocket.email).toBe(existingUser.email)
+      expect(mockSocket.deviceLabel).toBe(validLoginRequest.deviceLabel)
+      expect(mockSocket.askLogin).toBe(true)
 
-      expect(logSocketInfo).toHaveBeenCalledWith(
-        mockSocket,
-        'Asking client to respond with correct authentication key.'
-      )
       expect(mockCb).toHaveBeenCalledWith({ cipher: 'loginCipher', spk: 'loginSpk' })
     })
 
@@ -292,7 +376,6 @@ describe('Authentication', () => {
 
       await triggerSocketEvent('login', invalidRequest)
 
-      expect(LoginRequestSchema.safeParse).toHaveBeenCalledWith(invalidRequest)
       expect(logInvalidSchemaWarning).toHaveBeenCalledWith(
         mockSocket,
         'Client asks to login',
@@ -318,47 +401,38 @@ describe('Authentication', () => {
     })
 
     test('should return "Not registered." if user does not exist', async () => {
-      getUserByKey.mockReturnValue(null)
+      getUserByKey.mockResolvedValue(undefined)
 
       await triggerSocketEvent('login', validLoginRequest)
 
-      expect(getUserByKey).toHaveBeenCalledWith(validLoginRequest.publicKey)
-      expect(logSocketWarning).toHaveBeenCalledWith(
-        mockSocket,
-        'Client asks to login but is not registered.',
-        validLoginRequest
-      )
       expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Not registered.' })
       expect(CryptoHandler.verifyGen).not.toHaveBeenCalled()
     })
 
     test('should return "Account is stopped." if user status is stopped', async () => {
-      getUserByKey.mockReturnValue({ ...existingUser, status: userStatusType.stopped })
+      getUserByKey.mockResolvedValue({ ...existingUser, status: userStatusType.stopped })
 
       await triggerSocketEvent('login', validLoginRequest)
 
-      expect(getUserByKey).toHaveBeenCalledWith(validLoginRequest.publicKey)
-      expect(logSocketWarning).toHaveBeenCalledWith(
-        mockSocket,
-        'Client asks to login but the account is stopped.',
-        validLoginRequest
-      )
       expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Account is stopped.' })
       expect(CryptoHandler.verifyGen).not.toHaveBeenCalled()
     })
 
-    test('should return "Too many login attempts." if failure count exceeds limit', async () => {
-      getFailure.mockReturnValue({ count: ConfigManager.loginAttemptsLimit })
+    test('should return "Too many sessions logged in." if session limit is reached', async () => {
+      checkMaxSessionsReached.mockReturnValue(true)
 
       await triggerSocketEvent('login', validLoginRequest)
 
-      expect(getFailure).toHaveBeenCalledWith(existingUser.id)
-      expect(logSocketWarning).toHaveBeenCalledWith(
-        mockSocket,
-        'Client asks to login but failed too many login attempts.',
-        { failedLoginAttempts: ConfigManager.loginAttemptsLimit, ...validLoginRequest }
-      )
-      expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Too many login attempts.' })
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Too many sessions logged in.' })
+      expect(CryptoHandler.verifyGen).not.toHaveBeenCalled()
+    })
+
+    test('should return "Failed too many login attempts." if login is blocked', async () => {
+      checkLoginBlocked.mockReturnValue(true)
+
+      await triggerSocketEvent('login', validLoginRequest)
+
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Failed too many login attempts.' })
       expect(CryptoHandler.verifyGen).not.toHaveBeenCalled()
     })
 
@@ -367,7 +441,6 @@ describe('Authentication', () => {
 
       await triggerSocketEvent('login', validLoginRequest)
 
-      expect(CryptoHandler.verifyGen).toHaveBeenCalledWith(validLoginRequest.publicKey)
       expect(logSocketError).toHaveBeenCalledWith(mockSocket, expect.any(Error), validLoginRequest)
       expect(mockCb).toHaveBeenCalledWith({ errorMsg: InternalServerErrorMsg })
     })
@@ -385,108 +458,63 @@ describe('Authentication', () => {
 
     beforeEach(() => {
       AuthResRequestSchema.safeParse.mockReturnValue({ success: true, data: validAuthResRequest })
-      userDbLogin.mockImplementation(() => {}) // Mock successful login DB update
+      Object.assign(mockSocket, commonSocketProps)
+      userLogin.mockReturnValue({ sessionId: 'session1', resumeToken: 'resumeToken1' })
+      isTotpEnabled.mockResolvedValue(false)
     })
 
-    test('should successfully register a new user after correct auth-res', async () => {
-      // Setup socket as if it just finished 'register' flow
-      mockSocket.pk = commonSocketProps.pk
-      mockSocket.randKey = commonSocketProps.randKey
-      mockSocket.name = commonSocketProps.name
-      mockSocket.email = commonSocketProps.email
-      mockSocket.blockchainAddress = commonSocketProps.blockchainAddress
-      mockSocket.userId = null // Important: userId is null for registration
-
-      AddUserAndGetId.mockResolvedValue({ id: 'newUserId123', info: { rowCount: 1 } })
-      mkdir.mockResolvedValueOnce()
-      mockBlockchainManager.setClientStatus.mockResolvedValueOnce()
+    test('should send email authentication after correct auth-res for register', async () => {
+      mockSocket.askRegister = true
 
       await triggerSocketEvent('auth-res', validAuthResRequest)
 
-      expect(logSocketInfo).toHaveBeenCalledWith(
-        mockSocket,
-        'Client responds to authentication.',
-        validAuthResRequest
-      )
-      expect(AuthResRequestSchema.safeParse).toHaveBeenCalledWith(validAuthResRequest)
-      expect(mockSocket.randKey).toBe(validAuthResRequest.decryptedValue) // Check if keys match
-
-      // Registration specific checks
-      expect(AddUserAndGetId).toHaveBeenCalledWith(
-        commonSocketProps.pk,
-        commonSocketProps.blockchainAddress,
+      expect(sendEmailAuth).toHaveBeenCalledWith(
+        commonSocketProps.email,
         commonSocketProps.name,
-        commonSocketProps.email
-      )
-      expect(mkdir).toHaveBeenCalledWith(`${ConfigManager.uploadDir}/${mockSocket.userId}`)
-      expect(mockBlockchainManager.setClientStatus).toHaveBeenCalledWith(
-        mockSocket.blockchainAddress,
-        true
-      )
-      expect(logSocketInfo).toHaveBeenCalledWith(mockSocket, 'Creating folder for user.')
-      expect(logSocketInfo).toHaveBeenCalledWith(mockSocket, 'User registered.', {
-        name: commonSocketProps.name,
-        email: commonSocketProps.email,
-        pk: commonSocketProps.pk,
-        blockchainAddress: commonSocketProps.blockchainAddress
-      })
-
-      // Common authentication success checks
-      expect(userDbLogin).toHaveBeenCalledWith(mockSocket.id, mockSocket.userId)
-      expect(mockSocket.authed).toBe(true)
-      expect(logSocketInfo).toHaveBeenCalledWith(
-        mockSocket,
-        'Authentication key correct. Client is authenticated.'
+        expect.stringMatching(/^[A-Z0-9]{6}$/)
       )
-      expect(mockCb).toHaveBeenCalledWith({
-        userInfo: {
-          userId: mockSocket.userId,
-          name: mockSocket.name,
-          email: mockSocket.email
-        }
-      })
+      expect(mockSocket.emailAuth).toBe(getSentEmailAuth())
+      expect(AddUserAndGetId).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({})
     })
 
     test('should successfully log in an existing user after correct auth-res', async () => {
-      // Setup socket as if it just finished 'login' flow
-      mockSocket.pk = commonSocketProps.pk
-      mockSocket.randKey = commonSocketProps.randKey
-      mockSocket.userId = 'existingUserId456' // Important: userId is set for login
-      mockSocket.name = commonSocketProps.name
-      mockSocket.email = commonSocketProps.email
-      mockSocket.blockchainAddress = 'someOtherAddress' // Not used in login flow, but could be present
+      mockSocket.askLogin = true
+      mockSocket.userId = 'existingUserId456'
 
       await triggerSocketEvent('auth-res', validAuthResRequest)
 
       expect(logSocketInfo).toHaveBeenCalledWith(
         mockSocket,
-        'Client responds to authentication.',
-        validAuthResRequest
+        'Authentication key correct. Client is authenticated.'
       )
-      expect(AuthResRequestSchema.safeParse).toHaveBeenCalledWith(validAuthResRequest)
-      expect(mockSocket.randKey).toBe(validAuthResRequest.decryptedValue) // Check if keys match
-
-      // Ensure registration functions are NOT called
       expect(AddUserAndGetId).not.toHaveBeenCalled()
-      expect(mkdir).not.toHaveBeenCalled()
-      expect(mockBlockchainManager.setClientStatus).not.toHaveBeenCalled()
-
-      // Common authentication success checks
-      expect(userDbLogin).toHaveBeenCalledWith(mockSocket.id, mockSocket.userId)
+      expect(userLogin).toHaveBeenCalledWith('existingUserId456', mockSocket, undefined)
       expect(mockSocket.authed).toBe(true)
-      expect(logSocketInfo).toHaveBeenCalledWith(
-        mockSocket,
-        'Authentication key correct. Client is authenticated.'
-      )
       expect(mockCb).toHaveBeenCalledWith({
         userInfo: {
-          userId: mockSocket.userId,
-          name: mockSocket.name,
-          email: mockSocket.email
-        }
+          userId: 'existingUserId456',
+          name: commonSocketProps.name,
+          email: commonSocketProps.email
+        },
+        sessionId: 'session1',
+        resumeToken: 'resumeToken1'
       })
     })
 
+    test('should ask for two-factor authentication if enabled', async () => {
+      mockSocket.askLogin = true
+      mockSocket.userId = 'existingUserId456'
+      isTotpEnabled.mockResolvedValue(true)
+
+      await triggerSocketEvent('auth-res', validAuthResRequest)
+
+      expect(mockSocket.askTotp).toBe(true)
+      expect(mockSocket.authed).toBe(false)
+      expect(userLogin).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ totpRequired: true })
+    })
+
     test('should return InvalidArgumentErrorMsg for invalid request schema', async () => {
       AuthResRequestSchema.safeParse.mockReturnValue({
         success: false,
@@ -496,7 +524,6 @@ describe('Authentication', () => {
 
       await triggerSocketEvent('auth-res', invalidRequest)
 
-      expect(AuthResRequestSchema.safeParse).toHaveBeenCalledWith(invalidRequest)
       expect(logInvalidSchemaWarning).toHaveBeenCalledWith(
         mockSocket,
         'Client responds to authentication',
@@ -504,17 +531,10 @@ describe('Authentication', () => {
         invalidRequest
       )
       expect(mockCb).toHaveBeenCalledWith({ errorMsg: InvalidArgumentErrorMsg })
-      expect(userDbLogin).not.toHaveBeenCalled()
+      expect(userLogin).not.toHaveBeenCalled()
     })
 
-    test('should return "Did not ask to log in or register first." if pre-auth data is missing', async () => {
-      // Simulate socket state where initial register/login was not performed
-      mockSocket.pk = null // Missing PK
-      mockSocket.randKey = null // Missing randKey
-      mockSocket.userId = null
-      mockSocket.name = null
-      mockSocket.email = null
-
+    test('should return "Did not ask to login or register first." if not asked first', async () => {
       await triggerSocketEvent('auth-res', validAuthResRequest)
 
       expect(logSocketWarning).toHaveBeenCalledWith(
@@ -522,124 +542,237 @@ describe('Authentication', () => {
         'Client responds to authentication without asking to login or register.',
         validAuthResRequest
       )
-      expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Did not ask to log in or register first.' })
-      expect(userDbLogin).not.toHaveBeenCalled()
-      expect(addFailure).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Did not ask to login or register first.' })
+      expect(userLoginFailure).not.toHaveBeenCalled()
     })
 
     test('should return "Incorrect authentication key." and add failure', async () => {
-      mockSocket.pk = commonSocketProps.pk
+      mockSocket.askLogin = true
       mockSocket.randKey = 'incorrectRandKey' // Mismatch
-      mockSocket.userId = 'testUser123' // User ID exists for addFailure
-      mockSocket.name = commonSocketProps.name
-      mockSocket.email = commonSocketProps.email
-      mockSocket.blockchainAddress = commonSocketProps.blockchainAddress
+      mockSocket.userId = 'testUser123'
 
-      await triggerSocketEvent('auth-res', validAuthResRequest) // decryptedValue is 'matchedRandKey'
+      await triggerSocketEvent('auth-res', validAuthResRequest)
 
-      expect(mockSocket.randKey).not.toBe(validAuthResRequest.decryptedValue)
       expect(logSocketWarning).toHaveBeenCalledWith(
         mockSocket,
         'Client responds to authentication with incorrect authentication key.',
-        {
-          ...validAuthResRequest,
-          randKey: 'incorrectRandKey'
-        }
+        { ...validAuthResRequest, randKey: 'incorrectRandKey' }
       )
-      expect(addFailure).toHaveBeenCalledWith(mockSocket.userId)
+      expect(userLoginFailure).toHaveBeenCalledWith('testUser123')
       expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Incorrect authentication key.' })
-      expect(userDbLogin).not.toHaveBeenCalled()
       expect(mockSocket.authed).toBe(false)
     })
 
-    test('should return InternalServerErrorMsg and rollback if AddUserAndGetId fails', async () => {
-      // Setup for registration
-      mockSocket.pk = commonSocketProps.pk
-      mockSocket.randKey = commonSocketProps.randKey
-      mockSocket.name = commonSocketProps.name
-      mockSocket.email = commonSocketProps.email
-      mockSocket.blockchainAddress = commonSocketProps.blockchainAddress
-      mockSocket.userId = null // Signifies registration attempt
-
-      AddUserAndGetId.mockResolvedValue({ id: 'tempUserId', info: { rowCount: 0 } }) // Simulate failure to add user
+    test('should return InternalServerErrorMsg if a general error occurs in auth-res', async () => {
+      AuthResRequestSchema.safeParse.mockImplementation(() => {
+        throw new Error('Parsing error')
+      })
 
       await triggerSocketEvent('auth-res', validAuthResRequest)
 
-      expect(AddUserAndGetId).toHaveBeenCalled()
-      expect(logSocketError).toHaveBeenCalledWith(mockSocket, expect.any(Error), expect.any(Object)) // Checks for error logging
-      expect(deleteUserById).not.toHaveBeenCalled() // Error is thrown before databaseAdded = true
-      expect(rmdir).not.toHaveBeenCalled() // folderCreated is false because mkdir not called
+      expect(logSocketError).toHaveBeenCalledWith(mockSocket, expect.any(Error))
       expect(mockCb).toHaveBeenCalledWith({ errorMsg: InternalServerErrorMsg })
-      expect(userDbLogin).not.toHaveBeenCalled()
       expect(mockSocket.authed).toBe(false)
     })
+  })
+
+  describe('email-auth-res event', () => {
+    const registeringSocketProps = {
+      pk: 'somePk',
+      name: 'Auth User',
+      email: 'auth@example.com',
+      blockchainAddress: 'authBlockchainAddress'
+    }
+
+    beforeEach(() => {
+      Object.assign(mockSocket, registeringSocketProps, {
+        askRegister: true,
+        emailAuth: 'ABC123',
+        emailAuthStartTime: Date.now()
+      })
+    })
+
+    test('should register a new user after correct email authentication', async () => {
+      AddUserAndGetId.mockResolvedValue({ id: 'newUserId123', info: { rowCount: 1 } })
+
+      await respondEmailAuth('ABC123')
+
+      expect(AddUserAndGetId).toHaveBeenCalledWith(
+        registeringSocketProps.pk,
+        registeringSocketProps.blockchainAddress,
+        registeringSocketProps.name,
+        registeringSocketProps.email
+      )
+      expect(mkdir).toHaveBeenCalledWith(`${ConfigManager.uploadDir}/newUserId123`)
+      expect(BlockchainManager.setClientStatus).toHaveBeenCalledWith(
+        registeringSocketProps.blockchainAddress,
+        true
+      )
+      expect(logSocketInfo).toHaveBeenCalledWith(mockSocket, 'User registered.', {
+        name: registeringSocketProps.name,
+        email: registeringSocketProps.email,
+        pk: registeringSocketProps.pk,
+        blockchainAddress: registeringSocketProps.blockchainAddress
+      })
+      expect(mockSocket.askRegister).toBeUndefined()
+      expect(mockSocket.emailAuth).toBeUndefined()
+      expect(mockCb).toHaveBeenCalledWith({ userId: 'newUserId123' })
+    })
+
+    test('should return NoEmailAuthFirstErrorMsg if email authentication is not asked', async () => {
+      delete mockSocket.emailAuth
+
+      await respondEmailAuth('ABC123')
+
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: NoEmailAuthFirstErrorMsg })
+      expect(AddUserAndGetId).not.toHaveBeenCalled()
+    })
+
+    test('should return EmailAuthExpiredErrorMsg if code is expired', async () => {
+      mockSocket.emailAuthStartTime =
+        Date.now() - (ConfigManager.settings.emailAuthExpireTimeMin + 1) * 60 * 1000
+
+      await respondEmailAuth('ABC123')
+
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: EmailAuthExpiredErrorMsg })
+      expect(AddUserAndGetId).not.toHaveBeenCalled()
+    })
+
+    test('should return EmailAuthNotMatchErrorMsg if code does not match', async () => {
+      await respondEmailAuth('XYZ789')
+
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: EmailAuthNotMatchErrorMsg })
+      expect(mockSocket.emailAuth).toBe('ABC123')
+      expect(AddUserAndGetId).not.toHaveBeenCalled()
+    })
 
-    test('should return InternalServerErrorMsg and rollback if mkdir fails (not EEXIST)', async () => {
-      // Setup for registration
-      mockSocket.pk = commonSocketProps.pk
-      mockSocket.randKey = commonSocketProps.randKey
-      mockSocket.name = commonSocketProps.name
-      mockSocket.email = commonSocketProps.email
-      mockSocket.blockchainAddress = commonSocketProps.blockchainAddress
-      mockSocket.userId = null
+    test('should not revert registration if AddUserAndGetId adds nothing', async () => {
+      AddUserAndGetId.mockResolvedValue({ id: 'tempUserId', info: { rowCount: 0 } })
 
-      const tempId = 'tempNewUserId'
-      AddUserAndGetId.mockResolvedValue({ id: tempId, info: { rowCount: 1 } })
+      await respondEmailAuth('ABC123')
+
+      expect(logSocketError).toHaveBeenCalledWith(mockSocket, expect.any(Error), expect.any(Object))
+      expect(deleteUserById).not.toHaveBeenCalled()
+      expect(rmdir).not.toHaveBeenCalled()
+    })
+
+    test('should revert database if mkdir fails (not EEXIST)', async () => {
+      AddUserAndGetId.mockResolvedValue({ id: 'tempNewUserId', info: { rowCount: 1 } })
       const mkdirError = new Error('Permission denied')
       mkdirError.code = 'EACCES'
-      mkdir.mockRejectedValue(mkdirError) // Simulate mkdir failure
+      mkdir.mockRejectedValueOnce(mkdirError)
 
-      await triggerSocketEvent('auth-res', validAuthResRequest)
+      await respondEmailAuth('ABC123')
 
-      expect(AddUserAndGetId).toHaveBeenCalled()
-      expect(mkdir).toHaveBeenCalledWith(`${ConfigManager.uploadDir}/${tempId}`)
       expect(logSocketError).toHaveBeenCalledWith(mockSocket, mkdirError, expect.any(Object))
-      expect(deleteUserById).toHaveBeenCalledWith(tempId) // Rollback database
-      expect(rmdir).not.toHaveBeenCalled() // rmdir shouldn't be called if mkdir failed
-      expect(mockCb).toHaveBeenCalledWith({ errorMsg: InternalServerErrorMsg })
-      expect(userDbLogin).not.toHaveBeenCalled()
-      expect(mockSocket.authed).toBe(false)
+      expect(deleteUserById).toHaveBeenCalledWith('tempNewUserId')
+      expect(rmdir).not.toHaveBeenCalled()
+      expect(BlockchainManager.setClientStatus).not.toHaveBeenCalled()
     })
 
-    test('should return InternalServerErrorMsg and rollback if setClientStatus fails', async () => {
-      // Setup for registration
-      mockSocket.pk = commonSocketProps.pk
-      mockSocket.randKey = commonSocketProps.randKey
-      mockSocket.name = commonSocketProps.name
-      mockSocket.email = commonSocketProps.email
-      mockSocket.blockchainAddress = commonSocketProps.blockchainAddress
-      mockSocket.userId = null
+    test('should revert database and folder if setClientStatus fails', async () => {
+      AddUserAndGetId.mockResolvedValue({ id: 'tempNewUserId2', info: { rowCount: 1 } })
+      BlockchainManager.setClientStatus.mockRejectedValueOnce(new Error('Blockchain error'))
 
-      const tempId = 'tempNewUserId2'
-      AddUserAndGetId.mockResolvedValue({ id: tempId, info: { rowCount: 1 } })
-      mkdir.mockResolvedValueOnce()
-      mockBlockchainManager.setClientStatus.mockRejectedValue(new Error('Blockchain error')) // Simulate blockchain error
+      await respondEmailAuth('ABC123')
 
-      await triggerSocketEvent('auth-res', validAuthResRequest)
-
-      expect(AddUserAndGetId).toHaveBeenCalled()
-      expect(mkdir).toHaveBeenCalled()
-      expect(mockBlockchainManager.setClientStatus).toHaveBeenCalled()
       expect(logSocketError).toHaveBeenCalledWith(mockSocket, expect.any(Error), expect.any(Object))
-      expect(deleteUserById).toHaveBeenCalledWith(tempId) // Rollback database
-      expect(rmdir).toHaveBeenCalledWith(`${ConfigManager.uploadDir}/${tempId}`) // Rollback folder
-      expect(mockCb).toHaveBeenCalledWith({ errorMsg: InternalServerErrorMsg })
-      expect(userDbLogin).not.toHaveBeenCalled()
-      expect(mockSocket.authed).toBe(false)
+      expect(deleteUserById).toHaveBeenCalledWith('tempNewUserId2')
+      expect(rmdir).toHaveBeenCalledWith(`${ConfigManager.uploadDir}/tempNewUserId2`)
     })
+  })
 
-    test('should return InternalServerErrorMsg if a general error occurs in auth-res', async () => {
-      // Trigger an error outside of specific registration logic
-      AuthResRequestSchema.safeParse.mockImplementation(() => {
-        throw new Error('Parsing error')
+  describe('secret-recover event', () => {
+    const recoverRequest = { email: 'recover@example.com' }
+
+    beforeEach(() => {
+      SecretRecoverRequestSchema.safeParse.mockReturnValue({ success: true, data: recoverRequest })
+      getUserByEmail.mockResolvedValue({ id: 'user789', name: 'Recovering User' })
+      retrieveUserShares.mockResolvedValue(['share1', 'share2'])
+    })
+
+    test('should respond secret shares after correct email authentication', async () => {
+      await triggerSocketEvent('secret-recover', recoverRequest)
+
+      expect(sendEmailAuth).toHaveBeenCalledWith(
+        recoverRequest.email,
+        'Recovering User',
+        expect.any(String)
+      )
+      expect(mockCb).toHaveBeenCalledWith({})
+
+      await respondEmailAuth()
+
+      expect(retrieveUserShares).toHaveBeenCalledWith('user789')
+      expect(mockCb).toHaveBeenCalledWith({ shares: ['share1', 'share2'] })
+    })
+
+    test('should not delete account with code sent for recovering secret', async () => {
+      Object.assign(mockSocket, { authed: true, userId: 'user789', email: recoverRequest.email })
+      await triggerSocketEvent('delete-account')
+
+      await triggerSocketEvent('secret-recover', recoverRequest)
+      await respondEmailAuth()
+
+      expect(retrieveUserShares).toHaveBeenCalledWith('user789')
+      expect(mockSocket.askDeleteAccount).toBeUndefined()
+      expect(deleteAccountData).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('delete-account event', () => {
+    const mockUserId = 'user321'
+
+    beforeEach(() => {
+      Object.assign(mockSocket, {
+        authed: true,
+        userId: mockUserId,
+        name: 'Leaving User',
+        email: 'leaving@example.com'
       })
+      deleteAccountData.mockResolvedValue(true)
+      getSessionsOfUser.mockReturnValue([{ sessionId: 'session1' }, { sessionId: 'session2' }])
+    })
 
-      await triggerSocketEvent('auth-res', validAuthResRequest)
+    test('should delete account and log out its sessions after correct email authentication', async () => {
+      await triggerSocketEvent('delete-account')
 
-      expect(logSocketError).toHaveBeenCalledWith(mockSocket, expect.any(Error))
-      expect(mockCb).toHaveBeenCalledWith({ errorMsg: InternalServerErrorMsg })
-      expect(userDbLogin).not.toHaveBeenCalled()
-      expect(mockSocket.authed).toBe(false)
+      expect(sendEmailAuth).toHaveBeenCalledWith(
+        'leaving@example.com',
+        'Leaving User',
+        expect.any(String)
+      )
+      expect(mockCb).toHaveBeenCalledWith({})
+
+      await respondEmailAuth()
+
+      expect(deleteAccountData).toHaveBeenCalledWith(mockUserId)
+      expect(terminateSession).toHaveBeenCalledWith(mockUserId, 'session1')
+      expect(terminateSession).toHaveBeenCalledWith(mockUserId, 'session2')
+    })
+
+    test('should delete account instead of finishing flows asked before', async () => {
+      mockSocket.askRecover = true
+      mockSocket.askRegister = true
+
+      await triggerSocketEvent('delete-account')
+      await respondEmailAuth()
+
+      expect(mockSocket.askRecover).toBeUndefined()
+      expect(mockSocket.askRegister).toBeUndefined()
+      expect(retrieveUserShares).not.toHaveBeenCalled()
+      expect(AddUserAndGetId).not.toHaveBeenCalled()
+      expect(deleteAccountData).toHaveBeenCalledWith(mockUserId)
+    })
+
+    test('should return NotLoggedInErrorMsg if client is not logged in', async () => {
+      mockSocket.authed = false
+
+      await triggerSocketEvent('delete-account')
+
+      expect(sendEmailAuth).not.toHaveBeenCalled()
+      expect(mockSocket.askDeleteAccount).toBeUndefined()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: NotLoggedInErrorMsg })
     })
   })
 })
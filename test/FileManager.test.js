@@ -9,37 +9,56 @@ jest.mock('../src/Logger.js', () => ({
 
 jest.mock('../src/StorageDatabase.js', () => ({
   getFileInfo: jest.fn(),
-  deleteFile: jest.fn(),
   addFolderToDatabase: jest.fn(),
-  deleteFolder: jest.fn(),
-  getAllFilesByParentFolderIdUserId: jest.fn(),
-  getAllFoldersByParentFolderIdUserId: jest.fn(),
+  getFilesPageByParentFolderIdUserId: jest.fn(),
+  getFoldersPageByParentFolderIdUserId: jest.fn(),
   moveFileToFolder: jest.fn(),
+  moveFolderToFolderOfOwnerId: jest.fn(),
   getAllFoldersByUserId: jest.fn(),
-  getAllPublicFilesNotOwned: jest.fn(),
+  getPublicFilesNotOwnedByFileId: jest.fn(),
   getFileInfoOfOwnerId: jest.fn(),
-  updateFileDescPermInDatabase: jest.fn()
+  updateFileDescPermInDatabase: jest.fn(),
+  getFolderInfoOfOwnerId: jest.fn(),
+  renameFileOfOwnerId: jest.fn(),
+  renameFolderOfOwnerId: jest.fn(),
+  searchFilesOfOwnerId: jest.fn(),
+  updateFolderPermOfOwnerId: jest.fn()
 }))
 
 jest.mock('fs/promises', () => ({
   unlink: jest.fn()
 }))
 
-jest.mock('crypto', () => ({
-  randomUUID: jest.fn()
+jest.mock('../src/ABSEManager.js', () => ({
+  __esModule: true,
+  default: {}
+}))
+
+jest.mock('../src/TrashManager.js', () => ({
+  collectFolderTree: jest.fn(),
+  moveToTrash: jest.fn(),
+  trashBinder: jest.fn()
+}))
+
+jest.mock('../src/VersionManager.js', () => ({
+  versionBinder: jest.fn()
 }))
 
-jest.mock('../src/LoginDatabase.js', () => ({
-  insertUpload: jest.fn()
+jest.mock('../src/UploadVerifier.js', () => ({
+  getRemainingQuota: jest.fn(),
+  preUpload: jest.fn()
 }))
 
 jest.mock('../src/Utils.js', () => ({
   checkFolderExistsForUser: jest.fn(),
   checkLoggedIn: jest.fn(),
   FileNotFoundErrorMsg: 'File not found.',
+  FolderNotFoundErrorMsg: 'Folder not found.',
+  NameAlreadyExistsErrorMsg: 'Name already exists.',
   InternalServerErrorMsg: 'Internal server error occurred.',
   InvalidArgumentErrorMsg: 'Invalid argument provided.',
   NotLoggedInErrorMsg: 'Not logged in.',
+  QuotaExceededErrorMsg: 'Storage quota exceeded.',
   getFilePath: jest.fn((userId, fileId) => `/uploads/${userId}/${fileId}`) // Mock for file paths
 }))
 
@@ -54,14 +73,22 @@ jest.mock('../src/ConfigManager.js', () => ({
 }))
 
 jest.mock('../src/Validation.js', () => ({
+  AddFolderRequestSchema: { safeParse: jest.fn() },
   DeleteFileRequestSchema: { safeParse: jest.fn() },
   DeleteFolderRequestSchema: { safeParse: jest.fn() },
   DownloadFileHashErrorRequestSchema: { safeParse: jest.fn() }, // Not used in provided code but good to mock
   DownloadFileRequestSchema: { safeParse: jest.fn() },
   GetFileListRequestSchema: { safeParse: jest.fn() },
   MoveFileRequestSchema: { safeParse: jest.fn() },
+  MoveFolderRequestSchema: { safeParse: jest.fn() },
+  RenameFileRequestSchema: { safeParse: jest.fn() },
+  RenameFolderRequestSchema: { safeParse: jest.fn() },
+  SearchFileRequestSchema: { safeParse: jest.fn() },
+  SearchOwnFilesRequestSchema: { safeParse: jest.fn() },
   UpdateFileRequestSchema: { safeParse: jest.fn() },
-  UploadFileRequestSchema: { safeParse: jest.fn() }
+  UpdateFolderPermRequestSchema: { safeParse: jest.fn() },
+  UploadFileRequestSchema: { safeParse: jest.fn() },
+  UploadFileVersionRequestSchema: { safeParse: jest.fn() }
 }))
 
 // Import the module to be tested
@@ -76,38 +103,53 @@ import {
 } from '../src/Logger.js'
 import {
   getFileInfo,
-  deleteFile,
   addFolderToDatabase,
-  deleteFolder,
-  getAllFilesByParentFolderIdUserId,
-  getAllFoldersByParentFolderIdUserId,
+  getFilesPageByParentFolderIdUserId,
+  getFoldersPageByParentFolderIdUserId,
   moveFileToFolder,
+  moveFolderToFolderOfOwnerId,
   getAllFoldersByUserId,
-  getAllPublicFilesNotOwned,
+  getPublicFilesNotOwnedByFileId,
   getFileInfoOfOwnerId,
-  updateFileDescPermInDatabase
+  updateFileDescPermInDatabase,
+  getFolderInfoOfOwnerId,
+  renameFileOfOwnerId,
+  renameFolderOfOwnerId,
+  searchFilesOfOwnerId,
+  updateFolderPermOfOwnerId
 } from '../src/StorageDatabase.js'
 import { unlink } from 'fs/promises'
-import { randomUUID } from 'crypto'
-import { insertUpload } from '../src/LoginDatabase.js'
+import { collectFolderTree, moveToTrash } from '../src/TrashManager.js'
+import { getRemainingQuota, preUpload } from '../src/UploadVerifier.js'
+import ABSEManager from '../src/ABSEManager.js'
 import {
   checkFolderExistsForUser,
   checkLoggedIn,
   FileNotFoundErrorMsg,
+  FolderNotFoundErrorMsg,
   InternalServerErrorMsg,
   InvalidArgumentErrorMsg,
+  NameAlreadyExistsErrorMsg,
   NotLoggedInErrorMsg,
-  getFilePath
+  QuotaExceededErrorMsg
 } from '../src/Utils.js'
 import ConfigManager from '../src/ConfigManager.js'
 import {
+  AddFolderRequestSchema,
   DeleteFileRequestSchema,
   DeleteFolderRequestSchema,
   DownloadFileRequestSchema,
   GetFileListRequestSchema,
   MoveFileRequestSchema,
+  MoveFolderRequestSchema,
+  RenameFileRequestSchema,
+  RenameFolderRequestSchema,
+  SearchFileRequestSchema,
+  SearchOwnFilesRequestSchema,
   UpdateFileRequestSchema,
-  UploadFileRequestSchema
+  UpdateFolderPermRequestSchema,
+  UploadFileRequestSchema,
+  UploadFileVersionRequestSchema
 } from '../src/Validation.js'
 
 describe('File Binders', () => {
@@ -286,18 +328,11 @@ describe('File Binders', () => {
 
     beforeEach(() => {
       UploadFileRequestSchema.safeParse.mockReturnValue({ success: true, data: validUploadRequest })
-      randomUUID.mockReturnValue(mockFileId)
+      getRemainingQuota.mockResolvedValue(1000)
+      preUpload.mockReturnValue(mockFileId)
     })
 
     test('should successfully initiate file upload', async () => {
-      const expectedExpireTime =
-        Date.now() + ConfigManager.settings.uploadExpireTimeMin * 60 * 1000
-      jest
-        .spyOn(global.Date, 'now')
-        .mockReturnValue(
-          expectedExpireTime - ConfigManager.settings.uploadExpireTimeMin * 60 * 1000
-        ) // Mock Date.now for predictable expiration
-
       await triggerSocketEvent('upload-file-pre', validUploadRequest)
 
       expect(logSocketInfo).toHaveBeenCalledWith(mockSocket, 'Client asks to upload file.', {
@@ -309,16 +344,12 @@ describe('File Binders', () => {
         validUploadRequest.parentFolderId,
         mockUserId
       )
-      expect(randomUUID).toHaveBeenCalled()
-      expect(insertUpload).toHaveBeenCalledWith(
-        mockFileId,
+      expect(preUpload).toHaveBeenCalledWith(
+        mockUserId,
         validUploadRequest.cipher,
         validUploadRequest.spk,
-        validUploadRequest.parentFolderId,
-        expect.any(Number) // Check that the expiration time is set, value depends on Date.now()
+        validUploadRequest.parentFolderId
       )
-      expect(insertUpload.mock.calls[0][4]).toBeGreaterThanOrEqual(expectedExpireTime - 1000) // Check within a reasonable range
-      expect(insertUpload.mock.calls[0][4]).toBeLessThanOrEqual(expectedExpireTime + 1000) // Check within a reasonable range
 
       expect(logSocketInfo).toHaveBeenCalledWith(
         mockSocket,
@@ -329,8 +360,6 @@ describe('File Binders', () => {
         }
       )
       expect(mockCb).toHaveBeenCalledWith({ fileId: mockFileId })
-
-      global.Date.now.mockRestore() // Restore Date.now()
     })
 
     test('should return InvalidArgumentErrorMsg for invalid request schema', async () => {
@@ -377,7 +406,7 @@ describe('File Binders', () => {
         validUploadRequest
       )
       expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Parent folder not found.' })
-      expect(randomUUID).not.toHaveBeenCalled()
+      expect(preUpload).not.toHaveBeenCalled()
     })
 
     test('should return InternalServerErrorMsg on unexpected error', async () => {
@@ -392,6 +421,84 @@ describe('File Binders', () => {
     })
   })
 
+  describe('upload-file-version-pre', () => {
+    const validVersionRequest = {
+      fileId: 'file123',
+      cipher: 'mockCipher',
+      spk: 'mockSpk'
+    }
+    const mockUploadId = 'uploadUUID'
+
+    beforeEach(() => {
+      UploadFileVersionRequestSchema.safeParse.mockReturnValue({
+        success: true,
+        data: validVersionRequest
+      })
+      getFileInfoOfOwnerId.mockResolvedValue({ id: 'file123', parentFolderId: 'folder123' })
+      getRemainingQuota.mockResolvedValue(1000)
+      preUpload.mockReturnValue(mockUploadId)
+    })
+
+    test('should store pre-upload information as a version of the file', async () => {
+      await triggerSocketEvent('upload-file-version-pre', validVersionRequest)
+
+      expect(getFileInfoOfOwnerId).toHaveBeenCalledWith('file123', mockUserId)
+      expect(preUpload).toHaveBeenCalledWith(
+        mockUserId,
+        'mockCipher',
+        'mockSpk',
+        'folder123',
+        'file123'
+      )
+      expect(mockCb).toHaveBeenCalledWith({ uploadId: mockUploadId })
+    })
+
+    test('should return FileNotFoundErrorMsg if file is not owned by client', async () => {
+      getFileInfoOfOwnerId.mockResolvedValue(undefined)
+
+      await triggerSocketEvent('upload-file-version-pre', validVersionRequest)
+
+      expect(logSocketWarning).toHaveBeenCalledWith(
+        mockSocket,
+        'Client asks to upload file version but file is not found.',
+        { fileId: 'file123' }
+      )
+      expect(preUpload).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: FileNotFoundErrorMsg })
+    })
+
+    test('should return QuotaExceededErrorMsg if size is over remaining quota', async () => {
+      UploadFileVersionRequestSchema.safeParse.mockReturnValue({
+        success: true,
+        data: { ...validVersionRequest, size: 1001 }
+      })
+
+      await triggerSocketEvent('upload-file-version-pre', validVersionRequest)
+
+      expect(getRemainingQuota).toHaveBeenCalledWith(mockUserId)
+      expect(preUpload).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: QuotaExceededErrorMsg })
+    })
+
+    test('should return QuotaExceededErrorMsg if quota is used up', async () => {
+      getRemainingQuota.mockResolvedValue(0)
+
+      await triggerSocketEvent('upload-file-version-pre', validVersionRequest)
+
+      expect(preUpload).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: QuotaExceededErrorMsg })
+    })
+
+    test('should return NotLoggedInErrorMsg if client is not logged in', async () => {
+      checkLoggedIn.mockReturnValue(false)
+
+      await triggerSocketEvent('upload-file-version-pre', validVersionRequest)
+
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: NotLoggedInErrorMsg })
+      expect(preUpload).not.toHaveBeenCalled()
+    })
+  })
+
   describe('deleteFileBinder', () => {
     const validDeleteRequest = { fileId: 'fileToDelete123' }
     const mockFileInfo = {
@@ -403,11 +510,10 @@ describe('File Binders', () => {
     beforeEach(() => {
       DeleteFileRequestSchema.safeParse.mockReturnValue({ success: true, data: validDeleteRequest })
       getFileInfo.mockResolvedValue(mockFileInfo)
-      deleteFile.mockResolvedValue({ rowCount: 1 }) // Simulate successful DB delete
-      unlink.mockResolvedValue() // Simulate successful file system unlink
+      moveToTrash.mockResolvedValue()
     })
 
-    test('should successfully delete an owned file', async () => {
+    test('should successfully move an owned file to trash', async () => {
       await triggerSocketEvent('delete-file', validDeleteRequest)
 
       expect(logSocketInfo).toHaveBeenCalledWith(
@@ -418,10 +524,13 @@ describe('File Binders', () => {
       expect(DeleteFileRequestSchema.safeParse).toHaveBeenCalledWith(validDeleteRequest)
       expect(checkLoggedIn).toHaveBeenCalledWith(mockSocket)
       expect(getFileInfo).toHaveBeenCalledWith(validDeleteRequest.fileId)
-      expect(deleteFile).toHaveBeenCalledWith(validDeleteRequest.fileId)
-      expect(getFilePath).toHaveBeenCalledWith(mockUserId, validDeleteRequest.fileId)
-      expect(unlink).toHaveBeenCalledWith(`/uploads/${mockUserId}/${validDeleteRequest.fileId}`)
-      expect(logSocketInfo).toHaveBeenCalledWith(mockSocket, 'File deleted.', validDeleteRequest)
+      expect(moveToTrash).toHaveBeenCalledWith([mockFileInfo], [])
+      expect(unlink).not.toHaveBeenCalled()
+      expect(logSocketInfo).toHaveBeenCalledWith(
+        mockSocket,
+        'File moved to trash.',
+        validDeleteRequest
+      )
       expect(mockCb).toHaveBeenCalledWith({})
     })
 
@@ -469,7 +578,7 @@ describe('File Binders', () => {
         validDeleteRequest
       )
       expect(mockCb).toHaveBeenCalledWith({ errorMsg: FileNotFoundErrorMsg })
-      expect(deleteFile).not.toHaveBeenCalled()
+      expect(moveToTrash).not.toHaveBeenCalled()
     })
 
     test('should return "File not owned." if file is not owned by client', async () => {
@@ -483,33 +592,11 @@ describe('File Binders', () => {
         validDeleteRequest
       )
       expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'File not owned.' })
-      expect(deleteFile).not.toHaveBeenCalled()
-    })
-
-    test('should not throw error if unlink returns ENOENT', async () => {
-      unlink.mockRejectedValueOnce(Object.assign(new Error('File not found'), { code: 'ENOENT' }))
-
-      await triggerSocketEvent('delete-file', validDeleteRequest)
-
-      expect(deleteFile).toHaveBeenCalledWith(validDeleteRequest.fileId) // DB delete should still happen
-      expect(unlink).toHaveBeenCalled()
-      expect(logSocketInfo).toHaveBeenCalledWith(mockSocket, 'File deleted.', validDeleteRequest) // Should still report success
-      expect(mockCb).toHaveBeenCalledWith({})
+      expect(moveToTrash).not.toHaveBeenCalled()
     })
 
-    test('should return InternalServerErrorMsg on unexpected unlink error', async () => {
-      unlink.mockRejectedValueOnce(new Error('Permission denied'))
-
-      await triggerSocketEvent('delete-file', validDeleteRequest)
-
-      expect(logSocketError).toHaveBeenCalledWith(mockSocket, expect.any(Error), validDeleteRequest)
-      expect(mockCb).toHaveBeenCalledWith({ errorMsg: InternalServerErrorMsg })
-    })
-
-    test('should return InternalServerErrorMsg on unexpected error before unlink', async () => {
-      DeleteFileRequestSchema.safeParse.mockImplementation(() => {
-        throw new Error('Unexpected parsing error')
-      })
+    test('should return InternalServerErrorMsg on unexpected error', async () => {
+      moveToTrash.mockRejectedValueOnce(new Error('DB error'))
 
       await triggerSocketEvent('delete-file', validDeleteRequest)
 
@@ -520,16 +607,31 @@ describe('File Binders', () => {
 
   describe('getFileListBinder', () => {
     const validGetListRequest = { parentFolderId: 'rootFolder' }
+    const parsedGetListRequest = {
+      parentFolderId: 'rootFolder',
+      limit: 3,
+      sortBy: 'name',
+      order: 'asc'
+    }
     const mockFiles = [{ id: 'fileA' }, { id: 'fileB' }]
-    const mockFolders = [{ id: 'folderX' }, { id: 'folderY' }]
+    const mockFolders = [{ id: 'folderX' }]
+    const decodeCursor = (cursor) => JSON.parse(Buffer.from(cursor, 'base64url').toString())
 
     beforeEach(() => {
       GetFileListRequestSchema.safeParse.mockReturnValue({
         success: true,
-        data: validGetListRequest
+        data: parsedGetListRequest
+      })
+      getFilesPageByParentFolderIdUserId.mockResolvedValue({
+        rows: mockFiles,
+        hasMore: false,
+        last: { value: 'fileB', id: 'fileB' }
+      })
+      getFoldersPageByParentFolderIdUserId.mockResolvedValue({
+        rows: mockFolders,
+        hasMore: false,
+        last: { value: 'folderX', id: 'folderX' }
       })
-      getAllFilesByParentFolderIdUserId.mockResolvedValue(mockFiles)
-      getAllFoldersByParentFolderIdUserId.mockResolvedValue(mockFolders)
     })
 
     test('should successfully respond with file and folder lists', async () => {
@@ -542,13 +644,15 @@ describe('File Binders', () => {
       )
       expect(GetFileListRequestSchema.safeParse).toHaveBeenCalledWith(validGetListRequest)
       expect(checkLoggedIn).toHaveBeenCalledWith(mockSocket)
-      expect(getAllFilesByParentFolderIdUserId).toHaveBeenCalledWith(
+      expect(getFoldersPageByParentFolderIdUserId).toHaveBeenCalledWith(
         validGetListRequest.parentFolderId,
-        mockUserId
+        mockUserId,
+        { sortBy: 'name', order: 'asc', limit: 3, after: null }
       )
-      expect(getAllFoldersByParentFolderIdUserId).toHaveBeenCalledWith(
+      expect(getFilesPageByParentFolderIdUserId).toHaveBeenCalledWith(
         validGetListRequest.parentFolderId,
-        mockUserId
+        mockUserId,
+        { sortBy: 'name', order: 'asc', limit: 2, after: null }
       )
       expect(logSocketInfo).toHaveBeenCalledWith(
         mockSocket,
@@ -556,11 +660,58 @@ describe('File Binders', () => {
         validGetListRequest
       )
       expect(mockCb).toHaveBeenCalledWith({
-        fileList: {
-          files: JSON.stringify(mockFiles),
-          folders: JSON.stringify(mockFolders)
-        }
+        files: mockFiles,
+        folders: mockFolders,
+        nextCursor: null
+      })
+    })
+
+    test('should respond a cursor of the last folder if there are more folders', async () => {
+      getFoldersPageByParentFolderIdUserId.mockResolvedValue({
+        rows: mockFolders,
+        hasMore: true,
+        last: { value: 'folderX', id: 'folderX' }
       })
+
+      await triggerSocketEvent('get-file-list', validGetListRequest)
+
+      expect(getFilesPageByParentFolderIdUserId).not.toHaveBeenCalled()
+      const { files, nextCursor } = mockCb.mock.calls[0][0]
+      expect(files).toEqual([])
+      expect(decodeCursor(nextCursor)).toEqual({
+        type: 'folder',
+        sortBy: 'name',
+        order: 'asc',
+        value: 'folderX',
+        id: 'folderX'
+      })
+    })
+
+    test('should start from the first file if page is filled by folders', async () => {
+      getFilesPageByParentFolderIdUserId.mockResolvedValue({ rows: [], hasMore: true, last: null })
+
+      await triggerSocketEvent('get-file-list', validGetListRequest)
+
+      const { nextCursor } = mockCb.mock.calls[0][0]
+      expect(decodeCursor(nextCursor)).toMatchObject({ type: 'file', value: null, id: null })
+    })
+
+    test('should only list files after a file cursor', async () => {
+      const cursor = { type: 'file', sortBy: 'name', order: 'asc', value: 'fileA', id: 'fileA' }
+      GetFileListRequestSchema.safeParse.mockReturnValue({
+        success: true,
+        data: { ...parsedGetListRequest, cursor }
+      })
+
+      await triggerSocketEvent('get-file-list', validGetListRequest)
+
+      expect(getFoldersPageByParentFolderIdUserId).not.toHaveBeenCalled()
+      expect(getFilesPageByParentFolderIdUserId).toHaveBeenCalledWith(
+        validGetListRequest.parentFolderId,
+        mockUserId,
+        expect.objectContaining({ limit: 3, after: cursor })
+      )
+      expect(mockCb).toHaveBeenCalledWith({ files: mockFiles, folders: [], nextCursor: null })
     })
 
     test('should return InvalidArgumentErrorMsg for invalid request schema', async () => {
@@ -593,7 +744,7 @@ describe('File Binders', () => {
         validGetListRequest
       )
       expect(mockCb).toHaveBeenCalledWith({ errorMsg: NotLoggedInErrorMsg })
-      expect(getAllFilesByParentFolderIdUserId).not.toHaveBeenCalled()
+      expect(getFilesPageByParentFolderIdUserId).not.toHaveBeenCalled()
     })
 
     test('should return InternalServerErrorMsg on unexpected error', async () => {
@@ -612,15 +763,62 @@ describe('File Binders', () => {
     })
   })
 
+  describe('search-own-files', () => {
+    const validSearchRequest = { query: 'report' }
+    const mockFiles = [{ id: 'fileA', folderPath: '/docs' }]
+
+    beforeEach(() => {
+      SearchOwnFilesRequestSchema.safeParse.mockReturnValue({
+        success: true,
+        data: { query: 'report', limit: 20 }
+      })
+    })
+
+    test('should respond searched files with a cursor if there are more', async () => {
+      searchFilesOfOwnerId.mockResolvedValue({
+        rows: mockFiles,
+        hasMore: true,
+        last: { value: '0.5', id: 'fileA' }
+      })
+
+      await triggerSocketEvent('search-own-files', validSearchRequest)
+
+      expect(searchFilesOfOwnerId).toHaveBeenCalledWith(mockUserId, 'report', {
+        limit: 20,
+        after: null
+      })
+      const { files, nextCursor } = mockCb.mock.calls[0][0]
+      expect(files).toEqual(mockFiles)
+      expect(JSON.parse(Buffer.from(nextCursor, 'base64url').toString())).toEqual({
+        value: '0.5',
+        id: 'fileA'
+      })
+    })
+
+    test('should respond null cursor on last page', async () => {
+      searchFilesOfOwnerId.mockResolvedValue({ rows: mockFiles, hasMore: false, last: null })
+
+      await triggerSocketEvent('search-own-files', validSearchRequest)
+
+      expect(mockCb).toHaveBeenCalledWith({ files: mockFiles, nextCursor: null })
+    })
+
+    test('should return NotLoggedInErrorMsg if client is not logged in', async () => {
+      checkLoggedIn.mockReturnValue(false)
+
+      await triggerSocketEvent('search-own-files', validSearchRequest)
+
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: NotLoggedInErrorMsg })
+      expect(searchFilesOfOwnerId).not.toHaveBeenCalled()
+    })
+  })
+
   describe('folderBinder', () => {
     describe('add-folder', () => {
       const validAddFolderRequest = { parentFolderId: 'root', folderName: 'New Folder' }
 
-      // NOTE: The original code uses DeleteFileRequestSchema.safeParse for add-folder.
-      // This is likely a copy-paste error in the original code, but we must test it as is.
-      // In a real scenario, this would be `AddFolderRequestSchema`.
       beforeEach(() => {
-        DeleteFileRequestSchema.safeParse.mockReturnValue({
+        AddFolderRequestSchema.safeParse.mockReturnValue({
           success: true,
           data: validAddFolderRequest
         })
@@ -634,7 +832,7 @@ describe('File Binders', () => {
           'Client asks to add folder.',
           validAddFolderRequest
         )
-        expect(DeleteFileRequestSchema.safeParse).toHaveBeenCalledWith(validAddFolderRequest) // Testing original code's typo
+        expect(AddFolderRequestSchema.safeParse).toHaveBeenCalledWith(validAddFolderRequest)
         expect(checkLoggedIn).toHaveBeenCalledWith(mockSocket)
         expect(addFolderToDatabase).toHaveBeenCalledWith(
           validAddFolderRequest.folderName,
@@ -650,7 +848,7 @@ describe('File Binders', () => {
       })
 
       test('should return InvalidArgumentErrorMsg for invalid request schema', async () => {
-        DeleteFileRequestSchema.safeParse.mockReturnValue({
+        AddFolderRequestSchema.safeParse.mockReturnValue({
           success: false,
           error: { issues: [{ message: 'Invalid folderName' }] }
         })
@@ -682,7 +880,7 @@ describe('File Binders', () => {
       })
 
       test('should return InternalServerErrorMsg on unexpected error', async () => {
-        DeleteFileRequestSchema.safeParse.mockImplementation(() => {
+        AddFolderRequestSchema.safeParse.mockImplementation(() => {
           throw new Error('Unexpected parsing error')
         })
 
@@ -698,19 +896,25 @@ describe('File Binders', () => {
     })
 
     describe('delete-folder', () => {
-      const validDeleteFolderRequest = { folderId: 'folderToDelete123' }
+      const validDeleteFolderRequest = {
+        folderId: 'folderToDelete123',
+        recursive: false,
+        dryRun: false
+      }
+      const mockFolderInfo = { id: 'folderToDelete123', ownerId: mockUserId }
 
       beforeEach(() => {
         DeleteFolderRequestSchema.safeParse.mockReturnValue({
           success: true,
           data: validDeleteFolderRequest
         })
-        getAllFilesByParentFolderIdUserId.mockResolvedValue([]) // Empty folder by default
-        getAllFoldersByParentFolderIdUserId.mockResolvedValue([]) // Empty folder by default
-        deleteFolder.mockResolvedValue({ rowCount: 1 }) // Simulate successful DB delete
+        getFolderInfoOfOwnerId.mockResolvedValue(mockFolderInfo)
+        // Empty folder by default
+        collectFolderTree.mockResolvedValue({ files: [], folders: [mockFolderInfo] })
+        moveToTrash.mockResolvedValue()
       })
 
-      test('should successfully delete an empty folder', async () => {
+      test('should successfully move an empty folder to trash', async () => {
         await triggerSocketEvent('delete-folder', validDeleteFolderRequest)
 
         expect(logSocketInfo).toHaveBeenCalledWith(
@@ -720,21 +924,13 @@ describe('File Binders', () => {
         )
         expect(DeleteFolderRequestSchema.safeParse).toHaveBeenCalledWith(validDeleteFolderRequest)
         expect(checkLoggedIn).toHaveBeenCalledWith(mockSocket)
-        expect(getAllFilesByParentFolderIdUserId).toHaveBeenCalledWith(
+        expect(getFolderInfoOfOwnerId).toHaveBeenCalledWith(
           validDeleteFolderRequest.folderId,
           mockUserId
         )
-        expect(getAllFoldersByParentFolderIdUserId).toHaveBeenCalledWith(
-          validDeleteFolderRequest.folderId,
-          mockUserId
-        )
-        expect(deleteFolder).toHaveBeenCalledWith(validDeleteFolderRequest.folderId)
-        expect(logSocketInfo).toHaveBeenCalledWith(
-          mockSocket,
-          'Folder deleted.',
-          validDeleteFolderRequest
-        )
-        expect(mockCb).toHaveBeenCalledWith({})
+        expect(collectFolderTree).toHaveBeenCalledWith(mockFolderInfo, mockUserId)
+        expect(moveToTrash).toHaveBeenCalledWith([], [mockFolderInfo])
+        expect(mockCb).toHaveBeenCalledWith({ fileCount: 0, folderCount: 1, totalSize: 0 })
       })
 
       test('should return InvalidArgumentErrorMsg for invalid request schema', async () => {
@@ -766,11 +962,14 @@ describe('File Binders', () => {
           validDeleteFolderRequest
         )
         expect(mockCb).toHaveBeenCalledWith({ errorMsg: NotLoggedInErrorMsg })
-        expect(getAllFilesByParentFolderIdUserId).not.toHaveBeenCalled()
+        expect(collectFolderTree).not.toHaveBeenCalled()
       })
 
       test('should return "Folder not empty." if folder contains files', async () => {
-        getAllFilesByParentFolderIdUserId.mockResolvedValue([{ id: 'fileInFolder' }])
+        collectFolderTree.mockResolvedValue({
+          files: [{ id: 'fileInFolder' }],
+          folders: [mockFolderInfo]
+        })
 
         await triggerSocketEvent('delete-folder', validDeleteFolderRequest)
 
@@ -780,11 +979,14 @@ describe('File Binders', () => {
           validDeleteFolderRequest
         )
         expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Folder not empty.' })
-        expect(deleteFolder).not.toHaveBeenCalled()
+        expect(moveToTrash).not.toHaveBeenCalled()
       })
 
       test('should return "Folder not empty." if folder contains sub-folders', async () => {
-        getAllFoldersByParentFolderIdUserId.mockResolvedValue([{ id: 'subFolder' }])
+        collectFolderTree.mockResolvedValue({
+          files: [],
+          folders: [mockFolderInfo, { id: 'subFolder' }]
+        })
 
         await triggerSocketEvent('delete-folder', validDeleteFolderRequest)
 
@@ -794,11 +996,11 @@ describe('File Binders', () => {
           validDeleteFolderRequest
         )
         expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Folder not empty.' })
-        expect(deleteFolder).not.toHaveBeenCalled()
+        expect(moveToTrash).not.toHaveBeenCalled()
       })
 
-      test('should return "Folder not found." if deleteFolder reports no changes', async () => {
-        deleteFolder.mockResolvedValue({ rowCount: 0 })
+      test('should return "Folder not found." if folder is not owned by client', async () => {
+        getFolderInfoOfOwnerId.mockResolvedValue(undefined)
 
         await triggerSocketEvent('delete-folder', validDeleteFolderRequest)
 
@@ -808,6 +1010,7 @@ describe('File Binders', () => {
           validDeleteFolderRequest
         )
         expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Folder not found.' })
+        expect(moveToTrash).not.toHaveBeenCalled()
       })
 
       test('should return InternalServerErrorMsg on unexpected error', async () => {
@@ -826,6 +1029,51 @@ describe('File Binders', () => {
       })
     })
 
+    describe('delete-folder recursively', () => {
+      const rootFolder = { id: 'rootFolder', name: 'Root' }
+      const subFolder = { id: 'subFolder', name: 'Sub' }
+      const rootFile = { id: 'rootFile', size: 100 }
+      const subFile = { id: 'subFile', size: 50 }
+
+      beforeEach(() => {
+        getFolderInfoOfOwnerId.mockResolvedValue(rootFolder)
+        collectFolderTree.mockResolvedValue({
+          files: [rootFile, subFile],
+          folders: [rootFolder, subFolder]
+        })
+      })
+
+      test('should respond with counts and total bytes without deleting on dry run', async () => {
+        const dryRunRequest = { folderId: rootFolder.id, recursive: true, dryRun: true }
+        DeleteFolderRequestSchema.safeParse.mockReturnValue({ success: true, data: dryRunRequest })
+
+        await triggerSocketEvent('delete-folder', dryRunRequest)
+
+        expect(getFolderInfoOfOwnerId).toHaveBeenCalledWith(rootFolder.id, mockUserId)
+        expect(mockCb).toHaveBeenCalledWith({ fileCount: 2, folderCount: 2, totalSize: 150 })
+        expect(moveToTrash).not.toHaveBeenCalled()
+      })
+
+      test('should move all files and folders under the folder to trash', async () => {
+        const recursiveRequest = { folderId: rootFolder.id, recursive: true, dryRun: false }
+        DeleteFolderRequestSchema.safeParse.mockReturnValue({
+          success: true,
+          data: recursiveRequest
+        })
+
+        await triggerSocketEvent('delete-folder', recursiveRequest)
+
+        expect(moveToTrash).toHaveBeenCalledWith([rootFile, subFile], [rootFolder, subFolder])
+        expect(logSocketInfo).toHaveBeenCalledWith(mockSocket, 'Folder moved to trash.', {
+          ...recursiveRequest,
+          fileCount: 2,
+          folderCount: 2,
+          totalSize: 150
+        })
+        expect(mockCb).toHaveBeenCalledWith({ fileCount: 2, folderCount: 2, totalSize: 150 })
+      })
+    })
+
     describe('get-all-folders', () => {
       const mockAllFolders = [
         { id: 'f1', name: 'Folder 1' },
@@ -977,45 +1225,294 @@ describe('File Binders', () => {
     })
   })
 
-  describe('getPublicFilesBinder', () => {
-    const mockPublicFiles = [{ id: 'publicFile1', ownerId: 'otherUser' }]
+  describe('move-folder', () => {
+    const validMoveFolderRequest = { folderId: 'folderToMove', targetFolderId: 'targetFolder' }
+    const folders = {
+      folderToMove: { id: 'folderToMove', parentFolderId: null },
+      targetFolder: { id: 'targetFolder', parentFolderId: 'otherFolder' },
+      otherFolder: { id: 'otherFolder', parentFolderId: null },
+      childFolder: { id: 'childFolder', parentFolderId: 'folderToMove' }
+    }
 
     beforeEach(() => {
-      getAllPublicFilesNotOwned.mockResolvedValue(mockPublicFiles)
+      MoveFolderRequestSchema.safeParse.mockReturnValue({
+        success: true,
+        data: validMoveFolderRequest
+      })
+      getFolderInfoOfOwnerId.mockImplementation(async (folderId) => folders[folderId])
+      moveFolderToFolderOfOwnerId.mockResolvedValue({ rowCount: 1 })
     })
 
-    test('should successfully respond with public files not owned by the user', async () => {
-      await triggerSocketEvent('get-public-files', mockCb) // get-public-files takes no request
+    test('should successfully move a folder to a target folder', async () => {
+      await triggerSocketEvent('move-folder', validMoveFolderRequest)
 
-      expect(logSocketInfo).toHaveBeenCalledWith(mockSocket, 'Client asks to get public files.')
-      expect(checkLoggedIn).toHaveBeenCalledWith(mockSocket)
-      expect(getAllPublicFilesNotOwned).toHaveBeenCalledWith(mockUserId)
-      expect(logSocketInfo).toHaveBeenCalledWith(mockSocket, 'Responding public files to client.')
-      expect(mockCb).toHaveBeenCalledWith({ files: JSON.stringify(mockPublicFiles) })
+      expect(getFolderInfoOfOwnerId).toHaveBeenCalledWith(
+        validMoveFolderRequest.folderId,
+        mockUserId
+      )
+      expect(checkFolderExistsForUser).toHaveBeenCalledWith(
+        validMoveFolderRequest.targetFolderId,
+        mockUserId
+      )
+      expect(moveFolderToFolderOfOwnerId).toHaveBeenCalledWith(
+        validMoveFolderRequest.folderId,
+        mockUserId,
+        validMoveFolderRequest.targetFolderId
+      )
+      expect(logSocketInfo).toHaveBeenCalledWith(
+        mockSocket,
+        'Folder moved to target folder.',
+        validMoveFolderRequest
+      )
+      expect(mockCb).toHaveBeenCalledWith({})
     })
 
-    test('should return NotLoggedInErrorMsg if client is not logged in', async () => {
-      checkLoggedIn.mockReturnValue(false)
+    test('should return FolderNotFoundErrorMsg if folder is not owned by client', async () => {
+      getFolderInfoOfOwnerId.mockResolvedValue(undefined)
 
-      await triggerSocketEvent('get-public-files', mockCb)
+      await triggerSocketEvent('move-folder', validMoveFolderRequest)
 
-      expect(logSocketWarning).toHaveBeenCalledWith(
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: FolderNotFoundErrorMsg })
+      expect(moveFolderToFolderOfOwnerId).not.toHaveBeenCalled()
+    })
+
+    test('should return "Target folder not found." if target folder does not exist for user', async () => {
+      checkFolderExistsForUser.mockResolvedValue(false)
+
+      await triggerSocketEvent('move-folder', validMoveFolderRequest)
+
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Target folder not found.' })
+      expect(moveFolderToFolderOfOwnerId).not.toHaveBeenCalled()
+    })
+
+    test('should return NameAlreadyExistsErrorMsg if target folder has a folder of the same name', async () => {
+      moveFolderToFolderOfOwnerId.mockResolvedValue({ rowCount: 0 })
+
+      await triggerSocketEvent('move-folder', validMoveFolderRequest)
+
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: NameAlreadyExistsErrorMsg })
+      expect(logSocketInfo).not.toHaveBeenCalledWith(
         mockSocket,
-        'Client asks to get public files but is not logged in.'
+        'Folder moved to target folder.',
+        validMoveFolderRequest
       )
-      expect(mockCb).toHaveBeenCalledWith({ errorMsg: NotLoggedInErrorMsg })
-      expect(getAllPublicFilesNotOwned).not.toHaveBeenCalled()
     })
 
-    test('should return InternalServerErrorMsg on unexpected error', async () => {
-      getAllPublicFilesNotOwned.mockImplementation(async () => {
-        throw new Error('DB error')
+    test.each(['folderToMove', 'childFolder'])(
+      'should reject moving a folder into its own subtree (%s)',
+      async (targetFolderId) => {
+        const cycleRequest = { folderId: 'folderToMove', targetFolderId }
+        MoveFolderRequestSchema.safeParse.mockReturnValue({ success: true, data: cycleRequest })
+
+        await triggerSocketEvent('move-folder', cycleRequest)
+
+        expect(logSocketWarning).toHaveBeenCalledWith(
+          mockSocket,
+          'Client asks to move folder to target folder but target folder is inside the folder.',
+          cycleRequest
+        )
+        expect(mockCb).toHaveBeenCalledWith({
+          errorMsg: 'Cannot move folder into itself or its sub-folders.'
+        })
+        expect(moveFolderToFolderOfOwnerId).not.toHaveBeenCalled()
+      }
+    )
+  })
+
+  describe('renameBinder', () => {
+    describe('rename-file', () => {
+      const validRenameFileRequest = { fileId: 'fileToRename', newName: 'renamed.txt' }
+
+      beforeEach(() => {
+        RenameFileRequestSchema.safeParse.mockReturnValue({
+          success: true,
+          data: validRenameFileRequest
+        })
+        getFileInfoOfOwnerId.mockResolvedValue({ id: 'fileToRename', ownerId: mockUserId })
+        renameFileOfOwnerId.mockResolvedValue({ rowCount: 1 })
       })
 
-      await triggerSocketEvent('get-public-files', mockCb)
+      test('should successfully rename an owned file', async () => {
+        await triggerSocketEvent('rename-file', validRenameFileRequest)
 
-      expect(logSocketError).toHaveBeenCalledWith(mockSocket, expect.any(Error))
-      expect(mockCb).toHaveBeenCalledWith({ errorMsg: InternalServerErrorMsg })
+        expect(RenameFileRequestSchema.safeParse).toHaveBeenCalledWith(validRenameFileRequest)
+        expect(checkLoggedIn).toHaveBeenCalledWith(mockSocket)
+        expect(getFileInfoOfOwnerId).toHaveBeenCalledWith(validRenameFileRequest.fileId, mockUserId)
+        expect(renameFileOfOwnerId).toHaveBeenCalledWith(
+          validRenameFileRequest.fileId,
+          mockUserId,
+          validRenameFileRequest.newName
+        )
+        expect(logSocketInfo).toHaveBeenCalledWith(
+          mockSocket,
+          'File renamed.',
+          validRenameFileRequest
+        )
+        expect(mockCb).toHaveBeenCalledWith({})
+      })
+
+      test('should return InvalidArgumentErrorMsg for invalid request schema', async () => {
+        RenameFileRequestSchema.safeParse.mockReturnValue({
+          success: false,
+          error: { issues: [{ message: 'Name cannot be empty.' }] }
+        })
+        const invalidRequest = { fileId: 'fileToRename', newName: '' }
+
+        await triggerSocketEvent('rename-file', invalidRequest)
+
+        expect(logInvalidSchemaWarning).toHaveBeenCalledWith(
+          mockSocket,
+          'Client asks to rename file',
+          expect.any(Array),
+          invalidRequest
+        )
+        expect(mockCb).toHaveBeenCalledWith({ errorMsg: InvalidArgumentErrorMsg })
+      })
+
+      test('should return NotLoggedInErrorMsg if client is not logged in', async () => {
+        checkLoggedIn.mockReturnValue(false)
+
+        await triggerSocketEvent('rename-file', validRenameFileRequest)
+
+        expect(mockCb).toHaveBeenCalledWith({ errorMsg: NotLoggedInErrorMsg })
+        expect(renameFileOfOwnerId).not.toHaveBeenCalled()
+      })
+
+      test('should return FileNotFoundErrorMsg if file does not exist or is not owned', async () => {
+        getFileInfoOfOwnerId.mockResolvedValue(undefined)
+
+        await triggerSocketEvent('rename-file', validRenameFileRequest)
+
+        expect(logSocketWarning).toHaveBeenCalledWith(
+          mockSocket,
+          'Client asks to rename file but file does not exist.',
+          validRenameFileRequest
+        )
+        expect(mockCb).toHaveBeenCalledWith({ errorMsg: FileNotFoundErrorMsg })
+        expect(renameFileOfOwnerId).not.toHaveBeenCalled()
+      })
+
+      test('should return NameAlreadyExistsErrorMsg if name is used in the same folder', async () => {
+        renameFileOfOwnerId.mockResolvedValue({ rowCount: 0 })
+
+        await triggerSocketEvent('rename-file', validRenameFileRequest)
+
+        expect(logSocketWarning).toHaveBeenCalledWith(
+          mockSocket,
+          'Client asks to rename file but name already exists in the folder.',
+          validRenameFileRequest
+        )
+        expect(mockCb).toHaveBeenCalledWith({ errorMsg: NameAlreadyExistsErrorMsg })
+      })
+
+      test('should return InternalServerErrorMsg on unexpected error', async () => {
+        renameFileOfOwnerId.mockRejectedValue(new Error('DB error'))
+
+        await triggerSocketEvent('rename-file', validRenameFileRequest)
+
+        expect(logSocketError).toHaveBeenCalledWith(
+          mockSocket,
+          expect.any(Error),
+          validRenameFileRequest
+        )
+        expect(mockCb).toHaveBeenCalledWith({ errorMsg: InternalServerErrorMsg })
+      })
+    })
+
+    describe('rename-folder', () => {
+      const validRenameFolderRequest = { folderId: 'folderToRename', newName: 'Renamed' }
+
+      beforeEach(() => {
+        RenameFolderRequestSchema.safeParse.mockReturnValue({
+          success: true,
+          data: validRenameFolderRequest
+        })
+        getFolderInfoOfOwnerId.mockResolvedValue({ id: 'folderToRename', ownerId: mockUserId })
+        renameFolderOfOwnerId.mockResolvedValue({ rowCount: 1 })
+      })
+
+      test('should successfully rename an owned folder', async () => {
+        await triggerSocketEvent('rename-folder', validRenameFolderRequest)
+
+        expect(getFolderInfoOfOwnerId).toHaveBeenCalledWith(
+          validRenameFolderRequest.folderId,
+          mockUserId
+        )
+        expect(renameFolderOfOwnerId).toHaveBeenCalledWith(
+          validRenameFolderRequest.folderId,
+          mockUserId,
+          validRenameFolderRequest.newName
+        )
+        expect(logSocketInfo).toHaveBeenCalledWith(
+          mockSocket,
+          'Folder renamed.',
+          validRenameFolderRequest
+        )
+        expect(mockCb).toHaveBeenCalledWith({})
+      })
+
+      test('should return FolderNotFoundErrorMsg if folder does not exist or is not owned', async () => {
+        getFolderInfoOfOwnerId.mockResolvedValue(undefined)
+
+        await triggerSocketEvent('rename-folder', validRenameFolderRequest)
+
+        expect(mockCb).toHaveBeenCalledWith({ errorMsg: FolderNotFoundErrorMsg })
+        expect(renameFolderOfOwnerId).not.toHaveBeenCalled()
+      })
+
+      test('should return NameAlreadyExistsErrorMsg if name is used in the same folder', async () => {
+        renameFolderOfOwnerId.mockResolvedValue({ rowCount: 0 })
+
+        await triggerSocketEvent('rename-folder', validRenameFolderRequest)
+
+        expect(mockCb).toHaveBeenCalledWith({ errorMsg: NameAlreadyExistsErrorMsg })
+      })
+    })
+  })
+
+  describe('search-files', () => {
+    const validSearchRequest = { TK: { k: 'trapdoor' }, tags: ['tag1'] }
+    const mockPublicFile = { id: 'publicFile1', ownerId: 'otherUser' }
+
+    beforeEach(() => {
+      SearchFileRequestSchema.safeParse.mockReturnValue({ success: true, data: validSearchRequest })
+      ABSEManager.checkTKTags = jest.fn().mockResolvedValue(true)
+      ABSEManager.Search = jest.fn(async function* () {
+        yield 'publicFile1'
+        yield 'ownFile1'
+      })
+      getPublicFilesNotOwnedByFileId.mockImplementation(async (userId, fileId) =>
+        fileId === 'publicFile1' ? mockPublicFile : undefined
+      )
+    })
+
+    test('should emit public files not owned by the user as partial results', async () => {
+      await triggerSocketEvent('search-files', validSearchRequest)
+
+      expect(getPublicFilesNotOwnedByFileId).toHaveBeenCalledWith(mockUserId, 'publicFile1')
+      expect(mockSocket.emit).toHaveBeenCalledTimes(1)
+      expect(mockSocket.emit).toHaveBeenCalledWith('partial-search-files', {
+        files: [mockPublicFile]
+      })
+      expect(mockCb).toHaveBeenCalledWith({ files: [] })
+    })
+
+    test('should return error if tags do not match trapdoor', async () => {
+      ABSEManager.checkTKTags.mockResolvedValue(false)
+
+      await triggerSocketEvent('search-files', validSearchRequest)
+
+      expect(ABSEManager.Search).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Trapdoor do not match tags.' })
+    })
+
+    test('should return NotLoggedInErrorMsg if client is not logged in', async () => {
+      checkLoggedIn.mockReturnValue(false)
+
+      await triggerSocketEvent('search-files', validSearchRequest)
+
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: NotLoggedInErrorMsg })
+      expect(ABSEManager.checkTKTags).not.toHaveBeenCalled()
     })
   })
 
@@ -1041,7 +1538,7 @@ describe('File Binders', () => {
 
       expect(logSocketInfo).toHaveBeenCalledWith(
         mockSocket,
-        'Client asks to update description and permission for file.',
+        'Client asks to update description, permission and index for file.',
         validUpdateRequest
       )
       expect(UpdateFileRequestSchema.safeParse).toHaveBeenCalledWith(validUpdateRequest)
@@ -1054,7 +1551,7 @@ describe('File Binders', () => {
       )
       expect(logSocketInfo).toHaveBeenCalledWith(
         mockSocket,
-        'Description and permission updated for file.',
+        'Description, permission and index updated for file.',
         validUpdateRequest
       )
       expect(mockCb).toHaveBeenCalledWith({})
@@ -1089,7 +1586,7 @@ describe('File Binders', () => {
 
       expect(logInvalidSchemaWarning).toHaveBeenCalledWith(
         mockSocket,
-        'Client asks to update description and permission for file',
+        'Client asks to update description, permission and index for file',
         expect.any(Array),
         invalidRequest
       )
@@ -1103,7 +1600,7 @@ describe('File Binders', () => {
 
       expect(logSocketWarning).toHaveBeenCalledWith(
         mockSocket,
-        'Client asks to update description and permission for file but is not logged in.',
+        'Client asks to update description, permission and index for file but is not logged in.',
         validUpdateRequest
       )
       expect(mockCb).toHaveBeenCalledWith({ errorMsg: NotLoggedInErrorMsg })
@@ -1117,7 +1614,7 @@ describe('File Binders', () => {
 
       expect(logSocketWarning).toHaveBeenCalledWith(
         mockSocket,
-        'Client asks to update description and permission for file but file does not exist.',
+        'Client asks to update description, permission and index for file but file does not exist.',
         validUpdateRequest
       )
       expect(mockCb).toHaveBeenCalledWith({ errorMsg: FileNotFoundErrorMsg })
@@ -1135,4 +1632,29 @@ describe('File Binders', () => {
       expect(mockCb).toHaveBeenCalledWith({ errorMsg: InternalServerErrorMsg })
     })
   })
+
+  describe('update-folder-perm', () => {
+    const request = { folderId: 'folder1', permission: 1 }
+
+    beforeEach(() => {
+      UpdateFolderPermRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+    })
+
+    test('should update folder permission', async () => {
+      updateFolderPermOfOwnerId.mockResolvedValue({ rowCount: 1 })
+
+      await triggerSocketEvent('update-folder-perm', request)
+
+      expect(updateFolderPermOfOwnerId).toHaveBeenCalledWith('folder1', mockUserId, 1)
+      expect(mockCb).toHaveBeenCalledWith({})
+    })
+
+    test('should return FolderNotFoundErrorMsg if folder is not owned by client', async () => {
+      updateFolderPermOfOwnerId.mockResolvedValue({ rowCount: 0 })
+
+      await triggerSocketEvent('update-folder-perm', request)
+
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: FolderNotFoundErrorMsg })
+    })
+  })
 })
@@ -1,4 +1,16 @@
-import { test, expect, jest, describe, beforeEach, beforeAll, afterEach } from '@jest/globals'
+import {
+  test,
+  expect,
+  jest,
+  describe,
+  beforeEach,
+  beforeAll,
+  afterEach,
+  afterAll
+} from '@jest/globals'
+import express from 'express'
+import { once } from 'node:events'
+import { get } from 'node:http'
 // Mock all external dependencies
 // Mock logger functions
 jest.mock('../src/Logger.js', () => ({
@@ -11,28 +23,24 @@ jest.mock('../src/Logger.js', () => ({
   logHttpsWarning: jest.fn()
 }))
 
-// Mock fs/promises functions
-jest.mock('fs/promises', () => ({
+// Mock fs functions
+jest.mock('node:fs/promises', () => ({
   mkdir: jest.fn(),
+  stat: jest.fn(),
+  truncate: jest.fn(),
   unlink: jest.fn()
 }))
+// The rest of fs is kept for res.download
+jest.mock('node:fs', () => ({
+  ...jest.requireActual('node:fs'),
+  createWriteStream: jest.fn(),
+  existsSync: jest.fn()
+}))
 
 // Mock multer
-// We need to capture the options passed to multer.diskStorage by HttpsServer.js
+// We need to capture the options passed to multer.diskStorage and multer by HttpsServer.js
 let capturedMulterDiskStorageOptions = {}
-// We need to mock multer's internal workings for diskStorage and fileFilter,
-// and then the `upload.single('file')` middleware.
-// const mockMulterDiskStorage = {
-//   destination: jest.fn((req, file, cb) => cb(null, '/mock/upload/path')),
-//   filename: jest.fn((req, file, cb) => cb(null, req.headers.fileid))
-// }
-const mockMulterLimits = {
-  fileSize: 8000000
-}
-const mockMulterFileFilter = jest.fn((req, file, cb) => {
-  file.originalname = Buffer.from(file.originalname, 'latin1').toString('utf8')
-  cb(null, true)
-})
+let capturedMulterOptions = {}
 
 // This is the actual middleware returned by upload.single('file')
 let mockUploadSingleMiddleware = jest.fn((req, res, next) => {
@@ -42,13 +50,13 @@ let mockUploadSingleMiddleware = jest.fn((req, res, next) => {
 })
 
 jest.mock('multer', () => {
-  const multerActual = jest.requireActual('multer') // Get actual multer
-  const mockMulter = jest.fn(() => ({
-    // Return our mock middleware for .single()
-    single: jest.fn((fieldName) => {
-      return mockUploadSingleMiddleware
-    })
-  }))
+  const mockMulter = jest.fn((options) => {
+    capturedMulterOptions = options
+    return {
+      // Return our mock middleware for .single()
+      single: jest.fn(() => mockUploadSingleMiddleware)
+    }
+  })
   // Mock diskStorage and other static properties
   mockMulter.diskStorage = jest.fn((options) => {
     // Capture the options object passed by HttpsServer.js
@@ -58,29 +66,28 @@ jest.mock('multer', () => {
   return mockMulter
 })
 
+// file-type has no export condition for require, so it cannot be resolved by Jest
+jest.mock(
+  'file-type',
+  () => ({
+    fileTypeFromFile: jest.fn()
+  }),
+  { virtual: true }
+)
+
 // Mock database functions
-jest.mock('../src/LoginDatabase.js', () => ({
-  checkUserLoggedIn: jest.fn(),
-  getUpload: jest.fn()
-}))
 jest.mock('../src/StorageDatabase.js', () => ({
-  addFileToDatabase: jest.fn(),
-  getFolderInfo: jest.fn(),
   getFileInfo: jest.fn(),
-  deleteFileOfOwnerId: jest.fn()
+  getFileVersionOfFileId: jest.fn(),
+  getUserByKey: jest.fn()
 }))
 
-// Mock path functions
-jest.mock('path', () => ({
-  join: jest.fn((...args) => args.join('/')),
+// Mock path functions, the rest of path is kept for res.download
+jest.mock('node:path', () => ({
+  ...jest.requireActual('node:path'),
   resolve: jest.fn((...args) => args.join('/'))
 }))
 
-// Mock crypto
-jest.mock('crypto', () => ({
-  randomUUID: jest.fn()
-}))
-
 // Mock ConfigManager
 jest.mock('../src/ConfigManager.js', () => ({
   __esModule: true,
@@ -92,66 +99,105 @@ jest.mock('../src/ConfigManager.js', () => ({
 
 // Mock UploadVerifier
 jest.mock('../src/UploadVerifier.js', () => ({
-  finishUpload: jest.fn()
+  abortUpload: jest.fn(),
+  checkUploadLength: jest.fn(),
+  finishUpload: jest.fn(),
+  getRemainingQuota: jest.fn(),
+  hasUpload: jest.fn(),
+  keepUploadAlive: jest.fn()
 }))
 
 // Mock Zod schemas from Validation.js
 jest.mock('../src/Validation.js', () => ({
-  FileIdSchema: {
-    safeParse: jest.fn()
-  },
-  SocketIDSchema: {
-    safeParse: jest.fn()
-  }
+  BearerTokenHeaderSchema: { safeParse: jest.fn() },
+  FileIdSchema: { safeParse: jest.fn() },
+  PublicKeySchema: { safeParse: jest.fn() },
+  ShareTokenSchema: { safeParse: jest.fn() },
+  UploadChunkHeadersSchema: { safeParse: jest.fn() },
+  VersionHeaderSchema: { safeParse: jest.fn() }
+}))
+
+jest.mock('../src/TransferToken.js', () => ({
+  verifyTransferToken: jest.fn()
+}))
+
+jest.mock('../src/Utils.js', () => ({
+  getFilePath: jest.fn((userId, fileId) => `/test/upload/dir/${userId}/${fileId}`),
+  QuotaExceededErrorMsg: 'Storage quota exceeded.',
+  riskyMimeTypes: ['application/x-msdownload']
+}))
+
+jest.mock('../src/ShareLinkManager.js', () => ({
+  redeemShareLink: jest.fn(),
+  resumeShareLink: jest.fn()
+}))
+
+jest.mock('../src/AccountManager.js', () => ({
+  exportFileName: 'export.json.gz'
 }))
 
 // Declare mockApp as `let` at the top level
 let mockApp
 
 // We will mock SocketIO.js inside beforeAll to ensure mockApp is defined
-// jest.mock('../src/SocketIO.js', ...) is removed from top-level
 
 // Import mocked dependencies for easier access and assertions
 import { logger, logHttpsError, logHttpsInfo, logHttpsWarning } from '../src/Logger.js'
-import { mkdir, unlink } from 'fs/promises'
-import multer from 'multer' // Import multer for its diskStorage and fileFilter checks if needed
-import { checkUserLoggedIn, getUpload } from '../src/LoginDatabase.js'
-import {
-  addFileToDatabase,
-  getFolderInfo,
-  getFileInfo,
-  deleteFileOfOwnerId
-} from '../src/StorageDatabase.js'
-import path, { join, resolve } from 'path'
-import { randomUUID } from 'crypto'
+import { mkdir, stat, truncate, unlink } from 'node:fs/promises'
+import { createWriteStream, existsSync } from 'node:fs'
+import { PassThrough, Readable, Writable } from 'node:stream'
+import { getFileInfo, getFileVersionOfFileId } from '../src/StorageDatabase.js'
+import { resolve } from 'node:path'
 import ConfigManager from '../src/ConfigManager.js'
-import { finishUpload } from '../src/UploadVerifier.js'
-// The `app` import will be handled dynamically in `beforeAll`
-// import { app } from '../src/SocketIO.js';
-import { FileIdSchema, SocketIDSchema } from '../src/Validation.js'
+import {
+  abortUpload,
+  checkUploadLength,
+  finishUpload,
+  getRemainingQuota,
+  hasUpload,
+  keepUploadAlive
+} from '../src/UploadVerifier.js'
+import {
+  BearerTokenHeaderSchema,
+  FileIdSchema,
+  ShareTokenSchema,
+  UploadChunkHeadersSchema,
+  VersionHeaderSchema
+} from '../src/Validation.js'
+import { verifyTransferToken } from '../src/TransferToken.js'
+import { redeemShareLink, resumeShareLink } from '../src/ShareLinkManager.js'
 
 describe('HTTPS Server (HttpsServer.js)', () => {
   let mockReq
   let mockRes
   let mockNext
 
-  // Extract handlers and middlewares set up by app.post and app.get
-  let authMiddleware
+  // Extract handlers and middlewares set up by app.post, app.get and app.use
+  let uploadAuthMiddleware
   let checkUploadMiddleware
-  let uploadSingleMiddleware // The actual multer middleware instance
   let uploadRouteHandler
+  let uploadOffsetRouteHandler
+  let uploadChunkRouteHandler
   let downloadRouteHandler
+  let shareRouteHandler
+  let downloadExportAuthMiddleware
+  let downloadExportRouteHandler
   let globalErrorHandler
 
-  const mockSocketId = 'testSocketId123'
+  const mockToken = 'mockTransferToken'
   const mockUserId = 'testUserId456'
   const mockFileId = 'testFileId789'
 
+  // Get the handlers of a route, without its path
+  const getRoute = (method, path) =>
+    mockApp[method].mock.calls.find(([routePath]) => routePath === path).slice(1)
+
   beforeAll(() => {
     // Initialize mockApp and mock SocketIO.js here
     mockApp = {
       post: jest.fn(),
       get: jest.fn(),
+      patch: jest.fn(),
       use: jest.fn()
     }
 
@@ -163,22 +209,21 @@ describe('HTTPS Server (HttpsServer.js)', () => {
 
     // These calls happen only once when the module is imported
     // Extract them after the import
-    const postCallArgs = mockApp.post.mock.calls[0]
-    authMiddleware = postCallArgs[1]
-    checkUploadMiddleware = postCallArgs[2]
-    uploadSingleMiddleware = postCallArgs[3] // This is the mockUploadSingleMiddleware
-    uploadRouteHandler = postCallArgs[4]
-
-    const getCallArgs = mockApp.get.mock.calls[0]
-    downloadRouteHandler = getCallArgs[2]
+    ;[uploadAuthMiddleware, checkUploadMiddleware, , uploadRouteHandler] = getRoute(
+      'post',
+      '/upload'
+    )
+    ;[, uploadOffsetRouteHandler] = getRoute('get', '/upload-chunk')
+    ;[, uploadChunkRouteHandler] = getRoute('patch', '/upload-chunk')
+    ;[, downloadRouteHandler] = getRoute('get', '/download')
+    ;[shareRouteHandler] = getRoute('get', '/share/:token')
+    ;[downloadExportAuthMiddleware, downloadExportRouteHandler] = getRoute('get', '/downloadExport')
 
     const useCallArgs = mockApp.use.mock.calls[0]
     globalErrorHandler = useCallArgs[0]
   })
 
   beforeEach(() => {
-    // jest.clearAllMocks() // Clear mocks before each test
-
     // Reset the `mockUploadSingleMiddleware` implementation for each test
     // Default to no file uploaded for simplicity, tests can override
     mockUploadSingleMiddleware.mockImplementation((req, res, next) => {
@@ -189,22 +234,24 @@ describe('HTTPS Server (HttpsServer.js)', () => {
     // Mock Express request and response objects
     mockReq = {
       headers: {},
+      params: {},
       userId: null,
-      uploadInfo: null,
       file: undefined // Multer sets this
-      // Add other properties that middleware or routes might access, e.g., ip, url
     }
     mockRes = {
       status: jest.fn().mockReturnThis(), // Allow chaining .status().send()
       send: jest.fn(),
       sendStatus: jest.fn(),
+      set: jest.fn(),
+      json: jest.fn(),
       download: jest.fn()
     }
     mockNext = jest.fn()
 
     // Default mock behavior for validation schemas
-    FileIdSchema.safeParse.mockReturnValue({ success: true, data: {} })
-    SocketIDSchema.safeParse.mockReturnValue({ success: true, data: {} })
+    BearerTokenHeaderSchema.safeParse.mockReturnValue({ success: true, data: mockToken })
+    FileIdSchema.safeParse.mockReturnValue({ success: true, data: mockFileId })
+    VersionHeaderSchema.safeParse.mockReturnValue({ success: true, data: undefined })
   })
 
   afterEach(() => {
@@ -214,8 +261,7 @@ describe('HTTPS Server (HttpsServer.js)', () => {
   // Test the module-level logger.info call ONCE after import
   describe('Module Initialization', () => {
     test('should log "Https POST GET path set." on module import', () => {
-      // Because HttpsServer.js is now required in beforeAll, this assertion needs to be careful.
-      // It's still called once when the module is loaded by the first `require`.
+      // It's called once when the module is loaded by the first `require`.
       expect(logger.info).toHaveBeenCalledWith('Https POST GET path set.')
     })
   })
@@ -227,11 +273,10 @@ describe('HTTPS Server (HttpsServer.js)', () => {
       const cb = jest.fn()
 
       mkdir.mockResolvedValue(true)
-      path.resolve.mockReturnValue(`/test/upload/dir/${mockUserId}`)
 
       await capturedMulterDiskStorageOptions.destination(req, mockFile, cb)
 
-      expect(path.resolve).toHaveBeenCalledWith(ConfigManager.uploadDir, mockUserId)
+      expect(resolve).toHaveBeenCalledWith(ConfigManager.uploadDir, mockUserId)
       expect(mkdir).toHaveBeenCalledWith(`/test/upload/dir/${mockUserId}`, { recursive: true })
       expect(cb).toHaveBeenCalledWith(null, `/test/upload/dir/${mockUserId}`)
     })
@@ -254,7 +299,7 @@ describe('HTTPS Server (HttpsServer.js)', () => {
   describe('multer filename', () => {
     test('should call cb with fileid from headers', () => {
       const mockFile = { originalname: 'test.txt' }
-      const req = { headers: { fileid: 'some_file_id' } }
+      const req = { path: '/upload', headers: { fileid: 'some_file_id' } }
       const cb = jest.fn()
 
       capturedMulterDiskStorageOptions.filename(req, mockFile, cb)
@@ -266,10 +311,9 @@ describe('HTTPS Server (HttpsServer.js)', () => {
   describe('multer fileFilter', () => {
     test('should convert originalname to utf8 and call cb with true', () => {
       const mockFile = { originalname: Buffer.from('täst.txt', 'utf8').toString('latin1') } // Simulate latin1 encoding
-      const req = {}
       const cb = jest.fn()
 
-      mockMulterFileFilter(req, mockFile, cb)
+      capturedMulterOptions.fileFilter({}, mockFile, cb)
 
       expect(mockFile.originalname).toBe('täst.txt') // Should be converted to UTF-8
       expect(cb).toHaveBeenCalledWith(null, true)
@@ -277,156 +321,126 @@ describe('HTTPS Server (HttpsServer.js)', () => {
   })
 
   describe('auth middleware', () => {
-    test('should set userId and call next if authenticated', () => {
-      mockReq.headers.socketid = mockSocketId
-      SocketIDSchema.safeParse.mockReturnValue({ success: true, data: mockSocketId })
-      checkUserLoggedIn.mockReturnValue({ userId: mockUserId })
+    beforeEach(() => {
+      mockReq.headers = { authorization: `Bearer ${mockToken}`, fileid: mockFileId }
+      verifyTransferToken.mockReturnValue({
+        userId: mockUserId,
+        operation: 'upload',
+        fileId: mockFileId
+      })
+    })
 
-      authMiddleware(mockReq, mockRes, mockNext)
+    test('should set userId and call next if authenticated', () => {
+      uploadAuthMiddleware(mockReq, mockRes, mockNext)
 
-      expect(SocketIDSchema.safeParse).toHaveBeenCalledWith(mockSocketId)
-      expect(checkUserLoggedIn).toHaveBeenCalledWith(mockSocketId)
+      expect(BearerTokenHeaderSchema.safeParse).toHaveBeenCalledWith(`Bearer ${mockToken}`)
+      expect(verifyTransferToken).toHaveBeenCalledWith(mockToken)
       expect(mockReq.userId).toBe(mockUserId)
-      expect(logHttpsInfo).toHaveBeenCalledWith(mockReq, 'Client is logged in.')
+      expect(logHttpsInfo).toHaveBeenCalledWith(mockReq, 'Client is authenticated.', {
+        userId: mockUserId
+      })
       expect(mockNext).toHaveBeenCalled()
       expect(mockRes.status).not.toHaveBeenCalled()
-      expect(mockRes.send).not.toHaveBeenCalled()
       expect(mockRes.sendStatus).not.toHaveBeenCalled()
     })
 
-    test('should return 400 if SocketId is invalid', () => {
-      mockReq.headers.socketid = 'invalid'
-      SocketIDSchema.safeParse.mockReturnValue({
+    test('should return 400 if transfer token is missing', () => {
+      BearerTokenHeaderSchema.safeParse.mockReturnValue({
         success: false,
-        issues: [{ message: 'Invalid SocketId' }]
+        error: { issues: [{ message: 'Invalid token' }] }
       })
 
-      authMiddleware(mockReq, mockRes, mockNext)
+      uploadAuthMiddleware(mockReq, mockRes, mockNext)
 
-      expect(SocketIDSchema.safeParse).toHaveBeenCalledWith('invalid')
-      expect(logHttpsWarning).toHaveBeenCalledWith(mockReq, 'SocketId not found or invalid', {
-        issues: expect.any(Array)
-      })
+      expect(verifyTransferToken).not.toHaveBeenCalled()
       expect(mockRes.status).toHaveBeenCalledWith(400)
-      expect(mockRes.send).toHaveBeenCalledWith('SocketId not found or invalid')
+      expect(mockRes.send).toHaveBeenCalledWith('Transfer token not found or invalid')
       expect(mockNext).not.toHaveBeenCalled()
-      expect(checkUserLoggedIn).not.toHaveBeenCalled()
     })
 
-    test('should return 401 if user is not logged in', () => {
-      mockReq.headers.socketid = mockSocketId
-      SocketIDSchema.safeParse.mockReturnValue({ success: true, data: mockSocketId })
-      checkUserLoggedIn.mockReturnValue(null)
+    test('should return 401 if transfer token is invalid or expired', () => {
+      verifyTransferToken.mockReturnValue(null)
 
-      authMiddleware(mockReq, mockRes, mockNext)
+      uploadAuthMiddleware(mockReq, mockRes, mockNext)
 
-      expect(checkUserLoggedIn).toHaveBeenCalledWith(mockSocketId)
-      expect(logHttpsWarning).toHaveBeenCalledWith(mockReq, 'Client is not logged in.')
       expect(mockRes.sendStatus).toHaveBeenCalledWith(401)
+      expect(mockReq.userId).toBeNull()
+      expect(mockNext).not.toHaveBeenCalled()
+    })
+
+    test('should return 403 if transfer token is issued for another file', () => {
+      verifyTransferToken.mockReturnValue({
+        userId: mockUserId,
+        operation: 'upload',
+        fileId: 'otherFileId'
+      })
+
+      uploadAuthMiddleware(mockReq, mockRes, mockNext)
+
+      expect(mockRes.sendStatus).toHaveBeenCalledWith(403)
+      expect(mockNext).not.toHaveBeenCalled()
+    })
+
+    test('should return 403 if transfer token is issued for another operation', () => {
+      verifyTransferToken.mockReturnValue({
+        userId: mockUserId,
+        operation: 'download',
+        fileId: mockFileId
+      })
+
+      uploadAuthMiddleware(mockReq, mockRes, mockNext)
+
+      expect(mockRes.sendStatus).toHaveBeenCalledWith(403)
       expect(mockNext).not.toHaveBeenCalled()
     })
 
     test('should call next with error on unexpected error', () => {
-      SocketIDSchema.safeParse.mockImplementation(() => {
+      verifyTransferToken.mockImplementation(() => {
         throw new Error('Unexpected error')
       })
 
-      authMiddleware(mockReq, mockRes, mockNext)
+      uploadAuthMiddleware(mockReq, mockRes, mockNext)
 
-      // expect(logHttpsError).toHaveBeenCalledWith(mockReq, expect.any(Error))
-      // expect(mockRes.sendStatus).toHaveBeenCalledWith(500)
       expect(mockNext).toHaveBeenCalledWith(expect.any(Error))
     })
   })
 
   describe('checkUpload middleware', () => {
-    const mockUploadInfo = {
-      cipher: 'c1',
-      spk: 's1',
-      parentFolderId: 'folder1'
-    }
-
     beforeEach(() => {
-      FileIdSchema.safeParse.mockReturnValue({ success: true, data: mockFileId })
-      getUpload.mockReturnValue(mockUploadInfo)
-      getFolderInfo.mockResolvedValue({}) // Folder exists by default
+      mockReq.headers.fileid = mockFileId
+      mockReq.userId = mockUserId
+      hasUpload.mockReturnValue(true)
     })
 
-    test('should set uploadInfo and call next if valid', () => {
-      mockReq.headers.fileid = mockFileId
-      checkUploadMiddleware(mockReq, mockRes, mockNext)
+    test('should call next if upload info exists', async () => {
+      await checkUploadMiddleware(mockReq, mockRes, mockNext)
 
-      expect(logHttpsInfo).toHaveBeenCalledWith(mockReq, 'Client asks to upload file.')
       expect(FileIdSchema.safeParse).toHaveBeenCalledWith(mockFileId)
-      expect(getUpload).toHaveBeenCalledWith(mockFileId)
-      expect(getFolderInfo).toHaveBeenCalledWith(mockUploadInfo.parentFolderId)
-      expect(mockReq.uploadInfo).toEqual(mockUploadInfo)
+      expect(hasUpload).toHaveBeenCalledWith(mockFileId)
       expect(mockNext).toHaveBeenCalled()
       expect(mockRes.status).not.toHaveBeenCalled()
     })
 
-    test('should return 400 if FileId is invalid', () => {
-      mockReq.headers.fileid = 'invalid'
-      FileIdSchema.safeParse.mockReturnValue({
-        success: false,
-        issues: [{ message: 'Invalid FileId' }]
-      })
+    test('should return 400 if FileId is invalid', async () => {
+      FileIdSchema.safeParse.mockReturnValue({ success: false })
 
-      checkUploadMiddleware(mockReq, mockRes, mockNext)
+      await checkUploadMiddleware(mockReq, mockRes, mockNext)
 
-      expect(logHttpsWarning).toHaveBeenCalledWith(
-        mockReq,
-        'Client asks to upload file but fileId is invalid.',
-        { issues: expect.any(Array) }
-      )
       expect(mockRes.status).toHaveBeenCalledWith(400)
       expect(mockRes.send).toHaveBeenCalledWith('FileId is invalid.')
+      expect(hasUpload).not.toHaveBeenCalled()
       expect(mockNext).not.toHaveBeenCalled()
-      expect(getUpload).not.toHaveBeenCalled()
     })
 
-    test('should return 400 if upload info does not exist', () => {
-      mockReq.headers.fileid = mockFileId
-      getUpload.mockReturnValue(null)
+    test('should return 400 if upload info does not exist', async () => {
+      hasUpload.mockReturnValue(false)
 
-      checkUploadMiddleware(mockReq, mockRes, mockNext)
+      await checkUploadMiddleware(mockReq, mockRes, mockNext)
 
-      expect(logHttpsWarning).toHaveBeenCalledWith(
-        mockReq,
-        'Client asks to upload file but upload info does not exist.'
-      )
       expect(mockRes.status).toHaveBeenCalledWith(400)
       expect(mockRes.send).toHaveBeenCalledWith('Upload info not found.')
       expect(mockNext).not.toHaveBeenCalled()
     })
-
-    test('should return 400 if parent folder does not exist', () => {
-      mockReq.headers.fileid = mockFileId
-      getFolderInfo.mockResolvedValue(null)
-
-      checkUploadMiddleware(mockReq, mockRes, mockNext)
-
-      expect(logHttpsWarning).toHaveBeenCalledWith(
-        mockReq,
-        'Client asks to upload filebut parent folder does not exist.',
-        { parentFolderId: mockUploadInfo.parentFolderId }
-      )
-      expect(mockRes.status).toHaveBeenCalledWith(400)
-      expect(mockRes.send).toHaveBeenCalledWith('Parent folder not found.')
-      expect(mockNext).not.toHaveBeenCalled()
-    })
-
-    test('should proceed if uploadInfo.parentFolderId is null (root folder)', () => {
-      mockReq.headers.fileid = mockFileId
-      getUpload.mockReturnValue({ ...mockUploadInfo, parentFolderId: null })
-
-      checkUploadMiddleware(mockReq, mockRes, mockNext)
-
-      expect(getFolderInfo).not.toHaveBeenCalled() // No folder check if parentFolderId is null
-      expect(mockReq.uploadInfo.parentFolderId).toBeNull()
-      expect(mockNext).toHaveBeenCalled()
-      expect(mockRes.status).not.toHaveBeenCalled()
-    })
   })
 
   describe('/upload POST route', () => {
@@ -436,16 +450,10 @@ describe('HTTPS Server (HttpsServer.js)', () => {
       path: `/test/upload/dir/${mockUserId}/${mockFileId}`,
       size: 1024
     }
-    const mockUploadInfo = {
-      cipher: 'uploadCipher',
-      spk: 'uploadSpk',
-      parentFolderId: 'folderUpload'
-    }
 
     beforeEach(() => {
       // Simulate successful preceding middlewares
       mockReq.userId = mockUserId
-      mockReq.uploadInfo = mockUploadInfo
       finishUpload.mockResolvedValue(true)
       unlink.mockResolvedValue(true) // Mock unlink success
     })
@@ -453,7 +461,7 @@ describe('HTTPS Server (HttpsServer.js)', () => {
     test('should successfully upload file and call finishUpload', async () => {
       mockReq.file = mockUploadedFile // Simulate file being set by multer middleware
 
-      await uploadRouteHandler(mockReq, mockRes)
+      await uploadRouteHandler(mockReq, mockRes, mockNext)
 
       expect(logHttpsInfo).toHaveBeenCalledWith(mockReq, 'Client uploaded file.', {
         filename: mockUploadedFile.originalname
@@ -463,9 +471,6 @@ describe('HTTPS Server (HttpsServer.js)', () => {
         id: mockUploadedFile.filename,
         userId: mockUserId,
         originOwnerId: mockUserId,
-        cipher: mockUploadInfo.cipher,
-        spk: mockUploadInfo.spk,
-        parentFolderId: mockUploadInfo.parentFolderId,
         size: mockUploadedFile.size
       })
       expect(mockRes.send).toHaveBeenCalledWith('File uploaded successfully.')
@@ -473,8 +478,7 @@ describe('HTTPS Server (HttpsServer.js)', () => {
     })
 
     test('should return 400 if no file is uploaded', async () => {
-      mockReq.file = undefined // Simulate no file
-      await uploadRouteHandler(mockReq, mockRes)
+      await uploadRouteHandler(mockReq, mockRes, mockNext)
 
       expect(mockRes.status).toHaveBeenCalledWith(400)
       expect(mockRes.send).toHaveBeenCalledWith('No file uploaded.')
@@ -488,9 +492,7 @@ describe('HTTPS Server (HttpsServer.js)', () => {
 
       await uploadRouteHandler(mockReq, mockRes, mockNext)
 
-      // expect(logHttpsError).toHaveBeenCalledWith(mockReq, finishError)
       expect(unlink).toHaveBeenCalledWith(mockUploadedFile.path) // Should attempt to clean up
-      // expect(mockRes.sendStatus).toHaveBeenCalledWith(500)
       expect(mockNext).toHaveBeenCalledWith(finishError)
     })
 
@@ -505,7 +507,6 @@ describe('HTTPS Server (HttpsServer.js)', () => {
       await uploadRouteHandler(mockReq, mockRes, mockNext)
 
       expect(logHttpsError).toHaveBeenCalledWith(mockReq, unlinkError) // Log the unlink error
-      // expect(mockRes.sendStatus).toHaveBeenCalledWith(500)
       expect(mockNext).toHaveBeenCalledWith(finishError)
     })
 
@@ -519,12 +520,199 @@ describe('HTTPS Server (HttpsServer.js)', () => {
 
       await uploadRouteHandler(mockReq, mockRes, mockNext)
 
-      // It should still call next with error
+      // It should still call next with error, but not log the ENOENT unlink error
       expect(mockNext).toHaveBeenCalledWith(finishError)
-      // expect(logHttpsError).toHaveBeenCalledWith(mockReq, finishError)
-      // But not the ENOENT unlink error
       expect(logHttpsError).not.toHaveBeenCalledWith(mockReq, unlinkError)
-      // expect(mockRes.sendStatus).toHaveBeenCalledWith(500)
+    })
+  })
+
+  describe('/upload-chunk GET route', () => {
+    beforeEach(() => {
+      mockReq.headers.fileid = mockFileId
+      mockReq.userId = mockUserId
+      keepUploadAlive.mockReturnValue(true)
+    })
+
+    test('should respond received bytes of upload', async () => {
+      stat.mockResolvedValue({ size: 300 })
+
+      await uploadOffsetRouteHandler(mockReq, mockRes, mockNext)
+
+      expect(keepUploadAlive).toHaveBeenCalledWith(mockFileId)
+      expect(stat).toHaveBeenCalledWith(`/test/upload/dir/${mockUserId}/${mockFileId}`)
+      expect(mockRes.json).toHaveBeenCalledWith({ offset: 300 })
+    })
+
+    test('should respond offset 0 if nothing is received yet', async () => {
+      stat.mockRejectedValue(Object.assign(new Error('No such file'), { code: 'ENOENT' }))
+
+      await uploadOffsetRouteHandler(mockReq, mockRes, mockNext)
+
+      expect(mockRes.json).toHaveBeenCalledWith({ offset: 0 })
+    })
+
+    test('should return 404 if upload info does not exist', async () => {
+      keepUploadAlive.mockReturnValue(false)
+
+      await uploadOffsetRouteHandler(mockReq, mockRes, mockNext)
+
+      expect(mockRes.status).toHaveBeenCalledWith(404)
+      expect(mockRes.send).toHaveBeenCalledWith('Upload info not found.')
+      expect(stat).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('/upload-chunk PATCH route', () => {
+    const filePath = `/test/upload/dir/${mockUserId}/${mockFileId}`
+    let writtenChunks
+
+    // Create a chunk request whose body is the given bytes
+    const createChunkReq = (body) =>
+      Object.assign(Readable.from([body]), { headers: {}, userId: mockUserId })
+
+    // Make headers parse to the given offset and length
+    const mockChunkHeaders = (offset, length) =>
+      UploadChunkHeadersSchema.safeParse.mockReturnValue({
+        success: true,
+        data: {
+          fileid: mockFileId,
+          'upload-offset': offset,
+          'upload-length': length,
+          'file-name': 'chunked.txt'
+        }
+      })
+
+    beforeEach(() => {
+      writtenChunks = []
+      createWriteStream.mockImplementation(
+        () =>
+          new Writable({
+            write(chunk, encoding, cb) {
+              writtenChunks.push(chunk)
+              cb()
+            }
+          })
+      )
+      mkdir.mockResolvedValue()
+      keepUploadAlive.mockReturnValue(true)
+      checkUploadLength.mockReturnValue(true)
+      getRemainingQuota.mockResolvedValue(1000)
+      stat.mockResolvedValue({ size: 0 })
+      finishUpload.mockResolvedValue()
+    })
+
+    test('should append chunk and respond the new offset', async () => {
+      mockChunkHeaders(0, 10)
+      const req = createChunkReq(Buffer.from('abcd'))
+
+      await uploadChunkRouteHandler(req, mockRes, mockNext)
+
+      expect(createWriteStream).toHaveBeenCalledWith(filePath, { flags: 'a' })
+      expect(Buffer.concat(writtenChunks).toString()).toBe('abcd')
+      expect(mockRes.json).toHaveBeenCalledWith({ offset: 4 })
+      expect(finishUpload).not.toHaveBeenCalled()
+    })
+
+    test('should finish upload when the last chunk is received', async () => {
+      mockChunkHeaders(4, 10)
+      stat.mockResolvedValue({ size: 4 })
+      const req = createChunkReq(Buffer.from('efghij'))
+
+      await uploadChunkRouteHandler(req, mockRes, mockNext)
+
+      expect(finishUpload).toHaveBeenCalledWith({
+        name: 'chunked.txt',
+        id: mockFileId,
+        userId: mockUserId,
+        originOwnerId: mockUserId,
+        size: 10
+      })
+      expect(mockRes.json).toHaveBeenCalledWith({ offset: 10 })
+    })
+
+    test('should return 409 with received bytes if offset does not match', async () => {
+      mockChunkHeaders(0, 10)
+      stat.mockResolvedValue({ size: 4 })
+      const req = createChunkReq(Buffer.from('abcd'))
+
+      await uploadChunkRouteHandler(req, mockRes, mockNext)
+
+      expect(mockRes.status).toHaveBeenCalledWith(409)
+      expect(mockRes.json).toHaveBeenCalledWith({ offset: 4 })
+      expect(createWriteStream).not.toHaveBeenCalled()
+    })
+
+    test('should return 409 if upload length differs from the first chunk', async () => {
+      mockChunkHeaders(4, 20)
+      checkUploadLength.mockReturnValue(false)
+      const req = createChunkReq(Buffer.from('efgh'))
+
+      await uploadChunkRouteHandler(req, mockRes, mockNext)
+
+      expect(checkUploadLength).toHaveBeenCalledWith(mockFileId, 20)
+      expect(mockRes.status).toHaveBeenCalledWith(409)
+      expect(mockRes.send).toHaveBeenCalledWith('Upload length does not match.')
+      expect(createWriteStream).not.toHaveBeenCalled()
+      expect(finishUpload).not.toHaveBeenCalled()
+    })
+
+    test('should drop chunk beyond upload length so it can be resent', async () => {
+      mockChunkHeaders(4, 10)
+      stat.mockResolvedValue({ size: 4 })
+      const req = createChunkReq(Buffer.from('efghijklmn'))
+
+      await uploadChunkRouteHandler(req, mockRes, mockNext)
+
+      expect(truncate).toHaveBeenCalledWith(filePath, 4)
+      expect(mockRes.status).toHaveBeenCalledWith(413)
+      expect(mockRes.json).toHaveBeenCalledWith({ offset: 4 })
+      expect(finishUpload).not.toHaveBeenCalled()
+    })
+
+    test('should abort upload exceeding storage quota', async () => {
+      mockChunkHeaders(0, 10)
+      getRemainingQuota.mockResolvedValue(5)
+      const req = createChunkReq(Buffer.from('abcd'))
+
+      await uploadChunkRouteHandler(req, mockRes, mockNext)
+
+      expect(abortUpload).toHaveBeenCalledWith(mockUserId, mockFileId, 'Storage quota exceeded.')
+      expect(mockRes.status).toHaveBeenCalledWith(413)
+      expect(mockRes.send).toHaveBeenCalledWith('Storage quota exceeded.')
+      expect(createWriteStream).not.toHaveBeenCalled()
+    })
+
+    test('should return 404 if upload info does not exist', async () => {
+      mockChunkHeaders(0, 10)
+      keepUploadAlive.mockReturnValue(false)
+      const req = createChunkReq(Buffer.from('abcd'))
+
+      await uploadChunkRouteHandler(req, mockRes, mockNext)
+
+      expect(mockRes.status).toHaveBeenCalledWith(404)
+      expect(mockRes.send).toHaveBeenCalledWith('Upload info not found.')
+      expect(createWriteStream).not.toHaveBeenCalled()
+    })
+
+    test('should reject another chunk of the same upload while one is being received', async () => {
+      mockChunkHeaders(0, 10)
+      const receivingReq = Object.assign(new PassThrough(), { headers: {}, userId: mockUserId })
+      const receivingRes = { ...mockRes, json: jest.fn() }
+      const receiving = uploadChunkRouteHandler(receivingReq, receivingRes, mockNext)
+
+      await uploadChunkRouteHandler(createChunkReq(Buffer.from('abcd')), mockRes, mockNext)
+
+      expect(mockRes.status).toHaveBeenCalledWith(409)
+      expect(mockRes.send).toHaveBeenCalledWith('Another chunk is being received.')
+
+      receivingReq.end(Buffer.from('abcd'))
+      await receiving
+      expect(receivingRes.json).toHaveBeenCalledWith({ offset: 4 })
+
+      // The lock is released after the chunk is received
+      const res = { ...mockRes, json: jest.fn() }
+      await uploadChunkRouteHandler(createChunkReq(Buffer.from('abcd')), res, mockNext)
+      expect(res.json).toHaveBeenCalledWith({ offset: 4 })
     })
   })
 
@@ -533,39 +721,51 @@ describe('HTTPS Server (HttpsServer.js)', () => {
       id: mockFileId,
       name: 'downloaded.jpg',
       ownerId: mockUserId,
-      path: '/test/upload/dir/user456/testFileId789'
+      hash: '0xabc123'
     }
 
     beforeEach(() => {
       mockReq.headers.fileid = mockFileId
       mockReq.userId = mockUserId // Simulate auth middleware setting userId
-      FileIdSchema.safeParse.mockReturnValue({ success: true, data: mockFileId })
       getFileInfo.mockResolvedValue(mockFileInfo)
-      path.resolve.mockReturnValue(`/test/upload/dir/${mockUserId}/${mockFileId}`)
     })
 
-    test('should successfully download an owned file', () => {
-      downloadRouteHandler(mockReq, mockRes)
+    test('should successfully download an owned file', async () => {
+      await downloadRouteHandler(mockReq, mockRes, mockNext)
 
       expect(logHttpsInfo).toHaveBeenCalledWith(mockReq, 'Client asks to download file.')
       expect(FileIdSchema.safeParse).toHaveBeenCalledWith(mockFileId)
       expect(getFileInfo).toHaveBeenCalledWith(mockFileId)
-      expect(path.resolve).toHaveBeenCalledWith(ConfigManager.uploadDir, mockUserId, mockFileId)
       expect(logHttpsInfo).toHaveBeenCalledWith(mockReq, 'Client downloading file.')
+      expect(mockRes.set).toHaveBeenCalledWith('ETag', '"abc123"')
       expect(mockRes.download).toHaveBeenCalledWith(
         `/test/upload/dir/${mockUserId}/${mockFileId}`,
         mockFileInfo.name
       )
     })
 
-    test('should return 400 if FileId is invalid', () => {
+    test('should download archived version if version header is given', async () => {
+      VersionHeaderSchema.safeParse.mockReturnValue({ success: true, data: 2 })
+      getFileVersionOfFileId.mockResolvedValue({ id: 'versionFileId', hash: null })
+
+      await downloadRouteHandler(mockReq, mockRes, mockNext)
+
+      expect(getFileVersionOfFileId).toHaveBeenCalledWith(mockFileId, 2)
+      expect(mockRes.set).not.toHaveBeenCalled()
+      expect(mockRes.download).toHaveBeenCalledWith(
+        `/test/upload/dir/${mockUserId}/versionFileId`,
+        mockFileInfo.name
+      )
+    })
+
+    test('should return 400 if FileId is invalid', async () => {
       mockReq.headers.fileid = 'invalid'
       FileIdSchema.safeParse.mockReturnValue({
         success: false,
         issues: [{ message: 'Invalid FileId' }]
       })
 
-      downloadRouteHandler(mockReq, mockRes)
+      await downloadRouteHandler(mockReq, mockRes, mockNext)
 
       expect(logHttpsWarning).toHaveBeenCalledWith(
         mockReq,
@@ -577,10 +777,10 @@ describe('HTTPS Server (HttpsServer.js)', () => {
       expect(getFileInfo).not.toHaveBeenCalled()
     })
 
-    test('should return 404 if file does not exist', () => {
+    test('should return 404 if file does not exist', async () => {
       getFileInfo.mockResolvedValue(null)
 
-      downloadRouteHandler(mockReq, mockRes)
+      await downloadRouteHandler(mockReq, mockRes, mockNext)
 
       expect(logHttpsWarning).toHaveBeenCalledWith(
         mockReq,
@@ -590,10 +790,10 @@ describe('HTTPS Server (HttpsServer.js)', () => {
       expect(mockRes.send).toHaveBeenCalledWith('File not found')
     })
 
-    test('should return 403 if file is not owned by client', () => {
+    test('should return 403 if file is not owned by client', async () => {
       getFileInfo.mockResolvedValue({ ...mockFileInfo, ownerId: 'otherUser' })
 
-      downloadRouteHandler(mockReq, mockRes)
+      await downloadRouteHandler(mockReq, mockRes, mockNext)
 
       expect(logHttpsWarning).toHaveBeenCalledWith(
         mockReq,
@@ -603,16 +803,254 @@ describe('HTTPS Server (HttpsServer.js)', () => {
       expect(mockRes.send).toHaveBeenCalledWith('File not owned.')
     })
 
-    test('should call next with error on unexpected error', () => {
+    test('should call next with error on unexpected error', async () => {
       FileIdSchema.safeParse.mockImplementation(() => {
         throw new Error('Unexpected parsing error')
       })
 
-      downloadRouteHandler(mockReq, mockRes, mockNext)
+      await downloadRouteHandler(mockReq, mockRes, mockNext)
 
       expect(mockNext).toHaveBeenCalledWith(expect.any(Error))
-      // expect(logHttpsError).toHaveBeenCalledWith(mockReq, expect.any(Error))
-      // expect(mockRes.sendStatus).toHaveBeenCalledWith(500)
+    })
+  })
+
+  describe('/download conditional and partial requests', () => {
+    // A real file is served, so headers are handled by res.download
+    const { mkdtempSync, mkdirSync, rmSync, writeFileSync } = jest.requireActual('node:fs')
+    const { join } = jest.requireActual('node:path')
+    const { tmpdir } = jest.requireActual('node:os')
+    const fileContent = 'content of downloaded file'
+    const hash = '0x' + 'ab'.repeat(32)
+    const strongETag = `"${'ab'.repeat(32)}"`
+    let server
+    let downloadUrl
+    let uploadDir
+
+    // Download the file with extra request headers.
+    // fetch adds Cache-Control: no-cache to conditional requests, so a plain request is sent instead.
+    const download = async (headers = {}) => {
+      const request = get(downloadUrl, { headers: { fileid: mockFileId, ...headers } })
+      const [response] = await once(request, 'response')
+      let body = ''
+      for await (const data of response) body += data
+      return { status: response.statusCode, headers: response.headers, body }
+    }
+
+    beforeAll(async () => {
+      uploadDir = mkdtempSync(join(tmpdir(), 'download-test-'))
+      mkdirSync(join(uploadDir, mockUserId))
+      writeFileSync(join(uploadDir, mockUserId, mockFileId), fileContent)
+      ConfigManager.uploadDir = uploadDir
+      resolve.mockImplementation((...args) => join(...args))
+
+      const downloadApp = express()
+      downloadApp.get(
+        '/download',
+        (req, res, next) => {
+          req.userId = mockUserId
+          next()
+        },
+        downloadRouteHandler
+      )
+      server = downloadApp.listen(0, '127.0.0.1')
+      await once(server, 'listening')
+      downloadUrl = `http://127.0.0.1:${server.address().port}/download`
+    })
+
+    afterAll(async () => {
+      server.close()
+      await once(server, 'close')
+      rmSync(uploadDir, { recursive: true, force: true })
+      ConfigManager.uploadDir = '/test/upload/dir'
+      resolve.mockImplementation((...args) => args.join('/'))
+    })
+
+    beforeEach(() => {
+      getFileInfo.mockResolvedValue({
+        id: mockFileId,
+        name: 'downloaded.txt',
+        ownerId: mockUserId,
+        hash
+      })
+    })
+
+    test('should respond whole file with strong ETag from stored hash', async () => {
+      const response = await download()
+
+      expect(response.status).toBe(200)
+      expect(response.headers.etag).toBe(strongETag)
+      expect(response.headers['accept-ranges']).toBe('bytes')
+      expect(response.body).toBe(fileContent)
+    })
+
+    test('should respond 304 if ETag matches If-None-Match', async () => {
+      const response = await download({ 'if-none-match': strongETag })
+
+      expect(response.status).toBe(304)
+      expect(response.body).toBe('')
+    })
+
+    test('should respond requested range with 206', async () => {
+      const response = await download({ range: 'bytes=8-9' })
+
+      expect(response.status).toBe(206)
+      expect(response.headers['content-range']).toBe(`bytes 8-9/${fileContent.length}`)
+      expect(response.body).toBe('of')
+    })
+
+    test('should respond requested range if If-Range matches ETag', async () => {
+      const response = await download({ range: 'bytes=8-9', 'if-range': strongETag })
+
+      expect(response.status).toBe(206)
+      expect(response.body).toBe('of')
+    })
+
+    test('should respond whole file if If-Range is a stale ETag', async () => {
+      const response = await download({ range: 'bytes=8-9', 'if-range': '"stale"' })
+
+      expect(response.status).toBe(200)
+      expect(response.body).toBe(fileContent)
+    })
+
+    test('should fall back to weak ETag for file without hash', async () => {
+      getFileInfo.mockResolvedValue({
+        id: mockFileId,
+        name: 'downloaded.txt',
+        ownerId: mockUserId,
+        hash: null
+      })
+
+      const response = await download()
+
+      expect(response.status).toBe(200)
+      expect(response.headers.etag).toMatch(/^W\//)
+      expect(response.body).toBe(fileContent)
+    })
+  })
+
+  describe('/share/:token GET route', () => {
+    const mockShareToken = 'mockShareToken'
+
+    beforeEach(() => {
+      mockReq.params.token = mockShareToken
+      ShareTokenSchema.safeParse.mockReturnValue({ success: true, data: mockShareToken })
+    })
+
+    test('should download shared file with reencrypted key in headers', async () => {
+      redeemShareLink.mockResolvedValue({
+        shareLinkId: 'link1',
+        fileInfo: { id: mockFileId, ownerId: 'ownerId', name: 'shared.txt', hash: null },
+        cipher: 'shareCipher',
+        spk: 'shareSpk'
+      })
+
+      await shareRouteHandler(mockReq, mockRes, mockNext)
+
+      expect(redeemShareLink).toHaveBeenCalledWith(mockShareToken)
+      expect(resumeShareLink).not.toHaveBeenCalled()
+      expect(mockRes.set).toHaveBeenCalledWith({ cipher: 'shareCipher', spk: 'shareSpk' })
+      expect(mockRes.download).toHaveBeenCalledWith(
+        `/test/upload/dir/ownerId/${mockFileId}`,
+        'shared.txt'
+      )
+    })
+
+    test('should return 404 if share link does not exist or is used up', async () => {
+      redeemShareLink.mockResolvedValue(null)
+
+      await shareRouteHandler(mockReq, mockRes, mockNext)
+
+      expect(mockRes.status).toHaveBeenCalledWith(404)
+      expect(mockRes.send).toHaveBeenCalledWith('Share link not found or expired.')
+      expect(mockRes.download).not.toHaveBeenCalled()
+    })
+
+    test('should resume download of Range request without counting it', async () => {
+      mockReq.headers.range = 'bytes=100-'
+      resumeShareLink.mockResolvedValue({
+        shareLinkId: 'link1',
+        fileInfo: { id: mockFileId, ownerId: 'ownerId', name: 'shared.txt', hash: null },
+        cipher: 'shareCipher',
+        spk: 'shareSpk'
+      })
+
+      await shareRouteHandler(mockReq, mockRes, mockNext)
+
+      expect(resumeShareLink).toHaveBeenCalledWith(mockShareToken)
+      expect(redeemShareLink).not.toHaveBeenCalled()
+      expect(mockRes.download).toHaveBeenCalledWith(
+        `/test/upload/dir/ownerId/${mockFileId}`,
+        'shared.txt'
+      )
+    })
+
+    test('should return 404 for Range request if share link has no download to resume', async () => {
+      mockReq.headers.range = 'bytes=0-'
+      resumeShareLink.mockResolvedValue(undefined)
+
+      await shareRouteHandler(mockReq, mockRes, mockNext)
+
+      expect(redeemShareLink).not.toHaveBeenCalled()
+      expect(mockRes.status).toHaveBeenCalledWith(404)
+      expect(mockRes.download).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('/downloadExport GET route', () => {
+    beforeEach(() => {
+      mockReq.userId = mockUserId
+    })
+
+    test('should only accept transfer token issued for export', () => {
+      mockReq.headers = { authorization: `Bearer ${mockToken}` }
+      verifyTransferToken.mockReturnValue({
+        userId: mockUserId,
+        operation: 'download',
+        fileId: 'export'
+      })
+
+      downloadExportAuthMiddleware(mockReq, mockRes, mockNext)
+
+      expect(mockNext).toHaveBeenCalled()
+    })
+
+    test('should download account export and remove it afterwards', async () => {
+      existsSync.mockReturnValue(true)
+      unlink.mockResolvedValue()
+      mockRes.download.mockImplementation((path, name, callback) => callback())
+
+      await downloadExportRouteHandler(mockReq, mockRes, mockNext)
+
+      const exportPath = `/test/upload/dir/${mockUserId}/export.json.gz`
+      expect(mockRes.download).toHaveBeenCalledWith(
+        exportPath,
+        'account-export.json.gz',
+        expect.any(Function)
+      )
+      expect(unlink).toHaveBeenCalledWith(exportPath)
+      expect(logHttpsError).not.toHaveBeenCalled()
+    })
+
+    test('should remove account export even if download fails', async () => {
+      const downloadError = new Error('Connection reset')
+      existsSync.mockReturnValue(true)
+      unlink.mockResolvedValue()
+      mockRes.download.mockImplementation((path, name, callback) => callback(downloadError))
+
+      await downloadExportRouteHandler(mockReq, mockRes, mockNext)
+
+      expect(logHttpsError).toHaveBeenCalledWith(mockReq, downloadError)
+      expect(unlink).toHaveBeenCalledWith(`/test/upload/dir/${mockUserId}/export.json.gz`)
+    })
+
+    test('should return 404 if account is not exported first', async () => {
+      existsSync.mockReturnValue(false)
+
+      await downloadExportRouteHandler(mockReq, mockRes, mockNext)
+
+      expect(mockRes.status).toHaveBeenCalledWith(404)
+      expect(mockRes.send).toHaveBeenCalledWith('Account export not found.')
+      expect(mockRes.download).not.toHaveBeenCalled()
     })
   })
 
@@ -0,0 +1,241 @@
+import { test, expect, jest, describe, beforeEach } from '@jest/globals'
+// Mock all external dependencies
+jest.mock('../src/Logger.js', () => ({
+  logger: {
+    error: jest.fn()
+  },
+  logInvalidSchemaWarning: jest.fn(),
+  logSocketError: jest.fn(),
+  logSocketInfo: jest.fn(),
+  logSocketWarning: jest.fn()
+}))
+
+jest.mock('../src/StorageDatabase.js', () => ({
+  addNotification: jest.fn(),
+  getNotificationsOfUserId: jest.fn(),
+  getUnreadNotificationCountOfUserId: jest.fn(),
+  getUserById: jest.fn(),
+  markNotificationsReadOfUserId: jest.fn(),
+  updateUserNotificationSettingsById: jest.fn()
+}))
+
+jest.mock('../src/Utils.js', () => ({
+  checkLoggedIn: jest.fn(),
+  InternalServerErrorMsg: 'Internal server error occurred.',
+  InvalidArgumentErrorMsg: 'Invalid argument provided.',
+  NotLoggedInErrorMsg: 'Not logged in.'
+}))
+
+jest.mock('../src/Validation.js', () => ({
+  GetNotificationsRequestSchema: { safeParse: jest.fn() },
+  MarkNotificationsReadRequestSchema: { safeParse: jest.fn() },
+  UpdateNotificationSettingsRequestSchema: { safeParse: jest.fn() }
+}))
+
+jest.mock('../src/UserLoginInfo.js', () => ({
+  emitToOnlineUser: jest.fn()
+}))
+
+jest.mock('../src/SMTPManager.js', () => ({
+  sendNotificationEmail: jest.fn()
+}))
+
+// Import the module to be tested
+import { notificationBinder, notifyUser } from '../src/NotificationManager.js'
+
+// Import mocked dependencies for easier access and assertion
+import { logger } from '../src/Logger.js'
+import {
+  addNotification,
+  getNotificationsOfUserId,
+  getUnreadNotificationCountOfUserId,
+  getUserById,
+  markNotificationsReadOfUserId,
+  updateUserNotificationSettingsById
+} from '../src/StorageDatabase.js'
+import { checkLoggedIn, NotLoggedInErrorMsg } from '../src/Utils.js'
+import {
+  GetNotificationsRequestSchema,
+  MarkNotificationsReadRequestSchema,
+  UpdateNotificationSettingsRequestSchema
+} from '../src/Validation.js'
+import { emitToOnlineUser } from '../src/UserLoginInfo.js'
+import { sendNotificationEmail } from '../src/SMTPManager.js'
+
+describe('NotificationManager', () => {
+  let mockSocket
+  let mockCb
+  const mockUserId = 'user123'
+
+  // Helper to trigger a socket event
+  const triggerSocketEvent = async (eventName, ...args) => {
+    const handler = mockSocket.events[eventName]
+    if (handler) {
+      await handler(...args, mockCb)
+    } else {
+      throw new Error(`No handler registered for event: ${eventName}`)
+    }
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    mockSocket = {
+      userId: mockUserId,
+      events: {},
+      on: jest.fn((eventName, handler) => {
+        mockSocket.events[eventName] = handler
+      })
+    }
+    mockCb = jest.fn()
+    checkLoggedIn.mockReturnValue(true)
+    getUnreadNotificationCountOfUserId.mockResolvedValue(2)
+    notificationBinder(mockSocket)
+  })
+
+  describe('notifyUser', () => {
+    test('should store notification and emit event with data', async () => {
+      await notifyUser(mockUserId, 'upload-file-res', { fileId: 'file1' })
+
+      expect(addNotification).toHaveBeenCalledWith(mockUserId, 'upload-file-res', {
+        fileId: 'file1'
+      })
+      expect(emitToOnlineUser).toHaveBeenCalledWith(mockUserId, 'upload-file-res', {
+        fileId: 'file1'
+      })
+    })
+
+    test('should emit event without data if none is given', async () => {
+      await notifyUser(mockUserId, 'new-request')
+
+      expect(addNotification).toHaveBeenCalledWith(mockUserId, 'new-request', null)
+      expect(emitToOnlineUser).toHaveBeenCalledWith(mockUserId, 'new-request')
+    })
+
+    test('should still emit event if storing notification fails', async () => {
+      addNotification.mockRejectedValueOnce(new Error('DB error'))
+
+      await notifyUser(mockUserId, 'new-response')
+
+      expect(logger.error).toHaveBeenCalled()
+      expect(emitToOnlineUser).toHaveBeenCalledWith(mockUserId, 'new-response')
+    })
+
+    test('should email user who opted in for the notification type', async () => {
+      const userInfo = { emailNotifications: ['upload-failed'], locale: 'en' }
+      getUserById.mockResolvedValue(userInfo)
+      const data = { fileId: 'file1', errorMsg: 'File hashes do not meet.' }
+
+      await notifyUser(mockUserId, 'upload-file-res', data)
+
+      expect(sendNotificationEmail).toHaveBeenCalledWith(userInfo, 'upload-failed', data)
+    })
+
+    test('should not email user who did not opt in', async () => {
+      getUserById.mockResolvedValue({ emailNotifications: ['new-response'], locale: 'en' })
+
+      await notifyUser(mockUserId, 'new-request', { requestId: 'req1' })
+
+      expect(sendNotificationEmail).not.toHaveBeenCalled()
+    })
+
+    test('should not email for successful uploads', async () => {
+      getUserById.mockResolvedValue({ emailNotifications: ['upload-failed'], locale: 'en' })
+
+      await notifyUser(mockUserId, 'upload-file-res', { fileId: 'file1' })
+
+      expect(getUserById).not.toHaveBeenCalled()
+      expect(sendNotificationEmail).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('get-notifications', () => {
+    const request = { unreadOnly: true, limit: 50 }
+
+    beforeEach(() => {
+      GetNotificationsRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+    })
+
+    test('should respond notifications and unread count', async () => {
+      const notifications = [{ id: 'n1', event: 'new-request', data: null }]
+      getNotificationsOfUserId.mockResolvedValue(notifications)
+
+      await triggerSocketEvent('get-notifications', request)
+
+      expect(getNotificationsOfUserId).toHaveBeenCalledWith(mockUserId, request)
+      expect(mockCb).toHaveBeenCalledWith({
+        notifications: JSON.stringify(notifications),
+        unreadCount: 2
+      })
+    })
+
+    test('should return NotLoggedInErrorMsg if client is not logged in', async () => {
+      checkLoggedIn.mockReturnValue(false)
+
+      await triggerSocketEvent('get-notifications', request)
+
+      expect(getNotificationsOfUserId).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: NotLoggedInErrorMsg })
+    })
+  })
+
+  describe('mark-notifications-read', () => {
+    test('should mark given notifications as read', async () => {
+      const request = { notificationIds: ['n1', 'n2'] }
+      MarkNotificationsReadRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+
+      await triggerSocketEvent('mark-notifications-read', request)
+
+      expect(markNotificationsReadOfUserId).toHaveBeenCalledWith(mockUserId, ['n1', 'n2'])
+      expect(mockCb).toHaveBeenCalledWith({ unreadCount: 2 })
+    })
+
+    test('should mark all notifications as read if no ID is given', async () => {
+      MarkNotificationsReadRequestSchema.safeParse.mockReturnValue({ success: true, data: {} })
+
+      await triggerSocketEvent('mark-notifications-read', {})
+
+      expect(markNotificationsReadOfUserId).toHaveBeenCalledWith(mockUserId, null)
+    })
+  })
+
+  describe('get-notification-settings', () => {
+    test('should respond email notification settings', async () => {
+      getUserById.mockResolvedValue({ emailNotifications: ['new-request'], locale: 'en' })
+
+      await triggerSocketEvent('get-notification-settings')
+
+      expect(mockCb).toHaveBeenCalledWith({ emailNotifications: ['new-request'], locale: 'en' })
+    })
+  })
+
+  describe('update-notification-settings', () => {
+    const request = { emailNotifications: ['new-request', 'upload-failed'], locale: 'zh-TW' }
+
+    beforeEach(() => {
+      UpdateNotificationSettingsRequestSchema.safeParse.mockReturnValue({
+        success: true,
+        data: request
+      })
+    })
+
+    test('should update email notification settings', async () => {
+      await triggerSocketEvent('update-notification-settings', request)
+
+      expect(updateUserNotificationSettingsById).toHaveBeenCalledWith(
+        mockUserId,
+        ['new-request', 'upload-failed'],
+        'zh-TW'
+      )
+      expect(mockCb).toHaveBeenCalledWith({})
+    })
+
+    test('should return NotLoggedInErrorMsg if client is not logged in', async () => {
+      checkLoggedIn.mockReturnValue(false)
+
+      await triggerSocketEvent('update-notification-settings', request)
+
+      expect(updateUserNotificationSettingsById).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: NotLoggedInErrorMsg })
+    })
+  })
+})
@@ -4,6 +4,7 @@ jest.mock('../src/Utils.js', () => ({
   calculateFileHash: jest.fn(),
   checkLoggedIn: jest.fn(),
   FileNotFoundErrorMsg: 'File not found.',
+  FolderNotFoundErrorMsg: 'Folder not found.',
   InternalServerErrorMsg: 'Internal server error occurred.',
   InvalidArgumentErrorMsg: 'Invalid argument provided.',
   NotLoggedInErrorMsg: 'Not logged in.'
@@ -20,11 +21,25 @@ jest.mock('../src/StorageDatabase.js', () => ({
   addResponse: jest.fn(),
   getUserById: jest.fn(),
   deleteFile: jest.fn(),
-  deleteResponseById: jest.fn()
-}))
-
-jest.mock('../src/LoginDatabase.js', () => ({
-  getSocketId: jest.fn()
+  deleteResponseById: jest.fn(),
+  updateFileBlockNumber: jest.fn(),
+  getAllDerivedFilesOfOriginOwnerId: jest.fn(),
+  getDerivedFileInfoOfOriginOwnerId: jest.fn(),
+  getAllExpiredGrantedFiles: jest.fn(),
+  updateResponseGrantedFileId: jest.fn(),
+  expirePendingRequestsCreatedBefore: jest.fn(),
+  expirePendingRequestsOfFileId: jest.fn(),
+  remindPendingRequestsCreatedBefore: jest.fn(),
+  addFolderToDatabase: jest.fn(),
+  deleteFolder: jest.fn(),
+  addUniqueFolderRequest: jest.fn(),
+  deleteFolderRequest: jest.fn(),
+  getFolderInfo: jest.fn(),
+  getFolderRequestOfFolderOwner: jest.fn(),
+  getRequestsNotRespondedOfFolderRequest: jest.fn(),
+  getRequestParticipantsById: jest.fn(),
+  addRequestComment: jest.fn(),
+  getCommentsOfRequestId: jest.fn()
 }))
 
 jest.mock('../src/CryptoHandler.js', () => ({
@@ -48,6 +63,10 @@ jest.mock('path', () => ({
 }))
 
 jest.mock('../src/Logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn()
+  },
   logInvalidSchemaWarning: jest.fn(),
   logSocketError: jest.fn(),
   logSocketInfo: jest.fn(),
@@ -57,32 +76,55 @@ jest.mock('../src/Logger.js', () => ({
 jest.mock('../src/ConfigManager.js', () => ({
   __esModule: true,
   default: {
-    uploadDir: '/test/upload/dir'
+    uploadDir: '/test/upload/dir',
+    settings: {
+      grantExpiryCheckIntervalMin: 10,
+      requestTTLHours: 48,
+      requestReminderHours: 24,
+      requestCheckIntervalMin: 10
+    }
   }
 }))
 
-jest.mock('../src/SocketIO.js', () => ({
-  blockchainManager: {
+jest.mock('../src/Validation.js', () => ({
+  AddRequestCommentRequestSchema: { safeParse: jest.fn() },
+  DeleteRequestRequestSchema: { safeParse: jest.fn() },
+  GetRequestCommentsRequestSchema: { safeParse: jest.fn() },
+  ReqeustFileRequestSchema: { safeParse: jest.fn() },
+  RequestFolderRequestSchema: { safeParse: jest.fn() },
+  RespondFolderRequestRequestSchema: { safeParse: jest.fn() },
+  RespondRequestRequestSchema: { safeParse: jest.fn() },
+  RespondRequestsBatchRequestSchema: { safeParse: jest.fn() },
+  RevokeGrantRequestSchema: { safeParse: jest.fn() }
+}))
+
+jest.mock('../src/BlockchainManager.js', () => ({
+  __esModule: true,
+  default: {
     addAuthRecord: jest.fn(),
     reencryptFile: jest.fn()
-  },
-  emitToSocket: jest.fn()
+  }
 }))
 
-jest.mock('../src/Validation.js', () => ({
-  DeleteRequestRequestSchema: { safeParse: jest.fn() },
-  ReqeustFileRequestSchema: { safeParse: jest.fn() },
-  RespondRequestRequestSchema: { safeParse: jest.fn() }
+jest.mock('../src/NotificationManager.js', () => ({
+  notifyUser: jest.fn()
 }))
 
-// Import the module to be tested
-import { requestBinder } from '../src/RequestManager.js'
+jest.mock('../src/WebhookManager.js', () => ({
+  triggerWebhooks: jest.fn()
+}))
+
+jest.mock('../src/TrashManager.js', () => ({
+  collectFolderTree: jest.fn(),
+  removeFile: jest.fn()
+}))
 
 // Import mocked dependencies for easier access and assertion
 import {
   calculateFileHash,
   checkLoggedIn,
   FileNotFoundErrorMsg,
+  FolderNotFoundErrorMsg,
   InternalServerErrorMsg,
   InvalidArgumentErrorMsg,
   NotLoggedInErrorMsg
@@ -98,30 +140,60 @@ import {
   addResponse,
   getUserById,
   deleteFile,
-  deleteResponseById
+  deleteResponseById,
+  getAllDerivedFilesOfOriginOwnerId,
+  getDerivedFileInfoOfOriginOwnerId,
+  getAllExpiredGrantedFiles,
+  updateResponseGrantedFileId,
+  expirePendingRequestsCreatedBefore,
+  expirePendingRequestsOfFileId,
+  remindPendingRequestsCreatedBefore,
+  addFolderToDatabase,
+  deleteFolder,
+  addUniqueFolderRequest,
+  deleteFolderRequest,
+  getFolderInfo,
+  getFolderRequestOfFolderOwner,
+  getRequestsNotRespondedOfFolderRequest,
+  getRequestParticipantsById,
+  addRequestComment,
+  getCommentsOfRequestId
 } from '../src/StorageDatabase.js'
-import { getSocketId } from '../src/LoginDatabase.js'
 import CryptoHandler from '../src/CryptoHandler.js'
 import { randomUUID } from 'crypto'
 import { copyFile, unlink } from 'fs/promises'
 import { join } from 'path'
 import {
+  logger,
   logInvalidSchemaWarning,
   logSocketError,
   logSocketInfo,
   logSocketWarning
 } from '../src/Logger.js'
 import ConfigManager from '../src/ConfigManager.js'
-import { blockchainManager, emitToSocket } from '../src/SocketIO.js'
 import {
+  AddRequestCommentRequestSchema,
   DeleteRequestRequestSchema,
+  GetRequestCommentsRequestSchema,
   ReqeustFileRequestSchema,
-  RespondRequestRequestSchema
+  RequestFolderRequestSchema,
+  RespondFolderRequestRequestSchema,
+  RespondRequestRequestSchema,
+  RespondRequestsBatchRequestSchema,
+  RevokeGrantRequestSchema
 } from '../src/Validation.js'
+import BlockchainManager from '../src/BlockchainManager.js'
+import { notifyUser } from '../src/NotificationManager.js'
+import { triggerWebhooks } from '../src/WebhookManager.js'
+import { collectFolderTree, removeFile } from '../src/TrashManager.js'
 
 describe('RequestManager', () => {
   let mockSocket
   let mockCb
+  let requestBinder
+  let removeExpiredGrants
+  let checkPendingRequests
+  let expirePendingRequestsOfFile
   const mockUserId = 'user123'
   const mockOwnerId = 'owner456'
   const mockRequesterId = 'requester789'
@@ -129,6 +201,17 @@ describe('RequestManager', () => {
   const mockRequestId = 'reqID001'
   const mockResponseId = 'resID001'
 
+  beforeAll(() => {
+    // Module sets up an expired grant removal interval when loaded
+    jest.useFakeTimers()
+    ;({
+      requestBinder,
+      removeExpiredGrants,
+      checkPendingRequests,
+      expirePendingRequestsOfFile
+    } = require('../src/RequestManager.js'))
+  })
+
   beforeEach(() => {
     jest.clearAllMocks()
 
@@ -165,9 +248,8 @@ describe('RequestManager', () => {
         resolve({ id: mockRequesterId, address: 'requesterAddress', pk: 'requesterPk' })
       resolve(null)
     }))
-    blockchainManager.addAuthRecord.mockResolvedValue(true)
-    blockchainManager.reencryptFile.mockResolvedValue(true)
-    getSocketId.mockReturnValue({ socketId: 'ownerSocketId' })
+    BlockchainManager.addAuthRecord.mockResolvedValue(true)
+    BlockchainManager.reencryptFile.mockResolvedValue(true)
     addResponse.mockResolvedValue({ responseId: mockResponseId })
     CryptoHandler.reencrypt.mockResolvedValue({ recipher: 'newCipher', spk: 'newSpk' })
     randomUUID.mockReturnValue('newFileUUID')
@@ -210,7 +292,7 @@ describe('RequestManager', () => {
       )
       expect(getUserById).toHaveBeenCalledWith(mockUserId)
       expect(getUserById).toHaveBeenCalledWith(mockOwnerId)
-      expect(blockchainManager.addAuthRecord).toHaveBeenCalledWith(
+      expect(BlockchainManager.addAuthRecord).toHaveBeenCalledWith(
         mockFileId,
         'userAddress',
         'ownerAddress',
@@ -222,8 +304,7 @@ describe('RequestManager', () => {
         validRequestFile
       )
       expect(mockCb).toHaveBeenCalledWith({})
-      expect(getSocketId).toHaveBeenCalledWith(mockOwnerId)
-      expect(emitToSocket).toHaveBeenCalledWith('ownerSocketId', 'new-request')
+      expect(notifyUser).toHaveBeenCalledWith(mockOwnerId, 'new-request', expect.any(Object))
     })
 
     test('should return InvalidArgumentErrorMsg for invalid schema', async () => {
@@ -312,11 +393,11 @@ describe('RequestManager', () => {
         validRequestFile
       )
       expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'File already requested.' })
-      expect(blockchainManager.addAuthRecord).not.toHaveBeenCalled()
+      expect(BlockchainManager.addAuthRecord).not.toHaveBeenCalled()
     })
 
-    test('should return InternalServerErrorMsg and rollback if blockchainManager.addAuthRecord fails', async () => {
-      blockchainManager.addAuthRecord.mockRejectedValue(new Error('Blockchain error'))
+    test('should return InternalServerErrorMsg and rollback if BlockchainManager.addAuthRecord fails', async () => {
+      BlockchainManager.addAuthRecord.mockRejectedValue(new Error('Blockchain error'))
 
       await triggerSocketEvent('request-file', validRequestFile)
 
@@ -428,13 +509,15 @@ describe('RequestManager', () => {
       requestId: mockRequestId,
       agreed: true,
       description: 'Agreed to share',
-      rekey: 'someRekeyValue'
+      rekey: 'someRekeyValue',
+      expiresAt: null
     }
     const validRespondRejectRequest = {
       requestId: mockRequestId,
       agreed: false,
       description: 'Rejected share',
-      rekey: null
+      rekey: null,
+      expiresAt: null
     }
     const mockRequestInfo = {
       requestId: mockRequestId,
@@ -460,8 +543,10 @@ describe('RequestManager', () => {
       addFileToDatabase.mockResolvedValue({})
       copyFile.mockResolvedValue(true)
       calculateFileHash.mockResolvedValue('newFileHash')
-      blockchainManager.reencryptFile.mockResolvedValue(true)
-      blockchainManager.addAuthRecord.mockResolvedValue(true) // For rejected path
+      BlockchainManager.reencryptFile.mockResolvedValue({
+        getBlock: jest.fn().mockResolvedValue({ number: 1 })
+      })
+      BlockchainManager.addAuthRecord.mockResolvedValue(true) // For rejected path
     })
 
     test('should successfully respond with agreement (reencrypt file)', async () => {
@@ -478,7 +563,12 @@ describe('RequestManager', () => {
       expect(addResponse).toHaveBeenCalledWith(
         mockRequestId,
         1,
-        validRespondAgreeRequest.description
+        validRespondAgreeRequest.description,
+        null
+      )
+      expect(updateResponseGrantedFileId).toHaveBeenCalledWith(
+        mockResponseId,
+        'newFileUUIDForRequester'
       )
       expect(getUserById).toHaveBeenCalledWith(mockUserId) // Owner's info
       expect(getUserById).toHaveBeenCalledWith(mockRequestInfo.requester) // Requester's info
@@ -512,7 +602,7 @@ describe('RequestManager', () => {
       expect(calculateFileHash).toHaveBeenCalledWith(
         join(ConfigManager.uploadDir, mockRequestInfo.requester, 'newFileUUIDForRequester')
       )
-      expect(blockchainManager.reencryptFile).toHaveBeenCalledWith(
+      expect(BlockchainManager.reencryptFile).toHaveBeenCalledWith(
         'newFileUUIDForRequester',
         'newFileHash',
         JSON.stringify({ filename: 'testFile.txt' }),
@@ -520,7 +610,8 @@ describe('RequestManager', () => {
         'userAddress'
       )
       expect(logSocketInfo).toHaveBeenCalledWith(mockSocket, 'File reencrypted.', {
-        newFileId: 'newFileUUIDForRequester'
+        newFileId: 'newFileUUIDForRequester',
+        expiresAt: null
       })
 
       expect(logSocketInfo).toHaveBeenCalledWith(
@@ -529,8 +620,30 @@ describe('RequestManager', () => {
         validRespondAgreeRequest
       )
       expect(mockCb).toHaveBeenCalledWith({})
-      expect(getSocketId).toHaveBeenCalledWith(mockRequestInfo.requester)
-      expect(emitToSocket).toHaveBeenCalledWith('ownerSocketId', 'new-response')
+      expect(notifyUser).toHaveBeenCalledWith(
+        mockRequestInfo.requester,
+        'new-response',
+        expect.any(Object)
+      )
+    })
+
+    test('should store expiry and put it in file metadata when agreeing with expiry', async () => {
+      const expiresAt = '2030-01-01T00:00:00Z'
+      await triggerSocketEvent('respond-request', { ...validRespondAgreeRequest, expiresAt })
+
+      expect(addResponse).toHaveBeenCalledWith(
+        mockRequestId,
+        1,
+        validRespondAgreeRequest.description,
+        expiresAt
+      )
+      expect(BlockchainManager.reencryptFile).toHaveBeenCalledWith(
+        'newFileUUIDForRequester',
+        expect.any(String),
+        JSON.stringify({ filename: 'testFile.txt', expiresAt }),
+        'requesterAddress',
+        'userAddress'
+      )
     })
 
     test('should successfully respond with rejection', async () => {
@@ -547,7 +660,8 @@ describe('RequestManager', () => {
       expect(addResponse).toHaveBeenCalledWith(
         mockRequestId,
         0,
-        validRespondRejectRequest.description
+        validRespondRejectRequest.description,
+        null
       )
       expect(getUserById).toHaveBeenCalledWith(mockUserId)
       expect(getUserById).toHaveBeenCalledWith(mockRequestInfo.requester)
@@ -555,13 +669,13 @@ describe('RequestManager', () => {
 
       // Rejection path
       expect(CryptoHandler.reencrypt).not.toHaveBeenCalled()
-      expect(blockchainManager.addAuthRecord).toHaveBeenCalledWith(
+      expect(BlockchainManager.addAuthRecord).toHaveBeenCalledWith(
         mockFileId,
         'requesterAddress',
         'userAddress',
         'rejected'
       )
-      expect(blockchainManager.reencryptFile).not.toHaveBeenCalled()
+      expect(BlockchainManager.reencryptFile).not.toHaveBeenCalled()
 
       expect(logSocketInfo).toHaveBeenCalledWith(
         mockSocket,
@@ -569,8 +683,11 @@ describe('RequestManager', () => {
         validRespondRejectRequest
       )
       expect(mockCb).toHaveBeenCalledWith({})
-      expect(getSocketId).toHaveBeenCalledWith(mockRequestInfo.requester)
-      expect(emitToSocket).toHaveBeenCalledWith('ownerSocketId', 'new-response')
+      expect(notifyUser).toHaveBeenCalledWith(
+        mockRequestInfo.requester,
+        'new-response',
+        expect.any(Object)
+      )
     })
 
     test('should return InvalidArgumentErrorMsg for invalid schema', async () => {
@@ -620,6 +737,16 @@ describe('RequestManager', () => {
       expect(addResponse).not.toHaveBeenCalled()
     })
 
+    test('should return FileNotFoundErrorMsg if file is moved to trash', async () => {
+      getFileInfo.mockResolvedValue(undefined)
+
+      await triggerSocketEvent('respond-request', validRespondAgreeRequest)
+
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: FileNotFoundErrorMsg })
+      expect(addResponse).not.toHaveBeenCalled()
+      expect(logSocketError).not.toHaveBeenCalled()
+    })
+
     test('should return InternalServerErrorMsg and rollback if reencryptFile fails', async () => {
       // Simulate reencryptFile failure indirectly by mocking one of its internal dependencies
       CryptoHandler.reencrypt.mockRejectedValue(new Error('Rekey error'))
@@ -652,7 +779,7 @@ describe('RequestManager', () => {
     })
 
     test('should return InternalServerErrorMsg if blockchain addAuthRecord fails for rejection', async () => {
-      blockchainManager.addAuthRecord.mockRejectedValue(new Error('Blockchain reject error'))
+      BlockchainManager.addAuthRecord.mockRejectedValue(new Error('Blockchain reject error'))
 
       await triggerSocketEvent('respond-request', validRespondRejectRequest)
 
@@ -683,6 +810,347 @@ describe('RequestManager', () => {
     })
   })
 
+  describe('respond-requests-batch event', () => {
+    const agreeItem = {
+      requestId: 'reqAgree',
+      agreed: true,
+      description: 'Agreed',
+      rekey: 'someRekeyValue',
+      expiresAt: null
+    }
+    const rejectItem = {
+      requestId: 'reqReject',
+      agreed: false,
+      description: 'Rejected',
+      rekey: null,
+      expiresAt: null
+    }
+
+    beforeEach(() => {
+      RespondRequestsBatchRequestSchema.safeParse.mockImplementation((req) => ({
+        success: true,
+        data: req
+      }))
+      getRequestNotRespondedByIdOfFileOwner.mockResolvedValue({
+        fileId: mockFileId,
+        requester: mockRequesterId
+      })
+      addResponse.mockResolvedValue({ responseId: mockResponseId })
+      BlockchainManager.reencryptFile.mockResolvedValue({
+        getBlock: jest.fn().mockResolvedValue({ number: 1 })
+      })
+    })
+
+    test('should respond to every request and report per-item results', async () => {
+      await triggerSocketEvent('respond-requests-batch', [agreeItem, rejectItem])
+
+      expect(addResponse).toHaveBeenCalledWith('reqAgree', 1, 'Agreed', null)
+      expect(addResponse).toHaveBeenCalledWith('reqReject', 0, 'Rejected', null)
+      expect(BlockchainManager.reencryptFile).toHaveBeenCalledTimes(1)
+      expect(BlockchainManager.addAuthRecord).toHaveBeenCalledWith(
+        mockFileId,
+        'requesterAddress',
+        'userAddress',
+        'rejected'
+      )
+      expect(notifyUser).toHaveBeenCalledTimes(2)
+      expect(notifyUser).toHaveBeenCalledWith(
+        mockRequesterId,
+        'new-response',
+        expect.objectContaining({ requestIds: ['reqReject'], fileCount: 1, agreed: false })
+      )
+      expect(triggerWebhooks).toHaveBeenCalledWith(
+        [mockUserId, mockRequesterId],
+        'request-responded',
+        expect.objectContaining({ requestId: 'reqAgree', agreed: true })
+      )
+      expect(mockCb).toHaveBeenCalledWith({
+        results: [{ requestId: 'reqAgree' }, { requestId: 'reqReject' }]
+      })
+    })
+
+    test('should send one notification for responses of the same requester', async () => {
+      await triggerSocketEvent('respond-requests-batch', [
+        agreeItem,
+        { ...agreeItem, requestId: 'reqAgree2' }
+      ])
+
+      expect(notifyUser).toHaveBeenCalledTimes(1)
+      expect(notifyUser).toHaveBeenCalledWith(mockRequesterId, 'new-response', {
+        requestIds: ['reqAgree', 'reqAgree2'],
+        fileCount: 2,
+        agreed: true
+      })
+    })
+
+    test('should report failed items and revert only their responses', async () => {
+      getRequestNotRespondedByIdOfFileOwner.mockImplementation(async (requestId) =>
+        requestId === 'reqMissing' ? undefined : { fileId: mockFileId, requester: mockRequesterId }
+      )
+      CryptoHandler.reencrypt.mockRejectedValueOnce(new Error('Reencrypt failed'))
+
+      await triggerSocketEvent('respond-requests-batch', [
+        agreeItem,
+        { ...rejectItem, requestId: 'reqMissing' },
+        rejectItem
+      ])
+
+      expect(deleteResponseById).toHaveBeenCalledTimes(1)
+      expect(deleteResponseById).toHaveBeenCalledWith(mockResponseId)
+      expect(logSocketError).toHaveBeenCalledWith(mockSocket, expect.any(Error), agreeItem)
+      expect(mockCb).toHaveBeenCalledWith({
+        results: [
+          { requestId: 'reqAgree', errorMsg: InternalServerErrorMsg },
+          { requestId: 'reqMissing', errorMsg: 'Request not exist or already responded.' },
+          { requestId: 'reqReject' }
+        ]
+      })
+    })
+
+    test('should return NotLoggedInErrorMsg if not logged in', async () => {
+      checkLoggedIn.mockReturnValue(false)
+
+      await triggerSocketEvent('respond-requests-batch', [agreeItem])
+
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: NotLoggedInErrorMsg })
+      expect(getRequestNotRespondedByIdOfFileOwner).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('request-folder event', () => {
+    const request = { folderId: 'folder1', description: 'Need these' }
+    const files = [
+      { id: 'fileA', permissions: 1 },
+      { id: 'fileB', permissions: 2 }
+    ]
+
+    beforeEach(() => {
+      RequestFolderRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+      getFolderInfo.mockResolvedValue({ id: 'folder1', ownerId: mockOwnerId, permissions: 1 })
+      collectFolderTree.mockResolvedValue({ files, folders: [] })
+      addUniqueFolderRequest.mockResolvedValue('folderReq1')
+    })
+
+    test('should request every file in the folder under one folder request', async () => {
+      await triggerSocketEvent('request-folder', request)
+
+      expect(collectFolderTree).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'folder1' }),
+        mockOwnerId
+      )
+      expect(addUniqueFolderRequest).toHaveBeenCalledWith('folder1', mockUserId, 'Need these')
+      expect(addUniqueRequest).toHaveBeenCalledWith('fileA', mockUserId, 'Need these', 'folderReq1')
+      expect(addUniqueRequest).toHaveBeenCalledWith('fileB', mockUserId, 'Need these', 'folderReq1')
+      expect(BlockchainManager.addAuthRecord).toHaveBeenCalledTimes(2)
+      expect(mockCb).toHaveBeenCalledWith({ folderRequestId: 'folderReq1' })
+      expect(notifyUser).toHaveBeenCalledWith(
+        mockOwnerId,
+        'new-request',
+        expect.objectContaining({ folderRequestId: 'folderReq1', folderId: 'folder1' })
+      )
+      expect(triggerWebhooks).toHaveBeenCalledTimes(2)
+      expect(triggerWebhooks).toHaveBeenCalledWith([mockOwnerId, mockUserId], 'request-created', {
+        requestId: mockRequestId,
+        fileId: 'fileA',
+        requester: mockUserId,
+        folderRequestId: 'folderReq1'
+      })
+    })
+
+    test('should return FolderNotFoundErrorMsg if folder is not public', async () => {
+      getFolderInfo.mockResolvedValue({ id: 'folder1', ownerId: mockOwnerId, permissions: 0 })
+
+      await triggerSocketEvent('request-folder', request)
+
+      expect(addUniqueFolderRequest).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: FolderNotFoundErrorMsg })
+    })
+
+    test('should not request private files in the folder', async () => {
+      collectFolderTree.mockResolvedValue({
+        files: [...files, { id: 'privateFile', permissions: 0 }],
+        folders: []
+      })
+
+      await triggerSocketEvent('request-folder', request)
+
+      expect(addUniqueRequest).toHaveBeenCalledTimes(2)
+      expect(addUniqueRequest).not.toHaveBeenCalledWith(
+        'privateFile',
+        mockUserId,
+        'Need these',
+        'folderReq1'
+      )
+      expect(mockCb).toHaveBeenCalledWith({ folderRequestId: 'folderReq1' })
+    })
+
+    test('should return FolderNotFoundErrorMsg if every file in the folder is private', async () => {
+      collectFolderTree.mockResolvedValue({
+        files: [{ id: 'privateFile', permissions: 0 }],
+        folders: []
+      })
+
+      await triggerSocketEvent('request-folder', request)
+
+      expect(addUniqueFolderRequest).not.toHaveBeenCalled()
+      expect(addUniqueRequest).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: FolderNotFoundErrorMsg })
+    })
+
+    test('should return "Folder already requested." if folder request is pending', async () => {
+      addUniqueFolderRequest.mockResolvedValue(null)
+
+      await triggerSocketEvent('request-folder', request)
+
+      expect(addUniqueRequest).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Folder already requested.' })
+    })
+
+    test('should remove folder request if every file is already requested', async () => {
+      addUniqueRequest.mockResolvedValue(null)
+
+      await triggerSocketEvent('request-folder', request)
+
+      expect(deleteFolderRequest).toHaveBeenCalledWith('folderReq1')
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Folder already requested.' })
+      expect(notifyUser).not.toHaveBeenCalled()
+    })
+
+    test('should remove folder request on error', async () => {
+      BlockchainManager.addAuthRecord.mockRejectedValueOnce(new Error('Chain error'))
+
+      await triggerSocketEvent('request-folder', request)
+
+      expect(deleteFolderRequest).toHaveBeenCalledWith('folderReq1')
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: InternalServerErrorMsg })
+    })
+  })
+
+  describe('respond-folder-request event', () => {
+    const request = {
+      folderRequestId: 'folderReq1',
+      agreed: true,
+      description: 'Agreed',
+      rekey: 'someRekeyValue',
+      expiresAt: null
+    }
+
+    beforeEach(() => {
+      RespondFolderRequestRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+      getFolderRequestOfFolderOwner.mockResolvedValue({
+        id: 'folderReq1',
+        folderId: 'folder1',
+        requester: mockRequesterId,
+        name: 'Shared',
+        ownerId: mockUserId
+      })
+      getRequestsNotRespondedOfFolderRequest.mockResolvedValue([
+        { requestId: 'reqA', fileId: 'fileA', parentFolderId: 'folder1' },
+        { requestId: 'reqB', fileId: 'fileB', parentFolderId: 'sub1' }
+      ])
+      collectFolderTree.mockResolvedValue({
+        files: [],
+        folders: [
+          { id: 'folder1', name: 'Shared' },
+          { id: 'sub1', name: 'Sub', parentFolderId: 'folder1' }
+        ]
+      })
+      addFolderToDatabase.mockImplementation(async (name) => `new${name}`)
+      getRequestNotRespondedByIdOfFileOwner.mockResolvedValue({
+        fileId: mockFileId,
+        requester: mockRequesterId
+      })
+      BlockchainManager.reencryptFile.mockResolvedValue({
+        getBlock: jest.fn().mockResolvedValue({ number: 1 })
+      })
+    })
+
+    test('should put reencrypted files under a mirrored folder tree', async () => {
+      await triggerSocketEvent('respond-folder-request', request)
+
+      expect(addFolderToDatabase).toHaveBeenCalledWith('Shared', null, mockRequesterId)
+      expect(addFolderToDatabase).toHaveBeenCalledWith('Sub', 'newShared', mockRequesterId)
+      expect(addResponse).toHaveBeenCalledWith('reqA', 1, 'Agreed', null)
+      expect(addResponse).toHaveBeenCalledWith('reqB', 1, 'Agreed', null)
+      expect(addFileToDatabase).toHaveBeenCalledWith(
+        expect.objectContaining({ parentFolderId: 'newShared' })
+      )
+      expect(addFileToDatabase).toHaveBeenCalledWith(
+        expect.objectContaining({ parentFolderId: 'newSub' })
+      )
+      expect(mockCb).toHaveBeenCalledWith({
+        results: [
+          { requestId: 'reqA', fileId: 'fileA' },
+          { requestId: 'reqB', fileId: 'fileB' }
+        ]
+      })
+    })
+
+    test('should send one notification for the whole folder', async () => {
+      CryptoHandler.reencrypt.mockRejectedValueOnce(new Error('Reencrypt failed'))
+
+      await triggerSocketEvent('respond-folder-request', request)
+
+      expect(notifyUser).toHaveBeenCalledTimes(1)
+      expect(notifyUser).toHaveBeenCalledWith(mockRequesterId, 'new-response', {
+        folderRequestId: 'folderReq1',
+        folderId: 'folder1',
+        name: 'Shared',
+        fileCount: 1,
+        agreed: true
+      })
+    })
+
+    test('should remove mirrored folders if no file is granted', async () => {
+      CryptoHandler.reencrypt.mockRejectedValue(new Error('Reencrypt failed'))
+
+      await triggerSocketEvent('respond-folder-request', request)
+
+      expect(addFolderToDatabase).toHaveBeenCalledTimes(2)
+      expect(notifyUser).not.toHaveBeenCalled()
+      expect(deleteFolder).toHaveBeenCalledWith('newSub')
+      expect(deleteFolder).toHaveBeenCalledWith('newShared')
+      expect(mockCb).toHaveBeenCalledWith({
+        results: [
+          { requestId: 'reqA', fileId: 'fileA', errorMsg: InternalServerErrorMsg },
+          { requestId: 'reqB', fileId: 'fileB', errorMsg: InternalServerErrorMsg }
+        ]
+      })
+    })
+
+    test('should keep mirrored folders if some files are granted', async () => {
+      CryptoHandler.reencrypt.mockRejectedValueOnce(new Error('Reencrypt failed'))
+
+      await triggerSocketEvent('respond-folder-request', request)
+
+      expect(deleteFolder).not.toHaveBeenCalled()
+    })
+
+    test('should reject every file without creating folders', async () => {
+      const rejectRequest = { ...request, agreed: false, rekey: null }
+      RespondFolderRequestRequestSchema.safeParse.mockReturnValue({
+        success: true,
+        data: rejectRequest
+      })
+
+      await triggerSocketEvent('respond-folder-request', rejectRequest)
+
+      expect(addFolderToDatabase).not.toHaveBeenCalled()
+      expect(addResponse).toHaveBeenCalledWith('reqA', 0, 'Agreed', null)
+      expect(addResponse).toHaveBeenCalledWith('reqB', 0, 'Agreed', null)
+      expect(BlockchainManager.reencryptFile).not.toHaveBeenCalled()
+    })
+
+    test('should return error if folder request is not of the client', async () => {
+      getFolderRequestOfFolderOwner.mockResolvedValue(undefined)
+
+      await triggerSocketEvent('respond-folder-request', request)
+
+      expect(getRequestsNotRespondedOfFolderRequest).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Request not exist or already responded.' })
+    })
+  })
+
   describe('get-request-list event', () => {
     const mockRequests = [{ id: 'req1' }, { id: 'req2' }]
 
@@ -782,6 +1250,328 @@ describe('RequestManager', () => {
     })
   })
 
+  describe('get-grant-list event', () => {
+    test('should respond files reencrypted from files of client', async () => {
+      const mockGrants = [{ id: 'grantA', ownerId: mockRequesterId, originFileId: mockFileId }]
+      getAllDerivedFilesOfOriginOwnerId.mockResolvedValue(mockGrants)
+
+      await triggerSocketEvent('get-grant-list', mockCb)
+
+      expect(getAllDerivedFilesOfOriginOwnerId).toHaveBeenCalledWith(mockUserId)
+      expect(mockCb).toHaveBeenCalledWith({ grants: JSON.stringify(mockGrants) })
+    })
+
+    test('should return NotLoggedInErrorMsg if not logged in', async () => {
+      checkLoggedIn.mockReturnValue(false)
+
+      await triggerSocketEvent('get-grant-list', mockCb)
+
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: NotLoggedInErrorMsg })
+      expect(getAllDerivedFilesOfOriginOwnerId).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('revoke-grant event', () => {
+    const validRevokeGrant = { fileId: 'grantA' }
+
+    beforeEach(() => {
+      RevokeGrantRequestSchema.safeParse.mockReturnValue({ success: true, data: validRevokeGrant })
+      getDerivedFileInfoOfOriginOwnerId.mockResolvedValue({
+        id: 'grantA',
+        ownerId: mockRequesterId,
+        originOwnerId: mockUserId,
+        originFileId: mockFileId
+      })
+    })
+
+    test('should remove granted file, record revocation and notify requester', async () => {
+      await triggerSocketEvent('revoke-grant', validRevokeGrant)
+
+      expect(getDerivedFileInfoOfOriginOwnerId).toHaveBeenCalledWith('grantA', mockUserId)
+      expect(removeFile).toHaveBeenCalledWith(mockRequesterId, 'grantA')
+      expect(BlockchainManager.addAuthRecord).toHaveBeenCalledWith(
+        mockFileId,
+        'requesterAddress',
+        'userAddress',
+        'revoked'
+      )
+      expect(mockCb).toHaveBeenCalledWith({})
+      expect(notifyUser).toHaveBeenCalledWith(mockRequesterId, 'grant-revoked', {
+        fileId: 'grantA'
+      })
+    })
+
+    test('should return FileNotFoundErrorMsg if file is not granted by client', async () => {
+      getDerivedFileInfoOfOriginOwnerId.mockResolvedValue(undefined)
+
+      await triggerSocketEvent('revoke-grant', validRevokeGrant)
+
+      expect(logSocketWarning).toHaveBeenCalledWith(
+        mockSocket,
+        'Client asks to revoke grant which does not exist.',
+        validRevokeGrant
+      )
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: FileNotFoundErrorMsg })
+      expect(removeFile).not.toHaveBeenCalled()
+      expect(BlockchainManager.addAuthRecord).not.toHaveBeenCalled()
+    })
+
+    test('should return FileNotFoundErrorMsg and keep file if file is uploaded by client', async () => {
+      getDerivedFileInfoOfOriginOwnerId.mockResolvedValue({
+        id: 'grantA',
+        ownerId: mockUserId,
+        originOwnerId: mockUserId,
+        originFileId: null
+      })
+
+      await triggerSocketEvent('revoke-grant', validRevokeGrant)
+
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: FileNotFoundErrorMsg })
+      expect(removeFile).not.toHaveBeenCalled()
+      expect(BlockchainManager.addAuthRecord).not.toHaveBeenCalled()
+      expect(notifyUser).not.toHaveBeenCalled()
+    })
+
+    test('should return NotLoggedInErrorMsg if not logged in', async () => {
+      checkLoggedIn.mockReturnValue(false)
+
+      await triggerSocketEvent('revoke-grant', validRevokeGrant)
+
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: NotLoggedInErrorMsg })
+      expect(getDerivedFileInfoOfOriginOwnerId).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('add-request-comment event', () => {
+    const validComment = { requestId: mockRequestId, content: 'Why?' }
+
+    beforeEach(() => {
+      AddRequestCommentRequestSchema.safeParse.mockReturnValue({
+        success: true,
+        data: validComment
+      })
+      getRequestParticipantsById.mockResolvedValue({ requester: mockUserId, ownerId: mockOwnerId })
+      addRequestComment.mockResolvedValue('comment1')
+    })
+
+    test('should add comment and notify the other party', async () => {
+      await triggerSocketEvent('add-request-comment', validComment)
+
+      expect(addRequestComment).toHaveBeenCalledWith(mockRequestId, mockUserId, 'Why?')
+      expect(mockCb).toHaveBeenCalledWith({ commentId: 'comment1' })
+      expect(notifyUser).toHaveBeenCalledWith(mockOwnerId, 'new-request-comment', {
+        requestId: mockRequestId,
+        commentId: 'comment1',
+        userId: mockUserId,
+        content: 'Why?'
+      })
+    })
+
+    test('should return InvalidArgumentErrorMsg if comment is longer than the length limit', async () => {
+      const longComment = { requestId: mockRequestId, content: 'a'.repeat(20) }
+      AddRequestCommentRequestSchema.safeParse.mockReturnValue({
+        success: false,
+        error: { issues: ['too_big'] }
+      })
+
+      await triggerSocketEvent('add-request-comment', longComment)
+
+      expect(addRequestComment).not.toHaveBeenCalled()
+      expect(notifyUser).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: InvalidArgumentErrorMsg })
+    })
+
+    test('should return "Request not found." if client is not part of request', async () => {
+      getRequestParticipantsById.mockResolvedValue({
+        requester: mockRequesterId,
+        ownerId: mockOwnerId
+      })
+
+      await triggerSocketEvent('add-request-comment', validComment)
+
+      expect(addRequestComment).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Request not found.' })
+      expect(notifyUser).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('get-request-comments event', () => {
+    const validGetComments = { requestId: mockRequestId }
+
+    beforeEach(() => {
+      GetRequestCommentsRequestSchema.safeParse.mockReturnValue({
+        success: true,
+        data: validGetComments
+      })
+    })
+
+    test('should respond comments of request', async () => {
+      const comments = [{ id: 'comment1', userId: mockOwnerId, content: 'Why?' }]
+      getRequestParticipantsById.mockResolvedValue({ requester: mockUserId, ownerId: mockOwnerId })
+      getCommentsOfRequestId.mockResolvedValue(comments)
+
+      await triggerSocketEvent('get-request-comments', validGetComments)
+
+      expect(getCommentsOfRequestId).toHaveBeenCalledWith(mockRequestId)
+      expect(mockCb).toHaveBeenCalledWith({ comments: JSON.stringify(comments) })
+    })
+
+    test('should return "Request not found." if request does not exist', async () => {
+      getRequestParticipantsById.mockResolvedValue(undefined)
+
+      await triggerSocketEvent('get-request-comments', validGetComments)
+
+      expect(getCommentsOfRequestId).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Request not found.' })
+    })
+  })
+
+  describe('removeExpiredGrants', () => {
+    const expiredFile = {
+      id: 'grantA',
+      ownerId: mockRequesterId,
+      originOwnerId: mockUserId,
+      originFileId: mockFileId,
+      responseId: mockResponseId
+    }
+
+    test('should remove expired granted files and record expiry', async () => {
+      getAllExpiredGrantedFiles.mockResolvedValue([expiredFile])
+
+      await removeExpiredGrants()
+
+      expect(removeFile).toHaveBeenCalledWith(mockRequesterId, 'grantA')
+      expect(updateResponseGrantedFileId).toHaveBeenCalledWith(mockResponseId, null)
+      expect(BlockchainManager.addAuthRecord).toHaveBeenCalledWith(
+        mockFileId,
+        'requesterAddress',
+        'userAddress',
+        'expired'
+      )
+      expect(notifyUser).toHaveBeenCalledWith(mockRequesterId, 'grant-expired', {
+        fileId: 'grantA'
+      })
+      expect(BlockchainManager.addAuthRecord.mock.invocationCallOrder[0]).toBeLessThan(
+        removeFile.mock.invocationCallOrder[0]
+      )
+    })
+
+    test('should keep granted file if recording expiry fails', async () => {
+      getAllExpiredGrantedFiles.mockResolvedValue([expiredFile])
+      BlockchainManager.addAuthRecord.mockRejectedValueOnce(new Error('Record failed'))
+
+      await removeExpiredGrants()
+
+      expect(logger.error).toHaveBeenCalledWith(expect.any(Error))
+      expect(removeFile).not.toHaveBeenCalled()
+      expect(updateResponseGrantedFileId).not.toHaveBeenCalled()
+      expect(notifyUser).not.toHaveBeenCalled()
+    })
+
+    test('should continue with other files if one fails', async () => {
+      getAllExpiredGrantedFiles.mockResolvedValue([expiredFile, { ...expiredFile, id: 'grantB' }])
+      removeFile.mockRejectedValueOnce(new Error('Remove failed'))
+
+      await removeExpiredGrants()
+
+      expect(logger.error).toHaveBeenCalledWith(expect.any(Error))
+      expect(removeFile).toHaveBeenCalledWith(mockRequesterId, 'grantB')
+      expect(updateResponseGrantedFileId).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('checkPendingRequests', () => {
+    const hourMs = 60 * 60 * 1000
+    const now = new Date('2025-01-10T00:00:00Z')
+
+    beforeEach(() => {
+      jest.setSystemTime(now)
+      expirePendingRequestsCreatedBefore.mockResolvedValue([])
+      remindPendingRequestsCreatedBefore.mockResolvedValue([])
+    })
+
+    test('should expire requests past TTL, record on blockchain and notify requester', async () => {
+      expirePendingRequestsCreatedBefore.mockResolvedValue([
+        {
+          requestId: mockRequestId,
+          fileId: mockFileId,
+          requester: mockRequesterId,
+          ownerId: mockOwnerId
+        }
+      ])
+
+      await checkPendingRequests()
+
+      expect(expirePendingRequestsCreatedBefore).toHaveBeenCalledWith(
+        new Date(now.getTime() - 48 * hourMs)
+      )
+      expect(BlockchainManager.addAuthRecord).toHaveBeenCalledWith(
+        mockFileId,
+        'requesterAddress',
+        'ownerAddress',
+        'expired'
+      )
+      expect(notifyUser).toHaveBeenCalledWith(mockRequesterId, 'request-expired', {
+        requestId: mockRequestId,
+        fileId: mockFileId
+      })
+    })
+
+    test('should remind file owners of requests about to expire', async () => {
+      const requestTime = new Date(now.getTime() - 30 * hourMs)
+      remindPendingRequestsCreatedBefore.mockResolvedValue([
+        {
+          requestId: mockRequestId,
+          fileId: mockFileId,
+          name: 'testFile.txt',
+          requester: mockRequesterId,
+          ownerId: mockOwnerId,
+          requestTime
+        }
+      ])
+
+      await checkPendingRequests()
+
+      expect(remindPendingRequestsCreatedBefore).toHaveBeenCalledWith(
+        new Date(now.getTime() - 24 * hourMs)
+      )
+      expect(notifyUser).toHaveBeenCalledWith(mockOwnerId, 'request-reminder', {
+        requestId: mockRequestId,
+        fileId: mockFileId,
+        name: 'testFile.txt',
+        expiresAt: new Date(requestTime.getTime() + 48 * hourMs)
+      })
+      expect(BlockchainManager.addAuthRecord).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('expirePendingRequestsOfFile', () => {
+    test('should expire requests of file, record on blockchain and notify requester', async () => {
+      expirePendingRequestsOfFileId.mockResolvedValue([
+        {
+          requestId: mockRequestId,
+          fileId: mockFileId,
+          requester: mockRequesterId,
+          ownerId: mockOwnerId
+        }
+      ])
+
+      await expirePendingRequestsOfFile(mockFileId)
+
+      expect(expirePendingRequestsOfFileId).toHaveBeenCalledWith(mockFileId)
+      expect(BlockchainManager.addAuthRecord).toHaveBeenCalledWith(
+        mockFileId,
+        'requesterAddress',
+        'ownerAddress',
+        'expired'
+      )
+      expect(notifyUser).toHaveBeenCalledWith(mockRequesterId, 'request-expired', {
+        requestId: mockRequestId,
+        fileId: mockFileId
+      })
+    })
+  })
+
   describe('reencryptFile function (internal helper)', () => {
     const rekey = 'someRekey'
     const fileInfo = {
@@ -815,7 +1605,7 @@ describe('RequestManager', () => {
       addFileToDatabase.mockResolvedValue({}) // success
       copyFile.mockResolvedValue(true)
       calculateFileHash.mockResolvedValue(newFileHash)
-      blockchainManager.reencryptFile.mockResolvedValue(true)
+      BlockchainManager.reencryptFile.mockResolvedValue(true)
       unlink.mockResolvedValue(true) // For rollback scenarios
     })
 
@@ -884,7 +1674,7 @@ describe('RequestManager', () => {
           hasCopiedFile = true
 
           const fileHash = await calculateFileHash(copiedFilePath)
-          await blockchainManager.reencryptFile(
+          await BlockchainManager.reencryptFile(
             newUUID,
             fileHash,
             JSON.stringify({ filename: fileInfo.name }),
@@ -934,7 +1724,7 @@ describe('RequestManager', () => {
         copiedFilePath
       )
       expect(calculateFileHash).toHaveBeenCalledWith(copiedFilePath)
-      expect(blockchainManager.reencryptFile).toHaveBeenCalledWith(
+      expect(BlockchainManager.reencryptFile).toHaveBeenCalledWith(
         newUUID,
         newFileHash,
         JSON.stringify({ filename: fileInfo.name }),
@@ -998,8 +1788,8 @@ describe('RequestManager', () => {
       expect(unlink).toHaveBeenCalledWith(copiedFilePath) // Rollback file copy
     })
 
-    test('should rollback database and file copy if blockchainManager.reencryptFile fails', async () => {
-      blockchainManager.reencryptFile.mockRejectedValue(new Error('Blockchain reencrypt failed'))
+    test('should rollback database and file copy if BlockchainManager.reencryptFile fails', async () => {
+      BlockchainManager.reencryptFile.mockRejectedValue(new Error('Blockchain reencrypt failed'))
 
       await expect(
         callReencryptFile(rekey, fileInfo, requestInfo, authorizerInfo, requestorInfo)
@@ -1008,7 +1798,7 @@ describe('RequestManager', () => {
       expect(addFileToDatabase).toHaveBeenCalled()
       expect(copyFile).toHaveBeenCalled()
       expect(calculateFileHash).toHaveBeenCalled()
-      expect(blockchainManager.reencryptFile).toHaveBeenCalled()
+      expect(BlockchainManager.reencryptFile).toHaveBeenCalled()
       expect(deleteFile).toHaveBeenCalledWith(newUUID)
       expect(unlink).toHaveBeenCalledWith(copiedFilePath)
     })
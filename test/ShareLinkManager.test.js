@@ -0,0 +1,279 @@
+import { test, expect, jest, describe, beforeEach } from '@jest/globals'
+import { createHash } from 'node:crypto'
+// Mock all external dependencies
+jest.mock('../src/Logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn()
+  },
+  logInvalidSchemaWarning: jest.fn(),
+  logSocketError: jest.fn(),
+  logSocketInfo: jest.fn(),
+  logSocketWarning: jest.fn()
+}))
+
+jest.mock('../src/StorageDatabase.js', () => ({
+  addShareLink: jest.fn(),
+  claimShareLinkDownload: jest.fn(),
+  deleteShareLinkOfOwnerId: jest.fn(),
+  getFileInfo: jest.fn(),
+  getFileInfoOfOwnerId: jest.fn(),
+  getRedeemedShareLink: jest.fn(),
+  getShareLinksOfOwnerId: jest.fn(),
+  getUserById: jest.fn(),
+  releaseShareLinkDownload: jest.fn()
+}))
+
+jest.mock('../src/Utils.js', () => ({
+  checkLoggedIn: jest.fn(),
+  FileNotFoundErrorMsg: 'File not found.',
+  InternalServerErrorMsg: 'Internal server error occurred.',
+  InvalidArgumentErrorMsg: 'Invalid argument provided.',
+  NotLoggedInErrorMsg: 'Not logged in.'
+}))
+
+jest.mock('../src/Validation.js', () => ({
+  CreateShareLinkRequestSchema: { safeParse: jest.fn() },
+  DeleteShareLinkRequestSchema: { safeParse: jest.fn() }
+}))
+
+jest.mock('../src/CryptoHandler.js', () => ({
+  __esModule: true,
+  default: {
+    reencrypt: jest.fn()
+  }
+}))
+
+jest.mock('../src/BlockchainManager.js', () => ({
+  __esModule: true,
+  default: {
+    addAuthRecord: jest.fn()
+  }
+}))
+
+// Import the module to be tested
+import { redeemShareLink, resumeShareLink, shareLinkBinder } from '../src/ShareLinkManager.js'
+
+// Import mocked dependencies for easier access and assertion
+import {
+  addShareLink,
+  claimShareLinkDownload,
+  deleteShareLinkOfOwnerId,
+  getFileInfo,
+  getFileInfoOfOwnerId,
+  getRedeemedShareLink,
+  getShareLinksOfOwnerId,
+  getUserById,
+  releaseShareLinkDownload
+} from '../src/StorageDatabase.js'
+import { checkLoggedIn, FileNotFoundErrorMsg, NotLoggedInErrorMsg } from '../src/Utils.js'
+import { CreateShareLinkRequestSchema, DeleteShareLinkRequestSchema } from '../src/Validation.js'
+import CryptoHandler from '../src/CryptoHandler.js'
+import BlockchainManager from '../src/BlockchainManager.js'
+
+describe('ShareLinkManager', () => {
+  let mockSocket
+  let mockCb
+  const mockUserId = 'user123'
+  const mockFileId = 'file789'
+  const mockToken = 'a'.repeat(43)
+  const mockTokenHash = createHash('sha256').update(mockToken).digest('hex')
+
+  // Helper to trigger a socket event
+  const triggerSocketEvent = async (eventName, ...args) => {
+    const handler = mockSocket.events[eventName]
+    if (handler) {
+      await handler(...args, mockCb)
+    } else {
+      throw new Error(`No handler registered for event: ${eventName}`)
+    }
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    mockSocket = {
+      userId: mockUserId,
+      events: {},
+      on: jest.fn((eventName, handler) => {
+        mockSocket.events[eventName] = handler
+      })
+    }
+    mockCb = jest.fn()
+    checkLoggedIn.mockReturnValue(true)
+    shareLinkBinder(mockSocket)
+  })
+
+  const shareLink = {
+    id: 'share1',
+    fileId: mockFileId,
+    ownerId: mockUserId,
+    recipientPk: 'recipientPk',
+    rekey: 'rekey',
+    downloads: 1,
+    maxDownloads: 3
+  }
+  const fileInfo = { id: mockFileId, ownerId: mockUserId, cipher: 'cipher', spk: 'spk' }
+
+  describe('redeemShareLink', () => {
+    beforeEach(() => {
+      claimShareLinkDownload.mockResolvedValue(shareLink)
+      getFileInfo.mockResolvedValue(fileInfo)
+      CryptoHandler.reencrypt.mockResolvedValue({ recipher: 'recipher', spk: 'newSpk' })
+      getUserById.mockResolvedValue({ address: 'ownerAddress' })
+    })
+
+    test('should reencrypt file key to recipient and record redemption', async () => {
+      const shareInfo = await redeemShareLink(mockToken)
+
+      expect(claimShareLinkDownload).toHaveBeenCalledWith(mockTokenHash)
+      expect(CryptoHandler.reencrypt).toHaveBeenCalledWith('rekey', 'cipher', 'spk', 'recipientPk')
+      expect(BlockchainManager.addAuthRecord).toHaveBeenCalledWith(
+        mockFileId,
+        '0x0000000000000000000000000000000000000000',
+        'ownerAddress',
+        'share-redeemed'
+      )
+      expect(shareInfo).toEqual({
+        shareLinkId: 'share1',
+        fileInfo,
+        cipher: 'recipher',
+        spk: 'newSpk'
+      })
+      expect(releaseShareLinkDownload).not.toHaveBeenCalled()
+    })
+
+    test('should return undefined if share link is expired or used up', async () => {
+      claimShareLinkDownload.mockResolvedValue(undefined)
+
+      expect(await redeemShareLink(mockToken)).toBeUndefined()
+      expect(CryptoHandler.reencrypt).not.toHaveBeenCalled()
+    })
+
+    test('should give back download if file no longer exists', async () => {
+      getFileInfo.mockResolvedValue(undefined)
+
+      expect(await redeemShareLink(mockToken)).toBeUndefined()
+      expect(releaseShareLinkDownload).toHaveBeenCalledWith('share1')
+      expect(CryptoHandler.reencrypt).not.toHaveBeenCalled()
+    })
+
+    test('should give back download and throw if blockchain record fails', async () => {
+      BlockchainManager.addAuthRecord.mockRejectedValueOnce(new Error('Blockchain error'))
+
+      await expect(redeemShareLink(mockToken)).rejects.toThrow('Blockchain error')
+      expect(releaseShareLinkDownload).toHaveBeenCalledWith('share1')
+    })
+  })
+
+  describe('resumeShareLink', () => {
+    beforeEach(() => {
+      getRedeemedShareLink.mockResolvedValue(shareLink)
+      getFileInfo.mockResolvedValue(fileInfo)
+      CryptoHandler.reencrypt.mockResolvedValue({ recipher: 'recipher', spk: 'newSpk' })
+    })
+
+    test('should reencrypt file key without counting or recording download', async () => {
+      const shareInfo = await resumeShareLink(mockToken)
+
+      expect(getRedeemedShareLink).toHaveBeenCalledWith(mockTokenHash)
+      expect(shareInfo).toEqual({
+        shareLinkId: 'share1',
+        fileInfo,
+        cipher: 'recipher',
+        spk: 'newSpk'
+      })
+      expect(claimShareLinkDownload).not.toHaveBeenCalled()
+      expect(BlockchainManager.addAuthRecord).not.toHaveBeenCalled()
+    })
+
+    test('should return undefined if share link is never redeemed or expired', async () => {
+      getRedeemedShareLink.mockResolvedValue(undefined)
+
+      expect(await resumeShareLink(mockToken)).toBeUndefined()
+      expect(CryptoHandler.reencrypt).not.toHaveBeenCalled()
+    })
+
+    test('should return undefined if file no longer exists', async () => {
+      getFileInfo.mockResolvedValue(undefined)
+
+      expect(await resumeShareLink(mockToken)).toBeUndefined()
+      expect(releaseShareLinkDownload).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('create-share-link', () => {
+    const request = {
+      fileId: mockFileId,
+      recipientPk: 'recipientPk',
+      rekey: 'rekey',
+      expiresAt: '2099-01-01T00:00:00Z',
+      maxDownloads: 1
+    }
+
+    beforeEach(() => {
+      CreateShareLinkRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+      getFileInfoOfOwnerId.mockResolvedValue({ id: mockFileId })
+      addShareLink.mockResolvedValue('share1')
+    })
+
+    test('should store token hash and respond token', async () => {
+      await triggerSocketEvent('create-share-link', request)
+
+      const { token } = mockCb.mock.calls[0][0]
+      expect(token).toMatch(/^[A-Za-z0-9_-]{43}$/)
+      expect(addShareLink).toHaveBeenCalledWith({
+        fileId: mockFileId,
+        ownerId: mockUserId,
+        tokenHash: createHash('sha256').update(token).digest('hex'),
+        recipientPk: 'recipientPk',
+        rekey: 'rekey',
+        expiresAt: '2099-01-01T00:00:00Z',
+        maxDownloads: 1
+      })
+      expect(mockCb).toHaveBeenCalledWith({ shareLinkId: 'share1', token })
+    })
+
+    test('should return FileNotFoundErrorMsg if file is not owned by client', async () => {
+      getFileInfoOfOwnerId.mockResolvedValue(undefined)
+
+      await triggerSocketEvent('create-share-link', request)
+
+      expect(addShareLink).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: FileNotFoundErrorMsg })
+    })
+
+    test('should return NotLoggedInErrorMsg if client is not logged in', async () => {
+      checkLoggedIn.mockReturnValue(false)
+
+      await triggerSocketEvent('create-share-link', request)
+
+      expect(addShareLink).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: NotLoggedInErrorMsg })
+    })
+  })
+
+  describe('get-share-links', () => {
+    test('should respond share links of client', async () => {
+      const shareLinks = [{ id: 'share1', fileId: mockFileId, downloads: 0 }]
+      getShareLinksOfOwnerId.mockResolvedValue(shareLinks)
+
+      await triggerSocketEvent('get-share-links')
+
+      expect(getShareLinksOfOwnerId).toHaveBeenCalledWith(mockUserId)
+      expect(mockCb).toHaveBeenCalledWith({ shareLinks: JSON.stringify(shareLinks) })
+    })
+  })
+
+  describe('delete-share-link', () => {
+    test('should return "Share link not found." if share link is not of client', async () => {
+      const request = { shareLinkId: 'share1' }
+      DeleteShareLinkRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+      deleteShareLinkOfOwnerId.mockResolvedValue({ rowCount: 0 })
+
+      await triggerSocketEvent('delete-share-link', request)
+
+      expect(deleteShareLinkOfOwnerId).toHaveBeenCalledWith('share1', mockUserId)
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Share link not found.' })
+    })
+  })
+})
@@ -0,0 +1,301 @@
+import { test, expect, jest, describe, beforeEach, afterEach } from '@jest/globals'
+import { createHash } from 'node:crypto'
+// Mock all external dependencies
+jest.mock('../src/Logger.js', () => ({
+  logger: {
+    info: jest.fn()
+  },
+  logInvalidSchemaWarning: jest.fn(),
+  logSocketError: jest.fn(),
+  logSocketInfo: jest.fn(),
+  logSocketWarning: jest.fn()
+}))
+
+jest.mock('../src/StorageDatabase.js', () => ({
+  deleteTotpOfUserId: jest.fn(),
+  enableTotpOfUserId: jest.fn(),
+  getTotpOfUserId: jest.fn(),
+  setPendingTotpOfUserId: jest.fn(),
+  useTotpCounterOfUserId: jest.fn(),
+  useTotpRecoveryCodeOfUserId: jest.fn()
+}))
+
+jest.mock('../src/UserLoginInfo.js', () => ({
+  checkLoginBlocked: jest.fn(),
+  userLoginFailure: jest.fn()
+}))
+
+jest.mock('../src/Utils.js', () => ({
+  checkLoggedIn: jest.fn(),
+  InternalServerErrorMsg: 'Internal server error occurred.',
+  InvalidArgumentErrorMsg: 'Invalid argument provided.',
+  NotLoggedInErrorMsg: 'Not logged in.'
+}))
+
+jest.mock('../src/Validation.js', () => ({
+  ConfirmTotpRequestSchema: { safeParse: jest.fn() },
+  DisableTotpRequestSchema: { safeParse: jest.fn() }
+}))
+
+// Import the module to be tested
+import {
+  checkSecondFactor,
+  IncorrectTotpCodeErrorMsg,
+  totpBinder,
+  verifyTotpCode
+} from '../src/TotpManager.js'
+
+// Import mocked dependencies for easier access and assertion
+import {
+  deleteTotpOfUserId,
+  enableTotpOfUserId,
+  getTotpOfUserId,
+  setPendingTotpOfUserId,
+  useTotpCounterOfUserId,
+  useTotpRecoveryCodeOfUserId
+} from '../src/StorageDatabase.js'
+import { checkLoginBlocked, userLoginFailure } from '../src/UserLoginInfo.js'
+import { checkLoggedIn, NotLoggedInErrorMsg } from '../src/Utils.js'
+import { ConfirmTotpRequestSchema, DisableTotpRequestSchema } from '../src/Validation.js'
+
+describe('TotpManager', () => {
+  let mockSocket
+  let mockCb
+  const mockUserId = 'user123'
+  // Test vector of RFC 6238, the base32 of '12345678901234567890'
+  const mockSecret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ'
+  const mockCounter = 1 // Time step of 59 seconds
+  const mockCode = '287082'
+
+  // Helper to trigger a socket event
+  const triggerSocketEvent = async (eventName, ...args) => {
+    const handler = mockSocket.events[eventName]
+    if (handler) {
+      await handler(...args, mockCb)
+    } else {
+      throw new Error(`No handler registered for event: ${eventName}`)
+    }
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    jest.useFakeTimers({ now: 59 * 1000 })
+    mockSocket = {
+      userId: mockUserId,
+      email: 'user@example.com',
+      events: {},
+      on: jest.fn((eventName, handler) => {
+        mockSocket.events[eventName] = handler
+      })
+    }
+    mockCb = jest.fn()
+    checkLoggedIn.mockReturnValue(true)
+    checkLoginBlocked.mockReturnValue(false)
+    totpBinder(mockSocket)
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  describe('verifyTotpCode', () => {
+    test('should return time step of correct code', () => {
+      expect(verifyTotpCode(mockSecret, mockCode)).toBe(mockCounter)
+    })
+
+    test('should accept code of previous time step', () => {
+      jest.advanceTimersByTime(30 * 1000)
+
+      expect(verifyTotpCode(mockSecret, mockCode)).toBe(mockCounter)
+    })
+
+    test('should return null for incorrect, expired or used code', () => {
+      expect(verifyTotpCode(mockSecret, '000000')).toBeNull()
+      expect(verifyTotpCode(mockSecret, mockCode, mockCounter)).toBeNull()
+
+      jest.advanceTimersByTime(60 * 1000)
+
+      expect(verifyTotpCode(mockSecret, mockCode)).toBeNull()
+    })
+  })
+
+  describe('checkSecondFactor', () => {
+    beforeEach(() => {
+      getTotpOfUserId.mockResolvedValue({ secret: mockSecret, enabled: true, lastCounter: null })
+    })
+
+    test('should use time step of correct code', async () => {
+      useTotpCounterOfUserId.mockResolvedValue({ rowCount: 1 })
+
+      expect(await checkSecondFactor(mockUserId, mockCode)).toBe(true)
+      expect(useTotpCounterOfUserId).toHaveBeenCalledWith(mockUserId, mockCounter)
+    })
+
+    test('should reject code used by another request meanwhile', async () => {
+      useTotpCounterOfUserId.mockResolvedValue({ rowCount: 0 })
+
+      expect(await checkSecondFactor(mockUserId, mockCode)).toBe(false)
+    })
+
+    test('should use up recovery code', async () => {
+      useTotpRecoveryCodeOfUserId.mockResolvedValue({ rowCount: 1 })
+
+      expect(await checkSecondFactor(mockUserId, 'abcde-12345')).toBe(true)
+      expect(useTotpRecoveryCodeOfUserId).toHaveBeenCalledWith(
+        mockUserId,
+        createHash('sha256').update('abcde-12345').digest('hex')
+      )
+    })
+
+    test('should return false if two-factor authentication is not enabled', async () => {
+      getTotpOfUserId.mockResolvedValue({ secret: mockSecret, enabled: false, lastCounter: null })
+
+      expect(await checkSecondFactor(mockUserId, mockCode)).toBe(false)
+      expect(useTotpCounterOfUserId).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('enable-totp', () => {
+    test('should store pending secret and respond otpauth URI', async () => {
+      setPendingTotpOfUserId.mockResolvedValue({ rowCount: 1 })
+
+      await triggerSocketEvent('enable-totp')
+
+      const secret = setPendingTotpOfUserId.mock.calls[0][1]
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/)
+      expect(mockCb).toHaveBeenCalledWith({
+        uri:
+          `otpauth://totp/SecureCloudStorage%3Auser%40example.com?secret=${secret}` +
+          '&issuer=SecureCloudStorage&algorithm=SHA1&digits=6&period=30'
+      })
+    })
+
+    test('should return error if already enabled', async () => {
+      setPendingTotpOfUserId.mockResolvedValue({ rowCount: 0 })
+
+      await triggerSocketEvent('enable-totp')
+
+      expect(mockCb).toHaveBeenCalledWith({
+        errorMsg: 'Two-factor authentication already enabled.'
+      })
+    })
+
+    test('should return NotLoggedInErrorMsg if client is not logged in', async () => {
+      checkLoggedIn.mockReturnValue(false)
+
+      await triggerSocketEvent('enable-totp')
+
+      expect(setPendingTotpOfUserId).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: NotLoggedInErrorMsg })
+    })
+  })
+
+  describe('confirm-totp', () => {
+    beforeEach(() => {
+      getTotpOfUserId.mockResolvedValue({ secret: mockSecret, enabled: false, lastCounter: null })
+      useTotpCounterOfUserId.mockResolvedValue({ rowCount: 1 })
+      enableTotpOfUserId.mockResolvedValue({ rowCount: 1 })
+    })
+
+    test('should enable and respond recovery codes', async () => {
+      const request = { code: mockCode }
+      ConfirmTotpRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+
+      await triggerSocketEvent('confirm-totp', request)
+
+      const { recoveryCodes } = mockCb.mock.calls[0][0]
+      expect(recoveryCodes).toHaveLength(10)
+      for (const code of recoveryCodes) expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/)
+      expect(enableTotpOfUserId).toHaveBeenCalledWith(
+        mockUserId,
+        recoveryCodes.map((code) => createHash('sha256').update(code).digest('hex'))
+      )
+    })
+
+    test('should return IncorrectTotpCodeErrorMsg for incorrect code', async () => {
+      const request = { code: '000000' }
+      ConfirmTotpRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+
+      await triggerSocketEvent('confirm-totp', request)
+
+      expect(enableTotpOfUserId).not.toHaveBeenCalled()
+      expect(userLoginFailure).toHaveBeenCalledWith(mockUserId)
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: IncorrectTotpCodeErrorMsg })
+    })
+
+    test('should return error if failed too many login attempts', async () => {
+      const request = { code: mockCode }
+      ConfirmTotpRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+      checkLoginBlocked.mockReturnValue(true)
+
+      await triggerSocketEvent('confirm-totp', request)
+
+      expect(checkLoginBlocked).toHaveBeenCalledWith(mockUserId)
+      expect(useTotpCounterOfUserId).not.toHaveBeenCalled()
+      expect(enableTotpOfUserId).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Failed too many login attempts.' })
+    })
+
+    test('should return error if did not ask to enable first', async () => {
+      const request = { code: mockCode }
+      ConfirmTotpRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+      getTotpOfUserId.mockResolvedValue(undefined)
+
+      await triggerSocketEvent('confirm-totp', request)
+
+      expect(mockCb).toHaveBeenCalledWith({
+        errorMsg: 'Did not ask to enable two-factor authentication first.'
+      })
+    })
+  })
+
+  describe('disable-totp', () => {
+    beforeEach(() => {
+      getTotpOfUserId.mockResolvedValue({ secret: mockSecret, enabled: true, lastCounter: null })
+    })
+
+    test('should delete two-factor authentication with recovery code', async () => {
+      const request = { code: 'abcde-12345' }
+      DisableTotpRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+      useTotpRecoveryCodeOfUserId.mockResolvedValue({ rowCount: 1 })
+
+      await triggerSocketEvent('disable-totp', request)
+
+      expect(deleteTotpOfUserId).toHaveBeenCalledWith(mockUserId)
+      expect(mockCb).toHaveBeenCalledWith({})
+    })
+
+    test('should return IncorrectTotpCodeErrorMsg for incorrect code', async () => {
+      const request = { code: '000000' }
+      DisableTotpRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+
+      await triggerSocketEvent('disable-totp', request)
+
+      expect(deleteTotpOfUserId).not.toHaveBeenCalled()
+      expect(userLoginFailure).toHaveBeenCalledWith(mockUserId)
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: IncorrectTotpCodeErrorMsg })
+    })
+
+    test('should return error if failed too many login attempts', async () => {
+      const request = { code: 'abcde-12345' }
+      DisableTotpRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+      checkLoginBlocked.mockReturnValue(true)
+
+      await triggerSocketEvent('disable-totp', request)
+
+      expect(useTotpRecoveryCodeOfUserId).not.toHaveBeenCalled()
+      expect(deleteTotpOfUserId).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Failed too many login attempts.' })
+    })
+
+    test('should return error if not enabled', async () => {
+      const request = { code: mockCode }
+      DisableTotpRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+      getTotpOfUserId.mockResolvedValue(undefined)
+
+      await triggerSocketEvent('disable-totp', request)
+
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Two-factor authentication not enabled.' })
+    })
+  })
+})
@@ -0,0 +1,187 @@
+import { test, expect, jest, describe, beforeEach, afterEach } from '@jest/globals'
+// Mock all external dependencies
+jest.mock('../src/Logger.js', () => ({
+  logInvalidSchemaWarning: jest.fn(),
+  logSocketError: jest.fn(),
+  logSocketInfo: jest.fn(),
+  logSocketWarning: jest.fn()
+}))
+
+jest.mock('../src/StorageDatabase.js', () => ({
+  getFileInfoOfOwnerId: jest.fn()
+}))
+
+jest.mock('../src/Utils.js', () => ({
+  checkLoggedIn: jest.fn(),
+  FileNotFoundErrorMsg: 'File not found.',
+  InternalServerErrorMsg: 'Internal server error occurred.',
+  InvalidArgumentErrorMsg: 'Invalid argument provided.',
+  NotLoggedInErrorMsg: 'Not logged in.'
+}))
+
+jest.mock('../src/ConfigManager.js', () => ({
+  __esModule: true,
+  default: {
+    settings: {
+      transferTokenTTLSec: 300
+    }
+  }
+}))
+
+jest.mock('../src/Validation.js', () => ({
+  GetTransferTokenRequestSchema: { safeParse: jest.fn() }
+}))
+
+jest.mock('../src/UploadVerifier.js', () => ({
+  hasUploadOfUserId: jest.fn()
+}))
+
+// Import the module to be tested
+import {
+  issueTransferToken,
+  transferTokenBinder,
+  verifyTransferToken
+} from '../src/TransferToken.js'
+
+// Import mocked dependencies for easier access and assertion
+import { getFileInfoOfOwnerId } from '../src/StorageDatabase.js'
+import { checkLoggedIn, FileNotFoundErrorMsg, NotLoggedInErrorMsg } from '../src/Utils.js'
+import { GetTransferTokenRequestSchema } from '../src/Validation.js'
+import { hasUploadOfUserId } from '../src/UploadVerifier.js'
+
+describe('TransferToken', () => {
+  let mockSocket
+  let mockCb
+  const mockUserId = 'user123'
+  const mockFileId = 'file789'
+
+  // Helper to trigger a socket event
+  const triggerSocketEvent = async (eventName, ...args) => {
+    const handler = mockSocket.events[eventName]
+    if (handler) {
+      await handler(...args, mockCb)
+    } else {
+      throw new Error(`No handler registered for event: ${eventName}`)
+    }
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    mockSocket = {
+      userId: mockUserId,
+      events: {},
+      on: jest.fn((eventName, handler) => {
+        mockSocket.events[eventName] = handler
+      })
+    }
+    mockCb = jest.fn()
+    checkLoggedIn.mockReturnValue(true)
+    transferTokenBinder(mockSocket)
+  })
+
+  describe('verifyTransferToken', () => {
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    test('should return payload of issued token', () => {
+      const { token, expiresAt } = issueTransferToken(mockUserId, 'download', mockFileId)
+
+      expect(verifyTransferToken(token)).toEqual({
+        userId: mockUserId,
+        operation: 'download',
+        fileId: mockFileId,
+        expiresAt
+      })
+    })
+
+    test('should return null for tampered token', () => {
+      const { token } = issueTransferToken(mockUserId, 'download', mockFileId)
+      const [, signature] = token.split('.')
+      const forgedPayload = Buffer.from(
+        JSON.stringify({
+          userId: 'otherUser',
+          operation: 'download',
+          fileId: mockFileId,
+          expiresAt: Date.now() + 60000
+        })
+      ).toString('base64url')
+
+      expect(verifyTransferToken(`${forgedPayload}.${signature}`)).toBeNull()
+      expect(verifyTransferToken('not-a-token')).toBeNull()
+      expect(verifyTransferToken(undefined)).toBeNull()
+    })
+
+    test('should return null for expired token', () => {
+      jest.useFakeTimers()
+      const { token } = issueTransferToken(mockUserId, 'upload', mockFileId)
+
+      jest.advanceTimersByTime(300 * 1000)
+
+      expect(verifyTransferToken(token)).toBeNull()
+    })
+  })
+
+  describe('get-transfer-token', () => {
+    test('should issue download token for file owned by client', async () => {
+      const request = { operation: 'download', fileId: mockFileId }
+      GetTransferTokenRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+      getFileInfoOfOwnerId.mockResolvedValue({ id: mockFileId })
+
+      await triggerSocketEvent('get-transfer-token', request)
+
+      const { token, expiresAt } = mockCb.mock.calls[0][0]
+      expect(getFileInfoOfOwnerId).toHaveBeenCalledWith(mockFileId, mockUserId)
+      expect(verifyTransferToken(token)).toEqual({
+        userId: mockUserId,
+        operation: 'download',
+        fileId: mockFileId,
+        expiresAt
+      })
+    })
+
+    test('should return FileNotFoundErrorMsg if file is not owned by client', async () => {
+      const request = { operation: 'download', fileId: mockFileId }
+      GetTransferTokenRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+      getFileInfoOfOwnerId.mockResolvedValue(undefined)
+
+      await triggerSocketEvent('get-transfer-token', request)
+
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: FileNotFoundErrorMsg })
+    })
+
+    test('should return "Upload info not found." if upload is not asked first', async () => {
+      const request = { operation: 'upload', fileId: mockFileId }
+      GetTransferTokenRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+      hasUploadOfUserId.mockReturnValue(false)
+
+      await triggerSocketEvent('get-transfer-token', request)
+
+      expect(hasUploadOfUserId).toHaveBeenCalledWith(mockFileId, mockUserId)
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Upload info not found.' })
+    })
+
+    test('should issue token for encrypted database without checking file', async () => {
+      const request = { operation: 'upload', fileId: 'database' }
+      GetTransferTokenRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+
+      await triggerSocketEvent('get-transfer-token', request)
+
+      expect(hasUploadOfUserId).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({
+        token: expect.any(String),
+        expiresAt: expect.any(Number)
+      })
+    })
+
+    test('should return NotLoggedInErrorMsg if client is not logged in', async () => {
+      const request = { operation: 'download', fileId: mockFileId }
+      GetTransferTokenRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+      checkLoggedIn.mockReturnValue(false)
+
+      await triggerSocketEvent('get-transfer-token', request)
+
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: NotLoggedInErrorMsg })
+    })
+  })
+})
@@ -0,0 +1,292 @@
+import { test, expect, jest, describe, beforeEach, beforeAll } from '@jest/globals'
+// Mock all external dependencies
+jest.mock('../src/Logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn()
+  },
+  logInvalidSchemaWarning: jest.fn(),
+  logSocketError: jest.fn(),
+  logSocketInfo: jest.fn(),
+  logSocketWarning: jest.fn()
+}))
+
+jest.mock('../src/StorageDatabase.js', () => ({
+  deleteFile: jest.fn(),
+  deleteFolder: jest.fn(),
+  getAllFilesByParentFolderIdUserId: jest.fn(),
+  getAllFoldersByParentFolderIdUserId: jest.fn(),
+  getAllTrashedFilesDeletedBefore: jest.fn(),
+  getAllTrashedFilesOfOwnerId: jest.fn(),
+  getAllTrashedFoldersDeletedBefore: jest.fn(),
+  getAllTrashedFoldersOfOwnerId: jest.fn(),
+  getTrashedFileInfoOfOwnerId: jest.fn(),
+  getTrashedFilesOfOwnerId: jest.fn(),
+  getTrashedFolderInfoOfOwnerId: jest.fn(),
+  getTrashedFoldersOfOwnerId: jest.fn(),
+  restoreFileOfOwnerId: jest.fn(),
+  restoreFolderOfOwnerId: jest.fn(),
+  setFileDeletedAt: jest.fn(),
+  setFolderDeletedAt: jest.fn()
+}))
+
+jest.mock('node:fs/promises', () => ({
+  unlink: jest.fn()
+}))
+
+jest.mock('../src/Utils.js', () => ({
+  checkFolderExistsForUser: jest.fn(),
+  checkLoggedIn: jest.fn(),
+  FileNotFoundErrorMsg: 'File not found.',
+  FolderNotFoundErrorMsg: 'Folder not found.',
+  getFilePath: jest.fn((userId, fileId) => `/uploads/${userId}/${fileId}`),
+  InternalServerErrorMsg: 'Internal server error occurred.',
+  InvalidArgumentErrorMsg: 'Invalid argument provided.',
+  NameAlreadyExistsErrorMsg: 'Name already exists.',
+  NotLoggedInErrorMsg: 'Not logged in.'
+}))
+
+jest.mock('../src/ConfigManager.js', () => ({
+  __esModule: true,
+  default: {
+    settings: {
+      trashRetentionDays: 30,
+      trashPurgeIntervalMin: 60
+    }
+  }
+}))
+
+jest.mock('../src/Validation.js', () => ({
+  RestoreTrashRequestSchema: { safeParse: jest.fn() }
+}))
+
+jest.mock('../src/ABSEManager.js', () => ({
+  __esModule: true,
+  default: {
+    deleteFileIndex: jest.fn()
+  }
+}))
+
+jest.mock('../src/VersionManager.js', () => ({
+  removeFileVersions: jest.fn()
+}))
+
+jest.mock('../src/WebhookManager.js', () => ({
+  triggerWebhooks: jest.fn()
+}))
+
+jest.mock('../src/RequestManager.js', () => ({
+  expirePendingRequestsOfFile: jest.fn()
+}))
+
+// Import mocked dependencies for easier access and assertion
+import {
+  deleteFile,
+  deleteFolder,
+  getAllFilesByParentFolderIdUserId,
+  getAllFoldersByParentFolderIdUserId,
+  getAllTrashedFilesDeletedBefore,
+  getAllTrashedFoldersDeletedBefore,
+  getTrashedFileInfoOfOwnerId,
+  getTrashedFolderInfoOfOwnerId,
+  restoreFileOfOwnerId,
+  restoreFolderOfOwnerId,
+  setFileDeletedAt,
+  setFolderDeletedAt
+} from '../src/StorageDatabase.js'
+import { unlink } from 'node:fs/promises'
+import {
+  checkFolderExistsForUser,
+  checkLoggedIn,
+  FileNotFoundErrorMsg,
+  NameAlreadyExistsErrorMsg,
+  NotLoggedInErrorMsg
+} from '../src/Utils.js'
+import { RestoreTrashRequestSchema } from '../src/Validation.js'
+import ABSEManager from '../src/ABSEManager.js'
+import { removeFileVersions } from '../src/VersionManager.js'
+import { triggerWebhooks } from '../src/WebhookManager.js'
+import { expirePendingRequestsOfFile } from '../src/RequestManager.js'
+
+describe('TrashManager', () => {
+  let mockSocket
+  let mockCb
+  let trashBinder
+  let purgeTrash
+  let moveToTrash
+  const mockUserId = 'user123'
+  const deletedAt = new Date('2025-01-01T00:00:00Z')
+
+  // Helper to trigger a socket event
+  const triggerSocketEvent = async (eventName, ...args) => {
+    const handler = mockSocket.events[eventName]
+    if (handler) {
+      await handler(...args, mockCb)
+    } else {
+      throw new Error(`No handler registered for event: ${eventName}`)
+    }
+  }
+
+  beforeAll(() => {
+    // Module sets up a purge interval when loaded
+    jest.useFakeTimers()
+    ;({ trashBinder, purgeTrash, moveToTrash } = require('../src/TrashManager.js'))
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    mockSocket = {
+      userId: mockUserId,
+      events: {},
+      on: jest.fn((eventName, handler) => {
+        mockSocket.events[eventName] = handler
+      })
+    }
+    mockCb = jest.fn()
+    checkLoggedIn.mockReturnValue(true)
+    checkFolderExistsForUser.mockResolvedValue(true)
+    restoreFileOfOwnerId.mockResolvedValue({ rowCount: 1 })
+    restoreFolderOfOwnerId.mockResolvedValue({ rowCount: 1 })
+    trashBinder(mockSocket)
+  })
+
+  describe('restore-trash', () => {
+    test('should restore a file and keep it in its folder', async () => {
+      const request = { fileId: 'file1' }
+      RestoreTrashRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+      getTrashedFileInfoOfOwnerId.mockResolvedValue({
+        id: 'file1',
+        parentFolderId: 'folder1',
+        deletedAt
+      })
+
+      await triggerSocketEvent('restore-trash', request)
+
+      expect(getTrashedFileInfoOfOwnerId).toHaveBeenCalledWith('file1', mockUserId)
+      expect(restoreFileOfOwnerId).toHaveBeenCalledWith('file1', mockUserId, 'folder1')
+      expect(mockCb).toHaveBeenCalledWith({})
+    })
+
+    test('should restore a file to root if its folder is gone', async () => {
+      const request = { fileId: 'file1' }
+      RestoreTrashRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+      getTrashedFileInfoOfOwnerId.mockResolvedValue({
+        id: 'file1',
+        parentFolderId: 'folder1',
+        deletedAt
+      })
+      checkFolderExistsForUser.mockResolvedValue(false)
+
+      await triggerSocketEvent('restore-trash', request)
+
+      expect(restoreFileOfOwnerId).toHaveBeenCalledWith('file1', mockUserId, null)
+      expect(mockCb).toHaveBeenCalledWith({})
+    })
+
+    test('should return NameAlreadyExistsErrorMsg if a file with the same name exists', async () => {
+      const request = { fileId: 'file1' }
+      RestoreTrashRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+      getTrashedFileInfoOfOwnerId.mockResolvedValue({
+        id: 'file1',
+        parentFolderId: 'folder1',
+        deletedAt
+      })
+      restoreFileOfOwnerId.mockResolvedValue({ rowCount: 0 })
+
+      await triggerSocketEvent('restore-trash', request)
+
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: NameAlreadyExistsErrorMsg })
+    })
+
+    test('should return FileNotFoundErrorMsg if file is not in trash', async () => {
+      const request = { fileId: 'file1' }
+      RestoreTrashRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+      getTrashedFileInfoOfOwnerId.mockResolvedValue(undefined)
+
+      await triggerSocketEvent('restore-trash', request)
+
+      expect(restoreFileOfOwnerId).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: FileNotFoundErrorMsg })
+    })
+
+    test('should only restore items deleted together with the folder', async () => {
+      const request = { folderId: 'folder1' }
+      const rootFolder = { id: 'folder1', parentFolderId: null, deletedAt }
+      RestoreTrashRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+      getTrashedFolderInfoOfOwnerId.mockResolvedValue(rootFolder)
+      getAllFilesByParentFolderIdUserId.mockResolvedValueOnce([
+        { id: 'sameTime', deletedAt: new Date(deletedAt) },
+        { id: 'earlier', deletedAt: new Date('2024-12-01T00:00:00Z') }
+      ])
+      getAllFilesByParentFolderIdUserId.mockResolvedValue([])
+      getAllFoldersByParentFolderIdUserId.mockResolvedValue([])
+
+      await triggerSocketEvent('restore-trash', request)
+
+      expect(getAllFilesByParentFolderIdUserId).toHaveBeenCalledWith('folder1', mockUserId, true)
+      expect(setFileDeletedAt).toHaveBeenCalledTimes(1)
+      expect(setFileDeletedAt).toHaveBeenCalledWith('sameTime', null)
+      expect(restoreFolderOfOwnerId).toHaveBeenCalledWith('folder1', mockUserId, null)
+      expect(setFolderDeletedAt).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({})
+    })
+
+    test('should not restore items in a folder whose name already exists', async () => {
+      const request = { folderId: 'folder1' }
+      RestoreTrashRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+      getTrashedFolderInfoOfOwnerId.mockResolvedValue({
+        id: 'folder1',
+        parentFolderId: 'parent1',
+        deletedAt
+      })
+      restoreFolderOfOwnerId.mockResolvedValue({ rowCount: 0 })
+
+      await triggerSocketEvent('restore-trash', request)
+
+      expect(restoreFolderOfOwnerId).toHaveBeenCalledWith('folder1', mockUserId, 'parent1')
+      expect(getAllFilesByParentFolderIdUserId).not.toHaveBeenCalled()
+      expect(setFileDeletedAt).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: NameAlreadyExistsErrorMsg })
+    })
+
+    test('should return NotLoggedInErrorMsg if client is not logged in', async () => {
+      const request = { fileId: 'file1' }
+      RestoreTrashRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+      checkLoggedIn.mockReturnValue(false)
+
+      await triggerSocketEvent('restore-trash', request)
+
+      expect(getTrashedFileInfoOfOwnerId).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: NotLoggedInErrorMsg })
+    })
+  })
+
+  describe('moveToTrash', () => {
+    test('should expire pending requests of trashed files', async () => {
+      await moveToTrash([{ id: 'file1', ownerId: mockUserId }], [{ id: 'folder1' }])
+
+      expect(setFileDeletedAt).toHaveBeenCalledWith('file1', expect.any(Date))
+      expect(expirePendingRequestsOfFile).toHaveBeenCalledWith('file1')
+      expect(setFolderDeletedAt).toHaveBeenCalledWith('folder1', expect.any(Date))
+    })
+  })
+
+  describe('purgeTrash', () => {
+    test('should permanently remove expired files and folders', async () => {
+      getAllTrashedFilesDeletedBefore.mockResolvedValue([{ id: 'file1', ownerId: mockUserId }])
+      getAllTrashedFoldersDeletedBefore.mockResolvedValue([{ id: 'folder1' }])
+
+      await purgeTrash()
+
+      expect(ABSEManager.deleteFileIndex).toHaveBeenCalledWith('file1')
+      expect(removeFileVersions).toHaveBeenCalledWith(mockUserId, 'file1')
+      expect(deleteFile).toHaveBeenCalledWith('file1')
+      expect(unlink).toHaveBeenCalledWith(`/uploads/${mockUserId}/file1`)
+      expect(deleteFolder).toHaveBeenCalledWith('folder1')
+      expect(triggerWebhooks).toHaveBeenCalledWith([mockUserId], 'file-deleted', {
+        fileId: 'file1',
+        permanent: true
+      })
+    })
+  })
+})
@@ -1,29 +1,17 @@
 import { test, expect, jest, describe, beforeEach, beforeAll, fail } from '@jest/globals'
 // Mock external dependencies
 jest.mock('../src/BlockchainManager.js', () => ({
-  bigIntToUuid: jest.fn()
+  __esModule: true,
+  default: {
+    bindEventListener: jest.fn(),
+    setFileVerification: jest.fn()
+  }
 }))
 
 // Custom mock for EvictingMap to control onExpired event
 let mockOnExpiredHandler = null // To capture the handler
 let mockEvictingMapInstance // To store the instance created by new EvictingMap()
 
-// jest.mock('../src/EvictingMap.js', () => {
-//   const EvictingMapMock = jest.fn(function (ttl) {
-//     this.ttl = ttl
-//     this.map = new Map() // Internal map for tracking
-//     this.onExpired = jest.fn((handler) => {
-//       mockOnExpiredHandler = handler // Capture the handler
-//     })
-//     this.set = jest.fn((key, value) => this.map.set(key, value))
-//     this.has = jest.fn((key) => this.map.has(key))
-//     this.get = jest.fn((key) => this.map.get(key))
-//     this.delete = jest.fn((key) => this.map.delete(key))
-//     mockEvictingMapInstance = this // Store the instance immediately upon construction
-//   })
-//   return EvictingMapMock
-// })
-
 jest.mock('../src/Logger.js', () => ({
   logger: {
     info: jest.fn(),
@@ -33,50 +21,94 @@ jest.mock('../src/Logger.js', () => ({
   }
 }))
 
-jest.mock('../src/LoginDatabase.js', () => ({
-  getSocketId: jest.fn()
+jest.mock('../src/StorageDatabase.js', () => ({
+  addFileToDatabase: jest.fn(),
+  deleteFileOfOwnerId: jest.fn(),
+  getStorageUsageOfUserId: jest.fn()
 }))
 
-jest.mock('../src/SocketIO.js', () => ({
-  blockchainManager: {
-    bindEventListener: jest.fn(),
-    setFileVerification: jest.fn()
-  },
-  emitToSocket: jest.fn()
-}))
-
-jest.mock('../src/StorageDatabase.js', () => ({
-  addFileToDatabase: jest.fn()
+jest.mock('../src/VersionManager.js', () => ({
+  applyFileVersion: jest.fn()
 }))
 
 jest.mock('../src/Utils.js', () => ({
   calculateFileHash: jest.fn(),
   getFilePath: jest.fn((userId, fileId) => `/uploads/${userId}/${fileId}`),
+  FileNotFoundErrorMsg: 'File not found.',
   InternalServerErrorMsg: 'Internal server error occurred.',
-  revertUpload: jest.fn()
+  QuotaExceededErrorMsg: 'Storage quota exceeded.',
+  bigIntToUuid: jest.fn(),
+  BigIntToHex: jest.fn((value) => '0x' + BigInt(value).toString(16)),
+  riskyMimeTypes: ['application/x-msdownload']
+}))
+
+jest.mock('../src/ConfigManager.js', () => ({
+  __esModule: true,
+  default: {
+    settings: {
+      uploadExpireTimeMin: 10,
+      defaultQuotaMB: 1
+    },
+    blockchain: {
+      enabled: true
+    }
+  }
+}))
+
+jest.mock('../src/NotificationManager.js', () => ({
+  notifyUser: jest.fn()
 }))
 
-// Import the module to be tested. This import will run the module-level code,
-// including the `new EvictingMap()` and `blockchainManager.bindEventListener()` calls.
-// import { finishUpload } from '../src/UploadVerifier.js'
+jest.mock('../src/WebhookManager.js', () => ({
+  triggerWebhooks: jest.fn()
+}))
+
+// file-type has no export condition for require, so it cannot be resolved by Jest
+jest.mock(
+  'file-type',
+  () => ({
+    fileTypeFromFile: jest.fn()
+  }),
+  { virtual: true }
+)
+
+jest.mock('node:fs/promises', () => ({
+  unlink: jest.fn()
+}))
 
 // Import mocked dependencies for easier access and assertion
-import { bigIntToUuid } from '../src/BlockchainManager.js'
-import EvictingMap from '../src/EvictingMap.js' // This will be our mock EvictingMap
+import BlockchainManager from '../src/BlockchainManager.js'
 import { logger } from '../src/Logger.js'
-import { getSocketId } from '../src/LoginDatabase.js'
-import { blockchainManager, emitToSocket } from '../src/SocketIO.js'
-import { addFileToDatabase } from '../src/StorageDatabase.js'
+import {
+  addFileToDatabase,
+  deleteFileOfOwnerId,
+  getStorageUsageOfUserId
+} from '../src/StorageDatabase.js'
+import { applyFileVersion } from '../src/VersionManager.js'
 import {
   calculateFileHash,
   getFilePath,
+  FileNotFoundErrorMsg,
   InternalServerErrorMsg,
-  revertUpload
+  QuotaExceededErrorMsg,
+  bigIntToUuid
 } from '../src/Utils.js'
+import { notifyUser } from '../src/NotificationManager.js'
+import { triggerWebhooks } from '../src/WebhookManager.js'
+import { fileTypeFromFile } from 'file-type'
+import { unlink } from 'node:fs/promises'
+
+// Reverting uploads is not awaited by its callers
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve))
 
 describe('UploadVerifier', () => {
   let fileUploadedEventListener // To capture the blockchain event listener
   let finishUpload
+  let hasUpload
+  let hasUploadOfUserId
+  let keepUploadAlive
+  let checkUploadLength
+  let preUpload
 
   const mockUploadInfo = {
     name: 'test.txt',
@@ -93,22 +125,20 @@ describe('UploadVerifier', () => {
   const mockMismatchHash = '0xdeadbeefdeadbeefdeadbeefdeadbeef'
   const mockUploaderAddress = '0x987654321'
 
-  // Helper to convert a UUID string to a BigInt (simulation)
-  // In a real scenario, bigIntToUuid would likely do the reverse.
-  // We need a BigInt that when passed to bigIntToUuid, returns mockUploadInfo.id
-  const uuidToBigIntMock = (uuidString) => {
-    // This is a simplified mock. In reality, UUIDs are complex to convert to BigInts directly.
-    // For testing, we'll map a specific BigInt back to our UUID string.
-    // For the actual BigInt value, we can use a fixed BigInt and map it.
-    if (uuidString === mockUploadInfo.id) {
-      return BigInt('0x' + uuidString.replaceAll('-', '')) // Simplified hex conversion for testing
-    }
-    return BigInt(0) // Default or throw error for unknown UUIDs
-  }
-
   const mockBlockchainFileIdBigInt = BigInt('0x' + mockUploadInfo.id.replaceAll('-', ''))
   const mockUploaderAddressBigInt = BigInt(mockUploaderAddress)
 
+  // Helper to fire the FileUploaded event of the upload
+  const emitFileUploaded = (fileHash) =>
+    fileUploadedEventListener(
+      mockBlockchainFileIdBigInt,
+      mockUploaderAddressBigInt,
+      BigInt(fileHash),
+      'metadata',
+      'timestamp',
+      { log: { blockNumber: 10 } }
+    )
+
   beforeAll(() => {
     jest.doMock('../src/EvictingMap.js', () => {
       const EvictingMapMock = jest.fn(function (ttl) {
@@ -125,25 +155,38 @@ describe('UploadVerifier', () => {
       })
       return EvictingMapMock
     })
-    ;({ finishUpload } = require('../src/UploadVerifier.js'))
-
-    // Capture the blockchainManager.bindEventListener handler when the module loads
+    ;({
+      finishUpload,
+      hasUpload,
+      hasUploadOfUserId,
+      keepUploadAlive,
+      checkUploadLength,
+      preUpload
+    } = require('../src/UploadVerifier.js'))
+
+    // Capture the BlockchainManager.bindEventListener handler when the module loads
     // It should be called once with 'FileUploaded' and the async function handler
-    expect(blockchainManager.bindEventListener).toHaveBeenCalledTimes(1)
-    expect(blockchainManager.bindEventListener).toHaveBeenCalledWith(
+    expect(BlockchainManager.bindEventListener).toHaveBeenCalledTimes(1)
+    expect(BlockchainManager.bindEventListener).toHaveBeenCalledWith(
       'FileUploaded',
       expect.any(Function)
     )
-    fileUploadedEventListener = blockchainManager.bindEventListener.mock.calls[0][1]
+    fileUploadedEventListener = BlockchainManager.bindEventListener.mock.calls[0][1]
   })
 
   beforeEach(() => {
     // Clear mocks before each test. Jest will clear all `jest.fn()` calls,
     // including those on `mockEvictingMapInstance`'s methods.
     jest.clearAllMocks()
+    mockEvictingMapInstance.map.clear()
 
     // Default mock behaviors
     calculateFileHash.mockResolvedValue(mockCalculatedHash)
+    fileTypeFromFile.mockResolvedValue(undefined)
+    getStorageUsageOfUserId.mockResolvedValue({ used: 0, quota: null })
+    BlockchainManager.setFileVerification.mockResolvedValue({
+      getBlock: jest.fn().mockResolvedValue({ number: 11 })
+    })
     // bigIntToUuid should convert the BigInt file ID from blockchain to our UUID string
     bigIntToUuid.mockImplementation((bigIntFileId) => {
       // If the bigIntFileId matches our expected mock, return the UUID string
@@ -152,7 +195,6 @@ describe('UploadVerifier', () => {
       }
       return bigIntFileId.toString() // Fallback for other BigInts
     })
-    getSocketId.mockReturnValue({ socketId: 'userSocketId' })
   })
 
   describe('finishUpload', () => {
@@ -163,14 +205,17 @@ describe('UploadVerifier', () => {
       expect(calculateFileHash).toHaveBeenCalledWith(
         `/uploads/${mockUploadInfo.userId}/${mockUploadInfo.id}`
       )
+      // Not stored before verified on blockchain
+      expect(triggerWebhooks).not.toHaveBeenCalled()
       expect(mockEvictingMapInstance.set).toHaveBeenCalledWith(mockUploadInfo.id, {
-        uploadInfo: mockUploadInfo,
+        uploadInfo: { ...mockUploadInfo, hash: mockCalculatedHash },
         hash: mockCalculatedHash
       })
       expect(logger.info).toHaveBeenCalledWith('upload info map set.', {
         fileId: mockUploadInfo.id,
         hash: mockCalculatedHash
       })
+      expect(hasUpload(mockUploadInfo.id)).toBe(true)
       expect(logger.error).not.toHaveBeenCalled()
     })
 
@@ -180,21 +225,89 @@ describe('UploadVerifier', () => {
 
       await finishUpload(mockUploadInfo)
 
-      expect(getFilePath).toHaveBeenCalledWith(mockUploadInfo.userId, mockUploadInfo.id)
-      expect(calculateFileHash).toHaveBeenCalledWith(
-        `/uploads/${mockUploadInfo.userId}/${mockUploadInfo.id}`
-      )
       expect(mockEvictingMapInstance.set).toHaveBeenCalledWith(mockUploadInfo.id, {
         uploadInfo: mockUploadInfo,
         hash: null
       })
       expect(logger.error).toHaveBeenCalledWith(hashError)
-      expect(logger.info).not.toHaveBeenCalled()
+    })
+
+    test('should revert upload of risky mime type', async () => {
+      fileTypeFromFile.mockResolvedValue({ ext: 'exe', mime: 'application/x-msdownload' })
+
+      await finishUpload(mockUploadInfo)
+
+      expect(calculateFileHash).not.toHaveBeenCalled()
+      expect(deleteFileOfOwnerId).toHaveBeenCalledWith(mockUploadInfo.id, mockUploadInfo.userId)
+      expect(unlink).toHaveBeenCalledWith(`/uploads/${mockUploadInfo.userId}/${mockUploadInfo.id}`)
+      expect(notifyUser).toHaveBeenCalledWith(mockUploadInfo.userId, 'upload-file-res', {
+        fileId: mockUploadInfo.id,
+        errorMsg: 'Upload file is of risky mime type.'
+      })
+    })
+
+    test('should revert upload exceeding storage quota', async () => {
+      getStorageUsageOfUserId.mockResolvedValue({ used: 1024 * 1024 - 10, quota: null })
+
+      await finishUpload(mockUploadInfo)
+
+      expect(calculateFileHash).not.toHaveBeenCalled()
+      expect(notifyUser).toHaveBeenCalledWith(mockUploadInfo.userId, 'upload-file-res', {
+        fileId: mockUploadInfo.id,
+        errorMsg: QuotaExceededErrorMsg
+      })
+    })
+  })
+
+  describe('hasUploadOfUserId', () => {
+    test('should only be true for the user who asks to upload', () => {
+      const fileId = preUpload(mockUploadInfo.userId, 'mockCipher', 'mockSpk', null)
+
+      expect(hasUploadOfUserId(fileId, mockUploadInfo.userId)).toBe(true)
+      expect(hasUploadOfUserId(fileId, 'otherUser')).toBe(false)
+      expect(hasUploadOfUserId('missingFile', mockUploadInfo.userId)).toBe(false)
+    })
+
+    test('should check the user of upload waiting for blockchain', async () => {
+      await finishUpload(mockUploadInfo)
+
+      expect(hasUploadOfUserId(mockUploadInfo.id, mockUploadInfo.userId)).toBe(true)
+      expect(hasUploadOfUserId(mockUploadInfo.id, 'otherUser')).toBe(false)
+    })
+  })
+
+  describe('keepUploadAlive', () => {
+    test('should reset expire time of upload still receiving content', () => {
+      const fileId = preUpload(mockUploadInfo.userId, 'mockCipher', 'mockSpk', null)
+      mockEvictingMapInstance.set.mockClear()
+
+      expect(keepUploadAlive(fileId)).toBe(true)
+      expect(mockEvictingMapInstance.set).toHaveBeenCalledWith(fileId, expect.any(Object))
+      expect(keepUploadAlive('missingFile')).toBe(false)
+    })
+
+    test('should not keep upload waiting for blockchain alive', async () => {
+      await finishUpload(mockUploadInfo)
+      mockEvictingMapInstance.set.mockClear()
+
+      expect(keepUploadAlive(mockUploadInfo.id)).toBe(false)
+      expect(mockEvictingMapInstance.set).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('checkUploadLength', () => {
+    test('should only accept the length declared first', () => {
+      const fileId = preUpload(mockUploadInfo.userId, 'mockCipher', 'mockSpk', null)
+
+      expect(checkUploadLength(fileId, 1000)).toBe(true)
+      expect(checkUploadLength(fileId, 1000)).toBe(true)
+      expect(checkUploadLength(fileId, 2000)).toBe(false)
+      expect(checkUploadLength('missingFile', 1000)).toBe(false)
     })
   })
 
   describe('uploadInfoMap.onExpired', () => {
-    test('should call revertUpload when an item expires', () => {
+    test('should revert upload when an item expires', async () => {
       const expiredKey = 'expiredFileId'
       const expiredValue = {
         uploadInfo: { userId: 'expiredUser', id: expiredKey },
@@ -207,223 +320,129 @@ describe('UploadVerifier', () => {
       } else {
         fail('onExpired handler was not bound or captured')
       }
+      await flushPromises()
 
-      expect(revertUpload).toHaveBeenCalledWith(
-        expiredValue.uploadInfo.userId,
-        expiredKey,
-        'Did not get blockchain info in time.'
-      )
+      expect(deleteFileOfOwnerId).toHaveBeenCalledWith(expiredKey, 'expiredUser')
+      expect(notifyUser).toHaveBeenCalledWith('expiredUser', 'upload-file-res', {
+        fileId: expiredKey,
+        errorMsg: 'Did not get blockchain info in time.'
+      })
     })
   })
 
-  describe('blockchainManager.bindEventListener("FileUploaded")', () => {
+  describe('BlockchainManager.bindEventListener("FileUploaded")', () => {
     // This listener is already captured in beforeAll
 
-    test('should verify file, add to DB, and emit success for matching hashes', async () => {
-      // Set up EvictingMap mock to simulate finding uploadInfo
-      mockEvictingMapInstance.has.mockReturnValue(true)
-      mockEvictingMapInstance.get.mockReturnValue({
-        uploadInfo: mockUploadInfo,
-        hash: mockCalculatedHash // Hash from file matches blockchain hash
-      })
+    beforeEach(async () => {
+      await finishUpload(mockUploadInfo)
+      jest.clearAllMocks()
+    })
 
-      await fileUploadedEventListener(
-        mockBlockchainFileIdBigInt, // fileId from blockchain event (BigInt representation of mockCalculatedHash)
-        mockUploaderAddressBigInt,
-        BigInt(mockCalculatedHash), // fileHash from blockchain event
-        'metadata',
-        'timestamp'
-      )
+    test('should verify file, add to DB, and notify success for matching hashes', async () => {
+      await emitFileUploaded(mockCalculatedHash)
 
       expect(bigIntToUuid).toHaveBeenCalledWith(mockBlockchainFileIdBigInt)
-      expect(logger.debug).toHaveBeenCalledWith(
-        'Contract event FileUploaded emitted',
-        expect.any(Object)
-      )
-      expect(mockEvictingMapInstance.has).toHaveBeenCalledWith(mockUploadInfo.id) // fileId from event
-      expect(mockEvictingMapInstance.get).toHaveBeenCalledWith(mockUploadInfo.id)
       expect(mockEvictingMapInstance.delete).toHaveBeenCalledWith(mockUploadInfo.id)
-      expect(getSocketId).toHaveBeenCalledWith(mockUploadInfo.userId)
-      // Now, the comparison should be BigInt('0x...') == BigInt('0x...'), which will be true
-      expect(BigInt(mockEvictingMapInstance.get(mockUploadInfo.id).hash)).toEqual(
-        BigInt(mockCalculatedHash)
-      )
-      expect(addFileToDatabase).toHaveBeenCalledWith(mockUploadInfo)
-      expect(blockchainManager.setFileVerification).toHaveBeenCalledWith(
-        mockUploadInfo.id, // fileId (uuid)
+      expect(BlockchainManager.setFileVerification).toHaveBeenCalledWith(
+        mockUploadInfo.id,
         mockUploaderAddressBigInt,
         'success'
       )
-      expect(emitToSocket).toHaveBeenCalledWith('userSocketId', 'upload-file-res', {
+      expect(addFileToDatabase).toHaveBeenCalledWith({
+        ...mockUploadInfo,
+        hash: mockCalculatedHash,
+        infoBlockNumber: 10,
+        verifyBlockNumber: 11
+      })
+      expect(notifyUser).toHaveBeenCalledWith(mockUploadInfo.userId, 'upload-file-res', {
         fileId: mockUploadInfo.id
       })
+      expect(triggerWebhooks).toHaveBeenCalledWith(
+        [mockUploadInfo.userId],
+        'file-uploaded',
+        expect.objectContaining({ fileId: mockUploadInfo.id, hash: mockCalculatedHash })
+      )
+      expect(triggerWebhooks).toHaveBeenCalledWith(
+        [mockUploadInfo.userId],
+        'file-verified',
+        expect.objectContaining({ fileId: mockUploadInfo.id, infoBlockNumber: 10 })
+      )
+      expect(addFileToDatabase.mock.invocationCallOrder[0]).toBeLessThan(
+        triggerWebhooks.mock.invocationCallOrder[0]
+      )
       expect(logger.info).toHaveBeenCalledWith('File uploaded and verified.', {
         fileId: mockUploadInfo.id,
         userId: mockUploadInfo.userId
       })
-      expect(logger.warn).not.toHaveBeenCalled()
+      expect(hasUpload(mockUploadInfo.id)).toBe(false)
       expect(logger.error).not.toHaveBeenCalled()
-      expect(revertUpload).not.toHaveBeenCalled()
     })
 
-    test('should log warning, set verification to fail, and revert for hash mismatch', async () => {
-      mockEvictingMapInstance.has.mockReturnValue(true)
-      mockEvictingMapInstance.get.mockReturnValue({
-        uploadInfo: mockUploadInfo,
-        hash: mockCalculatedHash // This hash will NOT match blockchainHash
+    test('should revert new version if the file no longer exists', async () => {
+      mockEvictingMapInstance.map.get(mockUploadInfo.id).uploadInfo.versionOf = 'originalFile'
+      applyFileVersion.mockResolvedValue(null)
+
+      await emitFileUploaded(mockCalculatedHash)
+      await flushPromises()
+
+      expect(addFileToDatabase).not.toHaveBeenCalled()
+      expect(notifyUser).toHaveBeenCalledWith(mockUploadInfo.userId, 'upload-file-res', {
+        fileId: mockUploadInfo.id,
+        errorMsg: FileNotFoundErrorMsg
       })
+      expect(triggerWebhooks).not.toHaveBeenCalled()
+    })
 
-      await fileUploadedEventListener(
-        mockBlockchainFileIdBigInt, // fileId from blockchain event
-        mockUploaderAddressBigInt,
-        BigInt(mockMismatchHash), // Mismatched blockchain hash
-        'metadata',
-        'timestamp'
-      )
+    test('should log warning, set verification to fail, and revert for hash mismatch', async () => {
+      await emitFileUploaded(mockMismatchHash)
+      await flushPromises()
 
-      // Comparison will be BigInt(mockCalculatedHash) == BigInt(mockMismatchHash) -> false
-      expect(BigInt(mockEvictingMapInstance.get(mockUploadInfo.id).hash)).not.toEqual(
-        BigInt(mockMismatchHash)
-      )
       expect(logger.warn).toHaveBeenCalledWith('File hashes do not meet', {
         fileHash: mockCalculatedHash,
-        blockchainHash: '0x' + BigInt(mockMismatchHash).toString(16), // Convert BigInt back to string for comparison in log
+        blockchainHash: '0x' + BigInt(mockMismatchHash).toString(16),
         fileId: mockUploadInfo.id,
         userId: mockUploadInfo.userId
       })
-      expect(blockchainManager.setFileVerification).toHaveBeenCalledWith(
+      expect(BlockchainManager.setFileVerification).toHaveBeenCalledWith(
         mockUploadInfo.id,
         mockUploaderAddressBigInt,
         'fail'
       )
-      expect(revertUpload).toHaveBeenCalledWith(
-        mockUploadInfo.userId,
-        mockUploadInfo.id,
-        'File hashes do not meet.'
-      )
       expect(addFileToDatabase).not.toHaveBeenCalled()
-      expect(emitToSocket).not.toHaveBeenCalled()
-      expect(logger.error).not.toHaveBeenCalled()
+      expect(notifyUser).toHaveBeenCalledWith(mockUploadInfo.userId, 'upload-file-res', {
+        fileId: mockUploadInfo.id,
+        errorMsg: 'File hashes do not meet.'
+      })
+      expect(triggerWebhooks).not.toHaveBeenCalled()
     })
 
-    test('should log warning if no matching upload info found in map', async () => {
-      mockEvictingMapInstance.has.mockReturnValue(false)
+    test('should ignore event if no matching upload info found in map', async () => {
+      mockEvictingMapInstance.map.clear()
 
-      await fileUploadedEventListener(
-        mockBlockchainFileIdBigInt,
-        mockUploaderAddressBigInt,
-        BigInt(mockCalculatedHash),
-        'metadata',
-        'timestamp'
-      )
+      await emitFileUploaded(mockCalculatedHash)
 
-      expect(bigIntToUuid).toHaveBeenCalledWith(mockBlockchainFileIdBigInt) // bigIntToUuid is called first
-      expect(mockEvictingMapInstance.has).toHaveBeenCalledWith(mockUploadInfo.id) // check for the converted UUID
       expect(mockEvictingMapInstance.get).not.toHaveBeenCalled()
-      expect(logger.warn).toHaveBeenCalledWith(
-        `Blockchain upload event did not find matching upload info.`,
-        {
-          fileId: mockUploadInfo.id, // Now it correctly shows the converted UUID
-          userId: undefined // userId will be undefined as no matching uploadInfo was retrieved
-        }
-      )
-      expect(revertUpload).not.toHaveBeenCalled()
+      expect(BlockchainManager.setFileVerification).not.toHaveBeenCalled()
       expect(addFileToDatabase).not.toHaveBeenCalled()
-      expect(blockchainManager.setFileVerification).not.toHaveBeenCalled()
-      expect(emitToSocket).not.toHaveBeenCalled()
+      expect(notifyUser).not.toHaveBeenCalled()
       expect(logger.error).not.toHaveBeenCalled()
     })
 
     test('should log error and revert upload on unexpected error during event handling', async () => {
-      mockEvictingMapInstance.has.mockReturnValue(true)
-      mockEvictingMapInstance.get.mockReturnValue({
-        uploadInfo: mockUploadInfo,
-        hash: mockCalculatedHash // This hash will NOT match blockchainHash
-      })
-
-      // Simulate an error within the event listener (e.g., addFileToDatabase fails)
-      addFileToDatabase.mockImplementationOnce(async () => {
-        throw new Error('Database error')
-      })
-
-      await fileUploadedEventListener(
-        mockBlockchainFileIdBigInt,
-        mockUploaderAddressBigInt,
-        BigInt(mockCalculatedHash),
-        'metadata',
-        'timestamp'
-      )
-
-      expect(logger.error).toHaveBeenCalledWith(expect.any(Error), {
-        fileId: expect.any(String), // fileId will be whatever bigIntToUuid returns before it throws, or the default string
-        uploader: mockUploaderAddress // userId might not be set in time depending on where error occurs
-      })
-      expect(revertUpload).toHaveBeenCalledWith(
-        mockUploadInfo.userId,
-        expect.any(String),
-        InternalServerErrorMsg
-      ) // userId will be undefined if error before value.uploadInfo.userId is set
-      // expect(addFileToDatabase).not.toHaveBeenCalled()
-      expect(blockchainManager.setFileVerification).not.toHaveBeenCalled()
-      expect(emitToSocket).not.toHaveBeenCalled()
-    })
-
-    test('should handle error when userId is available for revertUpload', async () => {
-      // Simulate a scenario where userId is set before an error occurs
-      mockEvictingMapInstance.has.mockReturnValue(true)
-      mockEvictingMapInstance.get.mockReturnValue({
-        uploadInfo: mockUploadInfo, // userId is available here
-        hash: mockCalculatedHash
-      })
-      blockchainManager.setFileVerification.mockRejectedValueOnce(
+      BlockchainManager.setFileVerification.mockRejectedValueOnce(
         new Error('Blockchain set verification failed')
-      ) // Simulate error after userId is known
-
-      await fileUploadedEventListener(
-        mockBlockchainFileIdBigInt,
-        mockUploaderAddressBigInt,
-        BigInt(mockCalculatedHash),
-        'metadata',
-        'timestamp'
       )
 
-      expect(logger.error).toHaveBeenCalledWith(expect.any(Error), {
-        fileId: mockUploadInfo.id, // fileId should be correctly passed
-        uploader: mockUploaderAddress // userId should now be correctly passed to logger
-      })
-      expect(revertUpload).toHaveBeenCalledWith(
-        mockUploadInfo.userId,
-        mockUploadInfo.id,
-        InternalServerErrorMsg
-      )
-    })
+      await emitFileUploaded(mockCalculatedHash)
+      await flushPromises()
 
-    test('should not emit to socket if getSocketId returns null', async () => {
-      // Set up EvictingMap mock to simulate finding uploadInfo
-      mockEvictingMapInstance.has.mockReturnValue(true)
-      mockEvictingMapInstance.get.mockReturnValue({
-        uploadInfo: mockUploadInfo,
-        hash: mockCalculatedHash // Hash from file matches blockchain hash
+      expect(logger.error).toHaveBeenCalledWith(expect.any(Error), {
+        fileId: mockUploadInfo.id,
+        uploader: mockUploaderAddress
       })
-
-      // All other conditions are met (due to inner beforeEach)
-      // Only getSocketId is explicitly set to null for this test
-      getSocketId.mockReturnValue(null)
-
-      await fileUploadedEventListener(
-        mockBlockchainFileIdBigInt,
-        'blockchainUploader',
-        BigInt(mockCalculatedHash),
-        'metadata',
-        'timestamp'
-      )
-
-      expect(getSocketId).toHaveBeenCalledWith(mockUploadInfo.userId)
-      expect(emitToSocket).not.toHaveBeenCalled() // This is the core assertion for this test
-      expect(logger.info).toHaveBeenCalledWith('File uploaded and verified.', {
-        // logger.info should still be called
+      expect(notifyUser).toHaveBeenCalledWith(mockUploadInfo.userId, 'upload-file-res', {
         fileId: mockUploadInfo.id,
-        userId: mockUploadInfo.userId
+        errorMsg: InternalServerErrorMsg
       })
     })
   })
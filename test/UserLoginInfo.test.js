@@ -0,0 +1,195 @@
+import { test, expect, jest, describe, beforeEach, beforeAll, afterEach } from '@jest/globals'
+// Mock all external dependencies
+jest.mock('../src/Logger.js', () => ({
+  logger: {
+    info: jest.fn()
+  },
+  logSocketInfo: jest.fn(),
+  logSocketWarning: jest.fn()
+}))
+
+jest.mock('../src/ConfigManager.js', () => ({
+  __esModule: true,
+  default: {
+    login: {
+      idleTimeoutMin: 30,
+      failedRecordRefreshMin: 5,
+      failedBlockTimeMin: 15,
+      maxSessions: 2,
+      resumeGraceSec: 60
+    }
+  }
+}))
+
+describe('UserLoginInfo', () => {
+  let userLogin
+  let userLogout
+  let userDisconnect
+  let resumeSession
+  let checkMaxSessionsReached
+  let getSessionsOfUser
+  let terminateSession
+  let emitToOnlineUser
+  let getOnlineUsers
+  const mockUserId = 'user123'
+  let socketCount = 0
+
+  const createMockSocket = () => ({
+    id: `socket${++socketCount}`,
+    emit: jest.fn(),
+    disconnect: jest.fn()
+  })
+
+  beforeAll(() => {
+    // Sessions expire with timers
+    jest.useFakeTimers()
+    ;({
+      userLogin,
+      userLogout,
+      userDisconnect,
+      resumeSession,
+      checkMaxSessionsReached,
+      getSessionsOfUser,
+      terminateSession,
+      emitToOnlineUser,
+      getOnlineUsers
+    } = require('../src/UserLoginInfo.js'))
+  })
+
+  let sockets
+  beforeEach(() => {
+    sockets = []
+  })
+
+  afterEach(() => {
+    for (const socket of sockets) userLogout(socket)
+  })
+
+  // Helper to log in a new session
+  const loginSession = (deviceLabel) => {
+    const socket = createMockSocket()
+    sockets.push(socket)
+    const session = userLogin(mockUserId, socket, deviceLabel)
+    return { socket, ...session }
+  }
+
+  // Helper to reconnect with a new socket
+  const reconnect = () => {
+    const socket = createMockSocket()
+    sockets.push(socket)
+    return socket
+  }
+
+  test('should allow multiple sessions up to max sessions', () => {
+    const laptop = loginSession('laptop')
+    const desktop = loginSession('desktop')
+
+    expect(laptop.sessionId).toEqual(expect.any(String))
+    expect(desktop.sessionId).toEqual(expect.any(String))
+    expect(laptop.resumeToken).toMatch(/^[A-Za-z0-9_-]{43}$/)
+    expect(laptop.socket.sessionId).toBe(laptop.sessionId)
+    expect(checkMaxSessionsReached(mockUserId)).toBe(true)
+    expect(userLogin(mockUserId, createMockSocket(), 'phone')).toBe(false)
+    expect(getSessionsOfUser(mockUserId)).toEqual([
+      {
+        sessionId: laptop.sessionId,
+        deviceLabel: 'laptop',
+        loginTime: expect.any(Number),
+        connected: true
+      },
+      {
+        sessionId: desktop.sessionId,
+        deviceLabel: 'desktop',
+        loginTime: expect.any(Number),
+        connected: true
+      }
+    ])
+  })
+
+  test('should emit event to all sessions of user', () => {
+    const laptop = loginSession('laptop')
+    const desktop = loginSession('desktop')
+
+    emitToOnlineUser(mockUserId, 'new-request', { requestId: 'req1' })
+
+    expect(laptop.socket.emit).toHaveBeenCalledWith('new-request', { requestId: 'req1' })
+    expect(desktop.socket.emit).toHaveBeenCalledWith('new-request', { requestId: 'req1' })
+  })
+
+  test('should only remove the session of socket on logout', () => {
+    const laptop = loginSession('laptop')
+    const desktop = loginSession('desktop')
+
+    userLogout(laptop.socket)
+
+    expect(getSessionsOfUser(mockUserId)).toEqual([
+      expect.objectContaining({ sessionId: desktop.sessionId })
+    ])
+    expect(checkMaxSessionsReached(mockUserId)).toBe(false)
+  })
+
+  test('should terminate and disconnect session of user', () => {
+    const laptop = loginSession('laptop')
+
+    expect(terminateSession('otherUser', laptop.sessionId)).toBe(false)
+    expect(terminateSession(mockUserId, laptop.sessionId)).toBe(true)
+    expect(laptop.socket.disconnect).toHaveBeenCalledWith(true)
+    expect(getSessionsOfUser(mockUserId)).toEqual([])
+  })
+
+  test('should resume disconnected session with pending events', () => {
+    const laptop = loginSession('laptop')
+
+    userDisconnect(laptop.socket)
+    expect(getSessionsOfUser(mockUserId)).toEqual([
+      expect.objectContaining({ sessionId: laptop.sessionId, connected: false })
+    ])
+    emitToOnlineUser(mockUserId, 'upload-file-res', { fileId: 'file1' })
+
+    const socket = reconnect()
+    const session = resumeSession(laptop.resumeToken, socket)
+
+    expect(session).toEqual({
+      userId: mockUserId,
+      sessionId: laptop.sessionId,
+      resumeToken: expect.any(String),
+      pendingEvents: [{ event: 'upload-file-res', data: [{ fileId: 'file1' }] }]
+    })
+    expect(session.resumeToken).not.toBe(laptop.resumeToken)
+    expect(socket.sessionId).toBe(laptop.sessionId)
+    expect(laptop.socket.emit).not.toHaveBeenCalled()
+    // Old token cannot be used again
+    expect(resumeSession(laptop.resumeToken, reconnect())).toBeUndefined()
+
+    emitToOnlineUser(mockUserId, 'new-request', { requestId: 'req1' })
+    expect(socket.emit).toHaveBeenCalledWith('new-request', { requestId: 'req1' })
+  })
+
+  test('should not resume session after grace period', () => {
+    const laptop = loginSession('laptop')
+
+    userDisconnect(laptop.socket)
+    jest.advanceTimersByTime(60 * 1000)
+
+    expect(resumeSession(laptop.resumeToken, reconnect())).toBeUndefined()
+    expect(getSessionsOfUser(mockUserId)).toEqual([])
+  })
+
+  test('should not resume session that logged out', () => {
+    const laptop = loginSession('laptop')
+
+    userLogout(laptop.socket)
+    userDisconnect(laptop.socket)
+
+    expect(resumeSession(laptop.resumeToken, reconnect())).toBeUndefined()
+  })
+
+  test('should disconnect idle sessions', () => {
+    const laptop = loginSession('laptop')
+
+    jest.advanceTimersByTime(30 * 60 * 1000)
+
+    expect(laptop.socket.disconnect).toHaveBeenCalledWith(true)
+    expect(getOnlineUsers()).toEqual([])
+  })
+})
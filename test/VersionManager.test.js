@@ -0,0 +1,216 @@
+import { test, expect, jest, describe, beforeEach } from '@jest/globals'
+// Mock all external dependencies
+jest.mock('../src/Logger.js', () => ({
+  logInvalidSchemaWarning: jest.fn(),
+  logSocketError: jest.fn(),
+  logSocketInfo: jest.fn(),
+  logSocketWarning: jest.fn()
+}))
+
+jest.mock('../src/StorageDatabase.js', () => ({
+  addFileVersion: jest.fn(),
+  getFileInfoOfOwnerId: jest.fn(),
+  getFileVersionOfFileId: jest.fn(),
+  getFileVersionsOfFileId: jest.fn(),
+  restoreFileVersion: jest.fn()
+}))
+
+jest.mock('node:fs/promises', () => ({
+  rename: jest.fn(),
+  unlink: jest.fn()
+}))
+
+jest.mock('node:crypto', () => ({
+  randomUUID: jest.fn()
+}))
+
+jest.mock('../src/Utils.js', () => ({
+  checkLoggedIn: jest.fn(),
+  FileNotFoundErrorMsg: 'File not found.',
+  getFilePath: jest.fn((userId, fileId) => `/uploads/${userId}/${fileId}`),
+  InternalServerErrorMsg: 'Internal server error occurred.',
+  InvalidArgumentErrorMsg: 'Invalid argument provided.',
+  NotLoggedInErrorMsg: 'Not logged in.'
+}))
+
+jest.mock('../src/Validation.js', () => ({
+  GetFileVersionsRequestSchema: { safeParse: jest.fn() },
+  RestoreFileVersionRequestSchema: { safeParse: jest.fn() }
+}))
+
+// Import the module to be tested
+import { applyFileVersion, removeFileVersions, versionBinder } from '../src/VersionManager.js'
+
+// Import mocked dependencies for easier access and assertion
+import {
+  addFileVersion,
+  getFileInfoOfOwnerId,
+  getFileVersionOfFileId,
+  getFileVersionsOfFileId,
+  restoreFileVersion
+} from '../src/StorageDatabase.js'
+import { rename, unlink } from 'node:fs/promises'
+import { randomUUID } from 'node:crypto'
+import { checkLoggedIn, FileNotFoundErrorMsg, NotLoggedInErrorMsg } from '../src/Utils.js'
+import { GetFileVersionsRequestSchema, RestoreFileVersionRequestSchema } from '../src/Validation.js'
+
+describe('VersionManager', () => {
+  let mockSocket
+  let mockCb
+  const mockUserId = 'user123'
+  const mockFileId = 'file123'
+  const mockArchiveId = 'archive123'
+  const path = (id) => `/uploads/${mockUserId}/${id}`
+
+  // Helper to trigger a socket event
+  const triggerSocketEvent = async (eventName, ...args) => {
+    const handler = mockSocket.events[eventName]
+    if (handler) {
+      await handler(...args, mockCb)
+    } else {
+      throw new Error(`No handler registered for event: ${eventName}`)
+    }
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    mockSocket = {
+      userId: mockUserId,
+      events: {},
+      on: jest.fn((eventName, handler) => {
+        mockSocket.events[eventName] = handler
+      })
+    }
+    mockCb = jest.fn()
+    checkLoggedIn.mockReturnValue(true)
+    randomUUID.mockReturnValue(mockArchiveId)
+    getFileInfoOfOwnerId.mockResolvedValue({ id: mockFileId, version: 2 })
+    versionBinder(mockSocket)
+  })
+
+  describe('applyFileVersion', () => {
+    const uploadInfo = {
+      id: 'upload123',
+      userId: mockUserId,
+      versionOf: mockFileId,
+      cipher: 'cipher',
+      spk: 'spk',
+      size: 10,
+      infoBlockNumber: 1,
+      verifyBlockNumber: 2
+    }
+
+    test('should archive current content and move uploaded content in place', async () => {
+      addFileVersion.mockResolvedValue(3)
+
+      const version = await applyFileVersion(uploadInfo)
+
+      expect(version).toBe(3)
+      expect(rename).toHaveBeenNthCalledWith(1, path(mockFileId), path(mockArchiveId))
+      expect(rename).toHaveBeenNthCalledWith(2, path('upload123'), path(mockFileId))
+      expect(addFileVersion).toHaveBeenCalledWith(
+        mockArchiveId,
+        expect.objectContaining({ fileId: mockFileId, uploadId: 'upload123', size: 10 })
+      )
+    })
+
+    test('should return undefined without moving contents if file does not exist', async () => {
+      getFileInfoOfOwnerId.mockResolvedValue(undefined)
+
+      const version = await applyFileVersion(uploadInfo)
+
+      expect(version).toBeUndefined()
+      expect(rename).not.toHaveBeenCalled()
+      expect(addFileVersion).not.toHaveBeenCalled()
+    })
+
+    test('should put contents back if database update fails', async () => {
+      addFileVersion.mockRejectedValue(new Error('DB error'))
+
+      await expect(applyFileVersion(uploadInfo)).rejects.toThrow('DB error')
+
+      expect(rename).toHaveBeenNthCalledWith(3, path(mockFileId), path('upload123'))
+      expect(rename).toHaveBeenNthCalledWith(4, path(mockArchiveId), path(mockFileId))
+    })
+  })
+
+  describe('removeFileVersions', () => {
+    test('should unlink stored content of every version', async () => {
+      getFileVersionsOfFileId.mockResolvedValue([{ id: 'v1' }, { id: 'v2' }])
+      unlink.mockRejectedValueOnce(Object.assign(new Error('missing'), { code: 'ENOENT' }))
+
+      await removeFileVersions(mockUserId, mockFileId)
+
+      expect(unlink).toHaveBeenCalledWith(path('v1'))
+      expect(unlink).toHaveBeenCalledWith(path('v2'))
+    })
+  })
+
+  describe('get-file-versions', () => {
+    const request = { fileId: mockFileId }
+
+    beforeEach(() => {
+      GetFileVersionsRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+    })
+
+    test('should respond current version and archived versions', async () => {
+      const versions = [{ id: 'v1', version: 1 }]
+      getFileVersionsOfFileId.mockResolvedValue(versions)
+
+      await triggerSocketEvent('get-file-versions', request)
+
+      expect(getFileInfoOfOwnerId).toHaveBeenCalledWith(mockFileId, mockUserId)
+      expect(mockCb).toHaveBeenCalledWith({
+        currentVersion: 2,
+        versions: JSON.stringify(versions)
+      })
+    })
+
+    test('should return NotLoggedInErrorMsg if client is not logged in', async () => {
+      checkLoggedIn.mockReturnValue(false)
+
+      await triggerSocketEvent('get-file-versions', request)
+
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: NotLoggedInErrorMsg })
+      expect(getFileVersionsOfFileId).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('restore-file-version', () => {
+    const request = { fileId: mockFileId, version: 1 }
+
+    beforeEach(() => {
+      RestoreFileVersionRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+      getFileVersionOfFileId.mockResolvedValue({ id: 'v1', version: 1 })
+    })
+
+    test('should swap current content with the version', async () => {
+      restoreFileVersion.mockResolvedValue({ rowCount: 1 })
+
+      await triggerSocketEvent('restore-file-version', request)
+
+      expect(rename).toHaveBeenNthCalledWith(1, path(mockFileId), path(mockArchiveId))
+      expect(rename).toHaveBeenNthCalledWith(2, path('v1'), path(mockFileId))
+      expect(restoreFileVersion).toHaveBeenCalledWith(mockFileId, 'v1', mockArchiveId)
+      expect(mockCb).toHaveBeenCalledWith({})
+    })
+
+    test('should return "Version not found." if version does not exist', async () => {
+      getFileVersionOfFileId.mockResolvedValue(undefined)
+
+      await triggerSocketEvent('restore-file-version', request)
+
+      expect(rename).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Version not found.' })
+    })
+
+    test('should return FileNotFoundErrorMsg if file is not owned by client', async () => {
+      getFileInfoOfOwnerId.mockResolvedValue(undefined)
+
+      await triggerSocketEvent('restore-file-version', request)
+
+      expect(getFileVersionOfFileId).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: FileNotFoundErrorMsg })
+    })
+  })
+})
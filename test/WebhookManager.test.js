@@ -0,0 +1,436 @@
+import { test, expect, jest, describe, beforeEach, beforeAll } from '@jest/globals'
+import { createHmac } from 'node:crypto'
+// Mock all external dependencies
+jest.mock('node:dns/promises', () => ({
+  lookup: jest.fn()
+}))
+
+jest.mock('node:http', () => ({
+  request: jest.fn()
+}))
+
+jest.mock('node:https', () => ({
+  request: jest.fn()
+}))
+
+jest.mock('../src/Logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  },
+  logInvalidSchemaWarning: jest.fn(),
+  logSocketError: jest.fn(),
+  logSocketInfo: jest.fn(),
+  logSocketWarning: jest.fn()
+}))
+
+jest.mock('../src/StorageDatabase.js', () => ({
+  addWebhook: jest.fn(),
+  addWebhookDelivery: jest.fn(),
+  claimDueWebhookDeliveries: jest.fn(),
+  deleteWebhookOfUserId: jest.fn(),
+  getWebhookDeliveriesOfWebhookId: jest.fn(),
+  getWebhooksOfEvent: jest.fn(),
+  getWebhooksOfUserId: jest.fn(),
+  updateWebhookDeliveryAttempt: jest.fn()
+}))
+
+jest.mock('../src/Utils.js', () => ({
+  checkLoggedIn: jest.fn(),
+  InternalServerErrorMsg: 'Internal server error occurred.',
+  InvalidArgumentErrorMsg: 'Invalid argument provided.',
+  NotLoggedInErrorMsg: 'Not logged in.'
+}))
+
+jest.mock('../src/ConfigManager.js', () => ({
+  __esModule: true,
+  default: {
+    settings: {
+      webhookMaxAttempts: 3,
+      webhookRetryBaseMin: 1,
+      webhookRetryCheckIntervalMin: 1,
+      webhookTimeoutSec: 10
+    }
+  }
+}))
+
+jest.mock('../src/Validation.js', () => ({
+  AddWebhookRequestSchema: { safeParse: jest.fn() },
+  DeleteWebhookRequestSchema: { safeParse: jest.fn() },
+  GetWebhookDeliveriesRequestSchema: { safeParse: jest.fn() }
+}))
+
+// Import mocked dependencies for easier access and assertion
+import { lookup } from 'node:dns/promises'
+import { request as httpRequest } from 'node:http'
+import { request as httpsRequest } from 'node:https'
+import {
+  addWebhook,
+  addWebhookDelivery,
+  claimDueWebhookDeliveries,
+  deleteWebhookOfUserId,
+  getWebhookDeliveriesOfWebhookId,
+  getWebhooksOfEvent,
+  getWebhooksOfUserId,
+  updateWebhookDeliveryAttempt
+} from '../src/StorageDatabase.js'
+import { checkLoggedIn, InvalidArgumentErrorMsg, NotLoggedInErrorMsg } from '../src/Utils.js'
+import {
+  AddWebhookRequestSchema,
+  DeleteWebhookRequestSchema,
+  GetWebhookDeliveriesRequestSchema
+} from '../src/Validation.js'
+
+describe('WebhookManager', () => {
+  let mockSocket
+  let mockCb
+  let webhookBinder
+  let triggerWebhooks
+  let retryWebhookDeliveries
+  const mockUserId = 'user123'
+  const webhook = {
+    id: 'hook1',
+    url: 'https://example.com/hook',
+    secret: 'secret',
+    userId: mockUserId
+  }
+
+  // Helper to trigger a socket event
+  const triggerSocketEvent = async (eventName, ...args) => {
+    const handler = mockSocket.events[eventName]
+    if (handler) {
+      await handler(...args, mockCb)
+    } else {
+      throw new Error(`No handler registered for event: ${eventName}`)
+    }
+  }
+
+  // Make posted requests respond with a status code
+  const respondWith = (request, statusCode) =>
+    request.mockImplementation((url, options, callback) => ({
+      on: jest.fn().mockReturnThis(),
+      end: jest.fn(() => callback({ statusCode, resume: jest.fn() }))
+    }))
+
+  // Make posted requests fail with an error
+  const failWith = (request, error) =>
+    request.mockImplementation(() => {
+      const handlers = {}
+      const clientRequest = {
+        on: jest.fn((event, handler) => {
+          handlers[event] = handler
+          return clientRequest
+        }),
+        end: jest.fn(() => handlers.error(error))
+      }
+      return clientRequest
+    })
+
+  // Get the body of a posted request
+  const getPostedBody = (request) => request.mock.results[0].value.end.mock.calls[0][0]
+
+  // Wait for deliveries posted in the background
+  const flushDeliveries = () =>
+    new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve))
+
+  beforeAll(() => {
+    // Module sets up a retry interval when loaded
+    jest.useFakeTimers()
+    ;({
+      webhookBinder,
+      triggerWebhooks,
+      retryWebhookDeliveries
+    } = require('../src/WebhookManager.js'))
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    mockSocket = {
+      userId: mockUserId,
+      events: {},
+      on: jest.fn((eventName, handler) => {
+        mockSocket.events[eventName] = handler
+      })
+    }
+    mockCb = jest.fn()
+    respondWith(httpsRequest, 200)
+    checkLoggedIn.mockReturnValue(true)
+    lookup.mockResolvedValue([{ address: '93.184.215.14', family: 4 }])
+    webhookBinder(mockSocket)
+  })
+
+  describe('triggerWebhooks', () => {
+    test('should post signed payload to subscribed webhooks and record success', async () => {
+      getWebhooksOfEvent.mockResolvedValue([webhook])
+      addWebhookDelivery.mockResolvedValue('delivery1')
+
+      await triggerWebhooks([mockUserId], 'file-deleted', { fileId: 'file1' })
+      await flushDeliveries()
+
+      expect(getWebhooksOfEvent).toHaveBeenCalledWith([mockUserId], 'file-deleted')
+      const [url, options] = httpsRequest.mock.calls[0]
+      const body = getPostedBody(httpsRequest)
+      expect(url).toBe(webhook.url)
+      expect(options.method).toBe('POST')
+      expect(JSON.parse(body)).toEqual(
+        expect.objectContaining({ event: 'file-deleted', data: { fileId: 'file1' } })
+      )
+      const signature = createHmac('sha256', 'secret').update(body).digest('hex')
+      expect(options.headers['X-Webhook-Signature']).toBe('sha256=' + signature)
+      expect(options.headers['X-Webhook-Delivery']).toBe('delivery1')
+      expect(updateWebhookDeliveryAttempt).toHaveBeenCalledWith('delivery1', {
+        status: 'success',
+        responseStatus: 200,
+        lastError: null,
+        nextAttemptAt: null
+      })
+    })
+
+    test('should schedule retry if webhook responds with error', async () => {
+      getWebhooksOfEvent.mockResolvedValue([webhook])
+      addWebhookDelivery.mockResolvedValue('delivery1')
+      respondWith(httpsRequest, 500)
+
+      await triggerWebhooks([mockUserId], 'file-deleted', { fileId: 'file1' })
+      await flushDeliveries()
+
+      expect(updateWebhookDeliveryAttempt).toHaveBeenCalledWith('delivery1', {
+        status: 'pending',
+        responseStatus: 500,
+        lastError: 'Responded with status 500.',
+        nextAttemptAt: expect.any(Date)
+      })
+    })
+
+    test('should not post to private address of webhook of user', async () => {
+      getWebhooksOfEvent.mockResolvedValue([webhook])
+      addWebhookDelivery.mockResolvedValue('delivery1')
+      lookup.mockResolvedValue([{ address: '10.0.0.5', family: 4 }])
+
+      await triggerWebhooks([mockUserId], 'file-deleted', { fileId: 'file1' })
+      await flushDeliveries()
+
+      expect(lookup).toHaveBeenCalledWith('example.com', { all: true })
+      expect(httpsRequest).not.toHaveBeenCalled()
+      expect(updateWebhookDeliveryAttempt).toHaveBeenCalledWith('delivery1', {
+        status: 'pending',
+        responseStatus: null,
+        lastError: 'Host resolves to a private address.',
+        nextAttemptAt: expect.any(Date)
+      })
+    })
+
+    test('should post to private address of webhook of admin', async () => {
+      getWebhooksOfEvent.mockResolvedValue([{ ...webhook, userId: null }])
+      addWebhookDelivery.mockResolvedValue('delivery1')
+      lookup.mockResolvedValue([{ address: '127.0.0.1', family: 4 }])
+
+      await triggerWebhooks([mockUserId], 'file-deleted', { fileId: 'file1' })
+      await flushDeliveries()
+
+      expect(lookup).not.toHaveBeenCalled()
+      expect(httpsRequest).toHaveBeenCalledWith(
+        webhook.url,
+        expect.objectContaining({ lookup: undefined }),
+        expect.any(Function)
+      )
+    })
+
+    test('should connect to the checked addresses of webhook of user', async () => {
+      const addresses = [
+        { address: '93.184.215.14', family: 4 },
+        { address: '2606:2800:21f:cb07:6820:80da:af6b:8b2c', family: 6 }
+      ]
+      getWebhooksOfEvent.mockResolvedValue([webhook])
+      addWebhookDelivery.mockResolvedValue('delivery1')
+      lookup.mockResolvedValue(addresses)
+
+      await triggerWebhooks([mockUserId], 'file-deleted', { fileId: 'file1' })
+      await flushDeliveries()
+
+      // Resolving again when connecting must not reach another address
+      lookup.mockResolvedValue([{ address: '127.0.0.1', family: 4 }])
+      const connectLookup = httpsRequest.mock.calls[0][1].lookup
+      const allCallback = jest.fn()
+      connectLookup('example.com', { all: true }, allCallback)
+      expect(allCallback).toHaveBeenCalledWith(null, addresses)
+      const oneCallback = jest.fn()
+      connectLookup('example.com', {}, oneCallback)
+      expect(oneCallback).toHaveBeenCalledWith(null, '93.184.215.14', 4)
+      expect(lookup).toHaveBeenCalledTimes(1)
+    })
+
+    test('should post to webhook of admin with http URL', async () => {
+      getWebhooksOfEvent.mockResolvedValue([
+        { ...webhook, url: 'http://localhost:8080/hook', userId: null }
+      ])
+      addWebhookDelivery.mockResolvedValue('delivery1')
+      respondWith(httpRequest, 204)
+
+      await triggerWebhooks([mockUserId], 'file-deleted', { fileId: 'file1' })
+      await flushDeliveries()
+
+      expect(httpRequest).toHaveBeenCalledWith(
+        'http://localhost:8080/hook',
+        expect.any(Object),
+        expect.any(Function)
+      )
+      expect(httpsRequest).not.toHaveBeenCalled()
+      expect(updateWebhookDeliveryAttempt).toHaveBeenCalledWith('delivery1', {
+        status: 'success',
+        responseStatus: 204,
+        lastError: null,
+        nextAttemptAt: null
+      })
+    })
+
+    test('should not throw if webhooks cannot be retrieved', async () => {
+      getWebhooksOfEvent.mockRejectedValue(new Error('DB error'))
+
+      await expect(triggerWebhooks([mockUserId], 'file-deleted', {})).resolves.toBeUndefined()
+      expect(httpsRequest).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('retryWebhookDeliveries', () => {
+    test('should give up delivery after too many attempts', async () => {
+      claimDueWebhookDeliveries.mockResolvedValue([
+        { ...webhook, id: 'delivery1', event: 'file-deleted', payload: {}, attempts: 2 }
+      ])
+      failWith(httpsRequest, new Error('Connection refused'))
+
+      await retryWebhookDeliveries()
+
+      expect(updateWebhookDeliveryAttempt).toHaveBeenCalledWith('delivery1', {
+        status: 'failed',
+        responseStatus: null,
+        lastError: 'Connection refused',
+        nextAttemptAt: null
+      })
+    })
+  })
+
+  describe('add-webhook', () => {
+    const request = { url: 'https://example.com/hook', events: ['file-uploaded'] }
+
+    test('should add webhook and respond its secret', async () => {
+      AddWebhookRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+      addWebhook.mockResolvedValue('hook1')
+
+      await triggerSocketEvent('add-webhook', request)
+
+      expect(addWebhook).toHaveBeenCalledWith(
+        mockUserId,
+        request.url,
+        request.events,
+        expect.stringMatching(/^[0-9a-f]{64}$/)
+      )
+      expect(mockCb).toHaveBeenCalledWith({
+        webhookId: 'hook1',
+        secret: addWebhook.mock.calls[0][3]
+      })
+    })
+
+    test.each([
+      ['loopback', [{ address: '127.0.0.1', family: 4 }]],
+      ['private', [{ address: '192.168.1.10', family: 4 }]],
+      ['link-local', [{ address: '169.254.169.254', family: 4 }]],
+      ['shared', [{ address: '100.64.1.1', family: 4 }]],
+      ['IETF protocol assignment', [{ address: '192.0.0.8', family: 4 }]],
+      ['benchmarking', [{ address: '198.19.255.1', family: 4 }]],
+      ['IPv6 unique local', [{ address: 'fd12::1', family: 6 }]],
+      ['IPv4-mapped loopback', [{ address: '::ffff:127.0.0.1', family: 6 }]],
+      [
+        'partly private',
+        [
+          { address: '93.184.215.14', family: 4 },
+          { address: '::1', family: 6 }
+        ]
+      ]
+    ])(
+      'should return InvalidArgumentErrorMsg if host resolves to %s address',
+      async (_, addresses) => {
+        AddWebhookRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+        lookup.mockResolvedValue(addresses)
+
+        await triggerSocketEvent('add-webhook', request)
+
+        expect(addWebhook).not.toHaveBeenCalled()
+        expect(mockCb).toHaveBeenCalledWith({ errorMsg: InvalidArgumentErrorMsg })
+      }
+    )
+
+    test('should strip brackets of IPv6 host before resolving', async () => {
+      const ipv6Request = { ...request, url: 'https://[::1]/hook' }
+      AddWebhookRequestSchema.safeParse.mockReturnValue({ success: true, data: ipv6Request })
+      lookup.mockResolvedValue([{ address: '::1', family: 6 }])
+
+      await triggerSocketEvent('add-webhook', ipv6Request)
+
+      expect(lookup).toHaveBeenCalledWith('::1', { all: true })
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: InvalidArgumentErrorMsg })
+    })
+
+    test('should return InvalidArgumentErrorMsg if host cannot be resolved', async () => {
+      AddWebhookRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+      lookup.mockRejectedValue(new Error('getaddrinfo ENOTFOUND'))
+
+      await triggerSocketEvent('add-webhook', request)
+
+      expect(addWebhook).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: InvalidArgumentErrorMsg })
+    })
+
+    test('should return NotLoggedInErrorMsg if client is not logged in', async () => {
+      AddWebhookRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+      checkLoggedIn.mockReturnValue(false)
+
+      await triggerSocketEvent('add-webhook', request)
+
+      expect(addWebhook).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: NotLoggedInErrorMsg })
+    })
+  })
+
+  describe('delete-webhook', () => {
+    test('should return "Webhook not found." if webhook is not of client', async () => {
+      const request = { webhookId: 'hook1' }
+      DeleteWebhookRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+      deleteWebhookOfUserId.mockResolvedValue({ rowCount: 0 })
+
+      await triggerSocketEvent('delete-webhook', request)
+
+      expect(deleteWebhookOfUserId).toHaveBeenCalledWith('hook1', mockUserId)
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Webhook not found.' })
+    })
+  })
+
+  describe('get-webhook-deliveries', () => {
+    const request = { webhookId: 'hook1', limit: 20 }
+
+    beforeEach(() => {
+      GetWebhookDeliveriesRequestSchema.safeParse.mockReturnValue({ success: true, data: request })
+    })
+
+    test('should respond deliveries of webhook of client', async () => {
+      const deliveries = [{ id: 'delivery1', status: 'success' }]
+      getWebhooksOfUserId.mockResolvedValue([{ id: 'hook1' }])
+      getWebhookDeliveriesOfWebhookId.mockResolvedValue(deliveries)
+
+      await triggerSocketEvent('get-webhook-deliveries', request)
+
+      expect(getWebhookDeliveriesOfWebhookId).toHaveBeenCalledWith('hook1', 20)
+      expect(mockCb).toHaveBeenCalledWith({ deliveries: JSON.stringify(deliveries) })
+    })
+
+    test('should return "Webhook not found." if webhook is not of client', async () => {
+      getWebhooksOfUserId.mockResolvedValue([])
+
+      await triggerSocketEvent('get-webhook-deliveries', request)
+
+      expect(getWebhookDeliveriesOfWebhookId).not.toHaveBeenCalled()
+      expect(mockCb).toHaveBeenCalledWith({ errorMsg: 'Webhook not found.' })
+    })
+  })
+})